@@ -0,0 +1,482 @@
+/**
+ * EAOS Dependency Advisories Module
+ *
+ * Offline dependency vulnerability audit for the Security Audit phase.
+ * Resolved versions from npm/yarn/pnpm lockfiles are matched against a
+ * locally mirrored advisory directory in OSV format
+ * (https://ossf.github.io/osv-schema/), so no network access is needed.
+ *
+ * The advisory directory defaults to `.eaos/advisories` and may contain
+ * OSV JSON files in any layout (e.g. an extracted `npm/all.zip` export).
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { ValidationError } from './errors.js';
+import { SEVERITY_LEVELS } from './findings.js';
+import { isLockfile, parseLockfile } from './lockfiles.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const DEFAULT_ADVISORY_DB = '.eaos/advisories';
+const OSV_ECOSYSTEM = 'npm';
+
+// GHSA database_specific.severity labels
+const ADVISORY_SEVERITY = {
+  CRITICAL: SEVERITY_LEVELS.CRITICAL,
+  HIGH: SEVERITY_LEVELS.HIGH,
+  MODERATE: SEVERITY_LEVELS.MEDIUM,
+  MEDIUM: SEVERITY_LEVELS.MEDIUM,
+  LOW: SEVERITY_LEVELS.LOW
+};
+
+// CVSS v3.x base metric weights
+const CVSS3_WEIGHTS = {
+  AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+  AC: { L: 0.77, H: 0.44 },
+  UI: { N: 0.85, R: 0.62 },
+  CIA: { H: 0.56, L: 0.22, N: 0 }
+};
+
+// Privileges Required weighs more when the scope changes
+const CVSS3_PRIVILEGES = {
+  U: { N: 0.85, L: 0.62, H: 0.27 },
+  C: { N: 0.85, L: 0.68, H: 0.5 }
+};
+
+const SEMVER_PATTERN = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+// =============================================================================
+// Semver
+// =============================================================================
+
+/**
+ * Parse a semantic version
+ * @param {string} version - Version string
+ * @returns {Object|null} {major, minor, patch, prerelease[]} or null if invalid
+ */
+export function parseSemver(version) {
+  const match = String(version).trim().match(SEMVER_PATTERN);
+  if (!match) return null;
+
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+}
+
+/**
+ * Compare two semantic versions by SemVer 2.0 precedence
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ * @throws {ValidationError} If either version is invalid
+ */
+export function compareSemver(a, b) {
+  const left = parseSemver(a);
+  const right = parseSemver(b);
+  if (!left || !right) {
+    throw new ValidationError(`Invalid semver: ${!left ? a : b}`);
+  }
+
+  for (const key of ['major', 'minor', 'patch']) {
+    if (left[key] !== right[key]) return left[key] - right[key];
+  }
+
+  // A version without prerelease has higher precedence
+  if (left.prerelease.length === 0 || right.prerelease.length === 0) {
+    return right.prerelease.length - left.prerelease.length;
+  }
+
+  const length = Math.max(left.prerelease.length, right.prerelease.length);
+  for (let i = 0; i < length; i++) {
+    const x = left.prerelease[i];
+    const y = right.prerelease[i];
+    if (x === undefined) return -1;
+    if (y === undefined) return 1;
+    if (x === y) continue;
+
+    const xNumeric = /^\d+$/.test(x);
+    const yNumeric = /^\d+$/.test(y);
+    if (xNumeric && yNumeric) return Number(x) - Number(y);
+    if (xNumeric) return -1;
+    if (yNumeric) return 1;
+    return x < y ? -1 : 1;
+  }
+
+  return 0;
+}
+
+// =============================================================================
+// OSV Matching
+// =============================================================================
+
+/**
+ * Check if a version falls inside an OSV range
+ * @param {string} version - Resolved version
+ * @param {Object} range - OSV range ({type, events})
+ * @returns {boolean}
+ */
+export function isInRange(version, range) {
+  if (!['SEMVER', 'ECOSYSTEM'].includes(range.type)) return false;
+
+  const eventVersion = event => event.introduced ?? event.fixed ?? event.last_affected ?? event.limit;
+  const events = (range.events || [])
+    .filter(event => eventVersion(event) === '0' || parseSemver(eventVersion(event)))
+    .sort((x, y) => {
+      if (eventVersion(x) === '0') return -1;
+      if (eventVersion(y) === '0') return 1;
+      return compareSemver(eventVersion(x), eventVersion(y));
+    });
+
+  let affected = false;
+  for (const event of events) {
+    if (event.introduced !== undefined) {
+      if (event.introduced === '0' || compareSemver(version, event.introduced) >= 0) affected = true;
+    } else if (event.fixed !== undefined) {
+      if (compareSemver(version, event.fixed) >= 0) affected = false;
+    } else if (event.last_affected !== undefined) {
+      if (compareSemver(version, event.last_affected) > 0) affected = false;
+    } else if (event.limit !== undefined) {
+      if (compareSemver(version, event.limit) >= 0) affected = false;
+    }
+  }
+
+  return affected;
+}
+
+/**
+ * Check if a package version is affected by an OSV `affected` entry
+ * @param {string} version - Resolved version
+ * @param {Object} affected - OSV affected entry
+ * @returns {boolean}
+ */
+export function isAffected(version, affected) {
+  if (!parseSemver(version)) return false;
+  if ((affected.versions || []).includes(version)) return true;
+  return (affected.ranges || []).some(range => isInRange(version, range));
+}
+
+/**
+ * Versions that fix an advisory and are newer than the resolved version
+ * @param {string} version - Resolved version
+ * @param {Object} affected - OSV affected entry
+ * @returns {string[]} Sorted fixed versions
+ */
+export function fixedVersions(version, affected) {
+  const fixes = new Set();
+  for (const range of affected.ranges || []) {
+    for (const event of range.events || []) {
+      if (event.fixed && parseSemver(event.fixed) && compareSemver(event.fixed, version) > 0) {
+        fixes.add(event.fixed);
+      }
+    }
+  }
+  return Array.from(fixes).sort(compareSemver);
+}
+
+/**
+ * Round up to one decimal as CVSS v3.1 specifies, avoiding float artifacts
+ * @param {number} value - Score
+ * @returns {number}
+ */
+function roundUpScore(value) {
+  const scaled = Math.round(value * 100000);
+  return scaled % 10000 === 0 ? scaled / 100000 : (Math.floor(scaled / 10000) + 1) / 10;
+}
+
+/**
+ * Compute the base score of a CVSS v3.0 or v3.1 vector
+ * @param {string} vector - e.g. CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H
+ * @returns {number|null} Base score from 0 to 10, or null for other vectors
+ */
+export function cvssBaseScore(vector) {
+  const [version, ...parts] = String(vector).split('/');
+  if (!/^CVSS:3\.[01]$/.test(version)) return null;
+
+  const metrics = Object.fromEntries(parts.map(part => part.split(':')));
+  const scope = metrics.S;
+  const av = CVSS3_WEIGHTS.AV[metrics.AV];
+  const ac = CVSS3_WEIGHTS.AC[metrics.AC];
+  const pr = CVSS3_PRIVILEGES[scope]?.[metrics.PR];
+  const ui = CVSS3_WEIGHTS.UI[metrics.UI];
+  const [c, i, a] = ['C', 'I', 'A'].map(m => CVSS3_WEIGHTS.CIA[metrics[m]]);
+  if ([av, ac, pr, ui, c, i, a].some(weight => weight === undefined)) return null;
+
+  const iss = 1 - (1 - c) * (1 - i) * (1 - a);
+  const impact = scope === 'U' ? 6.42 * iss : 7.52 * (iss - 0.029) - 3.25 * (iss - 0.02) ** 15;
+  if (impact <= 0) return 0;
+
+  const exploitability = 8.22 * av * ac * pr * ui;
+  const total = scope === 'U' ? impact + exploitability : 1.08 * (impact + exploitability);
+  return roundUpScore(Math.min(total, 10));
+}
+
+/**
+ * Map an OSV record's severity to an audit severity
+ *
+ * Uses the GHSA `database_specific.severity` label, then the first CVSS v3
+ * vector in `severity[]`. Records with neither (including CVSS v2 and v4
+ * vectors only) are medium.
+ *
+ * @param {Object} advisory - OSV record
+ * @returns {string}
+ */
+function advisorySeverity(advisory) {
+  const label = String(advisory.database_specific?.severity || '').toUpperCase();
+  if (ADVISORY_SEVERITY[label]) return ADVISORY_SEVERITY[label];
+
+  for (const entry of advisory.severity || []) {
+    const score = cvssBaseScore(entry.score);
+    if (score !== null) {
+      if (score >= 9) return SEVERITY_LEVELS.CRITICAL;
+      if (score >= 7) return SEVERITY_LEVELS.HIGH;
+      if (score >= 4) return SEVERITY_LEVELS.MEDIUM;
+      return SEVERITY_LEVELS.LOW;
+    }
+  }
+
+  return SEVERITY_LEVELS.MEDIUM;
+}
+
+// =============================================================================
+// Advisory Database
+// =============================================================================
+
+/**
+ * Local OSV advisory database indexed by npm package name
+ */
+export class AdvisoryDatabase {
+  constructor() {
+    this.byPackage = new Map();
+    this.count = 0;
+  }
+
+  /**
+   * Add an OSV record
+   * @param {Object} advisory - OSV record
+   */
+  add(advisory) {
+    if (!advisory || typeof advisory.id !== 'string' || advisory.withdrawn) return;
+
+    let indexed = false;
+    for (const affected of advisory.affected || []) {
+      if (affected.package?.ecosystem !== OSV_ECOSYSTEM || !affected.package.name) continue;
+      const name = affected.package.name;
+      if (!this.byPackage.has(name)) this.byPackage.set(name, []);
+      this.byPackage.get(name).push({ advisory, affected });
+      indexed = true;
+    }
+    if (indexed) this.count++;
+  }
+
+  /**
+   * Find advisories affecting a package version
+   * @param {string} name - Package name
+   * @param {string} version - Resolved version
+   * @returns {Array<{advisory: Object, affected: Object}>}
+   */
+  match(name, version) {
+    return (this.byPackage.get(name) || []).filter(entry => isAffected(version, entry.affected));
+  }
+
+  /**
+   * Load every OSV JSON file under a directory
+   * @param {string} dir - Advisory directory
+   * @returns {Promise<AdvisoryDatabase>}
+   * @throws {ValidationError} If the directory does not exist
+   */
+  static async load(dir) {
+    if (!await fs.pathExists(dir)) {
+      throw new ValidationError(`Advisory database not found: ${dir}`);
+    }
+
+    const db = new AdvisoryDatabase();
+    const pending = [dir];
+    while (pending.length > 0) {
+      const current = pending.pop();
+      for (const entry of await fs.readdir(current, { withFileTypes: true })) {
+        const fullPath = path.join(current, entry.name);
+        if (entry.isDirectory()) {
+          pending.push(fullPath);
+        } else if (entry.name.endsWith('.json')) {
+          let data;
+          try {
+            data = await fs.readJson(fullPath);
+          } catch {
+            continue; // Skip unreadable records rather than failing the audit
+          }
+          for (const advisory of Array.isArray(data) ? data : [data]) {
+            db.add(advisory);
+          }
+        }
+      }
+    }
+
+    return db;
+  }
+}
+
+// =============================================================================
+// Audit
+// =============================================================================
+
+/**
+ * Match lockfile packages against the advisory database
+ * @param {Object[]} packages - Packages from parseLockfile()
+ * @param {AdvisoryDatabase} db - Advisory database
+ * @param {Object} options - Options
+ * @param {string[]} options.ignore - Advisory ids or aliases to ignore
+ * @returns {Object[]} Vulnerabilities
+ */
+export function matchVulnerabilities(packages, db, options = {}) {
+  const ignore = new Set(options.ignore || []);
+  const vulnerabilities = [];
+
+  for (const pkg of packages) {
+    for (const { advisory, affected } of db.match(pkg.name, pkg.version)) {
+      const ids = [advisory.id, ...(advisory.aliases || [])];
+      if (ids.some(id => ignore.has(id))) continue;
+
+      vulnerabilities.push({
+        package: pkg.name,
+        version: pkg.version,
+        path: pkg.path,
+        dev: pkg.dev,
+        advisory: advisory.id,
+        aliases: advisory.aliases || [],
+        cves: ids.filter(id => id.startsWith('CVE-')),
+        summary: advisory.summary || advisory.details?.split('\n')[0] || advisory.id,
+        severity: advisorySeverity(advisory),
+        fixed_versions: fixedVersions(pkg.version, affected)
+      });
+    }
+  }
+
+  return vulnerabilities;
+}
+
+/**
+ * Convert a vulnerability to an audit finding
+ * @param {Object} vulnerability - Vulnerability from matchVulnerabilities()
+ * @param {string} lockfile - Repository-relative lockfile path
+ * @returns {Object} Finding data
+ */
+export function vulnerabilityToFinding(vulnerability, lockfile) {
+  const ids = vulnerability.cves.length > 0 ? vulnerability.cves : [vulnerability.advisory];
+  const fix = vulnerability.fixed_versions.length > 0
+    ? `fixed in ${vulnerability.fixed_versions.join(', ')}`
+    : 'no fixed version';
+
+  return {
+    ruleId: 'vulnerable-dependency',
+    severity: vulnerability.severity,
+    file: lockfile,
+    fingerprint: `vulnerable-dependency:${lockfile}:${vulnerability.package}@${vulnerability.version}:${vulnerability.advisory}`,
+    message: `${vulnerability.package}@${vulnerability.version} (${ids.join(', ')}): ${vulnerability.summary}; ${fix}`,
+    metadata: {
+      ...vulnerability,
+      path: vulnerability.path.join(' > '),
+      remediation: vulnerability.fixed_versions.length > 0
+        ? `Upgrade ${vulnerability.package} to ${vulnerability.fixed_versions[0]} or later`
+        : `Replace ${vulnerability.package} or mitigate ${vulnerability.advisory}`
+    }
+  };
+}
+
+/**
+ * Read a lockfile's sibling package.json through the audit context
+ * @param {AuditContext} context - Audit context
+ * @param {string} lockfile - Repository-relative lockfile path
+ * @returns {Object|null}
+ */
+function readManifest(context, lockfile) {
+  const dir = path.posix.dirname(lockfile);
+  const content = context.readFile(dir === '.' ? 'package.json' : `${dir}/package.json`);
+  if (content === null) return null;
+  try {
+    return JSON.parse(content);
+  } catch {
+    return null;
+  }
+}
+
+const ADVISORIES_ANALYZER = {
+  id: 'dependency-advisories',
+  phase: 'security',
+  name: 'Dependency Advisories',
+  description: 'Lockfile dependencies matched against a local OSV advisory database',
+  async analyze(context) {
+    const findings = [];
+    const config = context.config.advisories || {};
+    const lockfiles = config.lockfiles || context.listFiles().filter(isLockfile);
+    if (lockfiles.length === 0) {
+      return findings;
+    }
+
+    const dbPath = config.database || DEFAULT_ADVISORY_DB;
+    const report = { database: dbPath, advisories: 0, lockfiles: [], vulnerabilities: 0 };
+    context.data.advisories = report;
+
+    let db;
+    try {
+      db = await AdvisoryDatabase.load(path.resolve(context.rootDir, dbPath));
+    } catch {
+      findings.push({
+        ruleId: 'missing-advisory-database',
+        severity: SEVERITY_LEVELS.INFO,
+        message: `Dependency vulnerabilities not checked: no advisory database at ${dbPath}`,
+        metadata: { remediation: `Mirror OSV npm advisories into ${dbPath} or set audit.advisories.database` }
+      });
+      return findings;
+    }
+    report.advisories = db.count;
+
+    for (const lockfile of lockfiles) {
+      let parsed;
+      try {
+        // Read directly: lockfiles routinely exceed the context's size limit
+        const content = await fs.readFile(path.join(context.rootDir, lockfile), 'utf-8');
+        parsed = parseLockfile(lockfile, content, readManifest(context, lockfile));
+      } catch (error) {
+        findings.push({
+          ruleId: 'invalid-lockfile',
+          severity: SEVERITY_LEVELS.LOW,
+          file: lockfile,
+          message: error.message
+        });
+        continue;
+      }
+
+      const vulnerabilities = matchVulnerabilities(parsed.packages, db, { ignore: config.ignore });
+      report.lockfiles.push({ path: lockfile, type: parsed.type, packages: parsed.packages.length });
+      report.vulnerabilities += vulnerabilities.length;
+      findings.push(...vulnerabilities.map(v => vulnerabilityToFinding(v, lockfile)));
+    }
+
+    return findings;
+  }
+};
+
+// =============================================================================
+// Export
+// =============================================================================
+
+export { DEFAULT_ADVISORY_DB, ADVISORIES_ANALYZER };
+
+export default {
+  AdvisoryDatabase,
+  ADVISORIES_ANALYZER,
+  compareSemver,
+  cvssBaseScore,
+  fixedVersions,
+  isAffected,
+  isInRange,
+  matchVulnerabilities,
+  parseSemver,
+  vulnerabilityToFinding
+};
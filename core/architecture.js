@@ -0,0 +1,508 @@
+/**
+ * EAOS Architecture Module
+ *
+ * Extracts the module dependency graph of a JavaScript/TypeScript
+ * repository for the Architecture Audit phase:
+ * - ESM imports and re-exports, dynamic import() and CommonJS require()
+ * - Import cycles (strongly connected components)
+ * - Layering violations against `audit.architecture` in .eaos.config.json
+ *
+ * Layers are matched in order; a module belongs to the first layer whose
+ * `paths` glob matches it and may only import modules of its own layer or
+ * of the layers listed in `allow`:
+ *
+ *   "architecture": {
+ *     "layers": [
+ *       { "name": "cli", "paths": ["cli/"], "allow": ["core"] },
+ *       { "name": "core", "paths": ["core/"], "allow": [] }
+ *     ],
+ *     "forbidden": [
+ *       { "from": "core/", "to": "tests/", "message": "Core must not import tests" }
+ *     ]
+ *   }
+ */
+
+import path from 'path';
+import { ConfigurationError } from './errors.js';
+import { SEVERITY_LEVELS } from './findings.js';
+import { matchesGlob } from './glob.js';
+import { tokenize, TOKEN_TYPES } from './tokenizer.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const IMPORT_KINDS = {
+  IMPORT: 'import',
+  EXPORT: 'export',
+  REQUIRE: 'require',
+  DYNAMIC: 'dynamic',
+  TYPE: 'type'
+};
+
+// Extensions tried, in order, when resolving extensionless specifiers
+const RESOLVE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.mts', '.cts'];
+
+// TypeScript sources imported through their emitted extension
+const TS_EXTENSION_MAP = {
+  '.js': ['.ts', '.tsx'],
+  '.mjs': ['.mts'],
+  '.cjs': ['.cts'],
+  '.jsx': ['.tsx']
+};
+
+// =============================================================================
+// Import Extraction
+// =============================================================================
+
+/**
+ * Extract import specifiers from module source
+ * @param {string} content - Source code
+ * @returns {Array<{specifier: string, kind: string, line: number}>}
+ */
+export function extractImports(content) {
+  const tokens = tokenize(content);
+  const imports = [];
+  const is = (token, type, value) => token && token.type === type && (value === undefined || token.value === value);
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type !== TOKEN_TYPES.IDENTIFIER) continue;
+    const previous = tokens[i - 1];
+    // Skip member access such as `module.require(...)` or `obj.import`
+    if (is(previous, TOKEN_TYPES.PUNCTUATOR, '.') || is(previous, TOKEN_TYPES.PUNCTUATOR, '?.')) continue;
+
+    if (token.value === 'require' || (token.value === 'import' && is(tokens[i + 1], TOKEN_TYPES.PUNCTUATOR, '('))) {
+      if (is(tokens[i + 1], TOKEN_TYPES.PUNCTUATOR, '(') && is(tokens[i + 2], TOKEN_TYPES.STRING) &&
+          is(tokens[i + 3], TOKEN_TYPES.PUNCTUATOR, ')')) {
+        imports.push({
+          specifier: tokens[i + 2].value,
+          kind: token.value === 'require' ? IMPORT_KINDS.REQUIRE : IMPORT_KINDS.DYNAMIC,
+          line: token.line
+        });
+      }
+      continue;
+    }
+
+    if (token.value !== 'import' && token.value !== 'export') continue;
+    if (is(tokens[i + 1], TOKEN_TYPES.PUNCTUATOR, '.')) continue; // import.meta
+
+    // `import 'side-effect'`
+    if (token.value === 'import' && is(tokens[i + 1], TOKEN_TYPES.STRING)) {
+      imports.push({ specifier: tokens[i + 1].value, kind: IMPORT_KINDS.IMPORT, line: token.line });
+      continue;
+    }
+
+    // Scan to the first string: a module specifier only if preceded by `from`
+    const typeOnly = is(tokens[i + 1], TOKEN_TYPES.IDENTIFIER, 'type') && !is(tokens[i + 2], TOKEN_TYPES.PUNCTUATOR, '=');
+    for (let j = i + 1; j < tokens.length; j++) {
+      const next = tokens[j];
+      // Declarations end the scan; TypeScript `import x = require('y')` is found as a require
+      if (is(next, TOKEN_TYPES.PUNCTUATOR, ';') || is(next, TOKEN_TYPES.TEMPLATE) || is(next, TOKEN_TYPES.PUNCTUATOR, '(')) {
+        break;
+      }
+      if (next.type === TOKEN_TYPES.STRING) {
+        if (is(tokens[j - 1], TOKEN_TYPES.IDENTIFIER, 'from')) {
+          let kind = token.value === 'import' ? IMPORT_KINDS.IMPORT : IMPORT_KINDS.EXPORT;
+          if (typeOnly) kind = IMPORT_KINDS.TYPE;
+          imports.push({ specifier: next.value, kind, line: token.line });
+        }
+        break;
+      }
+    }
+  }
+
+  return imports;
+}
+
+// =============================================================================
+// Resolution
+// =============================================================================
+
+/**
+ * Package name of a bare specifier
+ * @param {string} specifier - e.g. `lodash/get` or `@scope/pkg/sub`
+ * @returns {string}
+ */
+export function packageName(specifier) {
+  const parts = specifier.split('/');
+  return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+/**
+ * Resolve a relative specifier to a repository file
+ * @param {string} fromFile - Importing module (repository-relative POSIX path)
+ * @param {string} specifier - Import specifier
+ * @param {Set<string>} files - Repository files
+ * @returns {string|null} Resolved path, or null if it is not a repository file
+ */
+export function resolveImport(fromFile, specifier, files) {
+  if (!specifier.startsWith('./') && !specifier.startsWith('../') && specifier !== '.' && specifier !== '..') {
+    return null;
+  }
+
+  const base = path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), specifier.split('?')[0]));
+  const candidates = [base];
+
+  const ext = path.posix.extname(base);
+  for (const tsExt of TS_EXTENSION_MAP[ext] || []) {
+    candidates.push(base.slice(0, -ext.length) + tsExt);
+  }
+  for (const extension of RESOLVE_EXTENSIONS) {
+    candidates.push(base + extension);
+  }
+  for (const extension of RESOLVE_EXTENSIONS) {
+    candidates.push(`${base}/index${extension}`);
+  }
+
+  return candidates.find(candidate => files.has(candidate)) || null;
+}
+
+// =============================================================================
+// Graph
+// =============================================================================
+
+/**
+ * Top-level component of a module
+ * @param {string} file - Repository-relative path
+ * @returns {string}
+ */
+function componentOf(file) {
+  return file.includes('/') ? file.split('/')[0] : '.';
+}
+
+/**
+ * Build the module dependency graph
+ * @param {AuditContext} context - Audit context
+ * @returns {Object} {nodes, edges, components}
+ */
+export function buildModuleGraph(context) {
+  const files = context.sourceFiles();
+  const fileSet = new Set(files);
+  const nodes = [];
+  const edges = [];
+
+  for (const file of files) {
+    const content = context.readFile(file);
+    const node = { id: file, type: 'module', component: componentOf(file), lines: 0, external: [] };
+    nodes.push(node);
+    if (content === null) continue;
+
+    node.lines = content.split('\n').length;
+    const seen = new Set();
+    for (const { specifier, kind, line } of extractImports(content)) {
+      const target = resolveImport(file, specifier, fileSet);
+      if (target) {
+        if (seen.has(target)) continue;
+        seen.add(target);
+        edges.push({ from: file, to: target, type: kind, line });
+      } else if (!specifier.startsWith('.') && !specifier.startsWith('/')) {
+        const name = packageName(specifier.replace(/^node:/, ''));
+        if (!node.external.includes(name)) node.external.push(name);
+      }
+    }
+    node.external.sort();
+  }
+
+  return { nodes, edges, components: buildComponentGraph(nodes, edges) };
+}
+
+/**
+ * Aggregate a module graph into top-level components
+ * @param {Object[]} nodes - Module nodes
+ * @param {Object[]} edges - Module edges
+ * @returns {Object} {nodes, edges} with edge weights
+ */
+function buildComponentGraph(nodes, edges) {
+  const components = new Map();
+  for (const node of nodes) {
+    const component = components.get(node.component) || { id: node.component, type: 'component', files: 0, lines: 0 };
+    component.files++;
+    component.lines += node.lines;
+    components.set(node.component, component);
+  }
+
+  const componentOfNode = new Map(nodes.map(n => [n.id, n.component]));
+  const weights = new Map();
+  for (const edge of edges) {
+    const from = componentOfNode.get(edge.from);
+    const to = componentOfNode.get(edge.to);
+    if (!to || from === to) continue;
+    const key = `${from}\0${to}`;
+    weights.set(key, (weights.get(key) || 0) + 1);
+  }
+
+  return {
+    nodes: Array.from(components.values()),
+    edges: Array.from(weights, ([key, weight]) => {
+      const [from, to] = key.split('\0');
+      return { from, to, weight };
+    })
+  };
+}
+
+/**
+ * Find import cycles (Tarjan's strongly connected components, iterative)
+ * @param {string[]} nodeIds - Module ids
+ * @param {Object[]} edges - Edges ({from, to}); type-only edges are ignored
+ * @returns {string[][]} Each cycle as a closed path, e.g. [a, b, a]
+ */
+export function findCycles(nodeIds, edges) {
+  const adjacency = new Map(nodeIds.map(id => [id, []]));
+  for (const edge of edges) {
+    if (edge.type === IMPORT_KINDS.TYPE || !adjacency.has(edge.from) || !adjacency.has(edge.to)) continue;
+    adjacency.get(edge.from).push(edge.to);
+  }
+
+  const index = new Map();
+  const lowlink = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let counter = 0;
+
+  for (const root of nodeIds) {
+    if (index.has(root)) continue;
+    const work = [{ id: root, next: 0 }];
+    index.set(root, counter);
+    lowlink.set(root, counter++);
+    stack.push(root);
+    onStack.add(root);
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      const neighbours = adjacency.get(frame.id);
+      if (frame.next < neighbours.length) {
+        const target = neighbours[frame.next++];
+        if (!index.has(target)) {
+          index.set(target, counter);
+          lowlink.set(target, counter++);
+          stack.push(target);
+          onStack.add(target);
+          work.push({ id: target, next: 0 });
+        } else if (onStack.has(target)) {
+          lowlink.set(frame.id, Math.min(lowlink.get(frame.id), index.get(target)));
+        }
+        continue;
+      }
+
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1].id;
+        lowlink.set(parent, Math.min(lowlink.get(parent), lowlink.get(frame.id)));
+      }
+      if (lowlink.get(frame.id) === index.get(frame.id)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== frame.id);
+        components.push(component);
+      }
+    }
+  }
+
+  const cycles = [];
+  for (const component of components) {
+    const members = new Set(component);
+    const start = component.sort()[0];
+    if (component.length === 1 && !adjacency.get(start).includes(start)) continue;
+    cycles.push(shortestCycle(start, members, adjacency));
+  }
+
+  return cycles.sort((a, b) => a[0].localeCompare(b[0]));
+}
+
+/**
+ * Shortest closed path from a module back to itself within a component
+ * @param {string} start - Module id
+ * @param {Set<string>} members - Component members
+ * @param {Map<string, string[]>} adjacency - Adjacency lists
+ * @returns {string[]}
+ */
+function shortestCycle(start, members, adjacency) {
+  const previous = new Map();
+  const queue = [start];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    for (const target of adjacency.get(id)) {
+      if (!members.has(target)) continue;
+      if (target === start) {
+        const cycle = [start];
+        for (let node = id; node !== start; node = previous.get(node)) {
+          cycle.unshift(node);
+        }
+        cycle.unshift(start);
+        return cycle;
+      }
+      if (!previous.has(target)) {
+        previous.set(target, id);
+        queue.push(target);
+      }
+    }
+  }
+
+  return [start, start];
+}
+
+// =============================================================================
+// Layering Rules
+// =============================================================================
+
+/**
+ * Validate `audit.architecture` configuration
+ * @param {Object} config - Architecture configuration
+ * @returns {{layers: Object[], forbidden: Object[]}}
+ * @throws {ConfigurationError} If a layer or rule is malformed
+ */
+export function normalizeArchitectureRules(config = {}) {
+  const layers = config.layers || [];
+  const forbidden = config.forbidden || [];
+  if (!Array.isArray(layers) || !Array.isArray(forbidden)) {
+    throw new ConfigurationError('audit.architecture.layers and forbidden must be arrays');
+  }
+
+  const names = new Set(layers.map(layer => layer?.name));
+  for (const layer of layers) {
+    if (!layer || typeof layer.name !== 'string' || !Array.isArray(layer.paths)) {
+      throw new ConfigurationError('Each architecture layer needs a name and a paths array', { layer });
+    }
+    const unknown = (layer.allow || []).filter(name => !names.has(name));
+    if (unknown.length > 0) {
+      throw new ConfigurationError(`Layer ${layer.name} allows unknown layers: ${unknown.join(', ')}`);
+    }
+  }
+  for (const rule of forbidden) {
+    if (!rule || typeof rule.from !== 'string' || typeof rule.to !== 'string') {
+      throw new ConfigurationError('Each forbidden dependency rule needs from and to globs', { rule });
+    }
+  }
+
+  return {
+    layers: layers.map(layer => ({ name: layer.name, paths: layer.paths, allow: layer.allow || [] })),
+    forbidden
+  };
+}
+
+/**
+ * Find the layer a module belongs to
+ * @param {string} file - Repository-relative path
+ * @param {Object[]} layers - Normalized layers
+ * @returns {Object|null}
+ */
+function layerOf(file, layers) {
+  return layers.find(layer => layer.paths.some(pattern => matchesGlob(file, pattern))) || null;
+}
+
+/**
+ * Check module edges against layering and forbidden-dependency rules
+ * @param {Object[]} edges - Module edges
+ * @param {Object} rules - normalizeArchitectureRules() result
+ * @returns {Object[]} Violations ({rule, from, to, line, message})
+ */
+export function checkLayering(edges, rules) {
+  const violations = [];
+
+  for (const edge of edges) {
+    const fromLayer = layerOf(edge.from, rules.layers);
+    const toLayer = layerOf(edge.to, rules.layers);
+    if (fromLayer && toLayer && fromLayer !== toLayer && !fromLayer.allow.includes(toLayer.name)) {
+      const allowed = fromLayer.allow.length > 0 ? fromLayer.allow.join(', ') : 'no other layers';
+      violations.push({
+        rule: 'layer-violation',
+        from: edge.from,
+        to: edge.to,
+        line: edge.line,
+        message: `${fromLayer.name} layer imports ${toLayer.name} (${edge.to}); ${fromLayer.name} may depend on ${allowed}`
+      });
+    }
+
+    for (const rule of rules.forbidden) {
+      if (matchesGlob(edge.from, rule.from) && matchesGlob(edge.to, rule.to)) {
+        violations.push({
+          rule: 'forbidden-dependency',
+          from: edge.from,
+          to: edge.to,
+          line: edge.line,
+          message: rule.message ? `${rule.message} (${edge.to})` : `Forbidden dependency on ${edge.to} (${rule.from} -> ${rule.to})`
+        });
+      }
+    }
+  }
+
+  return violations;
+}
+
+// =============================================================================
+// Analyzer
+// =============================================================================
+
+const IMPORT_GRAPH_ANALYZER = {
+  id: 'import-graph',
+  phase: 'architecture',
+  name: 'Import Graph',
+  description: 'Module dependency graph, import cycles and layering violations',
+  analyze(context) {
+    const findings = [];
+    const rules = normalizeArchitectureRules(context.config.architecture);
+    const graph = buildModuleGraph(context);
+    const cycles = findCycles(graph.nodes.map(n => n.id), graph.edges);
+    const violations = checkLayering(graph.edges, rules);
+
+    context.data.architectureGraph = {
+      granularity: 'module',
+      nodes: graph.nodes,
+      edges: graph.edges,
+      components: graph.components,
+      cycles,
+      violations
+    };
+
+    for (const cycle of cycles) {
+      const edge = graph.edges.find(e => e.from === cycle[0] && e.to === cycle[1]);
+      findings.push({
+        ruleId: 'import-cycle',
+        severity: SEVERITY_LEVELS.MEDIUM,
+        file: cycle[0],
+        line: edge?.line,
+        message: `Import cycle: ${cycle.join(' -> ')}`,
+        fingerprint: `import-cycle:${[...new Set(cycle)].sort().join(',')}`,
+        metadata: { cycle }
+      });
+    }
+
+    for (const violation of violations) {
+      findings.push({
+        ruleId: violation.rule,
+        severity: SEVERITY_LEVELS.MEDIUM,
+        file: violation.from,
+        line: violation.line,
+        message: violation.message,
+        metadata: { to: violation.to }
+      });
+    }
+
+    return findings;
+  }
+};
+
+// =============================================================================
+// Export
+// =============================================================================
+
+export { IMPORT_KINDS, IMPORT_GRAPH_ANALYZER };
+
+export default {
+  IMPORT_KINDS,
+  IMPORT_GRAPH_ANALYZER,
+  buildModuleGraph,
+  checkLayering,
+  extractImports,
+  findCycles,
+  normalizeArchitectureRules,
+  packageName,
+  resolveImport
+};
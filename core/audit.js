@@ -0,0 +1,868 @@
+/**
+ * EAOS Audit Pipeline Module
+ *
+ * Implements the audit pipeline described in modules/audit_pipeline.claude:
+ * - Seven audit phases, each backed by pluggable analyzers
+ * - Repository walker with configurable ignore rules
+ * - Structured findings (rule id, severity, file, line)
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { ValidationError } from './errors.js';
+import { getConfigSection } from './config.js';
+import { isValidIdentifier } from './validation.js';
+import {
+  SEVERITY_LEVELS,
+  SEVERITY_RANK,
+  createFinding,
+  sortFindings,
+  countBySeverity,
+  findMatches,
+  isCommentLine,
+  assignFingerprints
+} from './findings.js';
+import { matchesGlob } from './glob.js';
+import { INSTRUMENTATION_ANALYZER } from './observability.js';
+import { BENCHMARK_ANALYZER } from './performance.js';
+import { SECRETS_ANALYZER } from './secrets.js';
+import { ADVISORIES_ANALYZER } from './advisories.js';
+import { IMPORT_GRAPH_ANALYZER } from './architecture.js';
+import { QUALITY_METRICS_ANALYZER } from './quality.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const AUDIT_PHASES = [
+  { id: 'architecture', name: 'Architecture Audit' },
+  { id: 'code-quality', name: 'Code Quality Audit' },
+  { id: 'security', name: 'Security Audit' },
+  { id: 'compliance', name: 'Compliance Audit' },
+  { id: 'financial', name: 'Financial Audit' },
+  { id: 'observability', name: 'Observability Audit' },
+  { id: 'performance', name: 'Performance Audit' }
+];
+
+// Skipped at any depth
+const DEFAULT_IGNORE_DIRS = [
+  'node_modules',
+  '.git'
+];
+
+// Generated and EAOS output dirs, skipped only at the repository root
+// (like `/dir/` in .gitignore) so e.g. src/memory/ is still analyzed
+const DEFAULT_ROOT_IGNORE_DIRS = [
+  '.eaos',
+  'memory',
+  'logs',
+  'audit',
+  'beads',
+  'release',
+  'coverage',
+  'dist',
+  'build'
+];
+
+const SOURCE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.mts', '.cts'];
+
+const MAX_FILES = 20000;
+const MAX_READ_SIZE = 1024 * 1024; // 1MB
+
+// =============================================================================
+// Repository Walker
+// =============================================================================
+
+/**
+ * Walk a repository and list files
+ * @param {string} rootDir - Repository root
+ * @param {Object} options - Walk options
+ * @param {string[]} options.ignore - Additional glob patterns to ignore
+ * @param {number} options.maxFiles - Maximum number of files to collect
+ * @returns {Promise<Array<{path: string, size: number}>>} Relative POSIX paths
+ */
+export async function walkRepository(rootDir, options = {}) {
+  const ignore = options.ignore || [];
+  const maxFiles = options.maxFiles || MAX_FILES;
+  const files = [];
+  const pending = [''];
+
+  while (pending.length > 0 && files.length < maxFiles) {
+    const relDir = pending.shift();
+    let entries;
+    try {
+      entries = await fs.readdir(path.join(rootDir, relDir), { withFileTypes: true });
+    } catch {
+      continue;
+    }
+
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      const relPath = relDir ? `${relDir}/${entry.name}` : entry.name;
+
+      if (entry.isDirectory()) {
+        if (isIgnoredDir(relPath, ignore)) continue;
+        pending.push(relPath);
+      } else if (entry.isFile()) {
+        if (ignore.some(p => matchesGlob(relPath, p))) continue;
+        const stat = await fs.stat(path.join(rootDir, relPath));
+        files.push({ path: relPath, size: stat.size });
+        if (files.length >= maxFiles) break;
+      }
+    }
+  }
+
+  return files;
+}
+
+function isIgnoredDir(relPath, ignore) {
+  return DEFAULT_IGNORE_DIRS.includes(path.posix.basename(relPath)) ||
+    DEFAULT_ROOT_IGNORE_DIRS.includes(relPath) ||
+    ignore.some(p => matchesGlob(`${relPath}/`, p) || matchesGlob(relPath, p));
+}
+
+/**
+ * Check if a repository-relative file path is excluded by the walker's ignore
+ * rules, either directly or through one of its parent directories
+ * @param {string} relPath - Relative POSIX path
+ * @param {string[]} ignore - Additional glob patterns to ignore
+ * @returns {boolean}
+ */
+export function isIgnoredPath(relPath, ignore = []) {
+  const segments = relPath.split('/');
+  for (let i = 1; i < segments.length; i++) {
+    if (isIgnoredDir(segments.slice(0, i).join('/'), ignore)) return true;
+  }
+  return ignore.some(p => matchesGlob(relPath, p));
+}
+
+/**
+ * Check if a path is a JS/TS source file
+ * @param {string} filePath - File path
+ * @returns {boolean}
+ */
+export function isSourceFile(filePath) {
+  return SOURCE_EXTENSIONS.includes(path.extname(filePath));
+}
+
+// =============================================================================
+// Audit Context
+// =============================================================================
+
+/**
+ * Shared, cached view of the target repository passed to analyzers
+ */
+export class AuditContext {
+  constructor(options) {
+    this.rootDir = options.rootDir;
+    this.files = options.files || [];
+    this.config = options.config || {};
+    this.cache = new Map();
+    this.data = {}; // Shared analyzer outputs (e.g. architectureGraph)
+  }
+
+  /**
+   * List repository-relative file paths
+   * @returns {string[]}
+   */
+  listFiles() {
+    return this.files.map(f => f.path);
+  }
+
+  /**
+   * List JS/TS source files
+   * @returns {string[]}
+   */
+  sourceFiles() {
+    return this.listFiles().filter(isSourceFile);
+  }
+
+  /**
+   * Check if a repository-relative path is excluded by the audit ignore rules
+   * @param {string} relPath - Relative path
+   * @returns {boolean}
+   */
+  isIgnored(relPath) {
+    return isIgnoredPath(relPath, this.config.ignore || []);
+  }
+
+  /**
+   * Check if a repository-relative path exists
+   * @param {string} relPath - Relative path
+   * @returns {boolean}
+   */
+  exists(relPath) {
+    return fs.existsSync(path.join(this.rootDir, relPath));
+  }
+
+  /**
+   * Read a text file (cached). Returns null for missing, binary or oversized files.
+   * @param {string} relPath - Relative path
+   * @returns {string|null}
+   */
+  readFile(relPath) {
+    if (this.cache.has(relPath)) {
+      return this.cache.get(relPath);
+    }
+
+    let content = null;
+    try {
+      const fullPath = path.join(this.rootDir, relPath);
+      const stat = fs.statSync(fullPath);
+      if (stat.size <= MAX_READ_SIZE) {
+        const buffer = fs.readFileSync(fullPath);
+        if (!buffer.subarray(0, 8000).includes(0)) {
+          content = buffer.toString('utf-8');
+        }
+      }
+    } catch {
+      content = null;
+    }
+
+    this.cache.set(relPath, content);
+    return content;
+  }
+
+  /**
+   * Read a single line of a file
+   * @param {string} relPath - Relative path
+   * @param {number} line - 1-based line number
+   * @returns {string|null}
+   */
+  readLine(relPath, line) {
+    const content = this.readFile(relPath);
+    if (content === null) return null;
+    return content.split('\n')[line - 1] ?? null;
+  }
+
+  /**
+   * Get options configured for a rule under `audit.rules` in .eaos.config.json
+   * @param {string} ruleId - Rule id
+   * @returns {Object}
+   */
+  ruleOptions(ruleId) {
+    const value = this.config.rules?.[ruleId];
+    return value && typeof value === 'object' ? value : {};
+  }
+
+  /**
+   * Check if a rule has been disabled in configuration
+   * @param {string} ruleId - Rule id
+   * @returns {boolean}
+   */
+  isRuleEnabled(ruleId) {
+    const value = this.config.rules?.[ruleId];
+    return value !== 'off' && value !== false && value?.enabled !== false;
+  }
+}
+
+// =============================================================================
+// Built-in Analyzers
+// =============================================================================
+
+const SECURITY_RULES = [
+  {
+    ruleId: 'dynamic-code-execution',
+    severity: SEVERITY_LEVELS.HIGH,
+    pattern: /\beval\s*\(|\bnew\s+Function\s*\(/,
+    message: 'Dynamic code execution can run attacker-controlled input'
+  },
+  {
+    ruleId: 'tls-verification-disabled',
+    severity: SEVERITY_LEVELS.HIGH,
+    pattern: /rejectUnauthorized\s*:\s*false|NODE_TLS_REJECT_UNAUTHORIZED['"]?\]?\s*=\s*['"]?0/,
+    message: 'TLS certificate verification is disabled'
+  },
+  {
+    ruleId: 'shell-injection',
+    severity: SEVERITY_LEVELS.HIGH,
+    pattern: /\b(?:exec|execSync)\s*\(\s*`[^`]*\$\{/,
+    message: 'Shell command built from interpolated input; prefer execFile with an argument list'
+  }
+];
+
+const GOVERNANCE_FILES = [
+  {
+    ruleId: 'missing-security-policy',
+    severity: SEVERITY_LEVELS.MEDIUM,
+    candidates: ['SECURITY.md', '.github/SECURITY.md', 'docs/SECURITY.md'],
+    message: 'No SECURITY.md vulnerability disclosure policy found'
+  },
+  {
+    ruleId: 'missing-codeowners',
+    severity: SEVERITY_LEVELS.MEDIUM,
+    candidates: ['CODEOWNERS', '.github/CODEOWNERS', 'docs/CODEOWNERS'],
+    message: 'No CODEOWNERS file found; changes have no required reviewers'
+  },
+  {
+    ruleId: 'missing-license',
+    severity: SEVERITY_LEVELS.LOW,
+    candidates: ['LICENSE', 'LICENSE.md', 'LICENSE.txt'],
+    message: 'No LICENSE file found'
+  }
+];
+
+/**
+ * Find sync I/O calls made inside async function bodies
+ * @param {string} content - File content
+ * @returns {Array<{line: number, call: string}>}
+ */
+function findSyncCallsInAsync(content) {
+  const results = [];
+  const asyncDepths = [];
+  let depth = 0;
+  let asyncPending = false;
+
+  content.split('\n').forEach((text, index) => {
+    const code = text
+      .replace(/(['"`])(?:\\.|(?!\1).)*\1/g, '""')
+      .replace(/\/\/.*$/, '');
+
+    const asyncAt = code.search(/\basync\b/);
+    for (let i = 0; i < code.length; i++) {
+      if (i === asyncAt) asyncPending = true;
+      if (code[i] === '{') {
+        depth++;
+        if (asyncPending) {
+          asyncDepths.push(depth);
+          asyncPending = false;
+        }
+      } else if (code[i] === '}') {
+        if (asyncDepths[asyncDepths.length - 1] === depth) asyncDepths.pop();
+        depth = Math.max(0, depth - 1);
+      } else if (code[i] === ';') {
+        asyncPending = false;
+      }
+    }
+
+    const call = code.match(/\b(\w+Sync)\s*\(/);
+    if (call && asyncDepths.length > 0) {
+      results.push({ line: index + 1, call: call[1] });
+    }
+  });
+
+  return results;
+}
+
+const BUILTIN_ANALYZERS = [
+  IMPORT_GRAPH_ANALYZER,
+  {
+    id: 'module-structure',
+    phase: 'architecture',
+    name: 'Module Structure',
+    description: 'Oversized modules and deep relative imports that cross module boundaries',
+    analyze(context) {
+      const findings = [];
+      const maxLines = context.ruleOptions('module-size').maxLines || 500;
+      const components = new Map();
+
+      for (const file of context.sourceFiles()) {
+        const component = file.includes('/') ? file.split('/')[0] : '.';
+        const node = components.get(component) || { id: component, type: 'component', files: 0, lines: 0 };
+        components.set(component, node);
+
+        const content = context.readFile(file);
+        if (content === null) continue;
+
+        node.files++;
+        node.lines += content.split('\n').length;
+
+        const lineCount = content.split('\n').length;
+        if (lineCount > maxLines) {
+          findings.push({
+            ruleId: 'module-size',
+            severity: SEVERITY_LEVELS.MEDIUM,
+            file,
+            line: 1,
+            message: `Module has ${lineCount} lines (limit ${maxLines}); consider splitting it`
+          });
+        }
+
+        const imports = findMatches(content, /(?:\bfrom\s+|\brequire\s*\(\s*|\bimport\s*\(\s*)['"]((?:\.\.\/){3,}[^'"]*)['"]/);
+        for (const { line, match } of imports) {
+          findings.push({
+            ruleId: 'deep-relative-import',
+            severity: SEVERITY_LEVELS.LOW,
+            file,
+            line,
+            message: `Deep relative import "${match[1]}" reaches across module boundaries`
+          });
+        }
+      }
+
+      if (!context.data.architectureGraph) {
+        context.data.architectureGraph = {
+          granularity: 'component',
+          nodes: Array.from(components.values()),
+          edges: []
+        };
+      }
+
+      return findings;
+    }
+  },
+  {
+    id: 'code-hygiene',
+    phase: 'code-quality',
+    name: 'Code Hygiene',
+    description: 'Leftover debugger statements and unresolved TODO/FIXME markers',
+    analyze(context) {
+      const findings = [];
+
+      for (const file of context.sourceFiles()) {
+        const content = context.readFile(file);
+        if (content === null) continue;
+
+        for (const { line } of findMatches(content, /^\s*debugger\s*;?\s*$/m)) {
+          findings.push({
+            ruleId: 'debugger-statement',
+            severity: SEVERITY_LEVELS.MEDIUM,
+            file,
+            line,
+            message: 'debugger statement left in source'
+          });
+        }
+
+        for (const { line, match } of findMatches(content, /(?:\/\/|\/\*|^\s*\*)\s*.*?\b(TODO|FIXME|HACK|XXX)\b/m)) {
+          findings.push({
+            ruleId: 'todo-comment',
+            severity: SEVERITY_LEVELS.INFO,
+            file,
+            line,
+            message: `Unresolved ${match[1]} comment`
+          });
+        }
+      }
+
+      return findings;
+    }
+  },
+  {
+    id: 'insecure-code',
+    phase: 'security',
+    name: 'Insecure Code Patterns',
+    description: 'Dynamic code execution, disabled TLS verification and shell injection',
+    analyze(context) {
+      const findings = [];
+
+      for (const file of context.sourceFiles()) {
+        const content = context.readFile(file);
+        if (content === null) continue;
+
+        for (const rule of SECURITY_RULES) {
+          for (const { line, text } of findMatches(content, rule.pattern)) {
+            if (isCommentLine(text)) continue;
+            findings.push({
+              ruleId: rule.ruleId,
+              severity: rule.severity,
+              file,
+              line,
+              message: rule.message
+            });
+          }
+        }
+      }
+
+      return findings;
+    }
+  },
+  {
+    id: 'governance-files',
+    phase: 'compliance',
+    name: 'Governance Files',
+    description: 'Security policy, code ownership, license and CI workflow presence',
+    analyze(context) {
+      const findings = [];
+
+      for (const required of GOVERNANCE_FILES) {
+        if (!required.candidates.some(candidate => context.exists(candidate))) {
+          findings.push({
+            ruleId: required.ruleId,
+            severity: required.severity,
+            message: required.message
+          });
+        }
+      }
+
+      const files = context.listFiles();
+      const hasCi = files.some(f => /^\.github\/workflows\/[^/]+\.ya?ml$/.test(f)) ||
+        files.includes('.gitlab-ci.yml') ||
+        files.includes('Jenkinsfile');
+      if (!hasCi) {
+        findings.push({
+          ruleId: 'missing-ci-workflow',
+          severity: SEVERITY_LEVELS.MEDIUM,
+          message: 'No CI workflow found; changes are not verified before merge'
+        });
+      }
+
+      return findings;
+    }
+  },
+  {
+    id: 'cost-signals',
+    phase: 'financial',
+    name: 'Cost Signals',
+    description: 'Large committed assets and period-over-period cost anomalies',
+    analyze(context) {
+      const findings = [];
+      const maxAssetBytes = context.ruleOptions('large-asset').maxBytes || 1024 * 1024;
+
+      for (const file of context.files) {
+        if (isSourceFile(file.path) || file.size <= maxAssetBytes) continue;
+        findings.push({
+          ruleId: 'large-asset',
+          severity: SEVERITY_LEVELS.LOW,
+          file: file.path,
+          message: `Committed asset is ${(file.size / 1024 / 1024).toFixed(1)}MB; store it compressed or outside the repository`
+        });
+      }
+
+      // FinOps cost breakdown: { periods: [{ period, services: { name: cost } }] }
+      const breakdownPath = 'finance/CostBreakdown.json';
+      const raw = context.readFile(breakdownPath);
+      if (raw) {
+        let periods = [];
+        try {
+          periods = JSON.parse(raw).periods || [];
+        } catch {
+          findings.push({
+            ruleId: 'invalid-cost-data',
+            severity: SEVERITY_LEVELS.LOW,
+            file: breakdownPath,
+            message: 'Cost breakdown is not valid JSON'
+          });
+        }
+
+        if (periods.length >= 2) {
+          const threshold = context.ruleOptions('cost-anomaly').threshold || 0.25;
+          const latest = periods[periods.length - 1];
+          const previous = periods.slice(0, -1);
+
+          for (const [service, cost] of Object.entries(latest.services || {})) {
+            const history = previous.map(p => p.services?.[service]).filter(v => typeof v === 'number');
+            if (history.length === 0) continue;
+            const average = history.reduce((acc, v) => acc + v, 0) / history.length;
+            if (average <= 0) continue;
+            const delta = (cost - average) / average;
+            if (delta > threshold) {
+              findings.push({
+                ruleId: 'cost-anomaly',
+                severity: delta > 1 ? SEVERITY_LEVELS.HIGH : SEVERITY_LEVELS.MEDIUM,
+                file: breakdownPath,
+                message: `${service} cost in ${latest.period} is ${Math.round(delta * 100)}% above the trailing average`
+              });
+            }
+          }
+        }
+      }
+
+      return findings;
+    }
+  },
+  {
+    id: 'error-visibility',
+    phase: 'observability',
+    name: 'Error Visibility',
+    description: 'Catch blocks that swallow errors without logging or rethrowing',
+    analyze(context) {
+      const findings = [];
+
+      for (const file of context.sourceFiles()) {
+        const content = context.readFile(file);
+        if (content === null) continue;
+
+        const silentCatch = /\bcatch\s*(?:\([^)]*\))?\s*\{\s*(?:(?:\/\/[^\n]*|\/\*[\s\S]*?\*\/)\s*)*\}/;
+        for (const { line } of findMatches(content, silentCatch)) {
+          findings.push({
+            ruleId: 'silent-catch',
+            severity: SEVERITY_LEVELS.LOW,
+            file,
+            line,
+            message: 'Error is swallowed without logging or rethrowing'
+          });
+        }
+      }
+
+      return findings;
+    }
+  },
+  {
+    id: 'blocking-io',
+    phase: 'performance',
+    name: 'Blocking I/O',
+    description: 'Synchronous I/O calls inside async functions block the event loop',
+    analyze(context) {
+      const findings = [];
+
+      for (const file of context.sourceFiles()) {
+        const content = context.readFile(file);
+        if (content === null) continue;
+
+        for (const { line, call } of findSyncCallsInAsync(content)) {
+          findings.push({
+            ruleId: 'sync-io-in-async',
+            severity: SEVERITY_LEVELS.LOW,
+            file,
+            line,
+            message: `${call}() blocks the event loop inside an async function`
+          });
+        }
+      }
+
+      return findings;
+    }
+  },
+  QUALITY_METRICS_ANALYZER,
+  SECRETS_ANALYZER,
+  ADVISORIES_ANALYZER,
+  INSTRUMENTATION_ANALYZER,
+  BENCHMARK_ANALYZER
+];
+
+// =============================================================================
+// Audit Pipeline
+// =============================================================================
+
+/**
+ * Runs audit phases against a repository using registered analyzers
+ */
+export class AuditPipeline {
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || process.cwd();
+    this.config = options.config || getConfigSection(this.rootDir, 'audit');
+    this.pluginManager = options.pluginManager || null;
+    this.analyzers = new Map();
+
+    if (options.builtins !== false) {
+      for (const analyzer of BUILTIN_ANALYZERS) {
+        this.registerAnalyzer(analyzer);
+      }
+    }
+  }
+
+  /**
+   * Register an analyzer
+   * @param {Object} analyzer - Analyzer definition
+   * @param {string} analyzer.id - Unique analyzer id
+   * @param {string} analyzer.phase - Audit phase id
+   * @param {Function} analyzer.analyze - (context) => findings[]
+   * @returns {Object} The registered analyzer
+   * @throws {ValidationError} If the analyzer definition is invalid
+   */
+  registerAnalyzer(analyzer) {
+    if (!analyzer || !isValidIdentifier(analyzer.id)) {
+      throw new ValidationError(`Invalid analyzer id: ${analyzer?.id}`);
+    }
+    if (!AUDIT_PHASES.some(p => p.id === analyzer.phase)) {
+      throw new ValidationError(`Unknown audit phase: ${analyzer.phase}`, { analyzer: analyzer.id });
+    }
+    if (typeof analyzer.analyze !== 'function') {
+      throw new ValidationError(`Analyzer ${analyzer.id} must define analyze()`);
+    }
+
+    this.analyzers.set(analyzer.id, analyzer);
+    return analyzer;
+  }
+
+  /**
+   * Unregister an analyzer
+   * @param {string} analyzerId - Analyzer id
+   */
+  unregisterAnalyzer(analyzerId) {
+    this.analyzers.delete(analyzerId);
+  }
+
+  /**
+   * Get analyzers, optionally filtered by phase
+   * @param {string} phaseId - Optional phase id
+   * @returns {Object[]}
+   */
+  getAnalyzers(phaseId = null) {
+    const analyzers = Array.from(this.analyzers.values());
+    return phaseId ? analyzers.filter(a => a.phase === phaseId) : analyzers;
+  }
+
+  /**
+   * Register analyzers exported by enabled plugins (`instance.analyzers`)
+   */
+  registerPluginAnalyzers() {
+    if (!this.pluginManager) return;
+
+    for (const plugin of this.pluginManager.getAll()) {
+      if (!plugin.isEnabled()) continue;
+      for (const analyzer of plugin.instance?.analyzers || []) {
+        this.registerAnalyzer(analyzer);
+      }
+    }
+  }
+
+  /**
+   * Build the shared analyzer context
+   * @returns {Promise<AuditContext>}
+   */
+  async createContext() {
+    const files = await walkRepository(this.rootDir, { ignore: this.config.ignore || [] });
+    return new AuditContext({ rootDir: this.rootDir, files, config: this.config });
+  }
+
+  /**
+   * Run the audit pipeline
+   * @param {Object} options - Run options
+   * @param {string[]} options.phases - Phase ids to run (default: all)
+   * @param {string} options.type - Audit type recorded in results
+   * @param {Function} options.onPhaseStart - Called with each phase before it runs
+   * @returns {Promise<Object>} Audit results
+   */
+  async run(options = {}) {
+    const phaseIds = options.phases || AUDIT_PHASES.map(p => p.id);
+    const unknown = phaseIds.filter(id => !AUDIT_PHASES.some(p => p.id === id));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown audit phase: ${unknown.join(', ')}`);
+    }
+
+    this.registerPluginAnalyzers();
+    const context = await this.createContext();
+
+    const results = {
+      timestamp: new Date().toISOString(),
+      type: options.type || 'full',
+      phases: [],
+      findings: [],
+      summary: {}
+    };
+
+    for (const phase of AUDIT_PHASES.filter(p => phaseIds.includes(p.id))) {
+      if (options.onPhaseStart) {
+        options.onPhaseStart(phase);
+      }
+
+      const phaseResult = await this.runPhase(phase, context);
+      results.findings.push(...phaseResult.findings);
+      delete phaseResult.findings;
+      results.phases.push(phaseResult);
+    }
+
+    results.findings = sortFindings(results.findings);
+    assignFingerprints(results.findings, (file, line) => context.readLine(file, line));
+    results.summary = {
+      total_phases: results.phases.length,
+      completed: results.phases.filter(p => p.status !== 'failed').length,
+      total_findings: results.findings.length,
+      by_severity: countBySeverity(results.findings),
+      files_scanned: context.files.length
+    };
+
+    if (context.data.architectureGraph) {
+      results.architecture_graph = context.data.architectureGraph;
+    }
+    if (context.data.quality) {
+      results.quality = context.data.quality;
+    }
+    if (context.data.instrumentation) {
+      results.instrumentation = context.data.instrumentation;
+    }
+    if (context.data.benchmarks) {
+      results.benchmarks = context.data.benchmarks;
+    }
+    if (context.data.secrets) {
+      results.secrets = context.data.secrets;
+    }
+    if (context.data.advisories) {
+      results.advisories = context.data.advisories;
+    }
+
+    return results;
+  }
+
+  /**
+   * Run all analyzers of a single phase
+   * @param {Object} phase - Phase definition
+   * @param {AuditContext} context - Analyzer context
+   * @returns {Promise<Object>} Phase result (including findings)
+   */
+  async runPhase(phase, context) {
+    const started = Date.now();
+    const analyzers = this.getAnalyzers(phase.id);
+    const findings = [];
+    const errors = [];
+
+    for (const analyzer of analyzers) {
+      try {
+        const raw = await analyzer.analyze(context);
+        for (const item of raw || []) {
+          if (!context.isRuleEnabled(item.ruleId)) continue;
+          findings.push(createFinding({ ...item, phase: phase.id, analyzer: analyzer.id }));
+        }
+      } catch (error) {
+        errors.push({ analyzer: analyzer.id, error: error.message });
+      }
+    }
+
+    let status = 'completed';
+    if (analyzers.length === 0) {
+      status = 'skipped';
+    } else if (errors.length === analyzers.length) {
+      status = 'failed';
+    } else if (errors.length > 0) {
+      status = 'completed_with_errors';
+    }
+
+    return {
+      id: phase.id,
+      name: phase.name,
+      status,
+      analyzers: analyzers.map(a => a.id),
+      findings_count: findings.length,
+      by_severity: countBySeverity(findings),
+      duration_ms: Date.now() - started,
+      errors,
+      findings
+    };
+  }
+}
+
+/**
+ * Create a new audit pipeline
+ * @param {Object} options - Options
+ * @returns {AuditPipeline}
+ */
+export function createAuditPipeline(options = {}) {
+  return new AuditPipeline(options);
+}
+
+// =============================================================================
+// Export
+// =============================================================================
+
+export {
+  SEVERITY_LEVELS,
+  SEVERITY_RANK,
+  AUDIT_PHASES,
+  BUILTIN_ANALYZERS
+};
+
+export { globToRegExp, matchesGlob } from './glob.js';
+
+export {
+  createFinding,
+  compareSeverity,
+  sortFindings,
+  countBySeverity,
+  findMatches,
+  fingerprintFinding,
+  parseFailurePolicy,
+  evaluateFailurePolicy
+} from './findings.js';
+
+export default {
+  AuditPipeline,
+  AuditContext,
+  SEVERITY_LEVELS,
+  AUDIT_PHASES,
+  createAuditPipeline,
+  createFinding,
+  walkRepository,
+  isIgnoredPath
+};
@@ -2,17 +2,25 @@
  * EAOS Autonomy Engine Module
  *
  * Implements the Enhanced Autonomy Mode with hybrid scheduling:
- * - Scheduled cycles (daily, weekly, monthly)
+ * - Scheduled cycles (daily, weekly, monthly and named cycles from
+ *   `autonomy.cycles` in .eaos.config.json) on cron expressions per time zone
  * - Event-driven triggers
  * - On-demand execution
+ *
+ * The tasks of a cycle run as a dependency graph (`dependsOn`), independent
+ * tasks in parallel up to the cycle's concurrency limit.
  */
 
 import fs from 'fs-extra';
 import path from 'path';
 import { getEventBus, AutonomyEvents } from './events.js';
 import { getPluginManager, HOOK_TYPES } from './plugins.js';
-import { TimeoutError, withTimeout, withRetry } from './errors.js';
+import { TimeoutError, ValidationError, withTimeout, withRetry } from './errors.js';
 import { EAOSLogger } from './logger.js';
+import { TASK_STATUS, createTaskRegistry } from './tasks.js';
+import { getConfigSection } from './config.js';
+import { getLocalTimezone, isValidTimezone, nextCronRun, parseCron } from './cron.js';
+import { DEFAULT_CONCURRENCY, buildTaskGraph, runTaskGraph } from './taskgraph.js';
 
 // =============================================================================
 // Constants
@@ -40,19 +48,34 @@ const HDM_LEVELS = {
   CRITICAL: 4       // Executive approval required
 };
 
+const CATCH_UP_POLICIES = {
+  SKIP: 'skip',         // Wait for the next scheduled run
+  RUN_ONCE: 'run-once', // Run once for any number of missed runs
+  RUN_ALL: 'run-all'    // Run once per missed run
+};
+
 const DEFAULT_SCHEDULES = {
-  daily: { hour: 2, minute: 0 },    // 2:00 AM
-  weekly: { dayOfWeek: 0, hour: 3, minute: 0 },  // Sunday 3:00 AM
-  monthly: { dayOfMonth: 1, hour: 4, minute: 0 } // 1st of month 4:00 AM
+  daily: { cron: '0 2 * * *' },   // 2:00 AM
+  weekly: { cron: '0 3 * * 0' },  // Sunday 3:00 AM
+  monthly: { cron: '0 4 1 * *' }  // 1st of month 4:00 AM
 };
 
+// Cycle names end up in report file names
+const CYCLE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+// Most missed runs of one cycle that are looked up or caught up
+const MAX_CATCH_UP_RUNS = 24;
+
+// Longest delay setTimeout accepts; later runs are re-armed when it expires
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
 // =============================================================================
 // Cycle Definitions
 // =============================================================================
 
 const DAILY_TASKS = [
   { id: 'health-scan', name: 'System Health Scan', hdmLevel: 0 },
-  { id: 'drift-detection', name: 'Drift Detection', hdmLevel: 0 },
+  { id: 'drift-detection', name: 'Drift Detection', hdmLevel: 0, dependsOn: ['compliance-check'] },
   { id: 'security-sweep', name: 'Security Sweep', hdmLevel: 1 },
   { id: 'financial-anomaly', name: 'Financial Anomaly Detection', hdmLevel: 1 },
   { id: 'compliance-check', name: 'Compliance Control Check', hdmLevel: 0 },
@@ -71,9 +94,104 @@ const MONTHLY_TASKS = [
   { id: 'compliance-mapping', name: 'Full Compliance Mapping', hdmLevel: 2 },
   { id: 'multiverse-test', name: 'Multiverse Scenario Test', hdmLevel: 2 },
   { id: 'quantum-merge', name: 'Quantum Planner Horizon Merge', hdmLevel: 2 },
-  { id: 'executive-report', name: 'Executive Readiness Report', hdmLevel: 1 }
+  {
+    id: 'executive-report',
+    name: 'Executive Readiness Report',
+    hdmLevel: 1,
+    dependsOn: ['architecture-audit', 'compliance-mapping']
+  }
 ];
 
+const CYCLE_TASKS = {
+  [CYCLE_TYPES.DAILY]: DAILY_TASKS,
+  [CYCLE_TYPES.WEEKLY]: WEEKLY_TASKS,
+  [CYCLE_TYPES.MONTHLY]: MONTHLY_TASKS
+};
+
+// =============================================================================
+// Cycle Schedules
+// =============================================================================
+
+/**
+ * Resolve cycle schedules from `autonomy.cycles` style definitions
+ *
+ * Each cycle is a cron expression string or
+ * `{cron, timezone, tasks, enabled, catchUp, concurrency}`. Definitions of the
+ * built-in cycles are merged over their defaults; other names define new
+ * cycles and must list their tasks by id.
+ *
+ * @param {Object} cycles - Cycle definitions by name
+ * @param {Object} options - Options
+ * @param {string} options.timezone - Time zone of cycles that set none (default: host zone)
+ * @param {string} options.catchUp - Catch-up policy of cycles that set none (default: run-once)
+ * @param {number} options.concurrency - Task concurrency of cycles that set none (default: 4)
+ * @returns {Object} `{cron, timezone, enabled, catchUp, concurrency, tasks?}` by cycle name
+ * @throws {ValidationError} If a cycle is malformed
+ */
+export function resolveCycleSchedules(cycles = {}, options = {}) {
+  const timezone = options.timezone || getLocalTimezone();
+  const catchUp = options.catchUp || CATCH_UP_POLICIES.RUN_ONCE;
+  const concurrency = options.concurrency ?? DEFAULT_CONCURRENCY;
+  const schedules = {};
+
+  for (const name of new Set([...Object.keys(DEFAULT_SCHEDULES), ...Object.keys(cycles)])) {
+    const entry = typeof cycles[name] === 'string' ? { cron: cycles[name] } : cycles[name] || {};
+    if (typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new ValidationError(`Cycle ${name} must be a cron expression or an object`, { cycle: name });
+    }
+    if (!CYCLE_NAME_PATTERN.test(name)) {
+      throw new ValidationError(`Invalid cycle name: ${name}`, { cycle: name });
+    }
+    if (name === CYCLE_TYPES.MANUAL) {
+      throw new ValidationError(`Cycle name ${name} is reserved for manual runs`, { cycle: name });
+    }
+
+    const schedule = { timezone, catchUp, concurrency, ...DEFAULT_SCHEDULES[name], ...entry };
+    if (!schedule.cron) {
+      throw new ValidationError(`Cycle ${name} has no cron expression`, { cycle: name });
+    }
+    parseCron(schedule.cron);
+    if (!isValidTimezone(schedule.timezone)) {
+      throw new ValidationError(`Cycle ${name} has an unknown time zone: ${schedule.timezone}`, {
+        cycle: name,
+        timezone: schedule.timezone
+      });
+    }
+    if (!Object.values(CATCH_UP_POLICIES).includes(schedule.catchUp)) {
+      throw new ValidationError(`Cycle ${name} has an unknown catch-up policy: ${schedule.catchUp}`, {
+        cycle: name,
+        catchUp: schedule.catchUp
+      });
+    }
+    if (!Number.isInteger(schedule.concurrency) || schedule.concurrency < 1) {
+      throw new ValidationError(`Concurrency of cycle ${name} must be a positive integer`, {
+        cycle: name,
+        concurrency: schedule.concurrency
+      });
+    }
+    if (schedule.tasks !== undefined && (!Array.isArray(schedule.tasks) || schedule.tasks.length === 0)) {
+      throw new ValidationError(`Tasks of cycle ${name} must be a non-empty array`, { cycle: name });
+    }
+    if (schedule.tasks?.some(task => typeof task !== 'string' && typeof task?.id !== 'string')) {
+      throw new ValidationError(`Tasks of cycle ${name} must be task ids or objects with an id`, { cycle: name });
+    }
+    if (!schedule.tasks && !CYCLE_TASKS[name]) {
+      throw new ValidationError(`Cycle ${name} must list its tasks`, { cycle: name });
+    }
+
+    schedules[name] = {
+      cron: schedule.cron,
+      timezone: schedule.timezone,
+      enabled: schedule.enabled !== false,
+      catchUp: schedule.catchUp,
+      concurrency: schedule.concurrency,
+      ...(schedule.tasks ? { tasks: schedule.tasks } : {})
+    };
+  }
+
+  return schedules;
+}
+
 // =============================================================================
 // Trigger Class
 // =============================================================================
@@ -160,11 +278,18 @@ export class AutonomyEngine {
     this.logger = options.logger || new EAOSLogger({ component: 'autonomy' });
     this.rootDir = options.rootDir || process.cwd();
     this.autonomyDir = path.join(this.rootDir, '.eaos', 'autonomy');
+    this.taskRegistry = options.taskRegistry || createTaskRegistry();
 
     this.triggers = new Map();
-    this.schedules = { ...DEFAULT_SCHEDULES, ...(options.schedules || {}) };
+    this.scheduleOverrides = options.schedules || {};
+    this.timezone = options.timezone || null;
+    this.schedules = resolveCycleSchedules(this.scheduleOverrides, { timezone: this.timezone });
+    this.nextRuns = {};
     this.hdmLevel = options.hdmLevel || HDM_LEVELS.CONFIRM;
-    this.timers = [];
+    this.timers = new Map();
+    this.activeRuns = new Set();
+    this.runningCycles = new Set();
+    this.unsubscribeEvents = null;
     this.cycleHistory = [];
     this.maxHistory = 100;
 
@@ -196,6 +321,8 @@ export class AutonomyEngine {
       }
     }
 
+    this.loadSchedules();
+
     // Register default triggers
     this.registerDefaultTriggers();
 
@@ -205,6 +332,34 @@ export class AutonomyEngine {
     this.logger.info('Autonomy engine initialized');
   }
 
+  /**
+   * Load cycle schedules from `autonomy.cycles` in .eaos.config.json
+   *
+   * Schedules passed to the constructor take precedence per cycle.
+   *
+   * @throws {ValidationError} If a cycle is malformed or its task dependencies are not a DAG
+   */
+  loadSchedules() {
+    const config = getConfigSection(this.rootDir, 'autonomy');
+    const cycles = { ...(config.cycles || {}) };
+    for (const [name, override] of Object.entries(this.scheduleOverrides)) {
+      const base = typeof cycles[name] === 'string' ? { cron: cycles[name] } : cycles[name];
+      cycles[name] = typeof override === 'string' ? { ...base, cron: override } : { ...base, ...override };
+    }
+
+    // Validate before installing, so a bad reload keeps the current schedules
+    const schedules = resolveCycleSchedules(cycles, {
+      timezone: this.timezone || config.timezone,
+      catchUp: config.catchUp,
+      concurrency: config.concurrency
+    });
+    for (const cycleType of Object.keys(schedules)) {
+      buildTaskGraph(this.getTasksForCycle(cycleType, schedules));
+    }
+
+    this.schedules = schedules;
+  }
+
   /**
    * Register default event triggers
    */
@@ -283,30 +438,38 @@ export class AutonomyEngine {
     await this.eventBus.emit(AutonomyEvents.ENGINE_START, { timestamp: new Date().toISOString() });
 
     // Subscribe to all events for trigger processing
-    this.eventBus.on('*', this.processEvent.bind(this));
+    this.unsubscribeEvents = this.eventBus.on('*', this.processEvent.bind(this));
 
     // Schedule cycles
     this.scheduleCycles();
 
     this.logger.info('Autonomy engine started');
     await this.saveState();
+
+    // Catch up on cycles missed while the engine was down
+    const catchUp = this.runMissedCycles().catch(error => {
+      this.logger.error('Catch-up of missed cycles failed', { error: error.message });
+    });
+    this.activeRuns.add(catchUp);
+    catchUp.finally(() => this.activeRuns.delete(catchUp));
   }
 
   /**
    * Stop the autonomy engine
+   *
+   * Scheduled cycles that are already running are allowed to finish.
    */
   async stop() {
     if (this.state === ENGINE_STATES.STOPPED) {
       return;
     }
 
-    // Clear all timers
-    for (const timer of this.timers) {
-      clearTimeout(timer);
-    }
-    this.timers = [];
+    this.clearTimers();
+    this.unsubscribeEvents?.();
+    this.unsubscribeEvents = null;
 
     this.state = ENGINE_STATES.STOPPED;
+    await Promise.allSettled([...this.activeRuns]);
     await this.eventBus.emit(AutonomyEvents.ENGINE_STOP, { timestamp: new Date().toISOString() });
 
     this.logger.info('Autonomy engine stopped');
@@ -391,65 +554,197 @@ export class AutonomyEngine {
   }
 
   /**
-   * Schedule all cycles
+   * Reload cycle schedules from config and reschedule a running engine
+   */
+  reloadSchedules() {
+    this.loadSchedules();
+
+    if (this.state !== ENGINE_STATES.STOPPED) {
+      this.clearTimers();
+      this.scheduleCycles();
+    }
+  }
+
+  /**
+   * Clear the timers of all scheduled cycles
+   */
+  clearTimers() {
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+    this.nextRuns = {};
+  }
+
+  /**
+   * Schedule all enabled cycles
    */
   scheduleCycles() {
-    this.scheduleNextCycle(CYCLE_TYPES.DAILY);
-    this.scheduleNextCycle(CYCLE_TYPES.WEEKLY);
-    this.scheduleNextCycle(CYCLE_TYPES.MONTHLY);
+    for (const [cycleType, schedule] of Object.entries(this.schedules)) {
+      if (schedule.enabled) {
+        this.scheduleNextCycle(cycleType);
+      }
+    }
   }
 
   /**
-   * Schedule the next occurrence of a cycle type
-   * @param {string} cycleType - Cycle type
+   * Schedule the next occurrence of a cycle, replacing its pending timer
+   * @param {string} cycleType - Cycle name
+   * @returns {Date|null} Next run, or null if the cycle has no schedule
    */
   scheduleNextCycle(cycleType) {
-    const now = new Date();
-    let nextRun;
-
-    switch (cycleType) {
-    case CYCLE_TYPES.DAILY: {
-      const schedule = this.schedules.daily;
-      nextRun = new Date(now);
-      nextRun.setHours(schedule.hour, schedule.minute, 0, 0);
-      if (nextRun <= now) {
-        nextRun.setDate(nextRun.getDate() + 1);
-      }
-      break;
-    }
-    case CYCLE_TYPES.WEEKLY: {
-      const schedule = this.schedules.weekly;
-      nextRun = new Date(now);
-      const daysUntil = (schedule.dayOfWeek - now.getDay() + 7) % 7 || 7;
-      nextRun.setDate(now.getDate() + daysUntil);
-      nextRun.setHours(schedule.hour, schedule.minute, 0, 0);
-      if (nextRun <= now) {
-        nextRun.setDate(nextRun.getDate() + 7);
+    const schedule = this.schedules[cycleType];
+    if (!schedule) {
+      return null;
+    }
+
+    const nextRun = nextCronRun(schedule.cron, { timezone: schedule.timezone });
+    this.nextRuns[cycleType] = nextRun.toISOString();
+    this.armTimer(cycleType, nextRun);
+
+    this.logger.debug(`Scheduled ${cycleType} cycle for ${nextRun.toISOString()} (${schedule.timezone})`);
+    return nextRun;
+  }
+
+  /**
+   * Set the timer of a cycle's next run
+   * @param {string} cycleType - Cycle name
+   * @param {Date} nextRun - Next run
+   */
+  armTimer(cycleType, nextRun) {
+    clearTimeout(this.timers.get(cycleType));
+
+    const delay = Math.max(nextRun.getTime() - Date.now(), 0);
+    const timer = delay > MAX_TIMER_DELAY
+      ? setTimeout(() => this.armTimer(cycleType, nextRun), MAX_TIMER_DELAY)
+      : setTimeout(() => this.runScheduledCycle(cycleType), delay);
+    this.timers.set(cycleType, timer);
+  }
+
+  /**
+   * Run a cycle from its timer and schedule its next occurrence
+   * @param {string} cycleType - Cycle name
+   */
+  async runScheduledCycle(cycleType) {
+    const run = this.runCycle(cycleType);
+    this.activeRuns.add(run);
+
+    try {
+      await run;
+    } catch (error) {
+      this.logger.error(`Scheduled ${cycleType} cycle failed`, { error: error.message });
+    } finally {
+      this.activeRuns.delete(run);
+    }
+
+    if (this.state !== ENGINE_STATES.STOPPED) {
+      this.scheduleNextCycle(cycleType);
+    }
+  }
+
+  /**
+   * Get the scheduled runs of a cycle missed since it last ran
+   *
+   * Cycles that never ran have nothing to catch up on.
+   *
+   * @param {string} cycleType - Cycle name
+   * @param {Date} now - Current time
+   * @returns {Date[]} Missed runs, oldest first and at most MAX_CATCH_UP_RUNS
+   */
+  getMissedRuns(cycleType, now = new Date()) {
+    const schedule = this.schedules[cycleType];
+    const lastRun = this.lastCycleRun[cycleType];
+    if (!schedule?.enabled || !lastRun) {
+      return [];
+    }
+
+    const missed = [];
+    let after = new Date(lastRun);
+    while (missed.length < MAX_CATCH_UP_RUNS) {
+      const run = nextCronRun(schedule.cron, { timezone: schedule.timezone, after });
+      if (run > now) break;
+      missed.push(run);
+      after = run;
+    }
+    return missed;
+  }
+
+  /**
+   * Get the catch-up runs owed for missed cycles, following each cycle's policy
+   * @param {Date} now - Current time
+   * @returns {Array<{cycle: string, policy: string, scheduledFor: string, missedRuns: number}>} Oldest first
+   */
+  getOverdueCycles(now = new Date()) {
+    const overdue = [];
+
+    for (const [cycleType, schedule] of Object.entries(this.schedules)) {
+      const missed = this.getMissedRuns(cycleType, now);
+      if (missed.length === 0 || schedule.catchUp === CATCH_UP_POLICIES.SKIP) {
+        continue;
       }
-      break;
-    }
-    case CYCLE_TYPES.MONTHLY: {
-      const schedule = this.schedules.monthly;
-      nextRun = new Date(now.getFullYear(), now.getMonth(), schedule.dayOfMonth);
-      nextRun.setHours(schedule.hour, schedule.minute, 0, 0);
-      if (nextRun <= now) {
-        nextRun.setMonth(nextRun.getMonth() + 1);
+
+      const runs = schedule.catchUp === CATCH_UP_POLICIES.RUN_ALL ? missed : missed.slice(0, 1);
+      for (const run of runs) {
+        overdue.push({
+          cycle: cycleType,
+          policy: schedule.catchUp,
+          scheduledFor: run.toISOString(),
+          missedRuns: missed.length
+        });
       }
-      break;
     }
+
+    return overdue.sort((a, b) => a.scheduledFor.localeCompare(b.scheduledFor));
+  }
+
+  /**
+   * Run the cycles missed while the engine was down
+   *
+   * Missed runs of cycles with the skip policy are reported and dropped, and
+   * count as handled so they are not reported again. Catching up stops once
+   * the engine is no longer running.
+   *
+   * @param {Date} now - Current time
+   * @returns {Promise<Object[]>} Reports of the catch-up runs
+   */
+  async runMissedCycles(now = new Date()) {
+    for (const [cycleType, schedule] of Object.entries(this.schedules)) {
+      const missed = this.getMissedRuns(cycleType, now);
+      if (missed.length > 0 && schedule.catchUp === CATCH_UP_POLICIES.SKIP) {
+        await this.eventBus.emit(AutonomyEvents.CYCLE_SKIP, {
+          type: cycleType,
+          reason: 'Missed runs skipped by catch-up policy',
+          missedRuns: missed.length
+        });
+        this.lastCycleRun[cycleType] = now.toISOString();
+        await this.saveState();
+      }
     }
 
-    const delay = nextRun.getTime() - now.getTime();
-    const timer = setTimeout(() => this.runCycle(cycleType), delay);
-    this.timers.push(timer);
+    const reports = [];
+    for (const { cycle, ...catchUp } of this.getOverdueCycles(now)) {
+      if (this.state !== ENGINE_STATES.RUNNING) break;
 
-    this.logger.debug(`Scheduled ${cycleType} cycle for ${nextRun.toISOString()}`);
+      this.logger.info(`Catching up on ${cycle} cycle scheduled for ${catchUp.scheduledFor}`);
+      const report = await this.runCycle(cycle, { catchUp });
+      if (report) {
+        reports.push(report);
+      }
+    }
+    return reports;
   }
 
   /**
    * Run a cycle
+   *
+   * A cycle that is already running (e.g. a catch-up run when its timer
+   * fires) is skipped rather than run twice at once.
+   *
    * @param {string} cycleType - Cycle type
    * @param {Object} options - Options
+   * @param {boolean} options.force - Run even if the engine is not running
+   * @param {Object} options.catchUp - `{policy, scheduledFor, missedRuns}` of a catch-up run
+   * @returns {Promise<Object|null>} Cycle report, or null if the cycle did not run
    */
   async runCycle(cycleType, options = {}) {
     if (this.state !== ENGINE_STATES.RUNNING && !options.force) {
@@ -457,6 +752,27 @@ export class AutonomyEngine {
       return null;
     }
 
+    if (this.runningCycles.has(cycleType)) {
+      this.logger.warn(`Skipping ${cycleType} cycle: already running`);
+      await this.eventBus.emit(AutonomyEvents.CYCLE_SKIP, { type: cycleType, reason: 'Cycle already running' });
+      return null;
+    }
+
+    this.runningCycles.add(cycleType);
+    try {
+      return await this.executeCycle(cycleType, options);
+    } finally {
+      this.runningCycles.delete(cycleType);
+    }
+  }
+
+  /**
+   * Execute the tasks of a cycle and record its report
+   * @param {string} cycleType - Cycle type
+   * @param {Object} options - runCycle options
+   * @returns {Promise<Object>} Cycle report
+   */
+  async executeCycle(cycleType, options) {
     const tasks = this.getTasksForCycle(cycleType);
     const cycleId = `${cycleType}-${Date.now()}`;
 
@@ -466,7 +782,9 @@ export class AutonomyEngine {
       startTime: new Date().toISOString(),
       endTime: null,
       tasks: [],
+      timeline: [],
       status: 'running',
+      catchUp: options.catchUp || null,
       errors: []
     };
 
@@ -475,7 +793,8 @@ export class AutonomyEngine {
     await this.eventBus.emit(AutonomyEvents.CYCLE_START, {
       cycleId,
       type: cycleType,
-      taskCount: tasks.length
+      taskCount: tasks.length,
+      catchUp: Boolean(options.catchUp)
     });
 
     // Execute plugin beforeCycle hooks
@@ -491,8 +810,8 @@ export class AutonomyEngine {
       return cycleReport;
     }
 
-    // Execute tasks
-    for (const task of tasks) {
+    // Execute tasks, independent ones in parallel
+    const { results, timeline } = await runTaskGraph(tasks, async (task) => {
       // Check HDM level
       if (task.hdmLevel > this.hdmLevel) {
         await this.eventBus.emit(AutonomyEvents.APPROVAL_REQUIRED, {
@@ -500,21 +819,19 @@ export class AutonomyEngine {
           cycleId,
           requiredLevel: task.hdmLevel
         });
-        cycleReport.tasks.push({
+        return {
           ...task,
-          status: 'skipped',
+          status: TASK_STATUS.SKIPPED,
           reason: 'Requires higher approval level'
-        });
-        continue;
+        };
       }
 
-      const taskResult = await this.executeTask(task, cycleId);
-      cycleReport.tasks.push(taskResult);
+      return this.executeTask(task, cycleId);
+    }, { concurrency: this.schedules[cycleType]?.concurrency });
 
-      if (taskResult.status === 'error') {
-        cycleReport.errors.push(taskResult.error);
-      }
-    }
+    cycleReport.tasks = results;
+    cycleReport.timeline = timeline;
+    cycleReport.errors = results.filter(r => r.status === TASK_STATUS.ERROR).map(r => r.error);
 
     // Execute plugin afterCycle hooks
     await this.pluginManager.executeHooks(HOOK_TYPES.AFTER_CYCLE, {
@@ -545,28 +862,63 @@ export class AutonomyEngine {
 
     this.currentCycle = null;
 
-    // Schedule next occurrence
-    this.scheduleNextCycle(cycleType);
-
     return cycleReport;
   }
 
   /**
-   * Get tasks for a cycle type
-   * @param {string} cycleType - Cycle type
+   * Get tasks for a cycle
+   *
+   * Cycles that list their tasks get the built-in definitions of known task
+   * ids; other entries are task ids or `{id, name, hdmLevel, dependsOn}`
+   * definitions. Built-in dependencies on tasks outside the cycle are dropped.
+   *
+   * @param {string} cycleType - Cycle name
+   * @param {Object} schedules - Resolved schedules (default: the engine's)
    * @returns {Array} Tasks
    */
-  getTasksForCycle(cycleType) {
-    switch (cycleType) {
-    case CYCLE_TYPES.DAILY:
-      return [...DAILY_TASKS];
-    case CYCLE_TYPES.WEEKLY:
-      return [...WEEKLY_TASKS];
-    case CYCLE_TYPES.MONTHLY:
-      return [...MONTHLY_TASKS];
-    default:
-      return [];
+  getTasksForCycle(cycleType, schedules = this.schedules) {
+    const listed = schedules[cycleType]?.tasks;
+    if (!listed) {
+      return [...(CYCLE_TASKS[cycleType] || [])];
     }
+
+    const known = [...DAILY_TASKS, ...WEEKLY_TASKS, ...MONTHLY_TASKS];
+    const definitions = listed.map(entry => typeof entry === 'string' ? { id: entry } : entry);
+    const ids = new Set(definitions.map(d => d.id));
+
+    return definitions.map(definition => {
+      const builtin = known.find(t => t.id === definition.id);
+      const task = { name: definition.id, hdmLevel: HDM_LEVELS.INFORMATIONAL, ...builtin, ...definition };
+      if (builtin?.dependsOn && !definition.dependsOn) {
+        task.dependsOn = builtin.dependsOn.filter(id => ids.has(id));
+      }
+      return task;
+    });
+  }
+
+  /**
+   * Get the names of all cycles that can be run
+   * @returns {string[]}
+   */
+  getCycleNames() {
+    return [...Object.keys(this.schedules), CYCLE_TYPES.MANUAL];
+  }
+
+  /**
+   * Get the schedule of every cycle with its next run
+   * @returns {Array<{cycle: string, cron: string, timezone: string, enabled: boolean, catchUp: string, nextRun: string|null}>}
+   */
+  getSchedules() {
+    return Object.entries(this.schedules).map(([cycle, schedule]) => ({
+      cycle,
+      cron: schedule.cron,
+      timezone: schedule.timezone,
+      enabled: schedule.enabled,
+      catchUp: schedule.catchUp,
+      nextRun: schedule.enabled
+        ? this.nextRuns[cycle] || nextCronRun(schedule.cron, { timezone: schedule.timezone }).toISOString()
+        : null
+    }));
   }
 
   /**
@@ -592,37 +944,45 @@ export class AutonomyEngine {
       name: task.name,
       startTime,
       endTime: null,
-      status: 'running',
+      status: TASK_STATUS.RUNNING,
       output: null,
       error: null
     };
 
-    try {
-      // Execute task with timeout and retry
-      const output = await withRetry(
-        async () => withTimeout(
-          () => this.runTaskHandler(task),
-          60000, // 1 minute timeout per task
-          `Task ${task.id} timed out`
-        ),
-        {
-          maxAttempts: 2,
-          initialDelay: 1000,
-          shouldRetry: (err) => err instanceof TimeoutError
-        }
-      );
-
-      result.output = output;
-      result.status = 'completed';
-    } catch (error) {
-      result.status = 'error';
-      result.error = error.message;
+    const handler = this.resolveTaskHandler(task.id);
+    if (!handler) {
+      // Report missing handlers instead of a success nothing backs
+      result.status = TASK_STATUS.NOT_IMPLEMENTED;
+      result.reason = `No handler registered for task ${task.id}`;
+      this.logger.warn(result.reason);
+    } else {
+      try {
+        // Execute task with timeout and retry
+        const output = await withRetry(
+          async () => withTimeout(
+            () => this.runTaskHandler(task, handler),
+            60000, // 1 minute timeout per task
+            `Task ${task.id} timed out`
+          ),
+          {
+            maxAttempts: 2,
+            initialDelay: 1000,
+            shouldRetry: (err) => err instanceof TimeoutError
+          }
+        );
+
+        result.output = output;
+        result.status = TASK_STATUS.COMPLETED;
+      } catch (error) {
+        result.status = TASK_STATUS.ERROR;
+        result.error = error.message;
 
-      await this.eventBus.emit(AutonomyEvents.TASK_ERROR, {
-        taskId: task.id,
-        cycleId,
-        error: error.message
-      });
+        await this.eventBus.emit(AutonomyEvents.TASK_ERROR, {
+          taskId: task.id,
+          cycleId,
+          error: error.message
+        });
+      }
     }
 
     result.endTime = new Date().toISOString();
@@ -641,20 +1001,48 @@ export class AutonomyEngine {
   }
 
   /**
-   * Run a task handler (stub implementation)
+   * Register a task handler, overriding the current handler of the task
+   * @param {string} taskId - Task id
+   * @param {Function} handler - `async (task, context) => output`
+   * @param {Object} options - Options
+   * @param {string} options.source - Who registered the handler
+   */
+  registerTaskHandler(taskId, handler, options = {}) {
+    this.taskRegistry.register(taskId, handler, options);
+  }
+
+  /**
+   * Resolve the handler of a task
+   *
+   * Handlers of enabled plugins take precedence over registered handlers.
+   *
+   * @param {string} taskId - Task id
+   * @returns {Function|null}
+   */
+  resolveTaskHandler(taskId) {
+    const pluginHandler = this.pluginManager.getTaskHandler(taskId);
+    if (pluginHandler) {
+      return pluginHandler.handler;
+    }
+    return this.taskRegistry.get(taskId);
+  }
+
+  /**
+   * Run the handler of a task
    * @param {Object} task - Task definition
+   * @param {Function} handler - Task handler
    * @returns {Object} Task output
    */
-  async runTaskHandler(task) {
-    // This is a stub - actual implementations would call appropriate modules
+  async runTaskHandler(task, handler) {
     this.logger.info(`Executing task: ${task.name}`);
 
-    // Simulate task execution
-    return {
-      taskId: task.id,
-      message: `Task ${task.name} completed successfully`,
-      timestamp: new Date().toISOString()
-    };
+    return handler(task, {
+      rootDir: this.rootDir,
+      autonomyDir: this.autonomyDir,
+      eventBus: this.eventBus,
+      logger: this.logger,
+      pluginManager: this.pluginManager
+    });
   }
 
   /**
@@ -696,6 +1084,7 @@ export class AutonomyEngine {
       hdmLevel: this.hdmLevel,
       currentCycle: this.currentCycle,
       lastCycleRun: this.lastCycleRun,
+      schedules: this.getSchedules(),
       triggers: {
         total: this.triggers.size,
         enabled: Array.from(this.triggers.values()).filter(t => t.enabled).length
@@ -796,6 +1185,8 @@ export function createAutonomyEngine(options = {}) {
 export {
   ENGINE_STATES,
   CYCLE_TYPES,
+  CATCH_UP_POLICIES,
+  DEFAULT_SCHEDULES,
   HDM_LEVELS,
   DAILY_TASKS,
   WEEKLY_TASKS,
@@ -808,6 +1199,9 @@ export default {
   ENGINE_STATES,
   CYCLE_TYPES,
   HDM_LEVELS,
+  CATCH_UP_POLICIES,
+  DEFAULT_SCHEDULES,
+  resolveCycleSchedules,
   getAutonomyEngine,
   createAutonomyEngine
 };
@@ -0,0 +1,235 @@
+/**
+ * EAOS Audit Baseline Module
+ *
+ * Compares audit runs by finding fingerprint so each finding can be marked
+ * as new, persisting or fixed. The comparison point is, in order:
+ * - an explicit baseline or results file
+ * - the committed baseline (`.eaos/audit-baseline.json` by default)
+ * - the previous raw results file in `audit/`
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { ValidationError } from './errors.js';
+import { countBySeverity, fingerprintFinding, sortFindings } from './findings.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const DEFAULT_AUDIT_BASELINE = '.eaos/audit-baseline.json';
+const BASELINE_VERSION = 1;
+
+const FINDING_STATUS = {
+  NEW: 'new',
+  PERSISTING: 'persisting',
+  FIXED: 'fixed'
+};
+
+// Finding fields persisted in a baseline
+const BASELINE_FIELDS = ['fingerprint', 'ruleId', 'severity', 'phase', 'file', 'line', 'message'];
+
+// =============================================================================
+// Baseline Files
+// =============================================================================
+
+/**
+ * Load findings from a baseline, raw results or Findings.json file
+ * @param {string} filePath - File path
+ * @returns {Promise<Object>} {path, timestamp, findings}
+ * @throws {ValidationError} If the file is missing or has no findings array
+ */
+export async function loadFindingsFile(filePath) {
+  if (!await fs.pathExists(filePath)) {
+    throw new ValidationError(`Audit results not found: ${filePath}`);
+  }
+
+  let data;
+  try {
+    data = await fs.readJson(filePath);
+  } catch (error) {
+    throw new ValidationError(`Invalid audit results ${filePath}: ${error.message}`);
+  }
+  if (!data || !Array.isArray(data.findings)) {
+    throw new ValidationError(`Audit results ${filePath} must contain a "findings" array`);
+  }
+
+  return {
+    path: filePath,
+    timestamp: data.generated_at || data.timestamp || null,
+    // Results written before fingerprinting fall back to rule, file and line
+    findings: data.findings.map(finding => ({ ...finding, fingerprint: fingerprintFinding(finding) }))
+  };
+}
+
+/**
+ * Write the audit baseline
+ * @param {string} rootDir - Repository root
+ * @param {Object[]} findings - Fingerprinted findings to accept
+ * @param {string} baselinePath - Repository-relative baseline path
+ * @returns {Promise<Object>} {path, count}
+ */
+export async function writeAuditBaseline(rootDir, findings, baselinePath = DEFAULT_AUDIT_BASELINE) {
+  const fullPath = path.resolve(rootDir, baselinePath);
+  const entries = sortFindings(findings).map(finding =>
+    Object.fromEntries(BASELINE_FIELDS.map(field => [field, finding[field] ?? null]))
+  );
+
+  await fs.ensureDir(path.dirname(fullPath));
+  await fs.writeJson(fullPath, {
+    version: BASELINE_VERSION,
+    generated_at: new Date().toISOString(),
+    findings: entries
+  }, { spaces: 2 });
+
+  return { path: baselinePath, count: entries.length };
+}
+
+/**
+ * List raw results files of an audit type, oldest first
+ * @param {string} auditDir - Audit output directory
+ * @param {string} prefix - File prefix (e.g. `audit` for audit/audit_<timestamp>.json)
+ * @returns {Promise<string[]>} Absolute paths
+ */
+export async function listAuditResults(auditDir, prefix) {
+  if (!await fs.pathExists(auditDir)) return [];
+
+  const pattern = new RegExp(`^${prefix}_\\d{4}-\\d{2}-\\d{2}T[\\d-]+Z\\.json$`);
+  const files = (await fs.readdir(auditDir)).filter(name => pattern.test(name));
+  // ISO timestamps sort chronologically
+  return files.sort().map(name => path.join(auditDir, name));
+}
+
+/**
+ * Find the newest audit run recorded before another run
+ *
+ * Runs are ordered by the timestamp recorded in each file rather than by
+ * file name, so the run compared against need not live in the audit dir.
+ *
+ * @param {string[]} runs - Results files
+ * @param {Object} current - Run loaded with loadFindingsFile()
+ * @returns {Promise<Object|null>} Loaded run, or null if none was recorded earlier
+ * @throws {ValidationError} If the current run has no recorded timestamp
+ */
+export async function findPreviousRun(runs, current) {
+  if (!current.timestamp) {
+    throw new ValidationError(`Audit results ${current.path} have no recorded timestamp`);
+  }
+
+  let previous = null;
+  for (const run of runs) {
+    if (path.resolve(run) === path.resolve(current.path)) continue;
+    const loaded = await loadFindingsFile(run);
+    if (loaded.timestamp && loaded.timestamp < current.timestamp &&
+      (!previous || loaded.timestamp > previous.timestamp)) {
+      previous = loaded;
+    }
+  }
+  return previous;
+}
+
+/**
+ * Resolve the file to compare an audit run against
+ * @param {string} rootDir - Repository root
+ * @param {Object} options - Options
+ * @param {string} options.baseline - Explicit baseline or results file
+ * @param {string} options.configured - Configured baseline path (`audit.baseline`)
+ * @param {string} options.auditDir - Audit output directory for previous runs
+ * @param {string} options.prefix - Results file prefix
+ * @returns {Promise<string|null>} Absolute path, or null if there is nothing to compare against
+ */
+export async function resolveBaseline(rootDir, options = {}) {
+  if (options.baseline) {
+    return path.resolve(rootDir, options.baseline);
+  }
+
+  const configured = path.resolve(rootDir, options.configured || DEFAULT_AUDIT_BASELINE);
+  if (await fs.pathExists(configured)) {
+    return configured;
+  }
+
+  if (options.auditDir) {
+    const previous = await listAuditResults(options.auditDir, options.prefix || 'audit');
+    if (previous.length > 0) return previous[previous.length - 1];
+  }
+
+  return null;
+}
+
+// =============================================================================
+// Diffing
+// =============================================================================
+
+/**
+ * Compare findings against a previous set
+ * @param {Object[]} current - Current fingerprinted findings
+ * @param {Object[]|null} previous - Previous findings, or null if there is no baseline
+ * @returns {Object} {findings, fixed, summary}; `findings` are copies with a `status`
+ */
+export function diffFindings(current, previous) {
+  const previousByFingerprint = new Map((previous || []).map(f => [f.fingerprint, f]));
+  const currentFingerprints = new Set(current.map(f => f.fingerprint));
+
+  const findings = current.map(finding => ({
+    ...finding,
+    status: previousByFingerprint.has(finding.fingerprint) ? FINDING_STATUS.PERSISTING : FINDING_STATUS.NEW
+  }));
+  const fixed = (previous || [])
+    .filter(finding => !currentFingerprints.has(finding.fingerprint))
+    .map(finding => ({ ...finding, status: FINDING_STATUS.FIXED }));
+
+  const added = findings.filter(f => f.status === FINDING_STATUS.NEW);
+  return {
+    findings,
+    fixed: sortFindings(fixed),
+    summary: {
+      new: added.length,
+      persisting: findings.length - added.length,
+      fixed: fixed.length,
+      new_by_severity: countBySeverity(added)
+    }
+  };
+}
+
+/**
+ * Mark audit results against a baseline
+ *
+ * Sets `status` on every finding and adds `results.diff`. Without a
+ * baseline every finding is new.
+ *
+ * @param {Object} results - Audit pipeline results
+ * @param {Object|null} baseline - loadFindingsFile() result
+ * @param {string} rootDir - Repository root, used to record the baseline path
+ * @returns {Object} The same results
+ */
+export function applyBaseline(results, baseline, rootDir) {
+  const diff = diffFindings(results.findings, baseline ? baseline.findings : null);
+
+  results.findings = diff.findings;
+  results.diff = {
+    baseline: baseline ? path.relative(rootDir, baseline.path) : null,
+    baseline_timestamp: baseline ? baseline.timestamp : null,
+    summary: diff.summary,
+    fixed: diff.fixed
+  };
+
+  return results;
+}
+
+// =============================================================================
+// Export
+// =============================================================================
+
+export { DEFAULT_AUDIT_BASELINE, FINDING_STATUS };
+
+export default {
+  DEFAULT_AUDIT_BASELINE,
+  FINDING_STATUS,
+  applyBaseline,
+  diffFindings,
+  findPreviousRun,
+  listAuditResults,
+  loadFindingsFile,
+  resolveBaseline,
+  writeAuditBaseline
+};
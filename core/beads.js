@@ -0,0 +1,221 @@
+/**
+ * EAOS BEADS Module
+ *
+ * Reads and writes the BEADS backlog (beads/backlog.json) and turns
+ * compliance gaps into remediation BEADS, as the Corrective Action Plan of
+ * the compliance engines describes:
+ * - One BEAD per gap, with acceptance criteria from the control text
+ * - Priority from the control criticality
+ * - Re-running never duplicates a BEAD that is still open
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Ajv from 'ajv/dist/2020.js';
+import { ValidationError } from './errors.js';
+import { buildGapAnalysis } from './compliance.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const BEADS_SCHEMA = path.join(__dirname, '..', 'manifests', 'BEADS_SCHEMA.json');
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const BACKLOG_PATH = path.join('beads', 'backlog.json');
+
+const CRITICALITY_PRIORITY = {
+  high: 'P1',
+  medium: 'P2',
+  low: 'P3'
+};
+
+// BEADS that no longer track open work
+const CLOSED_STATUSES = ['done', 'cancelled'];
+
+const BEAD_SOURCES = {
+  AUDIT: 'audit',
+  GOVERNANCE: 'cio_governance'
+};
+
+// =============================================================================
+// Backlog
+// =============================================================================
+
+/**
+ * Load the BEADS backlog
+ * @param {Object} options - Options
+ * @param {string} options.rootDir - Repository root
+ * @returns {Promise<Object>} Backlog with a `beads` array
+ * @throws {ValidationError} If the backlog is not valid JSON
+ */
+export async function loadBacklog(options = {}) {
+  const backlogPath = path.join(options.rootDir || process.cwd(), BACKLOG_PATH);
+  if (!await fs.pathExists(backlogPath)) {
+    return { beads: [] };
+  }
+
+  let backlog;
+  try {
+    backlog = await fs.readJson(backlogPath);
+  } catch (error) {
+    throw new ValidationError(`Invalid BEADS backlog ${backlogPath}: ${error.message}`);
+  }
+  return { ...backlog, beads: Array.isArray(backlog.beads) ? backlog.beads : [] };
+}
+
+/**
+ * Save the BEADS backlog
+ * @param {Object} backlog - Backlog with a `beads` array
+ * @param {Object} options - Options
+ * @param {string} options.rootDir - Repository root
+ * @returns {Promise<string>} Backlog path
+ */
+export async function saveBacklog(backlog, options = {}) {
+  const backlogPath = path.join(options.rootDir || process.cwd(), BACKLOG_PATH);
+  await fs.outputJson(backlogPath, backlog, { spaces: 2 });
+  return backlogPath;
+}
+
+/**
+ * Next free BEAD id after the highest one in the backlog
+ * @param {Object[]} beads - Existing BEADS
+ * @returns {string} e.g. `bead-007`
+ */
+export function nextBeadId(beads) {
+  const highest = beads.reduce((max, bead) => {
+    const match = /^bead-(\d+)$/.exec(bead.id || '');
+    return match ? Math.max(max, Number(match[1])) : max;
+  }, 0);
+  return `bead-${String(highest + 1).padStart(3, '0')}`;
+}
+
+let beadValidator = null;
+
+/**
+ * Validate a BEAD against manifests/BEADS_SCHEMA.json
+ * @param {Object} bead - BEAD
+ * @throws {ValidationError} If the BEAD does not match the schema
+ */
+export function validateBead(bead) {
+  if (!beadValidator) {
+    const ajv = new Ajv({ allErrors: true, strict: false, validateFormats: false });
+    beadValidator = ajv.compile(fs.readJsonSync(BEADS_SCHEMA));
+  }
+
+  if (!beadValidator(bead)) {
+    throw new ValidationError(`${bead.id} does not match the BEADS schema`, {
+      errors: beadValidator.errors.map(e => `${e.instancePath || '/'} ${e.message}`)
+    });
+  }
+}
+
+// =============================================================================
+// Compliance Remediation
+// =============================================================================
+
+/**
+ * Tag identifying the BEAD of a control gap
+ * @param {string} framework - Framework id
+ * @param {string} controlId - Control id
+ * @returns {string}
+ */
+export function gapTag(framework, controlId) {
+  return `control:${framework}:${controlId}`;
+}
+
+/**
+ * Build the remediation BEAD of a gap
+ *
+ * Gaps whose failed checks all look for policy documents are IT governance
+ * work for the CIO; any other gap lacks technical evidence and comes from
+ * the audit.
+ *
+ * @param {Object} gap - Gap from buildGapAnalysis()
+ * @param {Object} control - Control result of the gap
+ * @param {Object} assessment - Assessment the gap was found in
+ * @param {string} id - BEAD id
+ * @returns {Object} BEAD
+ */
+export function buildGapBead(gap, control, assessment, id) {
+  const now = new Date().toISOString();
+  const governance = gap.failed_checks.length > 0 && gap.failed_checks.every(check => check.type === 'policy');
+
+  return {
+    id,
+    title: `Remediate ${assessment.name} ${gap.control_id}: ${gap.title}`.slice(0, 200),
+    description: `${assessment.name} control ${gap.control_id} (${gap.family || gap.category}) is ` +
+      `${gap.gap_type === 'missing' ? 'not implemented' : 'only partially implemented'}. ${gap.rationale}`,
+    category: 'compliance',
+    priority: CRITICALITY_PRIORITY[gap.criticality] || CRITICALITY_PRIORITY.medium,
+    status: 'open',
+    source: governance ? BEAD_SOURCES.GOVERNANCE : BEAD_SOURCES.AUDIT,
+    acceptance_criteria: [
+      control.description || `${gap.control_id} ${gap.title} is implemented`,
+      ...gap.failed_checks.map(check => check.description).filter(Boolean),
+      `${gap.control_id} is satisfied in the next ${assessment.name} assessment`
+    ],
+    tags: ['compliance', assessment.framework, gapTag(assessment.framework, gap.control_id)],
+    created_at: now,
+    updated_at: now,
+    notes: `Created from the ${assessment.name} gap analysis of ${assessment.generated_at}`
+  };
+}
+
+/**
+ * Add one remediation BEAD per gap of an assessment to the backlog
+ *
+ * Gaps that already have an open BEAD are skipped, so assessments can be
+ * re-run; a gap whose BEAD was closed gets a new one.
+ *
+ * @param {Object} assessment - Assessment from assessCatalog()
+ * @param {Object} options - Options
+ * @param {string} options.rootDir - Repository root
+ * @returns {Promise<Object>} `{created, skipped, backlogPath}` with the created BEADS and skipped control ids
+ * @throws {ValidationError} If the backlog is invalid or a BEAD does not match the schema
+ */
+export async function createComplianceBeads(assessment, options = {}) {
+  const backlog = await loadBacklog(options);
+  const openTags = new Set(backlog.beads
+    .filter(bead => !CLOSED_STATUSES.includes(bead.status))
+    .flatMap(bead => bead.tags || []));
+
+  const created = [];
+  const skipped = [];
+  for (const gap of buildGapAnalysis(assessment).gaps) {
+    if (openTags.has(gapTag(assessment.framework, gap.control_id))) {
+      skipped.push(gap.control_id);
+      continue;
+    }
+
+    const control = assessment.controls.find(c => c.id === gap.control_id);
+    const bead = buildGapBead(gap, control, assessment, nextBeadId(backlog.beads));
+    validateBead(bead);
+    backlog.beads.push(bead);
+    created.push(bead);
+  }
+
+  const backlogPath = created.length > 0 ? await saveBacklog(backlog, options) : null;
+  return { created, skipped, backlogPath };
+}
+
+// =============================================================================
+// Export
+// =============================================================================
+
+export { BACKLOG_PATH, BEAD_SOURCES, CRITICALITY_PRIORITY };
+
+export default {
+  BACKLOG_PATH,
+  BEAD_SOURCES,
+  CRITICALITY_PRIORITY,
+  buildGapBead,
+  createComplianceBeads,
+  gapTag,
+  loadBacklog,
+  nextBeadId,
+  saveBacklog,
+  validateBead
+};
@@ -0,0 +1,749 @@
+/**
+ * EAOS Compliance Module
+ *
+ * Evaluates machine-readable control catalogs (compliance/catalogs/*.json)
+ * against repository evidence:
+ * - Evaluator registry (files, policy documents, CI workflows, branch protection, ...)
+ * - Catalog loading with schema validation and baseline selection
+ * - Per-control status and framework coverage
+ * - Control matrix, mapping report and gap analysis artifacts
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Ajv from 'ajv/dist/2020.js';
+import YAML from 'yaml';
+import { ValidationError } from './errors.js';
+import { getConfigSection, loadConfig } from './config.js';
+import { AuditContext, walkRepository } from './audit.js';
+import { matchesGlob } from './glob.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const CATALOG_DIR = path.join(__dirname, '..', 'compliance', 'catalogs');
+const MANIFESTS_DIR = path.join(__dirname, '..', 'manifests');
+const CATALOG_SCHEMA = path.join(MANIFESTS_DIR, 'COMPLIANCE_CATALOG_SCHEMA.json');
+
+const DEFAULT_POLICY_PACK = 'EAOS_POLICY_PACK';
+
+const CONTROL_STATUS = {
+  SATISFIED: 'satisfied', // Every evaluator found evidence
+  PARTIAL: 'partial',     // Some evaluators found evidence
+  GAP: 'gap',             // No evaluator found evidence
+  MANUAL: 'manual'        // No automated evaluators; evidence must be supplied by hand
+};
+
+const CRITICALITY_RANK = { high: 3, medium: 2, low: 1 };
+
+const ARTIFACT_VERSION = '1.0.0';
+
+const COMPLIANCE_ARTIFACTS = {
+  MAPPING_REPORT: 'MappingReport.md',
+  CONTROL_MATRIX: 'ControlMatrix.json',
+  GAP_ANALYSIS: 'GapAnalysis.json'
+};
+
+const ARTIFACT_SCHEMAS = {
+  [COMPLIANCE_ARTIFACTS.CONTROL_MATRIX]: 'COMPLIANCE_CONTROL_MATRIX_SCHEMA.json',
+  [COMPLIANCE_ARTIFACTS.GAP_ANALYSIS]: 'COMPLIANCE_GAP_ANALYSIS_SCHEMA.json'
+};
+
+const WORKFLOW_FILES = [/^\.github\/workflows\/[^/]+\.ya?ml$/, /^\.gitlab-ci\.yml$/, /^Jenkinsfile$/];
+
+// =============================================================================
+// Evaluators
+// =============================================================================
+
+const evaluators = new Map();
+
+/**
+ * Register an evaluator type usable from catalogs
+ *
+ * An evaluator receives its catalog entry and the repository context and
+ * returns `{passed, evidence, searched, message}`: the files that satisfied
+ * it, what it looked for, and a one-line explanation.
+ *
+ * @param {string} type - Evaluator type referenced by catalog entries
+ * @param {Function} evaluate - (entry, context) => result (may be async)
+ */
+export function registerEvaluator(type, evaluate) {
+  if (typeof evaluate !== 'function') {
+    throw new ValidationError(`Evaluator ${type} must be a function`);
+  }
+  evaluators.set(type, evaluate);
+}
+
+/**
+ * List registered evaluator types
+ * @returns {string[]}
+ */
+export function listEvaluators() {
+  return [...evaluators.keys()];
+}
+
+/**
+ * Look up a dotted key in an object
+ * @param {Object} object - Object
+ * @param {string} key - Dotted key (e.g. `autonomy.enabled`)
+ * @returns {*}
+ */
+function getPath(object, key) {
+  return key.split('.').reduce((value, part) => (value === null || value === undefined ? undefined : value[part]), object);
+}
+
+registerEvaluator('file', (entry, context) => {
+  const evidence = entry.paths.filter(candidate => context.exists(candidate));
+  return {
+    passed: evidence.length > 0,
+    evidence,
+    searched: entry.paths,
+    message: evidence.length > 0 ? `Found ${evidence[0]}` : `None of ${entry.paths.join(', ')} exist`
+  };
+});
+
+registerEvaluator('policy', (entry, context) => {
+  const policyPath = path.posix.join(context.config.policyPack || DEFAULT_POLICY_PACK, entry.document);
+  const keywords = entry.keywords || [];
+  const searched = [policyPath, ...keywords.map(k => `"${k}" in ${policyPath}`)];
+  const content = context.readFile(policyPath);
+
+  if (content === null) {
+    return { passed: false, evidence: [], searched, message: `Policy ${policyPath} not found` };
+  }
+
+  const text = content.toLowerCase();
+  const missing = keywords.filter(keyword => !text.includes(keyword.toLowerCase()));
+  return {
+    passed: missing.length === 0,
+    evidence: [policyPath],
+    searched,
+    message: missing.length === 0
+      ? `Policy ${policyPath} covers the control`
+      : `Policy ${policyPath} does not mention ${missing.map(k => `"${k}"`).join(', ')}`
+  };
+});
+
+registerEvaluator('workflow', (entry, context) => {
+  const workflows = context.listFiles().filter(f => WORKFLOW_FILES.some(pattern => pattern.test(f)));
+  const patterns = entry.patterns.map(p => new RegExp(p, 'i'));
+  const evidence = workflows.filter(workflow => {
+    const content = context.readFile(workflow);
+    return content !== null && patterns.every(pattern => pattern.test(content));
+  });
+
+  return {
+    passed: evidence.length > 0,
+    evidence,
+    searched: entry.patterns.map(p => `/${p}/ in CI workflows`),
+    message: evidence.length > 0
+      ? `Matched by ${evidence.join(', ')}`
+      : workflows.length === 0 ? 'No CI workflows found' : `No workflow matches ${entry.patterns.map(p => `/${p}/`).join(' and ')}`
+  };
+});
+
+/**
+ * Protection rules for a branch from `.github/settings.yml` (Probot settings app)
+ * @param {Object} settings - Parsed settings
+ * @returns {Object[]} `{reviews, statusChecks}` per protected branch
+ */
+function settingsProtections(settings) {
+  return (Array.isArray(settings?.branches) ? settings.branches : [])
+    .filter(branch => branch?.protection)
+    .map(({ protection }) => ({
+      reviews: protection.required_pull_request_reviews?.required_approving_review_count ?? 0,
+      statusChecks: Boolean(protection.required_status_checks)
+    }));
+}
+
+/**
+ * Protection rules from an exported GitHub repository ruleset
+ * @param {Object} ruleset - Parsed ruleset JSON
+ * @returns {Object[]} `{reviews, statusChecks}` if the ruleset is active
+ */
+function rulesetProtections(ruleset) {
+  if (!ruleset || ruleset.enforcement === 'disabled' || (ruleset.target && ruleset.target !== 'branch')) {
+    return [];
+  }
+  const rules = Array.isArray(ruleset.rules) ? ruleset.rules : [];
+  const pullRequest = rules.find(rule => rule.type === 'pull_request');
+  return [{
+    reviews: pullRequest ? pullRequest.parameters?.required_approving_review_count ?? 0 : 0,
+    statusChecks: rules.some(rule => rule.type === 'required_status_checks')
+  }];
+}
+
+registerEvaluator('branch-protection', (entry, context) => {
+  const reviews = entry.reviews ?? 1;
+  const statusChecks = entry.statusChecks ?? true;
+  const sources = ['.github/settings.yml', ...context.listFiles().filter(f => /^\.github\/rulesets\/[^/]+\.json$/.test(f))];
+  const evidence = [];
+  const problems = [];
+
+  for (const source of sources) {
+    const content = context.readFile(source);
+    if (content === null) continue;
+
+    let protections;
+    try {
+      protections = source.endsWith('.json') ? rulesetProtections(JSON.parse(content)) : settingsProtections(YAML.parse(content));
+    } catch (error) {
+      problems.push(`${source} could not be parsed: ${error.message}`);
+      continue;
+    }
+
+    if (protections.some(p => p.reviews >= reviews && (!statusChecks || p.statusChecks))) {
+      evidence.push(source);
+    } else {
+      problems.push(`${source} does not require ${reviews} review(s)${statusChecks ? ' and status checks' : ''}`);
+    }
+  }
+
+  return {
+    passed: evidence.length > 0,
+    evidence,
+    searched: ['.github/settings.yml', '.github/rulesets/*.json'],
+    message: evidence.length > 0
+      ? `Branch protection configured in ${evidence.join(', ')}`
+      : problems[0] || 'No branch protection configuration found in the repository'
+  };
+});
+
+registerEvaluator('content', (entry, context) => {
+  const pattern = new RegExp(entry.pattern);
+  const evidence = context.listFiles()
+    .filter(file => entry.paths.some(glob => matchesGlob(file, glob)))
+    .filter(file => pattern.test(context.readFile(file) ?? ''));
+
+  return {
+    passed: evidence.length > 0,
+    evidence,
+    searched: entry.paths.map(glob => `/${entry.pattern}/ in ${glob}`),
+    message: evidence.length > 0 ? `Found in ${evidence.length} file(s)` : `No file matching ${entry.paths.join(', ')} contains /${entry.pattern}/`
+  };
+});
+
+registerEvaluator('config', (entry, context) => {
+  const value = getPath(loadConfig(context.rootDir), entry.key);
+  const passed = value !== undefined && value !== null && value !== false;
+  return {
+    passed,
+    evidence: passed ? ['.eaos.config.json'] : [],
+    searched: [`${entry.key} in .eaos.config.json`],
+    message: passed ? `${entry.key} is set to ${JSON.stringify(value)}` : `${entry.key} is not configured`
+  };
+});
+
+// =============================================================================
+// Catalogs
+// =============================================================================
+
+let catalogValidator = null;
+
+/**
+ * Validate a control catalog against the schema and the evaluator registry
+ * @param {Object} catalog - Parsed catalog
+ * @throws {ValidationError} If the catalog is malformed
+ */
+export function validateCatalog(catalog) {
+  if (!catalogValidator) {
+    const ajv = new Ajv({ allErrors: true, strict: false, validateFormats: false });
+    catalogValidator = ajv.compile(fs.readJsonSync(CATALOG_SCHEMA));
+  }
+
+  if (!catalogValidator(catalog)) {
+    throw new ValidationError('Compliance catalog does not match its schema', {
+      errors: catalogValidator.errors.map(e => `${e.instancePath || '/'} ${e.message}`)
+    });
+  }
+
+  const seen = new Set();
+  for (const control of catalog.controls) {
+    if (seen.has(control.id)) {
+      throw new ValidationError(`Duplicate control id in ${catalog.framework} catalog: ${control.id}`);
+    }
+    seen.add(control.id);
+
+    const unknownBaseline = (control.baselines || []).find(baseline => !catalog.baselines?.[baseline]);
+    if (unknownBaseline) {
+      throw new ValidationError(`Unknown baseline in ${control.id}: ${unknownBaseline}`, {
+        valid: Object.keys(catalog.baselines || {})
+      });
+    }
+
+    const unknown = control.evaluators.find(entry => !evaluators.has(entry.type));
+    if (unknown) {
+      throw new ValidationError(`Unknown evaluator type in ${control.id}: ${unknown.type}`, {
+        valid: listEvaluators()
+      });
+    }
+  }
+}
+
+/**
+ * List frameworks with a shipped catalog
+ * @param {string} catalogDir - Catalog directory
+ * @returns {Promise<string[]>}
+ */
+export async function listCatalogs(catalogDir = CATALOG_DIR) {
+  if (!await fs.pathExists(catalogDir)) return [];
+  const entries = await fs.readdir(catalogDir);
+  return entries.filter(f => f.endsWith('.json')).map(f => f.slice(0, -5)).sort();
+}
+
+/**
+ * Load and validate a framework's control catalog
+ * @param {string} framework - Framework id (e.g. `soc2`)
+ * @param {Object} options - Options
+ * @param {string} options.catalogDir - Catalog directory (default: compliance/catalogs)
+ * @returns {Promise<Object>} Catalog
+ * @throws {ValidationError} If the catalog is missing or malformed
+ */
+export async function loadCatalog(framework, options = {}) {
+  const catalogDir = options.catalogDir || CATALOG_DIR;
+  const catalogPath = path.join(catalogDir, `${framework}.json`);
+
+  if (!/^[a-z0-9-]+$/.test(framework) || !await fs.pathExists(catalogPath)) {
+    throw new ValidationError(`No compliance catalog for framework: ${framework}`, {
+      available: await listCatalogs(catalogDir)
+    });
+  }
+
+  let catalog;
+  try {
+    catalog = await fs.readJson(catalogPath);
+  } catch (error) {
+    throw new ValidationError(`Invalid compliance catalog ${catalogPath}: ${error.message}`);
+  }
+
+  validateCatalog(catalog);
+  return catalog;
+}
+
+/**
+ * Narrow a catalog to the controls of a baseline
+ * @param {Object} catalog - Catalog with `baselines`
+ * @param {string} baseline - Baseline to select
+ * @param {Object} options - Options
+ * @param {string[]} options.include - Further baselines whose controls are always selected
+ * @returns {Object} Catalog copy with `baseline` set and only the selected controls
+ * @throws {ValidationError} If the catalog does not define the baseline
+ */
+export function selectBaseline(catalog, baseline, options = {}) {
+  if (!catalog.baselines?.[baseline]) {
+    throw new ValidationError(`Unknown ${catalog.framework} baseline: ${baseline}`, {
+      valid: Object.keys(catalog.baselines || {})
+    });
+  }
+
+  const selected = new Set([baseline, ...(options.include || [])]);
+  return {
+    ...catalog,
+    baseline,
+    controls: catalog.controls.filter(control => (control.baselines || []).some(b => selected.has(b)))
+  };
+}
+
+// =============================================================================
+// Assessment
+// =============================================================================
+
+/**
+ * Build the repository context evaluators read evidence from
+ * @param {string} rootDir - Repository root
+ * @param {Object} config - `compliance` config section
+ * @returns {Promise<AuditContext>}
+ */
+export async function createComplianceContext(rootDir, config = {}) {
+  const files = await walkRepository(rootDir, { ignore: config.ignore || [] });
+  return new AuditContext({ rootDir, files, config });
+}
+
+/**
+ * Evaluate one control
+ * @param {Object} control - Catalog control
+ * @param {AuditContext} context - Repository context
+ * @returns {Promise<Object>} Control result with status and per-evaluator checks
+ */
+export async function evaluateControl(control, context) {
+  const checks = [];
+
+  for (const entry of control.evaluators) {
+    const evaluate = evaluators.get(entry.type);
+    if (!evaluate) {
+      throw new ValidationError(`Unknown evaluator type in ${control.id}: ${entry.type}`);
+    }
+
+    let result;
+    try {
+      result = await evaluate(entry, context);
+    } catch (error) {
+      result = { passed: false, evidence: [], searched: [], message: `Evaluator failed: ${error.message}` };
+    }
+
+    checks.push({
+      type: entry.type,
+      description: entry.description,
+      passed: Boolean(result.passed),
+      evidence: result.evidence || [],
+      searched: result.searched || [],
+      message: result.message || ''
+    });
+  }
+
+  const passed = checks.filter(c => c.passed).length;
+  let status = CONTROL_STATUS.MANUAL;
+  if (checks.length > 0) {
+    status = passed === checks.length ? CONTROL_STATUS.SATISFIED :
+      passed > 0 ? CONTROL_STATUS.PARTIAL : CONTROL_STATUS.GAP;
+  }
+
+  return {
+    id: control.id,
+    title: control.title,
+    category: control.category,
+    family: control.family,
+    ...(control.description ? { description: control.description } : {}),
+    criticality: control.criticality,
+    status,
+    checks
+  };
+}
+
+/**
+ * Summarize control results
+ *
+ * Mapped controls have at least one piece of evidence; gaps are controls
+ * with missing (gap) or incomplete (partial) evidence. Coverage is the
+ * share of automated checks that passed.
+ *
+ * @param {Object[]} controls - Control results
+ * @returns {Object} Summary
+ */
+export function summarizeControls(controls) {
+  const count = status => controls.filter(c => c.status === status).length;
+  const checks = controls.flatMap(c => c.checks);
+  const passed = checks.filter(c => c.passed).length;
+
+  return {
+    controls: controls.length,
+    mapped: count(CONTROL_STATUS.SATISFIED) + count(CONTROL_STATUS.PARTIAL),
+    satisfied: count(CONTROL_STATUS.SATISFIED),
+    partial: count(CONTROL_STATUS.PARTIAL),
+    gaps: count(CONTROL_STATUS.GAP) + count(CONTROL_STATUS.PARTIAL),
+    manual: count(CONTROL_STATUS.MANUAL),
+    checks: checks.length,
+    checks_passed: passed,
+    coverage: checks.length > 0 ? Math.round((passed / checks.length) * 1000) / 1000 : 0
+  };
+}
+
+/**
+ * Evaluate every control of a catalog against a repository
+ * @param {Object} catalog - Catalog from loadCatalog()
+ * @param {Object} options - Options
+ * @param {string} options.rootDir - Repository root
+ * @param {Object} options.config - `compliance` config section (default: from .eaos.config.json)
+ * @param {AuditContext} options.context - Reuse an existing repository context
+ * @returns {Promise<Object>} Assessment
+ */
+export async function assessCatalog(catalog, options = {}) {
+  const rootDir = options.rootDir || process.cwd();
+  const config = options.config || getConfigSection(rootDir, 'compliance');
+  const context = options.context || await createComplianceContext(rootDir, config);
+
+  const controls = [];
+  for (const control of catalog.controls) {
+    controls.push(await evaluateControl(control, context));
+  }
+
+  return {
+    framework: catalog.framework,
+    name: catalog.name,
+    version: catalog.version,
+    ...(catalog.baseline ? { baseline: catalog.baseline } : {}),
+    generated_at: new Date().toISOString(),
+    summary: summarizeControls(controls),
+    controls
+  };
+}
+
+/**
+ * Load a framework catalog and assess a repository against it
+ * @param {string} framework - Framework id
+ * @param {Object} options - Options for loadCatalog() and assessCatalog()
+ * @returns {Promise<Object>} Assessment
+ */
+export async function assessFramework(framework, options = {}) {
+  const catalog = await loadCatalog(framework, options);
+  return assessCatalog(catalog, options);
+}
+
+// =============================================================================
+// Artifacts
+// =============================================================================
+
+let ajv = null;
+const validators = new Map();
+
+/**
+ * Validate a compliance artifact against its schema
+ * @param {string} artifact - Artifact filename
+ * @param {Object} data - Artifact content
+ * @throws {ValidationError} If the artifact does not match its schema
+ */
+export function validateComplianceArtifact(artifact, data) {
+  if (!ARTIFACT_SCHEMAS[artifact]) {
+    throw new ValidationError(`No schema registered for artifact: ${artifact}`);
+  }
+
+  if (!validators.has(artifact)) {
+    ajv = ajv || new Ajv({ allErrors: true, strict: false, validateFormats: false });
+    validators.set(artifact, ajv.compile(fs.readJsonSync(path.join(MANIFESTS_DIR, ARTIFACT_SCHEMAS[artifact]))));
+  }
+
+  const validate = validators.get(artifact);
+  if (!validate(data)) {
+    throw new ValidationError(`${artifact} does not match its schema`, {
+      errors: validate.errors.map(e => `${e.instancePath || '/'} ${e.message}`)
+    });
+  }
+}
+
+/**
+ * Escape a value for a Markdown table cell
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+export function escapeCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Format rows as CSV (RFC 4180: CRLF line endings, fields quoted when needed)
+ * @param {string[]} columns - Header row
+ * @param {Array<Array<*>>} rows - Rows, one value per column
+ * @returns {string}
+ */
+export function formatCsv(columns, rows) {
+  const field = value => {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns, ...rows].map(row => row.map(field).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Files that satisfied at least one check of a control
+ * @param {Object} control - Control result
+ * @returns {string[]}
+ */
+export function controlEvidence(control) {
+  return [...new Set(control.checks.filter(c => c.passed).flatMap(c => c.evidence))];
+}
+
+/**
+ * Build ControlMatrix.json
+ * @param {Object} assessment - Assessment from assessCatalog()
+ * @returns {Object}
+ */
+export function buildControlMatrix(assessment) {
+  return {
+    version: ARTIFACT_VERSION,
+    framework: assessment.framework,
+    name: assessment.name,
+    catalog_version: assessment.version,
+    generated_at: assessment.generated_at,
+    summary: assessment.summary,
+    controls: assessment.controls.map(control => ({
+      id: control.id,
+      title: control.title,
+      category: control.category,
+      family: control.family ?? null,
+      criticality: control.criticality,
+      status: control.status,
+      evidence: controlEvidence(control),
+      checks: control.checks
+    }))
+  };
+}
+
+/**
+ * Build GapAnalysis.json
+ *
+ * Lists every control without full evidence: `missing` when no check
+ * passed, `weak` when some did. Each gap carries the failed checks'
+ * messages as rationale and everything that was searched for. Gaps are
+ * ordered by criticality, then catalog order.
+ *
+ * @param {Object} assessment - Assessment from assessCatalog()
+ * @returns {Object}
+ */
+export function buildGapAnalysis(assessment) {
+  const gaps = assessment.controls
+    .filter(c => c.status === CONTROL_STATUS.GAP || c.status === CONTROL_STATUS.PARTIAL)
+    .map(control => {
+      const failed = control.checks.filter(c => !c.passed);
+      const missing = control.status === CONTROL_STATUS.GAP;
+      const summary = missing
+        ? 'No check passed'
+        : `${failed.length} of ${control.checks.length} checks failed`;
+
+      return {
+        control_id: control.id,
+        title: control.title,
+        category: control.category,
+        family: control.family ?? null,
+        criticality: control.criticality,
+        gap_type: missing ? 'missing' : 'weak',
+        rationale: `${summary}: ${failed.map(c => c.message).join('; ')}`,
+        evidence_searched: [...new Set(control.checks.flatMap(c => c.searched))],
+        evidence_found: controlEvidence(control),
+        failed_checks: failed.map(c => ({
+          type: c.type,
+          description: c.description || '',
+          message: c.message,
+          searched: c.searched
+        }))
+      };
+    })
+    .sort((a, b) => (CRITICALITY_RANK[b.criticality] || 0) - (CRITICALITY_RANK[a.criticality] || 0));
+
+  const byCriticality = { high: 0, medium: 0, low: 0 };
+  for (const gap of gaps) {
+    byCriticality[gap.criticality] = (byCriticality[gap.criticality] || 0) + 1;
+  }
+
+  return {
+    version: ARTIFACT_VERSION,
+    framework: assessment.framework,
+    name: assessment.name,
+    generated_at: assessment.generated_at,
+    summary: {
+      total: gaps.length,
+      missing: gaps.filter(g => g.gap_type === 'missing').length,
+      weak: gaps.filter(g => g.gap_type === 'weak').length,
+      by_criticality: byCriticality
+    },
+    gaps
+  };
+}
+
+/**
+ * Build MappingReport.md
+ * @param {Object} assessment - Assessment from assessCatalog()
+ * @returns {string} Markdown report
+ */
+export function buildMappingReport(assessment) {
+  const lines = [];
+  const summary = assessment.summary;
+
+  lines.push(`# ${assessment.name} Control Mapping`, '');
+  lines.push(`- **Generated:** ${assessment.generated_at}`);
+  lines.push(`- **Catalog version:** ${assessment.version}`);
+  lines.push(`- **Controls mapped:** ${summary.mapped}/${summary.controls}`);
+  lines.push(`- **Gaps identified:** ${summary.gaps}`);
+  lines.push(`- **Evidence coverage:** ${Math.round(summary.coverage * 100)}% (${summary.checks_passed}/${summary.checks} checks)`);
+  lines.push(`- **Manual controls:** ${summary.manual}`, '');
+
+  const categories = [...new Set(assessment.controls.map(c => c.category))];
+  const statuses = Object.values(CONTROL_STATUS);
+
+  lines.push('## Summary by Category', '');
+  lines.push(`| Category | ${statuses.join(' | ')} |`, `|----------|${statuses.map(() => '---').join('|')}|`);
+  for (const category of categories) {
+    const controls = assessment.controls.filter(c => c.category === category);
+    lines.push(`| ${category} | ${statuses.map(status => controls.filter(c => c.status === status).length).join(' | ')} |`);
+  }
+  lines.push('');
+
+  for (const category of categories) {
+    lines.push(`## ${category}`, '');
+    lines.push('| Control | Title | Status | Evidence |', '|---------|-------|--------|----------|');
+    for (const control of assessment.controls.filter(c => c.category === category)) {
+      const evidence = controlEvidence(control);
+      const detail = control.status === CONTROL_STATUS.MANUAL
+        ? 'Manual evidence required'
+        : evidence.join(', ') || '-';
+      lines.push(`| ${control.id} | ${escapeCell(control.title)} | ${control.status} | ${escapeCell(detail)} |`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Write compliance artifacts for an assessment
+ * @param {Object} assessment - Assessment from assessCatalog()
+ * @param {string} outputDir - Directory to write to (e.g. compliance/soc2)
+ * @param {Object} options - Options
+ * @param {boolean} options.map - Write ControlMatrix.json and MappingReport.md
+ * @param {boolean} options.gaps - Write GapAnalysis.json
+ * @returns {Promise<Object>} Map of artifact name to written path
+ * @throws {ValidationError} If an artifact does not match its schema
+ */
+export async function writeComplianceArtifacts(assessment, outputDir, options = {}) {
+  const jsonArtifacts = {};
+  if (options.map) {
+    jsonArtifacts[COMPLIANCE_ARTIFACTS.CONTROL_MATRIX] = buildControlMatrix(assessment);
+  }
+  if (options.gaps) {
+    jsonArtifacts[COMPLIANCE_ARTIFACTS.GAP_ANALYSIS] = buildGapAnalysis(assessment);
+  }
+
+  for (const [artifact, data] of Object.entries(jsonArtifacts)) {
+    validateComplianceArtifact(artifact, data);
+  }
+
+  await fs.ensureDir(outputDir);
+  const written = {};
+
+  for (const [artifact, data] of Object.entries(jsonArtifacts)) {
+    written[artifact] = path.join(outputDir, artifact);
+    await fs.writeJson(written[artifact], data, { spaces: 2 });
+  }
+
+  if (options.map) {
+    written[COMPLIANCE_ARTIFACTS.MAPPING_REPORT] = path.join(outputDir, COMPLIANCE_ARTIFACTS.MAPPING_REPORT);
+    await fs.writeFile(written[COMPLIANCE_ARTIFACTS.MAPPING_REPORT], buildMappingReport(assessment));
+  }
+
+  return written;
+}
+
+// =============================================================================
+// Export
+// =============================================================================
+
+export { CATALOG_DIR, COMPLIANCE_ARTIFACTS, CONTROL_STATUS, DEFAULT_POLICY_PACK };
+
+export default {
+  CATALOG_DIR,
+  COMPLIANCE_ARTIFACTS,
+  CONTROL_STATUS,
+  DEFAULT_POLICY_PACK,
+  assessCatalog,
+  assessFramework,
+  buildControlMatrix,
+  buildGapAnalysis,
+  buildMappingReport,
+  controlEvidence,
+  createComplianceContext,
+  escapeCell,
+  evaluateControl,
+  formatCsv,
+  listCatalogs,
+  listEvaluators,
+  loadCatalog,
+  registerEvaluator,
+  selectBaseline,
+  summarizeControls,
+  validateCatalog,
+  validateComplianceArtifact,
+  writeComplianceArtifacts
+};
@@ -0,0 +1,116 @@
+/**
+ * EAOS Configuration Module
+ *
+ * Loads repository configuration from `.eaos.config.json`, merged with
+ * optional local overrides from `.eaos.config.local.json`.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { ConfigurationError } from './errors.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const CONFIG_FILE = '.eaos.config.json';
+const LOCAL_CONFIG_FILE = '.eaos.config.local.json';
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * Check if a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep merge two configuration objects (arrays are replaced, not merged)
+ * @param {Object} base - Base configuration
+ * @param {Object} override - Overriding configuration
+ * @returns {Object} Merged configuration
+ */
+export function mergeConfig(base, override) {
+  const result = { ...base };
+
+  for (const [key, value] of Object.entries(override || {})) {
+    if (isPlainObject(value) && isPlainObject(result[key])) {
+      result[key] = mergeConfig(result[key], value);
+    } else {
+      result[key] = value;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Read a JSON config file
+ * @param {string} filePath - Path to the file
+ * @returns {Object|null} Parsed config, or null if the file does not exist
+ * @throws {ConfigurationError} If the file is not valid JSON
+ */
+function readConfigFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  try {
+    const config = fs.readJsonSync(filePath);
+    if (!isPlainObject(config)) {
+      throw new Error('Configuration must be a JSON object');
+    }
+    return config;
+  } catch (error) {
+    throw new ConfigurationError(`Invalid configuration file: ${path.basename(filePath)}`, {
+      path: filePath,
+      reason: error.message
+    });
+  }
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * Load the EAOS configuration for a repository
+ * @param {string} rootDir - Repository root
+ * @returns {Object} Configuration (empty object if no config exists)
+ */
+export function loadConfig(rootDir) {
+  const config = readConfigFile(path.join(rootDir, CONFIG_FILE)) || {};
+  const local = readConfigFile(path.join(rootDir, LOCAL_CONFIG_FILE));
+
+  return local ? mergeConfig(config, local) : config;
+}
+
+/**
+ * Get a configuration section
+ * @param {string} rootDir - Repository root
+ * @param {string} section - Top-level section name
+ * @returns {Object} Section (empty object if not configured)
+ */
+export function getConfigSection(rootDir, section) {
+  const value = loadConfig(rootDir)[section];
+  return isPlainObject(value) ? value : {};
+}
+
+// =============================================================================
+// Export
+// =============================================================================
+
+export { CONFIG_FILE, LOCAL_CONFIG_FILE };
+
+export default {
+  CONFIG_FILE,
+  LOCAL_CONFIG_FILE,
+  loadConfig,
+  getConfigSection,
+  mergeConfig
+};
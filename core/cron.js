@@ -0,0 +1,370 @@
+/**
+ * EAOS Cron Module
+ *
+ * Five-field cron expressions evaluated in an IANA time zone, used to
+ * schedule autonomy cycles:
+ * - `minute hour day-of-month month day-of-week` with lists, ranges, steps,
+ *   month and weekday names, and the `@hourly` ... `@yearly` macros
+ * - When both day fields are restricted, a day matches either of them
+ * - Wall-clock times skipped by a DST change run at the same offset after the
+ *   change (02:30 becomes 03:30); repeated times run once, at the first occurrence
+ */
+
+import { ValidationError } from './errors.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Searching further means the expression can never match (e.g. `0 0 30 2 *`)
+const MAX_SEARCH_DAYS = 8 * 366;
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  // 7 is accepted as Sunday and folded to 0
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+// =============================================================================
+// Parsing
+// =============================================================================
+
+/**
+ * Parse a single value of a field (number or name)
+ * @param {string} value - Raw value
+ * @param {Object} field - Field definition
+ * @param {string} expression - Whole expression, for error messages
+ * @returns {number}
+ */
+function parseValue(value, field, expression) {
+  const named = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+  const number = named >= 0 ? named + field.min : /^\d+$/.test(value) ? Number(value) : NaN;
+
+  if (!Number.isInteger(number) || number < field.min || number > field.max) {
+    throw new ValidationError(`Invalid ${field.name} "${value}" in cron expression "${expression}"`, {
+      expression,
+      field: field.name
+    });
+  }
+  return number;
+}
+
+/**
+ * Parse one field of a cron expression into the sorted values it allows
+ * @param {string} source - Field text (e.g. `1-5`, `*\/15`, `mon,wed`)
+ * @param {Object} field - Field definition
+ * @param {string} expression - Whole expression, for error messages
+ * @returns {number[]}
+ */
+function parseField(source, field, expression) {
+  const values = new Set();
+
+  for (const part of source.split(',')) {
+    const [range, stepText, ...rest] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (rest.length > 0 || !range || !Number.isInteger(step) || step < 1) {
+      throw new ValidationError(`Invalid ${field.name} "${part}" in cron expression "${expression}"`, {
+        expression,
+        field: field.name
+      });
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field, expression);
+      end = parseValue(to, field, expression);
+      if (end < start) {
+        throw new ValidationError(`Invalid ${field.name} range "${range}" in cron expression "${expression}"`, {
+          expression,
+          field: field.name
+        });
+      }
+    } else {
+      start = parseValue(range, field, expression);
+      // `5/15` means every 15 from 5
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(field.name === 'dayOfWeek' ? value % 7 : value);
+    }
+  }
+
+  return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five-field expression or macro
+ * @returns {Object} `{expression, minute, hour, dayOfMonth, month, dayOfWeek, dayOfMonthRestricted, dayOfWeekRestricted}`
+ * @throws {ValidationError} If the expression is malformed
+ */
+export function parseCron(expression) {
+  if (typeof expression !== 'string') {
+    throw new ValidationError('Cron expression must be a string', { expression });
+  }
+
+  const trimmed = expression.trim();
+  const source = MACROS[trimmed.toLowerCase()] || trimmed;
+  const parts = source.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new ValidationError(`Cron expression "${expression}" must have ${FIELDS.length} fields`, { expression });
+  }
+
+  const cron = { expression: trimmed };
+  FIELDS.forEach((field, index) => {
+    cron[field.name] = parseField(parts[index], field, expression);
+  });
+  cron.dayOfMonthRestricted = !parts[2].startsWith('*');
+  cron.dayOfWeekRestricted = !parts[4].startsWith('*');
+
+  return cron;
+}
+
+// =============================================================================
+// Time Zones
+// =============================================================================
+
+const formatters = new Map();
+
+/**
+ * Get a cached wall-clock formatter for a time zone
+ * @param {string} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Get the time zone of the host
+ * @returns {string}
+ */
+export function getLocalTimezone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Check if a string is a time zone known to the runtime
+ * @param {string} timeZone - IANA time zone (e.g. `Europe/Berlin`)
+ * @returns {boolean}
+ */
+export function isValidTimezone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone === '') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the wall-clock time of an instant in a time zone
+ * @param {Date|number} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+export function toWallClock(date, timeZone) {
+  const wall = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    if (type !== 'literal') wall[type] = Number(value);
+  }
+  return { year: wall.year, month: wall.month, day: wall.day, hour: wall.hour, minute: wall.minute, second: wall.second };
+}
+
+/**
+ * Get the UTC offset of a time zone at an instant
+ * @param {number} ms - Instant in epoch milliseconds
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function zoneOffset(ms, timeZone) {
+  const wall = toWallClock(ms, timeZone);
+  const seconds = Math.floor(ms / 1000) * 1000;
+  return Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second) - seconds;
+}
+
+/**
+ * Convert a wall-clock minute in a time zone to an instant
+ *
+ * A time skipped by a DST change resolves to the offset before the change,
+ * which lands after the gap; a repeated time resolves to its first occurrence.
+ *
+ * @param {Object} wall - `{year, month, day, hour, minute}`
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Epoch milliseconds
+ */
+function fromWallClock(wall, timeZone) {
+  const utc = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute);
+  const before = utc - zoneOffset(utc - DAY_MS, timeZone);
+  const after = utc - zoneOffset(utc + DAY_MS, timeZone);
+
+  const exact = [before, after].filter(ms => {
+    const actual = toWallClock(ms, timeZone);
+    return actual.day === wall.day && actual.hour === wall.hour && actual.minute === wall.minute;
+  });
+
+  return exact.length > 0 ? Math.min(...exact) : before;
+}
+
+/**
+ * Format an instant as wall-clock time with its UTC offset
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} e.g. `2026-03-29 03:30 (UTC+02:00)`
+ */
+export function formatWallClock(date, timeZone) {
+  const wall = toWallClock(date, timeZone);
+  const offset = Math.round(zoneOffset(date.getTime(), timeZone) / MINUTE_MS);
+  const pad = (n) => String(n).padStart(2, '0');
+  const sign = offset < 0 ? '-' : '+';
+  const hours = pad(Math.floor(Math.abs(offset) / 60));
+  const minutes = pad(Math.abs(offset) % 60);
+
+  return `${wall.year}-${pad(wall.month)}-${pad(wall.day)} ${pad(wall.hour)}:${pad(wall.minute)} (UTC${sign}${hours}:${minutes})`;
+}
+
+// =============================================================================
+// Scheduling
+// =============================================================================
+
+/**
+ * Check if a calendar day matches the day fields of a cron expression
+ * @param {Object} cron - Parsed expression
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {boolean}
+ */
+function matchesDay(cron, year, month, day) {
+  if (!cron.month.includes(month)) return false;
+
+  const dayOfMonth = cron.dayOfMonth.includes(day);
+  const dayOfWeek = cron.dayOfWeek.includes(new Date(Date.UTC(year, month - 1, day)).getUTCDay());
+
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Get the next run of a cron expression
+ * @param {string|Object} cron - Expression or parsed expression
+ * @param {Object} options - Options
+ * @param {Date} options.after - Return the first run strictly after this instant (default: now)
+ * @param {string} options.timezone - IANA time zone the expression is evaluated in (default: host zone)
+ * @returns {Date}
+ * @throws {ValidationError} If the time zone is unknown or the expression never matches
+ */
+export function nextCronRun(cron, options = {}) {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  const timeZone = options.timezone || getLocalTimezone();
+  if (!isValidTimezone(timeZone)) {
+    throw new ValidationError(`Unknown time zone: ${timeZone}`, { timezone: timeZone });
+  }
+
+  const after = (options.after || new Date()).getTime();
+  const start = toWallClock(after, timeZone);
+
+  // Start a day early: a repeated wall-clock hour can map back before `after`
+  for (let days = -1; days <= MAX_SEARCH_DAYS; days++) {
+    const date = new Date(Date.UTC(start.year, start.month - 1, start.day + days));
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    const day = date.getUTCDate();
+    if (!matchesDay(parsed, year, month, day)) continue;
+
+    // Without an offset change around the day, wall-clock times map directly
+    const midday = Date.UTC(year, month - 1, day, 12);
+    const offset = zoneOffset(midday - DAY_MS, timeZone);
+    const stable = offset === zoneOffset(midday + DAY_MS, timeZone);
+
+    for (const hour of parsed.hour) {
+      for (const minute of parsed.minute) {
+        const run = stable
+          ? Date.UTC(year, month - 1, day, hour, minute) - offset
+          : fromWallClock({ year, month, day, hour, minute }, timeZone);
+        if (run > after) {
+          return new Date(run);
+        }
+      }
+    }
+  }
+
+  throw new ValidationError(`Cron expression "${parsed.expression}" never matches`, { expression: parsed.expression });
+}
+
+/**
+ * Get the upcoming runs of a cron expression
+ * @param {string|Object} cron - Expression or parsed expression
+ * @param {Object} options - Options
+ * @param {number} options.count - Number of runs (default: 5)
+ * @param {Date} options.after - First run is strictly after this instant (default: now)
+ * @param {string} options.timezone - IANA time zone (default: host zone)
+ * @returns {Date[]}
+ */
+export function upcomingCronRuns(cron, options = {}) {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  const count = options.count || 5;
+  const runs = [];
+
+  let after = options.after || new Date();
+  while (runs.length < count) {
+    after = nextCronRun(parsed, { ...options, after });
+    runs.push(after);
+  }
+
+  return runs;
+}
+
+// =============================================================================
+// Export
+// =============================================================================
+
+export { MACROS as CRON_MACROS };
+
+export default {
+  CRON_MACROS: MACROS,
+  parseCron,
+  nextCronRun,
+  upcomingCronRuns,
+  isValidTimezone,
+  getLocalTimezone,
+  toWallClock,
+  formatWallClock
+};
@@ -0,0 +1,400 @@
+/**
+ * EAOS Compliance Crosswalk Module
+ *
+ * Maps equivalent controls across the framework catalogs with the dataset in
+ * compliance/crosswalk.json, so that one assessment run can:
+ * - Pre-fill controls of one framework with evidence gathered for another
+ * - Show every framework a single gap affects
+ * - Report per-requirement status side by side (CrosswalkReport.md)
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Ajv from 'ajv/dist/2020.js';
+import { ValidationError } from './errors.js';
+import {
+  CATALOG_DIR,
+  CONTROL_STATUS,
+  assessCatalog,
+  controlEvidence,
+  createComplianceContext,
+  escapeCell,
+  loadCatalog
+} from './compliance.js';
+import { getConfigSection } from './config.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const CROSSWALK_PATH = path.join(__dirname, '..', 'compliance', 'crosswalk.json');
+const CROSSWALK_SCHEMA = path.join(__dirname, '..', 'manifests', 'COMPLIANCE_CROSSWALK_SCHEMA.json');
+
+const CROSSWALK_REPORT = 'CrosswalkReport.md';
+
+// Short labels for the side-by-side status table
+const STATUS_LABELS = {
+  [CONTROL_STATUS.SATISFIED]: 'ok',
+  [CONTROL_STATUS.PARTIAL]: 'partial',
+  [CONTROL_STATUS.GAP]: 'gap',
+  [CONTROL_STATUS.MANUAL]: 'manual'
+};
+
+// =============================================================================
+// Dataset
+// =============================================================================
+
+let crosswalkValidator = null;
+
+/**
+ * Validate a crosswalk against the schema and the framework catalogs
+ * @param {Object} crosswalk - Parsed crosswalk
+ * @param {Object<string, Object>} catalogs - Catalogs by framework id
+ * @throws {ValidationError} If the crosswalk is malformed or references unknown controls
+ */
+export function validateCrosswalk(crosswalk, catalogs) {
+  if (!crosswalkValidator) {
+    const ajv = new Ajv({ allErrors: true, strict: false, validateFormats: false });
+    crosswalkValidator = ajv.compile(fs.readJsonSync(CROSSWALK_SCHEMA));
+  }
+
+  if (!crosswalkValidator(crosswalk)) {
+    throw new ValidationError('Compliance crosswalk does not match its schema', {
+      errors: crosswalkValidator.errors.map(e => `${e.instancePath || '/'} ${e.message}`)
+    });
+  }
+
+  const ids = Object.fromEntries(Object.entries(catalogs)
+    .map(([framework, catalog]) => [framework, new Set(catalog.controls.map(c => c.id))]));
+
+  const seen = new Set();
+  for (const mapping of crosswalk.mappings) {
+    if (seen.has(mapping.id)) {
+      throw new ValidationError(`Duplicate crosswalk mapping: ${mapping.id}`);
+    }
+    seen.add(mapping.id);
+
+    for (const [framework, controlIds] of Object.entries(mapping.controls)) {
+      if (!ids[framework]) {
+        throw new ValidationError(`Unknown framework in crosswalk mapping ${mapping.id}: ${framework}`, {
+          valid: crosswalk.frameworks
+        });
+      }
+      const unknown = controlIds.find(id => !ids[framework].has(id));
+      if (unknown) {
+        throw new ValidationError(`Unknown ${framework} control in crosswalk mapping ${mapping.id}: ${unknown}`);
+      }
+    }
+  }
+}
+
+/**
+ * Load and validate the crosswalk together with the catalogs it maps
+ * @param {Object} options - Options
+ * @param {string} options.crosswalkPath - Crosswalk file (default: compliance/crosswalk.json)
+ * @param {string} options.catalogDir - Catalog directory (default: compliance/catalogs)
+ * @returns {Promise<Object>} `{crosswalk, catalogs}` with catalogs by framework id
+ * @throws {ValidationError} If the crosswalk or a catalog is missing or malformed
+ */
+export async function loadCrosswalk(options = {}) {
+  const crosswalkPath = options.crosswalkPath || CROSSWALK_PATH;
+
+  let crosswalk;
+  try {
+    crosswalk = await fs.readJson(crosswalkPath);
+  } catch (error) {
+    throw new ValidationError(`Invalid compliance crosswalk ${crosswalkPath}: ${error.message}`);
+  }
+
+  const catalogs = {};
+  for (const framework of crosswalk.frameworks || []) {
+    catalogs[framework] = await loadCatalog(framework, { catalogDir: options.catalogDir || CATALOG_DIR });
+  }
+
+  validateCrosswalk(crosswalk, catalogs);
+  return { crosswalk, catalogs };
+}
+
+/**
+ * Controls of other frameworks mapped to a control
+ * @param {Object} crosswalk - Crosswalk
+ * @param {string} framework - Framework of the control
+ * @param {string} controlId - Control id
+ * @returns {Object[]} `{framework, control_id, mapping}` entries, one per related control
+ */
+export function relatedControls(crosswalk, framework, controlId) {
+  const related = [];
+  const seen = new Set();
+
+  for (const mapping of crosswalk.mappings) {
+    if (!(mapping.controls[framework] || []).includes(controlId)) continue;
+    for (const [other, ids] of Object.entries(mapping.controls)) {
+      if (other === framework) continue;
+      for (const id of ids) {
+        const key = `${other}:${id}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        related.push({ framework: other, control_id: id, mapping: mapping.id });
+      }
+    }
+  }
+
+  return related;
+}
+
+// =============================================================================
+// Assessment
+// =============================================================================
+
+/**
+ * Assess the mapped controls of every crosswalk framework
+ *
+ * All frameworks are evaluated against a single repository context, so the
+ * repository is only walked once.
+ *
+ * @param {Object} crosswalk - Crosswalk
+ * @param {Object<string, Object>} catalogs - Catalogs by framework id
+ * @param {Object} options - Options
+ * @param {string} options.rootDir - Repository root
+ * @param {Object} options.config - `compliance` config section (default: from .eaos.config.json)
+ * @returns {Promise<Object<string, Object>>} Assessments by framework id
+ */
+export async function assessCrosswalk(crosswalk, catalogs, options = {}) {
+  const rootDir = options.rootDir || process.cwd();
+  const config = options.config || getConfigSection(rootDir, 'compliance');
+  const context = await createComplianceContext(rootDir, config);
+
+  const assessments = {};
+  for (const framework of crosswalk.frameworks) {
+    const mapped = new Set(crosswalk.mappings.flatMap(m => m.controls[framework] || []));
+    const catalog = catalogs[framework];
+    assessments[framework] = await assessCatalog(
+      { ...catalog, controls: catalog.controls.filter(c => mapped.has(c.id)) },
+      { rootDir, config, context }
+    );
+  }
+
+  return assessments;
+}
+
+/**
+ * Roll the statuses of a framework's controls in one mapping up to one status
+ * @param {Object[]} controls - Control results
+ * @returns {string|null} Status, or null when the framework has no controls in the mapping
+ */
+function rollupStatus(controls) {
+  if (controls.length === 0) return null;
+  const statuses = new Set(controls.map(c => c.status));
+  if (statuses.size === 1) return controls[0].status;
+  const automated = [...statuses].filter(status => status !== CONTROL_STATUS.MANUAL);
+  return automated.length === 1 ? automated[0] : CONTROL_STATUS.PARTIAL;
+}
+
+/**
+ * Build the crosswalk of framework assessments
+ *
+ * Prefill lists evidence of mapped controls in other frameworks for every
+ * control that is not satisfied yet; it does not change the control's own
+ * status, which still needs its own checks (or an auditor) to pass. Each
+ * gap lists the other frameworks and controls it affects.
+ *
+ * @param {Object} crosswalk - Crosswalk
+ * @param {Object<string, Object>} assessments - Assessments by framework id
+ * @returns {Object} Crosswalk report
+ */
+export function buildCrosswalk(crosswalk, assessments) {
+  const results = new Map();
+  for (const [framework, assessment] of Object.entries(assessments)) {
+    for (const control of assessment.controls) {
+      results.set(`${framework}:${control.id}`, control);
+    }
+  }
+  const resultOf = (framework, id) => results.get(`${framework}:${id}`);
+
+  const mappings = crosswalk.mappings.map(mapping => {
+    const frameworks = {};
+    for (const framework of crosswalk.frameworks) {
+      const controls = (mapping.controls[framework] || []).map(id => resultOf(framework, id)).filter(Boolean);
+      frameworks[framework] = {
+        status: rollupStatus(controls),
+        controls: controls.map(c => ({ id: c.id, status: c.status, evidence: controlEvidence(c) }))
+      };
+    }
+    return {
+      id: mapping.id,
+      title: mapping.title,
+      frameworks,
+      evidence: [...new Set(Object.values(frameworks).flatMap(f => f.controls.flatMap(c => c.evidence)))]
+    };
+  });
+
+  const prefill = [];
+  const gaps = [];
+  for (const [framework, assessment] of Object.entries(assessments)) {
+    for (const control of assessment.controls) {
+      if (control.status === CONTROL_STATUS.SATISFIED) continue;
+
+      const own = new Set(controlEvidence(control));
+      const related = relatedControls(crosswalk, framework, control.id)
+        .map(entry => ({ ...entry, result: resultOf(entry.framework, entry.control_id) }))
+        .filter(entry => entry.result);
+
+      const sources = related
+        .map(entry => ({
+          source: `${entry.framework}:${entry.control_id}`,
+          files: controlEvidence(entry.result).filter(file => !own.has(file))
+        }))
+        .filter(source => source.files.length > 0);
+      if (sources.length > 0) {
+        prefill.push({ framework, control_id: control.id, title: control.title, status: control.status, evidence: sources });
+      }
+
+      if (control.status === CONTROL_STATUS.GAP || control.status === CONTROL_STATUS.PARTIAL) {
+        gaps.push({
+          framework,
+          control_id: control.id,
+          title: control.title,
+          criticality: control.criticality,
+          gap_type: control.status === CONTROL_STATUS.GAP ? 'missing' : 'partial',
+          affects: [...new Set(related.map(entry => entry.framework))],
+          related: related.map(entry => ({
+            framework: entry.framework,
+            control_id: entry.control_id,
+            status: entry.result.status
+          }))
+        });
+      }
+    }
+  }
+
+  return {
+    version: crosswalk.version,
+    generated_at: new Date().toISOString(),
+    frameworks: crosswalk.frameworks.map(framework => ({
+      framework,
+      name: assessments[framework].name,
+      version: assessments[framework].version,
+      summary: assessments[framework].summary
+    })),
+    summary: {
+      mappings: mappings.length,
+      prefilled: prefill.length,
+      gaps: gaps.length,
+      cross_framework_gaps: gaps.filter(gap => gap.affects.length > 0).length
+    },
+    mappings,
+    prefill,
+    gaps
+  };
+}
+
+// =============================================================================
+// Report
+// =============================================================================
+
+/**
+ * Format a rolled-up mapping status
+ * @param {string|null} status - Status from buildCrosswalk()
+ * @returns {string}
+ */
+export function formatMappingStatus(status) {
+  return status ? STATUS_LABELS[status] : '-';
+}
+
+/**
+ * Build CrosswalkReport.md
+ * @param {Object} report - Crosswalk report from buildCrosswalk()
+ * @returns {string} Markdown document
+ */
+export function buildCrosswalkReport(report) {
+  const frameworks = report.frameworks.map(f => f.framework);
+  const lines = [
+    '# Compliance Crosswalk',
+    '',
+    `Generated: ${report.generated_at}`,
+    `Crosswalk version: ${report.version}`,
+    '',
+    '## Summary',
+    '',
+    `- Mapped requirements: ${report.summary.mappings}`,
+    `- Controls pre-filled from other frameworks: ${report.summary.prefilled}`,
+    `- Gaps: ${report.summary.gaps} (${report.summary.cross_framework_gaps} affect other frameworks)`,
+    '',
+    '## Requirements',
+    '',
+    `| Requirement | ${frameworks.join(' | ')} |`,
+    `|-------------|${frameworks.map(() => '------').join('|')}|`
+  ];
+
+  for (const mapping of report.mappings) {
+    const cells = frameworks.map(framework => {
+      const entry = mapping.frameworks[framework];
+      if (entry.controls.length === 0) return '-';
+      return `${formatMappingStatus(entry.status)} (${entry.controls.map(c => c.id).join(', ')})`;
+    });
+    lines.push(`| ${[mapping.title, ...cells].map(escapeCell).join(' | ')} |`);
+  }
+
+  lines.push('', '## Pre-filled Evidence', '');
+  if (report.prefill.length === 0) {
+    lines.push('No controls to pre-fill.');
+  } else {
+    lines.push('| Framework | Control | Status | Evidence from |');
+    lines.push('|-----------|---------|--------|---------------|');
+    for (const entry of report.prefill) {
+      const sources = entry.evidence.map(source => `${source.source}: ${source.files.join(', ')}`).join('; ');
+      lines.push(`| ${[entry.framework, `${entry.control_id} ${entry.title}`, entry.status, sources].map(escapeCell).join(' | ')} |`);
+    }
+  }
+
+  lines.push('', '## Gap Impact', '');
+  if (report.gaps.length === 0) {
+    lines.push('No gaps identified.');
+  } else {
+    lines.push('| Framework | Control | Gap | Affects | Related controls |');
+    lines.push('|-----------|---------|-----|---------|------------------|');
+    for (const gap of report.gaps) {
+      const related = gap.related.map(r => `${r.framework}:${r.control_id} (${r.status})`).join(', ') || '-';
+      const cells = [gap.framework, `${gap.control_id} ${gap.title}`, gap.gap_type, gap.affects.join(', ') || '-', related];
+      lines.push(`| ${cells.map(escapeCell).join(' | ')} |`);
+    }
+  }
+
+  lines.push('');
+  return lines.join('\n');
+}
+
+/**
+ * Write CrosswalkReport.md
+ * @param {Object} report - Crosswalk report from buildCrosswalk()
+ * @param {string} outputDir - Directory to write to (e.g. compliance/crosswalk)
+ * @returns {Promise<string>} Written path
+ */
+export async function writeCrosswalkReport(report, outputDir) {
+  await fs.ensureDir(outputDir);
+  const reportPath = path.join(outputDir, CROSSWALK_REPORT);
+  await fs.writeFile(reportPath, buildCrosswalkReport(report));
+  return reportPath;
+}
+
+// =============================================================================
+// Export
+// =============================================================================
+
+export { CROSSWALK_PATH, CROSSWALK_REPORT };
+
+export default {
+  CROSSWALK_PATH,
+  CROSSWALK_REPORT,
+  assessCrosswalk,
+  buildCrosswalk,
+  buildCrosswalkReport,
+  formatMappingStatus,
+  loadCrosswalk,
+  relatedControls,
+  validateCrosswalk,
+  writeCrosswalkReport
+};
@@ -0,0 +1,541 @@
+/**
+ * EAOS Autonomy Daemon Module
+ *
+ * Keeps the autonomy engine alive between CLI invocations:
+ * - One daemon per repository, guarded by a lock and PID file in .eaos/autonomy
+ * - `on`, `off`, `status`, `reload` and `shutdown` requests over a local
+ *   Unix socket (a named pipe on Windows), one JSON line each way
+ * - SIGTERM and SIGINT stop the engine gracefully; SIGHUP reloads the config
+ * - Whether autonomy is on survives daemon restarts (daemon.json)
+ */
+
+import fs from 'fs-extra';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { createHash, randomUUID } from 'crypto';
+import { createAutonomyEngine, ENGINE_STATES, HDM_LEVELS } from './autonomy.js';
+import { getConfigSection } from './config.js';
+import { DaemonError, TimeoutError, ValidationError } from './errors.js';
+import { EAOSLogger } from './logger.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const DAEMON_DIR = path.join('.eaos', 'autonomy');
+
+const DAEMON_FILES = {
+  pid: 'daemon.pid',
+  lock: 'daemon.lock',
+  socket: 'daemon.sock',
+  state: 'daemon.json'
+};
+
+const DAEMON_COMMANDS = {
+  STATUS: 'status',
+  ON: 'on',
+  OFF: 'off',
+  RELOAD: 'reload',
+  SHUTDOWN: 'shutdown'
+};
+
+// Unix socket paths are limited to ~104 bytes; longer ones move to the temp dir
+const MAX_SOCKET_PATH = 100;
+
+// Requests larger than this are not valid commands
+const MAX_REQUEST_BYTES = 64 * 1024;
+
+const REQUEST_TIMEOUT = 10000;
+
+// Locks held by this process, so a second daemon in the same process is refused
+const heldLocks = new Set();
+
+// =============================================================================
+// Paths and Lock
+// =============================================================================
+
+/**
+ * Get the files of a repository's daemon
+ * @param {string} rootDir - Repository root
+ * @returns {{dir: string, pid: string, lock: string, socket: string, state: string}}
+ */
+export function getDaemonPaths(rootDir) {
+  const dir = path.join(path.resolve(rootDir), DAEMON_DIR);
+  const id = createHash('sha256').update(path.resolve(rootDir)).digest('hex').slice(0, 12);
+
+  let socket = path.join(dir, DAEMON_FILES.socket);
+  if (process.platform === 'win32') {
+    socket = `\\\\.\\pipe\\eaos-autonomy-${id}`;
+  } else if (socket.length > MAX_SOCKET_PATH) {
+    socket = path.join(os.tmpdir(), `eaos-autonomy-${id}.sock`);
+  }
+
+  return {
+    dir,
+    pid: path.join(dir, DAEMON_FILES.pid),
+    lock: path.join(dir, DAEMON_FILES.lock),
+    socket,
+    state: path.join(dir, DAEMON_FILES.state)
+  };
+}
+
+/**
+ * Check if a process exists
+ * @param {number} pid - Process id
+ * @returns {boolean}
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Read the process id stored in a file
+ * @param {string} file - PID or lock file
+ * @returns {Promise<number|null>}
+ */
+async function readPidFile(file) {
+  try {
+    const pid = parseInt(await fs.readFile(file, 'utf8'), 10);
+    return Number.isInteger(pid) && pid > 0 ? pid : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Take the daemon lock of a repository
+ *
+ * A lock left behind by a process that no longer exists is taken over. The
+ * pid is written to a temporary file that is then linked into place, so the
+ * lock never exists without its pid and cannot be mistaken for a stale one.
+ *
+ * @param {string} lockPath - Lock file
+ * @throws {DaemonError} If another live process holds the lock
+ */
+export async function acquireDaemonLock(lockPath) {
+  const tempPath = `${lockPath}.${randomUUID()}.tmp`;
+  await fs.writeFile(tempPath, `${process.pid}\n`);
+
+  try {
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        await fs.link(tempPath, lockPath);
+        heldLocks.add(lockPath);
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+
+        const holder = await readPidFile(lockPath);
+        const live = holder === process.pid ? heldLocks.has(lockPath) : holder && isProcessAlive(holder);
+        if (live) {
+          throw new DaemonError(`Autonomy daemon is already running (pid ${holder})`, { pid: holder, lock: lockPath });
+        }
+        await fs.remove(lockPath);
+      }
+    }
+  } finally {
+    await fs.remove(tempPath);
+  }
+
+  throw new DaemonError('Could not acquire the autonomy daemon lock', { lock: lockPath });
+}
+
+/**
+ * Release a daemon lock taken by this process
+ * @param {string} lockPath - Lock file
+ */
+export async function releaseDaemonLock(lockPath) {
+  if (heldLocks.delete(lockPath)) {
+    await fs.remove(lockPath);
+  }
+}
+
+/**
+ * Get the process id of a repository's running daemon
+ * @param {string} rootDir - Repository root
+ * @returns {Promise<number|null>} Process id, or null if no daemon is running
+ */
+export async function readDaemonPid(rootDir) {
+  const pid = await readPidFile(getDaemonPaths(rootDir).pid);
+  return pid && isProcessAlive(pid) ? pid : null;
+}
+
+// =============================================================================
+// Autonomy Daemon
+// =============================================================================
+
+/**
+ * Long-running host of an autonomy engine
+ */
+export class AutonomyDaemon {
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || process.cwd();
+    this.paths = getDaemonPaths(this.rootDir);
+    this.logger = options.logger || new EAOSLogger({ component: 'autonomy-daemon' });
+    this.engine = options.engine || createAutonomyEngine({ rootDir: this.rootDir });
+    this.handleSignals = options.handleSignals !== false;
+
+    this.server = null;
+    this.startedAt = null;
+    this.signalHandlers = null;
+    this.stopping = null;
+    this.draining = null;
+    this.closed = new Promise(resolve => {
+      this.resolveClosed = resolve;
+    });
+  }
+
+  /**
+   * Start the daemon
+   *
+   * Takes the lock, initializes the engine, starts it if autonomy was on and
+   * begins accepting requests.
+   *
+   * @throws {DaemonError} If a daemon is already running for the repository
+   */
+  async start() {
+    await fs.ensureDir(this.paths.dir);
+    await acquireDaemonLock(this.paths.lock);
+
+    try {
+      await this.engine.initialize();
+
+      const saved = await this.loadDaemonState();
+      if (saved.enabled) {
+        this.engine.hdmLevel = saved.hdmLevel ?? this.engine.hdmLevel;
+        await this.engine.start();
+      }
+
+      await this.listen();
+      await fs.writeFile(this.paths.pid, `${process.pid}\n`);
+    } catch (error) {
+      this.server?.close();
+      this.server = null;
+      await this.engine.stop();
+      await this.release();
+      throw error;
+    }
+
+    this.startedAt = new Date().toISOString();
+    if (this.handleSignals) {
+      this.installSignalHandlers();
+    }
+
+    this.logger.info(`Autonomy daemon started (pid ${process.pid})`, { socket: this.paths.socket });
+  }
+
+  /**
+   * Stop the daemon: stop accepting requests, let running cycles finish and
+   * remove the lock, PID file and socket
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.stopping) {
+      this.stopping = (async () => {
+        this.removeSignalHandlers();
+        if (this.server) {
+          await new Promise(resolve => this.server.close(() => resolve()));
+          this.server = null;
+        }
+        await this.engine.stop();
+        await this.draining;
+        await this.release();
+
+        this.logger.info('Autonomy daemon stopped');
+        this.resolveClosed();
+      })();
+    }
+    return this.stopping;
+  }
+
+  /**
+   * Wait until the daemon has stopped
+   * @returns {Promise<void>}
+   */
+  wait() {
+    return this.closed;
+  }
+
+  /**
+   * Reload cycle schedules from .eaos.config.json
+   */
+  async reload() {
+    this.engine.reloadSchedules();
+    this.logger.info('Autonomy daemon reloaded configuration');
+  }
+
+  /**
+   * Get the daemon and engine status
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      daemon: {
+        pid: process.pid,
+        startedAt: this.startedAt,
+        socket: this.paths.socket
+      },
+      ...this.engine.getStatus()
+    };
+  }
+
+  /**
+   * Handle a request from a client
+   * @param {Object} request - `{command, ...}`
+   * @returns {Promise<Object>} Result
+   * @throws {ValidationError} If the request is invalid
+   */
+  async handleRequest(request) {
+    switch (request?.command) {
+    case DAEMON_COMMANDS.STATUS:
+      return this.getStatus();
+
+    case DAEMON_COMMANDS.ON: {
+      // Let a previous `off` finish stopping, so its ENGINE_STOP cannot
+      // follow this start
+      await this.draining;
+      if (request.hdmLevel !== undefined) {
+        if (!Object.values(HDM_LEVELS).includes(request.hdmLevel)) {
+          throw new ValidationError(`Invalid HDM level: ${request.hdmLevel}`);
+        }
+        this.engine.hdmLevel = request.hdmLevel;
+      }
+      if (this.engine.state === ENGINE_STATES.PAUSED) {
+        await this.engine.resume();
+      } else {
+        await this.engine.start();
+      }
+      await this.saveDaemonState();
+      return this.getStatus();
+    }
+
+    case DAEMON_COMMANDS.OFF:
+      // The engine clears its timers before it waits for running cycles;
+      // answer then and let the cycles finish in the background
+      this.draining = this.engine.stop().catch(error => {
+        this.logger.error('Failed to stop autonomy engine', { error: error.message });
+      });
+      await this.saveDaemonState();
+      return this.getStatus();
+
+    case DAEMON_COMMANDS.RELOAD:
+      await this.reload();
+      return this.getStatus();
+
+    case DAEMON_COMMANDS.SHUTDOWN:
+      // Answer first; the connection would not survive the shutdown
+      setImmediate(() => this.stop());
+      return { pid: process.pid, stopping: true };
+
+    default:
+      throw new ValidationError(`Unknown daemon command: ${request?.command}`);
+    }
+  }
+
+  /**
+   * Start the request server
+   */
+  async listen() {
+    if (process.platform !== 'win32') {
+      // The lock is held, so a socket file left here belongs to a dead daemon
+      await fs.remove(this.paths.socket);
+    }
+
+    this.server = net.createServer(socket => this.handleConnection(socket));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.paths.socket, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    if (process.platform !== 'win32') {
+      await fs.chmod(this.paths.socket, 0o600);
+    }
+  }
+
+  /**
+   * Answer the request of one connection
+   * @param {net.Socket} socket - Client connection
+   */
+  handleConnection(socket) {
+    let buffer = '';
+    socket.setEncoding('utf8');
+    socket.on('error', () => {});
+
+    socket.on('data', async (chunk) => {
+      buffer += chunk;
+      const newline = buffer.indexOf('\n');
+      if (newline < 0) {
+        if (buffer.length > MAX_REQUEST_BYTES) socket.destroy();
+        return;
+      }
+
+      const line = buffer.slice(0, newline);
+      socket.pause();
+
+      let response;
+      try {
+        response = { ok: true, result: await this.handleRequest(JSON.parse(line)) };
+      } catch (error) {
+        response = { ok: false, error: error.message };
+      }
+      socket.end(JSON.stringify(response) + '\n');
+    });
+  }
+
+  /**
+   * Load whether autonomy was on when the daemon last ran
+   *
+   * Defaults to `autonomy.enabled` in .eaos.config.json.
+   *
+   * @returns {Promise<{enabled: boolean, hdmLevel?: number}>}
+   */
+  async loadDaemonState() {
+    try {
+      return await fs.readJson(this.paths.state);
+    } catch {
+      return { enabled: getConfigSection(this.rootDir, 'autonomy').enabled === true };
+    }
+  }
+
+  /**
+   * Persist whether autonomy is on
+   */
+  async saveDaemonState() {
+    await fs.writeJson(this.paths.state, {
+      enabled: this.engine.state !== ENGINE_STATES.STOPPED,
+      hdmLevel: this.engine.hdmLevel,
+      updatedAt: new Date().toISOString()
+    }, { spaces: 2 });
+  }
+
+  /**
+   * Handle SIGTERM, SIGINT and SIGHUP
+   */
+  installSignalHandlers() {
+    const shutdown = (signal) => {
+      this.logger.info(`Received ${signal}, stopping autonomy daemon`);
+      this.stop().catch(error => this.logger.error('Autonomy daemon failed to stop', { error: error.message }));
+    };
+    const reload = () => {
+      this.reload().catch(error => this.logger.error('Autonomy daemon failed to reload', { error: error.message }));
+    };
+
+    this.signalHandlers = { SIGTERM: shutdown, SIGINT: shutdown };
+    if (process.platform !== 'win32') {
+      this.signalHandlers.SIGHUP = reload;
+    }
+    for (const [signal, handler] of Object.entries(this.signalHandlers)) {
+      process.on(signal, handler);
+    }
+  }
+
+  /**
+   * Remove the signal handlers installed by the daemon
+   */
+  removeSignalHandlers() {
+    for (const [signal, handler] of Object.entries(this.signalHandlers || {})) {
+      process.off(signal, handler);
+    }
+    this.signalHandlers = null;
+  }
+
+  /**
+   * Remove the PID file, socket and lock if this process owns them
+   */
+  async release() {
+    if (!heldLocks.has(this.paths.lock)) {
+      return;
+    }
+
+    await fs.remove(this.paths.pid);
+    if (process.platform !== 'win32') {
+      await fs.remove(this.paths.socket);
+    }
+    await releaseDaemonLock(this.paths.lock);
+  }
+}
+
+// =============================================================================
+// Client
+// =============================================================================
+
+/**
+ * Send a request to a repository's running daemon
+ * @param {string} rootDir - Repository root
+ * @param {string} command - One of DAEMON_COMMANDS
+ * @param {Object} payload - Additional request fields
+ * @param {Object} options - Options
+ * @param {number} options.timeout - Milliseconds to wait for the answer (default: 10000)
+ * @returns {Promise<Object>} Result of the request
+ * @throws {DaemonError} If no daemon is running (`details.notRunning`) or the request failed
+ */
+export function sendDaemonCommand(rootDir, command, payload = {}, options = {}) {
+  const { socket: socketPath } = getDaemonPaths(rootDir);
+  const timeout = options.timeout || REQUEST_TIMEOUT;
+
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection(socketPath);
+    let buffer = '';
+
+    const timer = setTimeout(() => {
+      socket.destroy();
+      reject(new TimeoutError(`Autonomy daemon did not answer within ${timeout}ms`, { timeout, command }));
+    }, timeout);
+
+    socket.setEncoding('utf8');
+    socket.on('connect', () => socket.write(JSON.stringify({ ...payload, command }) + '\n'));
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+    });
+    socket.on('end', () => {
+      clearTimeout(timer);
+      let response;
+      try {
+        response = JSON.parse(buffer);
+      } catch {
+        reject(new DaemonError('Invalid response from autonomy daemon', { command }));
+        return;
+      }
+      if (response.ok) {
+        resolve(response.result);
+      } else {
+        reject(new DaemonError(response.error, { command }));
+      }
+    });
+    socket.on('error', (error) => {
+      clearTimeout(timer);
+      if (['ENOENT', 'ECONNREFUSED'].includes(error.code)) {
+        reject(new DaemonError('Autonomy daemon is not running', { notRunning: true, socket: socketPath }));
+      } else {
+        reject(new DaemonError(`Autonomy daemon request failed: ${error.message}`, { command }));
+      }
+    });
+  });
+}
+
+// =============================================================================
+// Export
+// =============================================================================
+
+export { DAEMON_COMMANDS, DAEMON_FILES };
+
+export default {
+  AutonomyDaemon,
+  DAEMON_COMMANDS,
+  DAEMON_FILES,
+  getDaemonPaths,
+  acquireDaemonLock,
+  releaseDaemonLock,
+  readDaemonPid,
+  sendDaemonCommand
+};
@@ -0,0 +1,254 @@
+/**
+ * EAOS Compliance Drift Module
+ *
+ * Persists compliance evaluation results and detects drift between runs:
+ * - Each evaluation is kept per framework in .eaos/compliance/<framework>.json
+ * - A control drifts when it was satisfied in the previous run and is a gap
+ *   or only partial in the next one
+ * - Drift is emitted as a `compliance:drift` event and recorded in the
+ *   memory kernel's `compliance_security` domain
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { CONTROL_STATUS } from './compliance.js';
+import { ComplianceEvents, getEventBus } from './events.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const COMPLIANCE_HISTORY_DIR = path.join('.eaos', 'compliance');
+const MEMORY_STATE = path.join('memory', 'state.json');
+const MEMORY_DOMAIN = 'compliance_security';
+
+// Runs kept per framework
+const MAX_RUNS = 30;
+
+const FAILING_STATUSES = [CONTROL_STATUS.GAP, CONTROL_STATUS.PARTIAL];
+
+// =============================================================================
+// History
+// =============================================================================
+
+/**
+ * Path of a framework's evaluation history
+ * @param {string} rootDir - Repository root
+ * @param {string} framework - Framework id
+ * @returns {string}
+ */
+function historyPath(rootDir, framework) {
+  return path.join(rootDir, COMPLIANCE_HISTORY_DIR, `${framework}.json`);
+}
+
+/**
+ * Reduce an assessment to the control statuses drift is detected on
+ * @param {Object} assessment - Assessment from assessCatalog()
+ * @returns {Object} Run
+ */
+export function snapshotAssessment(assessment) {
+  const controls = {};
+  for (const control of assessment.controls) {
+    controls[control.id] = { title: control.title, criticality: control.criticality, status: control.status };
+  }
+
+  return {
+    id: `${assessment.framework}-${Date.parse(assessment.generated_at) || Date.now()}`,
+    framework: assessment.framework,
+    evaluated_at: assessment.generated_at,
+    ...(assessment.baseline ? { baseline: assessment.baseline } : {}),
+    ...(assessment.scope ? { scope: assessment.scope } : {}),
+    summary: assessment.summary,
+    controls,
+    drift_reported: false
+  };
+}
+
+/**
+ * Load the evaluation history of a framework
+ * @param {string} framework - Framework id
+ * @param {Object} options - Options
+ * @param {string} options.rootDir - Repository root
+ * @returns {Promise<Object>} `{framework, runs}`, oldest run first
+ */
+export async function loadComplianceHistory(framework, options = {}) {
+  const file = historyPath(options.rootDir || process.cwd(), framework);
+  if (!await fs.pathExists(file)) {
+    return { framework, runs: [] };
+  }
+
+  try {
+    const history = await fs.readJson(file);
+    return { framework, runs: Array.isArray(history.runs) ? history.runs : [] };
+  } catch {
+    // Start a new history if the file is corrupted
+    return { framework, runs: [] };
+  }
+}
+
+/**
+ * Save the evaluation history of a framework, keeping the latest runs
+ * @param {Object} history - `{framework, runs}`
+ * @param {Object} options - Options
+ * @param {string} options.rootDir - Repository root
+ */
+async function saveComplianceHistory(history, options = {}) {
+  const file = historyPath(options.rootDir || process.cwd(), history.framework);
+  await fs.outputJson(file, { framework: history.framework, runs: history.runs.slice(-MAX_RUNS) }, { spaces: 2 });
+}
+
+/**
+ * Persist an evaluation result
+ * @param {Object} assessment - Assessment from assessCatalog()
+ * @param {Object} options - Options
+ * @param {string} options.rootDir - Repository root
+ * @returns {Promise<Object>} `{run, previous}` with previous null on the first run
+ */
+export async function recordComplianceRun(assessment, options = {}) {
+  const history = await loadComplianceHistory(assessment.framework, options);
+  const previous = history.runs[history.runs.length - 1] || null;
+  const run = snapshotAssessment(assessment);
+
+  history.runs.push(run);
+  await saveComplianceHistory(history, options);
+
+  return { run, previous };
+}
+
+// =============================================================================
+// Drift
+// =============================================================================
+
+/**
+ * Controls that went from passing to failing between two runs
+ *
+ * Controls missing from either run (e.g. another baseline or scope) and
+ * manual controls are not compared.
+ *
+ * @param {Object} previous - Earlier run
+ * @param {Object} current - Later run
+ * @returns {Object[]} `{control_id, title, criticality, from, to}` per drifted control
+ */
+export function detectDrift(previous, current) {
+  if (!previous) return [];
+
+  const drift = [];
+  for (const [id, control] of Object.entries(current.controls)) {
+    const before = previous.controls[id];
+    if (before?.status === CONTROL_STATUS.SATISFIED && FAILING_STATUSES.includes(control.status)) {
+      drift.push({
+        control_id: id,
+        title: control.title,
+        criticality: control.criticality,
+        from: before.status,
+        to: control.status
+      });
+    }
+  }
+  return drift;
+}
+
+/**
+ * Record drift in the memory kernel's `compliance_security` domain
+ * @param {Object} drift - Drift event data from reportComplianceDrift()
+ * @param {Object} options - Options
+ * @param {string} options.rootDir - Repository root
+ * @returns {Promise<boolean>} False if the memory kernel is not initialized
+ */
+export async function recordDriftInMemory(drift, options = {}) {
+  const statePath = path.join(options.rootDir || process.cwd(), MEMORY_STATE);
+  if (!await fs.pathExists(statePath)) return false;
+
+  const state = await fs.readJson(statePath);
+  state.domains = state.domains || {};
+  const domain = state.domains[MEMORY_DOMAIN] || {};
+  domain.entries = Array.isArray(domain.entries) ? domain.entries : [];
+  domain.entries.push({
+    type: 'compliance_drift',
+    recorded_at: new Date().toISOString(),
+    ...drift
+  });
+  state.domains[MEMORY_DOMAIN] = domain;
+  state.last_updated = new Date().toISOString();
+
+  await fs.writeJson(statePath, state, { spaces: 2 });
+  return true;
+}
+
+/**
+ * Compare the unreported runs of a framework with their predecessors
+ *
+ * Each run that drifted emits one `compliance:drift` event and one memory
+ * kernel entry. Runs are only reported once, so the daily compliance check
+ * and drift detection tasks can both call this.
+ *
+ * @param {string} framework - Framework id
+ * @param {Object} options - Options
+ * @param {string} options.rootDir - Repository root
+ * @param {EventBus} options.eventBus - Event bus (default: global)
+ * @returns {Promise<Object[]>} Drift event data, one entry per drifted run
+ */
+export async function reportComplianceDrift(framework, options = {}) {
+  const eventBus = options.eventBus || getEventBus();
+  const history = await loadComplianceHistory(framework, options);
+
+  const reported = [];
+  history.runs.forEach((run, index) => {
+    if (run.drift_reported) return;
+    run.drift_reported = true;
+
+    const previous = history.runs[index - 1] || null;
+    const controls = detectDrift(previous, run);
+    if (controls.length > 0) {
+      reported.push({
+        framework,
+        run_id: run.id,
+        previous_run_id: previous.id,
+        evaluated_at: run.evaluated_at,
+        controls
+      });
+    }
+  });
+
+  if (history.runs.length > 0) {
+    await saveComplianceHistory(history, options);
+  }
+
+  for (const drift of reported) {
+    await eventBus.emit(ComplianceEvents.DRIFT, drift);
+    await recordDriftInMemory(drift, options);
+  }
+
+  return reported;
+}
+
+/**
+ * Frameworks with a persisted evaluation history
+ * @param {Object} options - Options
+ * @param {string} options.rootDir - Repository root
+ * @returns {Promise<string[]>}
+ */
+export async function listComplianceHistories(options = {}) {
+  const dir = path.join(options.rootDir || process.cwd(), COMPLIANCE_HISTORY_DIR);
+  if (!await fs.pathExists(dir)) return [];
+  const entries = await fs.readdir(dir);
+  return entries.filter(f => f.endsWith('.json')).map(f => f.slice(0, -5)).sort();
+}
+
+// =============================================================================
+// Export
+// =============================================================================
+
+export { COMPLIANCE_HISTORY_DIR, MAX_RUNS };
+
+export default {
+  COMPLIANCE_HISTORY_DIR,
+  MAX_RUNS,
+  detectDrift,
+  listComplianceHistories,
+  loadComplianceHistory,
+  recordComplianceRun,
+  recordDriftInMemory,
+  reportComplianceDrift,
+  snapshotAssessment
+};
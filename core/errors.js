@@ -94,6 +94,16 @@ export class ApprovalRequiredError extends EAOSError {
   }
 }
 
+/**
+ * Daemon error (not running, already running, failed request)
+ */
+export class DaemonError extends EAOSError {
+  constructor(message, details = {}) {
+    super(message, 'EAOS_DAEMON_ERROR', details);
+    this.name = 'DaemonError';
+  }
+}
+
 // =============================================================================
 // Error Handling Utilities
 // =============================================================================
@@ -181,11 +191,16 @@ export async function withRetry(fn, options = {}) {
  * @returns {Promise} Result of the function
  */
 export async function withTimeout(fn, timeout, message = 'Operation timed out') {
+  let timer;
   const timeoutPromise = new Promise((_, reject) => {
-    setTimeout(() => reject(new TimeoutError(message, { timeout })), timeout);
+    timer = setTimeout(() => reject(new TimeoutError(message, { timeout })), timeout);
   });
 
-  return Promise.race([fn(), timeoutPromise]);
+  try {
+    return await Promise.race([fn(), timeoutPromise]);
+  } finally {
+    clearTimeout(timer);
+  }
 }
 
 /**
@@ -430,6 +445,7 @@ export default {
   TimeoutError,
   ComplianceError,
   ApprovalRequiredError,
+  DaemonError,
   AggregateError,
   // Utilities
   withErrorHandling,
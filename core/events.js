@@ -277,6 +277,11 @@ export const PluginEvents = {
   AFTER_TASK: 'plugin:hook:after:task'
 };
 
+export const ComplianceEvents = {
+  // A control went from passing to failing between two evaluations
+  DRIFT: 'compliance:drift'
+};
+
 // =============================================================================
 // Singleton Instance
 // =============================================================================
@@ -310,6 +315,7 @@ export default {
   EventBus,
   AutonomyEvents,
   PluginEvents,
+  ComplianceEvents,
   getEventBus,
   createEventBus
 };
@@ -0,0 +1,328 @@
+/**
+ * EAOS Evidence Module
+ *
+ * Collects compliance evidence into a bundle auditors can verify later:
+ * - Snapshots audit results and logs, autonomy cycle reports, the reasoning
+ *   graph, config and policies
+ * - Links each assessed control to the evidence that satisfied it
+ * - Records a SHA-256 manifest (plus a `sha256sum -c` compatible SHA256SUMS)
+ * - Verifies a bundle against its manifest
+ */
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Ajv from 'ajv/dist/2020.js';
+import { FileSystemError, ValidationError } from './errors.js';
+import { matchesGlob } from './glob.js';
+import { DEFAULT_POLICY_PACK, controlEvidence } from './compliance.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const MANIFEST_SCHEMA = path.join(__dirname, '..', 'manifests', 'COMPLIANCE_EVIDENCE_MANIFEST_SCHEMA.json');
+
+const MANIFEST_VERSION = '1.0.0';
+const MANIFEST_FILE = 'manifest.json';
+const CHECKSUM_FILE = 'SHA256SUMS';
+const FILES_DIR = 'files';
+
+// Evidence snapshotted into every bundle, by source
+const EVIDENCE_SOURCES = {
+  audit: ['audit/**', 'logs/*.log'],
+  autonomy: ['.eaos/autonomy/logs/*.json', '.eaos/autonomy/last_cycle_report.json'],
+  reasoning: ['memory/reasoning_graph.json'],
+  config: ['.eaos.config.json']
+};
+
+// =============================================================================
+// Collection
+// =============================================================================
+
+/**
+ * Compute the SHA-256 digest of a file
+ * @param {string} filePath - Absolute path
+ * @returns {Promise<string>} Hex digest
+ */
+export async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  hash.update(await fs.readFile(filePath));
+  return hash.digest('hex');
+}
+
+/**
+ * List all files below a directory
+ *
+ * Unlike walkRepository() nothing is skipped: evidence lives in
+ * directories the audit walker ignores (audit/, logs/, .eaos/).
+ *
+ * @param {string} dir - Absolute directory
+ * @returns {Promise<string[]>} Relative POSIX paths, sorted
+ */
+async function listFilesBelow(dir) {
+  const files = [];
+  const pending = [''];
+
+  while (pending.length > 0) {
+    const relDir = pending.shift();
+    let entries;
+    try {
+      entries = await fs.readdir(path.join(dir, relDir), { withFileTypes: true });
+    } catch {
+      continue;
+    }
+
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      const relPath = relDir ? `${relDir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        pending.push(relPath);
+      } else if (entry.isFile()) {
+        files.push(relPath);
+      }
+    }
+  }
+
+  return files;
+}
+
+/**
+ * List repository files matching a glob
+ *
+ * Only the directory before the first wildcard is walked.
+ *
+ * @param {string} rootDir - Repository root
+ * @param {string} pattern - Repository-relative glob
+ * @returns {Promise<string[]>} Relative POSIX paths
+ */
+async function expandGlob(rootDir, pattern) {
+  const segments = pattern.split('/');
+  const wildcard = segments.findIndex(segment => /[*?]/.test(segment));
+
+  if (wildcard === -1) {
+    const stat = await fs.stat(path.join(rootDir, pattern)).catch(() => null);
+    return stat?.isFile() ? [pattern] : [];
+  }
+
+  const base = segments.slice(0, wildcard).join('/');
+  const files = await listFilesBelow(path.join(rootDir, base));
+  return files
+    .map(file => (base ? `${base}/${file}` : file))
+    .filter(file => matchesGlob(file, pattern));
+}
+
+/**
+ * Resolve the evidence files of a bundle
+ * @param {string} rootDir - Repository root
+ * @param {Object} options - Options
+ * @param {string} options.policyPack - Policy pack directory
+ * @param {Object} options.assessment - Assessment whose control evidence is included
+ * @returns {Promise<Array<{path: string, source: string}>>} Files in collection order
+ */
+export async function resolveEvidenceFiles(rootDir, options = {}) {
+  const sources = {
+    ...EVIDENCE_SOURCES,
+    policies: [`${options.policyPack || DEFAULT_POLICY_PACK}/**`]
+  };
+  const files = new Map();
+
+  for (const [source, patterns] of Object.entries(sources)) {
+    for (const pattern of patterns) {
+      for (const file of await expandGlob(rootDir, pattern)) {
+        if (!files.has(file)) files.set(file, source);
+      }
+    }
+  }
+
+  for (const control of options.assessment?.controls || []) {
+    for (const file of controlEvidence(control)) {
+      if (files.has(file)) continue;
+      const stat = await fs.stat(path.join(rootDir, file)).catch(() => null);
+      if (stat?.isFile()) {
+        files.set(file, 'controls');
+      }
+    }
+  }
+
+  return [...files].map(([file, source]) => ({ path: file, source }));
+}
+
+// =============================================================================
+// Bundles
+// =============================================================================
+
+let manifestValidator = null;
+
+/**
+ * Validate an evidence manifest against its schema
+ * @param {Object} manifest - Parsed manifest
+ * @throws {ValidationError} If the manifest is malformed
+ */
+export function validateManifest(manifest) {
+  if (!manifestValidator) {
+    const ajv = new Ajv({ allErrors: true, strict: false, validateFormats: false });
+    manifestValidator = ajv.compile(fs.readJsonSync(MANIFEST_SCHEMA));
+  }
+
+  if (!manifestValidator(manifest)) {
+    throw new ValidationError(`${MANIFEST_FILE} does not match its schema`, {
+      errors: manifestValidator.errors.map(e => `${e.instancePath || '/'} ${e.message}`)
+    });
+  }
+}
+
+/**
+ * Collect an evidence bundle
+ *
+ * Files are copied to `<bundle>/files/` under their repository path and
+ * hashed after copying, so the manifest describes exactly what the bundle
+ * holds. The returned digest of manifest.json should be recorded outside
+ * the bundle: with it, replacing both a file and its manifest entry is
+ * also detected.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.rootDir - Repository root
+ * @param {string} options.framework - Framework the bundle is collected for
+ * @param {string} options.outputDir - Directory holding bundles (default: compliance/<framework>/EvidenceBundle)
+ * @param {Object} options.assessment - Assessment from assessFramework(), for control links
+ * @param {string} options.policyPack - Policy pack directory
+ * @returns {Promise<Object>} `{bundleDir, manifest, digest}`
+ */
+export async function createEvidenceBundle(options = {}) {
+  const rootDir = options.rootDir || process.cwd();
+  const framework = options.framework;
+  const outputDir = options.outputDir || path.join(rootDir, 'compliance', framework, 'EvidenceBundle');
+  const collectedAt = new Date().toISOString();
+  const bundleDir = path.join(outputDir, collectedAt.replace(/[:.]/g, '-'));
+
+  // A failed collection must not leave a bundle that looks complete
+  try {
+    const files = [];
+    for (const entry of await resolveEvidenceFiles(rootDir, options)) {
+      const target = path.join(bundleDir, FILES_DIR, entry.path);
+      await fs.copy(path.join(rootDir, entry.path), target, { preserveTimestamps: true });
+      const stat = await fs.stat(target);
+      files.push({
+        path: entry.path,
+        source: entry.source,
+        sha256: await hashFile(target),
+        size: stat.size,
+        modified_at: stat.mtime.toISOString()
+      });
+    }
+
+    const collected = new Set(files.map(f => f.path));
+    const bySource = {};
+    for (const file of files) {
+      bySource[file.source] = (bySource[file.source] || 0) + 1;
+    }
+
+    const manifest = {
+      version: MANIFEST_VERSION,
+      framework,
+      collected_at: collectedAt,
+      summary: {
+        files: files.length,
+        bytes: files.reduce((sum, f) => sum + f.size, 0),
+        by_source: bySource
+      },
+      files,
+      controls: (options.assessment?.controls || []).map(control => ({
+        id: control.id,
+        title: control.title,
+        status: control.status,
+        evidence: controlEvidence(control).filter(file => collected.has(file))
+      }))
+    };
+
+    validateManifest(manifest);
+
+    await fs.ensureDir(bundleDir);
+    const manifestPath = path.join(bundleDir, MANIFEST_FILE);
+    await fs.writeJson(manifestPath, manifest, { spaces: 2 });
+    const digest = await hashFile(manifestPath);
+
+    const checksums = [
+      ...files.map(f => `${f.sha256}  ${FILES_DIR}/${f.path}`),
+      `${digest}  ${MANIFEST_FILE}`
+    ];
+    await fs.writeFile(path.join(bundleDir, CHECKSUM_FILE), checksums.join('\n') + '\n');
+
+    return { bundleDir, manifest, digest };
+  } catch (error) {
+    await fs.remove(bundleDir);
+    throw error;
+  }
+}
+
+/**
+ * Verify an evidence bundle against its manifest
+ * @param {string} bundleDir - Bundle directory
+ * @param {Object} options - Options
+ * @param {string} options.digest - Expected SHA-256 of manifest.json, recorded at collection
+ * @returns {Promise<Object>} `{valid, manifest, digest, verified, modified, missing, unexpected}`
+ * @throws {FileSystemError} If the bundle has no manifest
+ */
+export async function verifyEvidenceBundle(bundleDir, options = {}) {
+  const manifestPath = path.join(bundleDir, MANIFEST_FILE);
+  if (!await fs.pathExists(manifestPath)) {
+    throw new FileSystemError(`No ${MANIFEST_FILE} in ${bundleDir}`);
+  }
+
+  const manifest = await fs.readJson(manifestPath);
+  validateManifest(manifest);
+  const digest = await hashFile(manifestPath);
+
+  const modified = [];
+  const missing = [];
+  let verified = 0;
+
+  for (const file of manifest.files) {
+    const filePath = path.join(bundleDir, FILES_DIR, file.path);
+    if (!await fs.pathExists(filePath)) {
+      missing.push(file.path);
+    } else if (await hashFile(filePath) !== file.sha256) {
+      modified.push(file.path);
+    } else {
+      verified++;
+    }
+  }
+
+  const listed = new Set(manifest.files.map(f => f.path));
+  const unexpected = (await listFilesBelow(path.join(bundleDir, FILES_DIR)))
+    .filter(file => !listed.has(file));
+
+  const manifestMatches = !options.digest || options.digest.toLowerCase() === digest;
+
+  return {
+    valid: manifestMatches && modified.length === 0 && missing.length === 0 && unexpected.length === 0,
+    manifest_matches: manifestMatches,
+    manifest,
+    digest,
+    verified,
+    modified,
+    missing,
+    unexpected
+  };
+}
+
+// =============================================================================
+// Export
+// =============================================================================
+
+export { CHECKSUM_FILE, EVIDENCE_SOURCES, MANIFEST_FILE };
+
+export default {
+  CHECKSUM_FILE,
+  EVIDENCE_SOURCES,
+  MANIFEST_FILE,
+  createEvidenceBundle,
+  hashFile,
+  resolveEvidenceFiles,
+  validateManifest,
+  verifyEvidenceBundle
+};
@@ -0,0 +1,275 @@
+/**
+ * EAOS Findings Module
+ *
+ * Severity levels and helpers for the structured findings produced by
+ * audit analyzers. Kept separate from core/audit.js so analyzer modules
+ * can depend on it without importing the pipeline.
+ */
+
+import crypto from 'crypto';
+import { ValidationError } from './errors.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const SEVERITY_LEVELS = {
+  INFO: 'info',
+  LOW: 'low',
+  MEDIUM: 'medium',
+  HIGH: 'high',
+  CRITICAL: 'critical'
+};
+
+const SEVERITY_RANK = {
+  info: 0,
+  low: 1,
+  medium: 2,
+  high: 3,
+  critical: 4
+};
+
+// =============================================================================
+// Finding Helpers
+// =============================================================================
+
+/**
+ * Create a structured finding
+ * @param {Object} data - Finding data
+ * @returns {Object} Finding
+ * @throws {ValidationError} If rule id or severity is invalid
+ */
+export function createFinding(data) {
+  if (!data.ruleId || typeof data.ruleId !== 'string') {
+    throw new ValidationError('Finding must have a ruleId');
+  }
+  if (!Object.hasOwn(SEVERITY_RANK, data.severity)) {
+    throw new ValidationError(`Invalid finding severity: ${data.severity}`, { ruleId: data.ruleId });
+  }
+
+  return {
+    ruleId: data.ruleId,
+    severity: data.severity,
+    phase: data.phase || null,
+    analyzer: data.analyzer || null,
+    message: data.message || data.ruleId,
+    file: data.file || null,
+    line: data.line || null,
+    ...(data.fingerprint ? { fingerprint: data.fingerprint } : {}),
+    ...(data.metadata ? { metadata: data.metadata } : {})
+  };
+}
+
+/**
+ * Compare two severities
+ * @param {string} a - Severity
+ * @param {string} b - Severity
+ * @returns {number} Positive if a is more severe than b
+ */
+export function compareSeverity(a, b) {
+  return (SEVERITY_RANK[a] ?? -1) - (SEVERITY_RANK[b] ?? -1);
+}
+
+/**
+ * Sort findings by severity (highest first), then location
+ * @param {Object[]} findings - Findings
+ * @returns {Object[]} Sorted copy
+ */
+export function sortFindings(findings) {
+  return [...findings].sort((a, b) =>
+    compareSeverity(b.severity, a.severity) ||
+    (a.file || '').localeCompare(b.file || '') ||
+    (a.line || 0) - (b.line || 0) ||
+    a.ruleId.localeCompare(b.ruleId)
+  );
+}
+
+/**
+ * Count findings by severity
+ * @param {Object[]} findings - Findings
+ * @returns {Object} Counts keyed by severity
+ */
+export function countBySeverity(findings) {
+  const counts = Object.fromEntries(Object.values(SEVERITY_LEVELS).map(s => [s, 0]));
+  for (const finding of findings) {
+    counts[finding.severity]++;
+  }
+  return counts;
+}
+
+/**
+ * Find all matches of a pattern in content, with 1-based line numbers
+ * @param {string} content - File content
+ * @param {RegExp} pattern - Pattern (global flag is added if missing)
+ * @returns {Array<{line: number, text: string, match: RegExpExecArray}>}
+ */
+export function findMatches(content, pattern) {
+  const flags = pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g';
+  const regex = new RegExp(pattern.source, flags);
+  const lines = content.split('\n');
+  const lineStarts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  const results = [];
+  let match;
+  while ((match = regex.exec(content)) !== null) {
+    if (match[0].length === 0) {
+      regex.lastIndex++;
+      continue;
+    }
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= match.index) low = mid; else high = mid - 1;
+    }
+    results.push({ line: low + 1, text: lines[low], match });
+  }
+  return results;
+}
+
+/**
+ * Check if a line of code is a comment line
+ * @param {string} text - Line text
+ * @returns {boolean}
+ */
+export function isCommentLine(text) {
+  return /^\s*(\/\/|\/\*|\*)/.test(text);
+}
+
+// =============================================================================
+// Fingerprints
+// =============================================================================
+
+/**
+ * Compute a stable fingerprint for a finding
+ *
+ * Analyzer-supplied fingerprints are kept. Otherwise the fingerprint covers
+ * the rule, the file and the normalized content of the flagged line, so it
+ * survives unrelated edits that shift line numbers.
+ *
+ * @param {Object} finding - Finding
+ * @param {string|null} lineText - Source line the finding points at, if known
+ * @param {number} occurrence - Index among findings with the same rule, file and line content
+ * @returns {string}
+ */
+export function fingerprintFinding(finding, lineText = null, occurrence = 0) {
+  if (finding.fingerprint) return finding.fingerprint;
+
+  let anchor = '';
+  if (lineText !== null) {
+    anchor = lineText.trim().replace(/\s+/g, ' ');
+  } else if (finding.line) {
+    anchor = `line:${finding.line}`;
+  }
+
+  return crypto.createHash('sha256')
+    .update([finding.ruleId, finding.file || '', anchor, occurrence].join('\0'))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+/**
+ * Fingerprint every finding in place
+ * @param {Object[]} findings - Findings (sorted, so occurrences are numbered by position)
+ * @param {Function} readLine - (file, line) => line text or null
+ * @returns {Object[]} The same findings
+ */
+export function assignFingerprints(findings, readLine = () => null) {
+  const occurrences = new Map();
+
+  for (const finding of findings) {
+    if (finding.fingerprint) continue;
+    const lineText = finding.file && finding.line ? readLine(finding.file, finding.line) : null;
+    const key = fingerprintFinding(finding, lineText);
+    const occurrence = occurrences.get(key) || 0;
+    occurrences.set(key, occurrence + 1);
+    finding.fingerprint = fingerprintFinding(finding, lineText, occurrence);
+  }
+
+  return findings;
+}
+
+// =============================================================================
+// Failure Policy
+// =============================================================================
+
+/**
+ * Parse `--fail-on` / `--max-findings` values into a failure policy
+ * @param {Object} options - Raw options
+ * @param {string} options.failOn - Lowest severity that fails the run
+ * @param {string|number} options.maxFindings - Most findings allowed
+ * @returns {{failOn: string|null, maxFindings: number|null}}
+ * @throws {ValidationError} If a value is invalid
+ */
+export function parseFailurePolicy(options = {}) {
+  const policy = { failOn: null, maxFindings: null };
+
+  if (options.failOn !== undefined && options.failOn !== null) {
+    const failOn = String(options.failOn).trim().toLowerCase();
+    if (!Object.hasOwn(SEVERITY_RANK, failOn)) {
+      throw new ValidationError(`Unknown severity: ${options.failOn}`, {
+        valid: Object.keys(SEVERITY_RANK)
+      });
+    }
+    policy.failOn = failOn;
+  }
+
+  if (options.maxFindings !== undefined && options.maxFindings !== null) {
+    const maxFindings = Number(options.maxFindings);
+    if (!Number.isInteger(maxFindings) || maxFindings < 0) {
+      throw new ValidationError(`Invalid maximum findings: ${options.maxFindings}`, {
+        expected: 'non-negative integer'
+      });
+    }
+    policy.maxFindings = maxFindings;
+  }
+
+  return policy;
+}
+
+/**
+ * Check findings against a failure policy
+ * @param {Object[]} findings - Findings
+ * @param {Object} policy - Policy from parseFailurePolicy()
+ * @returns {{passed: boolean, violations: string[]}}
+ */
+export function evaluateFailurePolicy(findings, policy = {}) {
+  const violations = [];
+
+  if (policy.failOn) {
+    const count = findings.filter(f => SEVERITY_RANK[f.severity] >= SEVERITY_RANK[policy.failOn]).length;
+    if (count > 0) {
+      violations.push(`${count} finding(s) at or above ${policy.failOn} severity`);
+    }
+  }
+
+  if (policy.maxFindings !== null && policy.maxFindings !== undefined && findings.length > policy.maxFindings) {
+    violations.push(`${findings.length} findings exceed the maximum of ${policy.maxFindings}`);
+  }
+
+  return { passed: violations.length === 0, violations };
+}
+
+// =============================================================================
+// Export
+// =============================================================================
+
+export { SEVERITY_LEVELS, SEVERITY_RANK };
+
+export default {
+  SEVERITY_LEVELS,
+  SEVERITY_RANK,
+  createFinding,
+  compareSeverity,
+  sortFindings,
+  countBySeverity,
+  findMatches,
+  isCommentLine,
+  fingerprintFinding,
+  assignFingerprints,
+  parseFailurePolicy,
+  evaluateFailurePolicy
+};
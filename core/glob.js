@@ -0,0 +1,66 @@
+/**
+ * EAOS Glob Module
+ *
+ * Minimal glob matching for repository-relative POSIX paths, used by
+ * audit ignore rules and allowlists.
+ */
+
+import path from 'path';
+
+// =============================================================================
+// Glob Matching
+// =============================================================================
+
+/**
+ * Convert a glob pattern to a regular expression
+ * Supports `**` (any path), `*` (any chars except /) and `?` (single char).
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  let regex = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        const slash = pattern[i + 2] === '/';
+        regex += slash ? '(?:.*/)?' : '.*';
+        i += slash ? 2 : 1;
+      } else {
+        regex += '[^/]*';
+      }
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else {
+      regex += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${regex}$`);
+}
+
+/**
+ * Check if a repository-relative path matches a glob pattern
+ * Patterns ending with `/` match directory prefixes; patterns without `/`
+ * match the file's basename.
+ * @param {string} filePath - Relative POSIX path
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean}
+ */
+export function matchesGlob(filePath, pattern) {
+  if (pattern.endsWith('/')) {
+    return filePath.startsWith(pattern) || `${filePath}/` === pattern;
+  }
+  if (!pattern.includes('/')) {
+    return globToRegExp(pattern).test(path.posix.basename(filePath));
+  }
+  return globToRegExp(pattern).test(filePath);
+}
+
+// =============================================================================
+// Export
+// =============================================================================
+
+export default {
+  globToRegExp,
+  matchesGlob
+};
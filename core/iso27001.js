@@ -0,0 +1,218 @@
+/**
+ * EAOS ISO 27001 Module
+ *
+ * Builds the ISO/IEC 27001:2022 Statement of Applicability (SoA) over the
+ * 93 Annex A controls of compliance/catalogs/iso27001.json:
+ * - Applicability and justification per control, with exclusions from
+ *   `compliance.iso27001` in .eaos.config.json
+ * - Implementation status backed by the repository evidence of an assessment
+ * - Markdown and CSV output
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { ValidationError } from './errors.js';
+import { CONTROL_STATUS, controlEvidence, escapeCell, formatCsv } from './compliance.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const ISO27001_FRAMEWORK = 'iso27001';
+
+const SOA_FILES = {
+  MARKDOWN: 'StatementOfApplicability.md',
+  CSV: 'StatementOfApplicability.csv'
+};
+
+const IMPLEMENTATION_STATUS = {
+  [CONTROL_STATUS.SATISFIED]: 'Implemented',
+  [CONTROL_STATUS.PARTIAL]: 'Partially implemented',
+  [CONTROL_STATUS.GAP]: 'Not implemented',
+  [CONTROL_STATUS.MANUAL]: 'Not assessed'
+};
+
+const NOT_APPLICABLE = 'Not applicable';
+
+const DEFAULT_JUSTIFICATION = 'Applicable to the ISMS scope; no exclusion configured';
+
+const SOA_COLUMNS = ['Control', 'Title', 'Theme', 'Applicable', 'Justification', 'Implementation Status', 'Evidence'];
+
+// =============================================================================
+// Statement of Applicability
+// =============================================================================
+
+/**
+ * Check configured exclusions and justifications against the assessed controls
+ * @param {Object} assessment - ISO 27001 assessment
+ * @param {Object} config - `compliance.iso27001` config
+ * @throws {ValidationError} If a control id is unknown or an exclusion has no justification
+ */
+export function validateSoaConfig(assessment, config = {}) {
+  const ids = new Set(assessment.controls.map(c => c.id));
+
+  for (const key of ['exclusions', 'justifications']) {
+    for (const [id, justification] of Object.entries(config[key] || {})) {
+      if (!ids.has(id)) {
+        throw new ValidationError(`Unknown Annex A control in compliance.iso27001.${key}: ${id}`);
+      }
+      if (typeof justification !== 'string' || justification.trim() === '') {
+        throw new ValidationError(`compliance.iso27001.${key}.${id} needs a justification`);
+      }
+    }
+  }
+}
+
+/**
+ * Build the Statement of Applicability of an assessment
+ *
+ * Excluded controls are not applicable and carry the configured reason.
+ * Applicable controls carry a configured justification (or a default one)
+ * and the implementation status their evidence supports: controls without
+ * automated checks are `Not assessed` until reviewed by hand.
+ *
+ * @param {Object} assessment - Assessment from assessFramework('iso27001')
+ * @param {Object} config - `compliance.iso27001` config (`exclusions`, `justifications`)
+ * @returns {Object} Statement of Applicability
+ * @throws {ValidationError} If the config references unknown controls
+ */
+export function buildStatementOfApplicability(assessment, config = {}) {
+  validateSoaConfig(assessment, config);
+  const exclusions = config.exclusions || {};
+  const justifications = config.justifications || {};
+
+  const controls = assessment.controls.map(control => {
+    const excluded = control.id in exclusions;
+    return {
+      id: control.id,
+      title: control.title,
+      theme: control.category,
+      applicable: !excluded,
+      justification: excluded ? exclusions[control.id] : justifications[control.id] || DEFAULT_JUSTIFICATION,
+      implementation_status: excluded ? NOT_APPLICABLE : IMPLEMENTATION_STATUS[control.status],
+      evidence: excluded ? [] : controlEvidence(control)
+    };
+  });
+
+  const applicable = controls.filter(c => c.applicable);
+  const count = status => applicable.filter(c => c.implementation_status === status).length;
+
+  return {
+    framework: assessment.framework,
+    name: assessment.name,
+    version: assessment.version,
+    generated_at: assessment.generated_at,
+    summary: {
+      controls: controls.length,
+      applicable: applicable.length,
+      excluded: controls.length - applicable.length,
+      implemented: count(IMPLEMENTATION_STATUS[CONTROL_STATUS.SATISFIED]),
+      partial: count(IMPLEMENTATION_STATUS[CONTROL_STATUS.PARTIAL]),
+      not_implemented: count(IMPLEMENTATION_STATUS[CONTROL_STATUS.GAP]),
+      not_assessed: count(IMPLEMENTATION_STATUS[CONTROL_STATUS.MANUAL])
+    },
+    controls
+  };
+}
+
+/**
+ * Build StatementOfApplicability.md
+ * @param {Object} soa - Statement of Applicability
+ * @returns {string} Markdown document
+ */
+export function buildSoaMarkdown(soa) {
+  const summary = soa.summary;
+  const lines = [
+    `# Statement of Applicability - ${soa.name}`,
+    '',
+    `Generated: ${soa.generated_at}`,
+    '',
+    '## Summary',
+    '',
+    `- Annex A controls: ${summary.controls}`,
+    `- Applicable: ${summary.applicable}`,
+    `- Excluded: ${summary.excluded}`,
+    `- Implemented: ${summary.implemented}`,
+    `- Partially implemented: ${summary.partial}`,
+    `- Not implemented: ${summary.not_implemented}`,
+    `- Not assessed (manual evidence required): ${summary.not_assessed}`,
+    ''
+  ];
+
+  for (const theme of [...new Set(soa.controls.map(c => c.theme))]) {
+    lines.push(`## ${theme} controls`, '');
+    lines.push('| Control | Title | Applicable | Justification | Implementation Status | Evidence |');
+    lines.push('|---------|-------|------------|---------------|-----------------------|----------|');
+    for (const control of soa.controls.filter(c => c.theme === theme)) {
+      const cells = [
+        control.id,
+        control.title,
+        control.applicable ? 'Yes' : 'No',
+        control.justification,
+        control.implementation_status,
+        control.evidence.join(', ') || '-'
+      ];
+      lines.push(`| ${cells.map(escapeCell).join(' | ')} |`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Build StatementOfApplicability.csv, one row per control
+ * @param {Object} soa - Statement of Applicability
+ * @returns {string} CSV
+ */
+export function buildSoaCsv(soa) {
+  return formatCsv(SOA_COLUMNS, soa.controls.map(control => [
+    control.id,
+    control.title,
+    control.theme,
+    control.applicable ? 'Yes' : 'No',
+    control.justification,
+    control.implementation_status,
+    control.evidence.join('; ')
+  ]));
+}
+
+/**
+ * Write the Statement of Applicability as Markdown and CSV
+ * @param {Object} assessment - Assessment from assessFramework('iso27001')
+ * @param {string} outputDir - Directory to write to (e.g. compliance/iso27001)
+ * @param {Object} config - `compliance.iso27001` config
+ * @returns {Promise<Object>} `{soa, written}` with written paths by file name
+ * @throws {ValidationError} If the config references unknown controls
+ */
+export async function writeStatementOfApplicability(assessment, outputDir, config = {}) {
+  const soa = buildStatementOfApplicability(assessment, config);
+
+  await fs.ensureDir(outputDir);
+  const written = {
+    [SOA_FILES.MARKDOWN]: path.join(outputDir, SOA_FILES.MARKDOWN),
+    [SOA_FILES.CSV]: path.join(outputDir, SOA_FILES.CSV)
+  };
+  await fs.writeFile(written[SOA_FILES.MARKDOWN], buildSoaMarkdown(soa));
+  await fs.writeFile(written[SOA_FILES.CSV], buildSoaCsv(soa));
+
+  return { soa, written };
+}
+
+// =============================================================================
+// Export
+// =============================================================================
+
+export { IMPLEMENTATION_STATUS, ISO27001_FRAMEWORK, SOA_COLUMNS, SOA_FILES };
+
+export default {
+  IMPLEMENTATION_STATUS,
+  ISO27001_FRAMEWORK,
+  SOA_COLUMNS,
+  SOA_FILES,
+  buildSoaCsv,
+  buildSoaMarkdown,
+  buildStatementOfApplicability,
+  validateSoaConfig,
+  writeStatementOfApplicability
+};
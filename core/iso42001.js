@@ -0,0 +1,123 @@
+/**
+ * EAOS ISO 42001 Module
+ *
+ * Assesses an AI management system against ISO/IEC 42001:2023 clauses 4-10
+ * and the Annex A controls of compliance/catalogs/iso42001.json, limited to
+ * an assessment scope, and scores clauses and Annex A groups by the share
+ * of evidence checks that passed.
+ */
+
+import { ValidationError } from './errors.js';
+import { CONTROL_STATUS, assessCatalog, loadCatalog, selectBaseline } from './compliance.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const ISO42001_FRAMEWORK = 'iso42001';
+
+// `full` assesses every control; the others are catalog baselines
+const FULL_SCOPE = 'full';
+const ISO42001_SCOPES = [FULL_SCOPE, 'policies', 'risk', 'data', 'operation'];
+
+// Catalog categories of the management system clauses and the Annex A controls
+const CLAUSES = 'Clauses';
+const ANNEX_A = 'Annex A';
+
+// =============================================================================
+// Assessment
+// =============================================================================
+
+/**
+ * Score a control result from 0 to 100
+ *
+ * Satisfied controls score 100 and gaps 0; partial controls score the share
+ * of their checks that passed. Controls without automated checks are not
+ * scored.
+ *
+ * @param {Object} control - Control result
+ * @returns {number|null}
+ */
+export function scoreControl(control) {
+  if (control.status === CONTROL_STATUS.MANUAL) return null;
+  const passed = control.checks.filter(c => c.passed).length;
+  return Math.round((passed / control.checks.length) * 100);
+}
+
+/**
+ * Average the scores of control results, ignoring unscored controls
+ * @param {Object[]} controls - Control results
+ * @returns {number|null} Rounded average, or null if nothing was scored
+ */
+function averageScore(controls) {
+  const scores = controls.map(scoreControl).filter(score => score !== null);
+  if (scores.length === 0) return null;
+  return Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+}
+
+/**
+ * Score an assessment per clause, per Annex A group and overall
+ *
+ * The management system is only certification ready when the full scope
+ * was assessed and every clause requirement is satisfied.
+ *
+ * @param {Object} assessment - Assessment from assessIso42001()
+ * @returns {Object} `{overall_score, clause_scores, annex_scores, scored, unscored, certification_ready}`
+ */
+export function scoreAssessment(assessment) {
+  const scoresBy = category => {
+    const controls = assessment.controls.filter(c => c.category === category);
+    const scores = {};
+    for (const family of new Set(controls.map(c => c.family))) {
+      scores[family] = averageScore(controls.filter(c => c.family === family));
+    }
+    return scores;
+  };
+
+  const clauses = assessment.controls.filter(c => c.category === CLAUSES);
+  const scored = assessment.controls.filter(c => scoreControl(c) !== null).length;
+
+  return {
+    overall_score: averageScore(assessment.controls),
+    clause_scores: scoresBy(CLAUSES),
+    annex_scores: scoresBy(ANNEX_A),
+    scored,
+    unscored: assessment.controls.length - scored,
+    certification_ready: assessment.scope === FULL_SCOPE &&
+      clauses.length > 0 &&
+      clauses.every(c => c.status === CONTROL_STATUS.SATISFIED)
+  };
+}
+
+/**
+ * Assess a repository against ISO/IEC 42001 within a scope
+ * @param {string} scope - full, policies, risk, data or operation
+ * @param {Object} options - Options for loadCatalog() and assessCatalog()
+ * @returns {Promise<Object>} Assessment with `scope` and `scores`
+ * @throws {ValidationError} If the scope is unknown
+ */
+export async function assessIso42001(scope = FULL_SCOPE, options = {}) {
+  if (!ISO42001_SCOPES.includes(scope)) {
+    throw new ValidationError(`Unknown ISO 42001 scope: ${scope}`, { valid: ISO42001_SCOPES });
+  }
+
+  const catalog = await loadCatalog(ISO42001_FRAMEWORK, options);
+  const controls = scope === FULL_SCOPE ? catalog.controls : selectBaseline(catalog, scope).controls;
+  const assessment = { ...await assessCatalog({ ...catalog, controls }, options), scope };
+
+  return { ...assessment, scores: scoreAssessment(assessment) };
+}
+
+// =============================================================================
+// Export
+// =============================================================================
+
+export { ISO42001_FRAMEWORK, ISO42001_SCOPES };
+
+export default {
+  ISO42001_FRAMEWORK,
+  ISO42001_SCOPES,
+  assessIso42001,
+  scoreAssessment,
+  scoreControl
+};
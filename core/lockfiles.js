@@ -0,0 +1,464 @@
+/**
+ * EAOS Lockfile Module
+ *
+ * Parses npm, yarn and pnpm lockfiles into a flat list of resolved
+ * packages, each with the shortest dependency path from the project root:
+ * - package-lock.json / npm-shrinkwrap.json (lockfileVersion 1-3)
+ * - yarn.lock (classic v1 and berry)
+ * - pnpm-lock.yaml (lockfileVersion 5-9)
+ */
+
+import path from 'path';
+import YAML from 'yaml';
+import { ValidationError } from './errors.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const LOCKFILE_TYPES = {
+  'package-lock.json': 'npm',
+  'npm-shrinkwrap.json': 'npm',
+  'yarn.lock': 'yarn',
+  'pnpm-lock.yaml': 'pnpm'
+};
+
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies'];
+
+// =============================================================================
+// Dependency Graph
+// =============================================================================
+
+/**
+ * Walk a dependency graph breadth-first from the root dependencies
+ * @param {Map<string, Object>} nodes - Nodes keyed by id ({name, version, dev, edges: id[]})
+ * @param {Array<{id: string, dev: boolean}>} roots - Root dependencies
+ * @returns {Object[]} Packages ({name, version, path, dev}), one per reachable node
+ */
+function collectPackages(nodes, roots) {
+  const paths = new Map();
+  const queue = [];
+
+  for (const root of roots) {
+    const node = nodes.get(root.id);
+    if (!node || paths.has(root.id)) continue;
+    paths.set(root.id, { path: [node.name], dev: root.dev });
+    queue.push(root.id);
+  }
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    const current = paths.get(id);
+    for (const edge of nodes.get(id).edges) {
+      const node = nodes.get(edge);
+      if (!node || paths.has(edge)) continue;
+      paths.set(edge, { path: [...current.path, node.name], dev: current.dev });
+      queue.push(edge);
+    }
+  }
+
+  const packages = [];
+  for (const [id, node] of nodes) {
+    const reached = paths.get(id);
+    packages.push({
+      name: node.name,
+      version: node.version,
+      path: reached ? reached.path : [node.name],
+      dev: reached ? reached.dev : Boolean(node.dev)
+    });
+  }
+
+  return dedupePackages(packages);
+}
+
+/**
+ * Keep one entry per name@version, preferring the shortest path
+ * @param {Object[]} packages - Packages
+ * @returns {Object[]} Sorted, deduplicated packages
+ */
+function dedupePackages(packages) {
+  const byId = new Map();
+  for (const pkg of packages) {
+    const id = `${pkg.name}@${pkg.version}`;
+    const existing = byId.get(id);
+    if (!existing) {
+      byId.set(id, pkg);
+      continue;
+    }
+    // A package is only dev-only if every occurrence is
+    const shortest = pkg.path.length < existing.path.length ? pkg : existing;
+    byId.set(id, { ...shortest, dev: existing.dev && pkg.dev });
+  }
+  return Array.from(byId.values()).sort((a, b) =>
+    a.name.localeCompare(b.name) || a.version.localeCompare(b.version)
+  );
+}
+
+/**
+ * Split a `name@version` spec, respecting scoped names
+ * @param {string} spec - Package spec
+ * @returns {{name: string, range: string}}
+ */
+function splitSpec(spec) {
+  const at = spec.indexOf('@', 1);
+  return at === -1 ? { name: spec, range: '' } : { name: spec.slice(0, at), range: spec.slice(at + 1) };
+}
+
+/**
+ * Root dependencies declared in a package.json manifest
+ * @param {Object|null} manifest - Parsed package.json
+ * @returns {Array<{name: string, range: string, dev: boolean}>}
+ */
+function manifestDependencies(manifest) {
+  const deps = [];
+  for (const field of DEPENDENCY_FIELDS) {
+    for (const [name, range] of Object.entries(manifest?.[field] || {})) {
+      deps.push({ name, range: String(range), dev: field === 'devDependencies' });
+    }
+  }
+  return deps;
+}
+
+// =============================================================================
+// npm
+// =============================================================================
+
+/**
+ * Parent install location of a node_modules location
+ * @param {string} location - e.g. node_modules/a/node_modules/b
+ * @returns {string} e.g. node_modules/a ('' for the root)
+ */
+function parentLocation(location) {
+  const index = location.lastIndexOf('/node_modules/');
+  return index === -1 ? '' : location.slice(0, index);
+}
+
+/**
+ * Resolve a dependency the way Node does: nearest node_modules upwards
+ * @param {Object} packages - Packages keyed by location
+ * @param {string} from - Requiring package location
+ * @param {string} name - Dependency name
+ * @returns {string|null} Resolved location
+ */
+function resolveLocation(packages, from, name) {
+  let location = from;
+  for (;;) {
+    const candidate = location ? `${location}/node_modules/${name}` : `node_modules/${name}`;
+    if (packages[candidate]) return candidate;
+    if (!location) return null;
+    location = parentLocation(location);
+  }
+}
+
+/**
+ * Convert a lockfileVersion 1 dependency tree to v2-style locations
+ * @param {Object} dependencies - Nested `dependencies` object
+ * @param {string} prefix - Parent location
+ * @param {Object} packages - Output map
+ * @returns {Object} Packages keyed by location
+ */
+function flattenV1(dependencies, prefix = '', packages = {}) {
+  for (const [name, entry] of Object.entries(dependencies || {})) {
+    const location = prefix ? `${prefix}/node_modules/${name}` : `node_modules/${name}`;
+    packages[location] = {
+      version: entry.version,
+      dev: entry.dev,
+      dependencies: entry.requires || {}
+    };
+    flattenV1(entry.dependencies, location, packages);
+  }
+  return packages;
+}
+
+/**
+ * Parse package-lock.json / npm-shrinkwrap.json
+ * @param {string} content - Lockfile content
+ * @param {Object|null} manifest - Sibling package.json
+ * @returns {Object[]} Packages
+ */
+export function parseNpmLockfile(content, manifest = null) {
+  const lock = JSON.parse(content);
+  let packages = lock.packages;
+
+  if (!packages) {
+    packages = { '': manifest || {}, ...flattenV1(lock.dependencies) };
+    if (!manifest) {
+      // Without package.json, treat every top-level entry as a root dependency
+      const root = { dependencies: {}, devDependencies: {} };
+      for (const [name, entry] of Object.entries(lock.dependencies || {})) {
+        root[entry.dev ? 'devDependencies' : 'dependencies'][name] = entry.version;
+      }
+      packages[''] = root;
+    }
+  }
+
+  const nodes = new Map();
+  for (const [location, entry] of Object.entries(packages)) {
+    // Skip the root, workspace sources and symlinks
+    if (!location.includes('node_modules/') || entry.link || !entry.version) continue;
+    const name = entry.name || location.slice(location.lastIndexOf('node_modules/') + 'node_modules/'.length);
+    const edges = [];
+    for (const field of ['dependencies', 'optionalDependencies', 'peerDependencies']) {
+      for (const dep of Object.keys(entry[field] || {})) {
+        const resolved = resolveLocation(packages, location, dep);
+        if (resolved) edges.push(resolved);
+      }
+    }
+    nodes.set(location, { name, version: entry.version, dev: entry.dev, edges });
+  }
+
+  const roots = manifestDependencies(packages['']).map(dep => ({
+    id: resolveLocation(packages, '', dep.name),
+    dev: dep.dev
+  }));
+
+  return collectPackages(nodes, roots);
+}
+
+// =============================================================================
+// yarn
+// =============================================================================
+
+/**
+ * Parse a classic (v1) yarn.lock into entries keyed by spec
+ * @param {string} content - Lockfile content
+ * @returns {Object} Entries keyed by `name@range`
+ */
+function parseYarnClassic(content) {
+  const entries = {};
+  let current = null;
+  let block = null;
+
+  const unquote = value => value.trim().replace(/^"|"$/g, '');
+
+  for (const line of content.split(/\r?\n/)) {
+    if (!line.trim() || line.trimStart().startsWith('#')) continue;
+    const indent = line.length - line.trimStart().length;
+
+    if (indent === 0) {
+      current = { version: null, dependencies: {} };
+      for (const spec of line.replace(/:$/, '').split(',')) {
+        entries[unquote(spec)] = current;
+      }
+      block = null;
+    } else if (indent === 2 && current) {
+      const trimmed = line.trim();
+      if (trimmed.endsWith(':')) {
+        block = trimmed.slice(0, -1);
+      } else {
+        block = null;
+        const [key, ...rest] = trimmed.split(/\s+/);
+        if (key === 'version') current.version = unquote(rest.join(' '));
+      }
+    } else if (indent >= 4 && current && (block === 'dependencies' || block === 'optionalDependencies')) {
+      const match = line.trim().match(/^("(?:[^"]+)"|\S+)\s+(.+)$/);
+      if (match) current.dependencies[unquote(match[1])] = unquote(match[2]);
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Parse a berry yarn.lock (YAML) into entries keyed by spec
+ * @param {string} content - Lockfile content
+ * @returns {Object} Entries keyed by `name@range`
+ */
+function parseYarnBerry(content) {
+  const lock = YAML.parse(content) || {};
+  const entries = {};
+
+  for (const [key, entry] of Object.entries(lock)) {
+    if (key === '__metadata' || !entry || typeof entry !== 'object') continue;
+    if (String(entry.version).includes('use.local')) continue;
+    const value = { version: String(entry.version), dependencies: entry.dependencies || {} };
+    for (const spec of key.split(',')) {
+      entries[spec.trim()] = value;
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Parse yarn.lock (classic or berry)
+ * @param {string} content - Lockfile content
+ * @param {Object|null} manifest - Sibling package.json
+ * @returns {Object[]} Packages
+ */
+export function parseYarnLockfile(content, manifest = null) {
+  const berry = /^__metadata:/m.test(content);
+  const entries = berry ? parseYarnBerry(content) : parseYarnClassic(content);
+
+  const lookup = (name, range) =>
+    entries[`${name}@${range}`] ? `${name}@${range}` :
+      entries[`${name}@npm:${range}`] ? `${name}@npm:${range}` : null;
+
+  // Entries are shared between specs; key nodes by the entry itself
+  const ids = new Map();
+  const nodes = new Map();
+  for (const [spec, entry] of Object.entries(entries)) {
+    if (!entry.version) continue;
+    if (!ids.has(entry)) {
+      const id = `${splitSpec(spec).name}@${entry.version}`;
+      ids.set(entry, id);
+      nodes.set(id, { name: splitSpec(spec).name, version: entry.version, edges: [], entry });
+    }
+  }
+  for (const node of nodes.values()) {
+    for (const [dep, range] of Object.entries(node.entry.dependencies)) {
+      const spec = lookup(dep, range);
+      if (spec) node.edges.push(ids.get(entries[spec]));
+    }
+  }
+
+  let roots = manifestDependencies(manifest)
+    .map(dep => ({ spec: lookup(dep.name, dep.range), dev: dep.dev }))
+    .filter(root => root.spec)
+    .map(root => ({ id: ids.get(entries[root.spec]), dev: root.dev }));
+
+  if (roots.length === 0) {
+    roots = Array.from(nodes.keys()).map(id => ({ id, dev: false }));
+  }
+
+  return collectPackages(nodes, roots);
+}
+
+// =============================================================================
+// pnpm
+// =============================================================================
+
+/**
+ * Strip pnpm peer-dependency suffixes from a version
+ * @param {string} version - e.g. 1.2.3(react@18.0.0) or 1.2.3_react@18.0.0
+ * @returns {string}
+ */
+function stripPeerSuffix(version) {
+  return String(version).replace(/\(.*$/, '').replace(/_.*$/, '');
+}
+
+/**
+ * Parse a pnpm package key into name and version
+ *
+ * The name is split off first: package names may contain `_`, which
+ * v5 keys also use to start their peer suffix.
+ *
+ * @param {string} key - e.g. /name/1.2.3 (v5), /name@1.2.3 (v6) or name@1.2.3 (v9)
+ * @returns {{name: string, version: string}|null}
+ */
+function parsePnpmKey(key) {
+  const match = /^(@[^/@]+\/[^/@]+|[^/@]+)[@/](.+)$/.exec(key.replace(/^\//, ''));
+  if (!match) {
+    return null;
+  }
+  return { name: match[1], version: stripPeerSuffix(match[2]) };
+}
+
+/**
+ * Resolve a pnpm dependency reference to a node id
+ * @param {string} name - Dependency name
+ * @param {string|Object} ref - Version, `{version}` (v6+ importers) or alias key
+ * @returns {string|null} Node id (name@version)
+ */
+function pnpmNodeId(name, ref) {
+  const value = typeof ref === 'object' && ref !== null ? ref.version : ref;
+  if (!value || /^(?:link|file|workspace):/.test(value)) return null;
+  // Plain versions start with a digit; anything else is an alias key
+  if (value.startsWith('/') || !/^\d/.test(value)) {
+    const parsed = parsePnpmKey(value);
+    return parsed ? `${parsed.name}@${parsed.version}` : null;
+  }
+  return `${name}@${stripPeerSuffix(value)}`;
+}
+
+/**
+ * Parse pnpm-lock.yaml
+ * @param {string} content - Lockfile content
+ * @returns {Object[]} Packages
+ */
+export function parsePnpmLockfile(content) {
+  const lock = YAML.parse(content) || {};
+  const nodes = new Map();
+
+  const addNode = (key, entry) => {
+    const parsed = parsePnpmKey(key);
+    if (!parsed) return;
+    const id = `${parsed.name}@${parsed.version}`;
+    const node = nodes.get(id) || { name: parsed.name, version: parsed.version, dev: false, edges: [] };
+    node.dev = node.dev || entry?.dev === true;
+    for (const field of ['dependencies', 'optionalDependencies']) {
+      for (const [dep, ref] of Object.entries(entry?.[field] || {})) {
+        const target = pnpmNodeId(dep, ref);
+        if (target && !node.edges.includes(target)) node.edges.push(target);
+      }
+    }
+    nodes.set(id, node);
+  };
+
+  for (const [key, entry] of Object.entries(lock.packages || {})) addNode(key, entry);
+  for (const [key, entry] of Object.entries(lock.snapshots || {})) addNode(key, entry);
+
+  const importers = lock.importers || { '.': lock };
+  const roots = [];
+  for (const importer of Object.values(importers)) {
+    for (const field of DEPENDENCY_FIELDS) {
+      for (const [name, ref] of Object.entries(importer?.[field] || {})) {
+        const id = pnpmNodeId(name, ref);
+        if (id) roots.push({ id, dev: field === 'devDependencies' });
+      }
+    }
+  }
+
+  return collectPackages(nodes, roots);
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * Check if a path is a supported lockfile
+ * @param {string} filePath - File path
+ * @returns {boolean}
+ */
+export function isLockfile(filePath) {
+  return Boolean(LOCKFILE_TYPES[path.posix.basename(filePath)]);
+}
+
+/**
+ * Parse any supported lockfile
+ * @param {string} filePath - Lockfile path (used to detect the format)
+ * @param {string} content - Lockfile content
+ * @param {Object|null} manifest - Sibling package.json, used for root dependencies
+ * @returns {{type: string, packages: Object[]}}
+ * @throws {ValidationError} If the file is not a supported lockfile or cannot be parsed
+ */
+export function parseLockfile(filePath, content, manifest = null) {
+  const type = LOCKFILE_TYPES[path.posix.basename(filePath)];
+  if (!type) {
+    throw new ValidationError(`Unsupported lockfile: ${filePath}`);
+  }
+
+  try {
+    if (type === 'npm') return { type, packages: parseNpmLockfile(content, manifest) };
+    if (type === 'yarn') return { type, packages: parseYarnLockfile(content, manifest) };
+    return { type, packages: parsePnpmLockfile(content) };
+  } catch (error) {
+    throw new ValidationError(`Failed to parse ${filePath}: ${error.message}`, { path: filePath });
+  }
+}
+
+// =============================================================================
+// Export
+// =============================================================================
+
+export { LOCKFILE_TYPES };
+
+export default {
+  LOCKFILE_TYPES,
+  isLockfile,
+  parseLockfile,
+  parseNpmLockfile,
+  parseYarnLockfile,
+  parsePnpmLockfile
+};
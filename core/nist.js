@@ -0,0 +1,548 @@
+/**
+ * EAOS NIST 800-53 Module
+ *
+ * Assesses a repository against a NIST SP 800-53 Rev. 5 baseline
+ * (compliance/catalogs/nist-800-53.json) and exports:
+ * - An OSCAL assessment-results document
+ * - A Plan of Action and Milestones (POA&M) for every open gap, as JSON and
+ *   as CSV in the FedRAMP POA&M column layout
+ */
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Ajv from 'ajv/dist/2020.js';
+import { ValidationError } from './errors.js';
+import { CONTROL_STATUS, assessCatalog, buildGapAnalysis, formatCsv, loadCatalog, selectBaseline } from './compliance.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const RESULTS_SCHEMA = path.join(__dirname, '..', 'manifests', 'OSCAL_ASSESSMENT_RESULTS_SCHEMA.json');
+const POAM_SCHEMA = path.join(__dirname, '..', 'manifests', 'NIST_POAM_SCHEMA.json');
+
+const NIST_FRAMEWORK = 'nist-800-53';
+const NIST_BASELINES = ['low', 'moderate', 'high'];
+
+// Catalog baselines selected alongside every security baseline
+const ORGANIZATION_BASELINE = 'organization';
+const PRIVACY_BASELINE = 'privacy';
+
+const OSCAL_VERSION = '1.1.2';
+const OSCAL_NAMESPACE = 'https://eaos.dev/ns/oscal';
+const ASSESSMENT_RESULTS_FILE = 'AssessmentResults.json';
+
+const POAM_VERSION = '1.0.0';
+const POAM_FILES = {
+  JSON: 'POAM.json',
+  CSV: 'POAM.csv'
+};
+
+const POAM_STATUS = {
+  OPEN: 'open',
+  DELAYED: 'delayed',
+  COMPLETED: 'completed'
+};
+
+// Remediation windows in days, following the FedRAMP continuous monitoring
+// deadlines for high, moderate and low risks
+const REMEDIATION_DAYS = {
+  high: 30,
+  medium: 90,
+  low: 180
+};
+
+const RISK_RATINGS = {
+  high: 'High',
+  medium: 'Moderate',
+  low: 'Low'
+};
+
+const DEFAULT_POAM_OWNER = 'System Owner';
+
+// Columns of the "Open POA&M Items" sheet of the FedRAMP POA&M template
+const FEDRAMP_POAM_COLUMNS = [
+  'POAM ID',
+  'Controls',
+  'Weakness Name',
+  'Weakness Description',
+  'Weakness Detector Source',
+  'Weakness Source Identifier',
+  'Asset Identifier',
+  'Point of Contact',
+  'Resources Required',
+  'Overall Remediation Plan',
+  'Original Detection Date',
+  'Scheduled Completion Date',
+  'Planned Milestones',
+  'Milestone Changes',
+  'Status Date',
+  'Vendor Dependency',
+  'Last Vendor Check-in Date',
+  'Vendor Dependent Product Name',
+  'Original Risk Rating',
+  'Adjusted Risk Rating',
+  'Risk Adjustment',
+  'False Positive',
+  'Operational Requirement',
+  'Deviation Rationale',
+  'Supporting Documents',
+  'Comments',
+  'Auto-Approve',
+  'Binding Operational Directive 22-01 tracking',
+  'Binding Operational Directive 22-01 Due Date',
+  'CVE',
+  'Service Name'
+];
+
+// Published OSCAL profiles of the SP 800-53B baselines
+const BASELINE_PROFILES = {
+  low: 'https://raw.githubusercontent.com/usnistgov/oscal-content/main/nist.gov/SP800-53/rev5/json/NIST_SP-800-53_rev5_LOW-baseline_profile.json',
+  moderate: 'https://raw.githubusercontent.com/usnistgov/oscal-content/main/nist.gov/SP800-53/rev5/json/NIST_SP-800-53_rev5_MODERATE-baseline_profile.json',
+  high: 'https://raw.githubusercontent.com/usnistgov/oscal-content/main/nist.gov/SP800-53/rev5/json/NIST_SP-800-53_rev5_HIGH-baseline_profile.json'
+};
+
+// =============================================================================
+// Assessment
+// =============================================================================
+
+/**
+ * Assess a repository against a NIST 800-53 baseline
+ *
+ * Program management controls are implemented organization-wide and are
+ * always selected; the privacy baseline is added unless `privacy` is false.
+ *
+ * @param {string} baseline - low, moderate or high
+ * @param {Object} options - Options for loadCatalog() and assessCatalog()
+ * @param {boolean} options.privacy - Include the privacy baseline (default: true)
+ * @returns {Promise<Object>} Assessment with `baseline` set
+ * @throws {ValidationError} If the baseline is unknown
+ */
+export async function assessNistBaseline(baseline, options = {}) {
+  if (!NIST_BASELINES.includes(baseline)) {
+    throw new ValidationError(`Unknown NIST 800-53 baseline: ${baseline}`, { valid: NIST_BASELINES });
+  }
+
+  const catalog = await loadCatalog(NIST_FRAMEWORK, options);
+  const include = [ORGANIZATION_BASELINE, ...(options.privacy === false ? [] : [PRIVACY_BASELINE])];
+  return assessCatalog(selectBaseline(catalog, baseline, { include }), options);
+}
+
+// =============================================================================
+// OSCAL
+// =============================================================================
+
+/**
+ * Convert a control id to its OSCAL form (`AC-2(1)` -> `ac-2.1`)
+ * @param {string} id - Control id
+ * @returns {string}
+ */
+export function toOscalControlId(id) {
+  return id.toLowerCase().replace(/\((\d+)\)/g, '.$1');
+}
+
+/**
+ * Build an OSCAL assessment-results document
+ *
+ * Every evaluator check becomes an observation citing the files it found;
+ * every automated control becomes a finding on its objective, satisfied
+ * only when all of its checks passed. Manual controls are reviewed but
+ * left without a finding.
+ *
+ * @param {Object} assessment - Assessment from assessNistBaseline()
+ * @returns {Object} OSCAL document
+ */
+export function buildAssessmentResults(assessment) {
+  const baseline = assessment.baseline;
+  const profileUuid = crypto.randomUUID();
+  const observations = [];
+  const findings = [];
+
+  for (const control of assessment.controls) {
+    const related = control.checks.map(check => {
+      const observation = {
+        uuid: crypto.randomUUID(),
+        title: check.description || check.type,
+        description: check.passed
+          ? check.message
+          : `${check.message}. Searched: ${check.searched.join(', ') || 'n/a'}`,
+        props: [
+          { name: 'evaluator', ns: OSCAL_NAMESPACE, value: check.type },
+          { name: 'result', ns: OSCAL_NAMESPACE, value: check.passed ? 'pass' : 'fail' }
+        ],
+        methods: ['EXAMINE'],
+        types: ['control-objective'],
+        collected: assessment.generated_at
+      };
+      if (check.evidence.length > 0) {
+        observation['relevant-evidence'] = check.evidence.map(file => ({ href: file, description: `Evidence for ${control.id}` }));
+      }
+      observations.push(observation);
+      return { 'observation-uuid': observation.uuid };
+    });
+
+    if (control.status === CONTROL_STATUS.MANUAL) continue;
+
+    const target = {
+      type: 'objective-id',
+      'target-id': `${toOscalControlId(control.id)}_obj`,
+      status: { state: control.status === CONTROL_STATUS.SATISFIED ? 'satisfied' : 'not-satisfied' }
+    };
+    if (control.status === CONTROL_STATUS.PARTIAL) {
+      target['implementation-status'] = { state: 'partial' };
+    }
+
+    const passed = control.checks.filter(c => c.passed).length;
+    findings.push({
+      uuid: crypto.randomUUID(),
+      title: `${control.id} ${control.title}`,
+      description: `${passed} of ${control.checks.length} automated checks found evidence`,
+      props: [{ name: 'criticality', ns: OSCAL_NAMESPACE, value: control.criticality }],
+      target,
+      'related-observations': related
+    });
+  }
+
+  const manual = assessment.controls.filter(c => c.status === CONTROL_STATUS.MANUAL).length;
+
+  return {
+    'assessment-results': {
+      uuid: crypto.randomUUID(),
+      metadata: {
+        title: `${assessment.name} ${baseline} baseline assessment`,
+        'last-modified': assessment.generated_at,
+        version: assessment.version,
+        'oscal-version': OSCAL_VERSION,
+        props: [{ name: 'baseline', ns: OSCAL_NAMESPACE, value: baseline }]
+      },
+      'import-ap': { href: `#${profileUuid}` },
+      results: [{
+        uuid: crypto.randomUUID(),
+        title: `Automated repository evidence assessment (${baseline} baseline)`,
+        description: `${assessment.summary.controls} controls reviewed; ${findings.length} assessed from repository evidence, ${manual} require manual assessment.`,
+        start: assessment.generated_at,
+        end: new Date().toISOString(),
+        'reviewed-controls': {
+          'control-selections': [{
+            'include-controls': assessment.controls.map(c => ({ 'control-id': toOscalControlId(c.id) }))
+          }]
+        },
+        observations,
+        findings
+      }],
+      'back-matter': {
+        resources: [{
+          uuid: profileUuid,
+          title: `NIST SP 800-53 Rev. 5 ${baseline.toUpperCase()} baseline`,
+          rlinks: [{ href: BASELINE_PROFILES[baseline], 'media-type': 'application/oscal.profile+json' }]
+        }]
+      }
+    }
+  };
+}
+
+let resultsValidator = null;
+
+/**
+ * Validate an assessment-results document against the bundled OSCAL subset schema
+ * @param {Object} document - OSCAL document
+ * @throws {ValidationError} If the document is malformed
+ */
+export function validateAssessmentResults(document) {
+  if (!resultsValidator) {
+    const ajv = new Ajv({ allErrors: true, strict: false, validateFormats: false });
+    resultsValidator = ajv.compile(fs.readJsonSync(RESULTS_SCHEMA));
+  }
+
+  if (!resultsValidator(document)) {
+    throw new ValidationError(`${ASSESSMENT_RESULTS_FILE} does not match its schema`, {
+      errors: resultsValidator.errors.map(e => `${e.instancePath || '/'} ${e.message}`)
+    });
+  }
+}
+
+/**
+ * Write the OSCAL assessment results of an assessment
+ * @param {Object} assessment - Assessment from assessNistBaseline()
+ * @param {string} outputDir - Directory to write to (e.g. compliance/nist)
+ * @returns {Promise<string>} Written path
+ * @throws {ValidationError} If the document does not match its schema
+ */
+export async function writeAssessmentResults(assessment, outputDir) {
+  const document = buildAssessmentResults(assessment);
+  validateAssessmentResults(document);
+
+  await fs.ensureDir(outputDir);
+  const outputPath = path.join(outputDir, ASSESSMENT_RESULTS_FILE);
+  await fs.writeJson(outputPath, document, { spaces: 2 });
+  return outputPath;
+}
+
+// =============================================================================
+// POA&M
+// =============================================================================
+
+/**
+ * Add days to an ISO timestamp
+ * @param {string} timestamp - ISO timestamp
+ * @param {number} days - Days to add
+ * @returns {string} ISO date (YYYY-MM-DD)
+ */
+function addDays(timestamp, days) {
+  const date = new Date(timestamp);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Resolve the owner of a control from `compliance.poam`
+ *
+ * `owners` is keyed by control id or family; the control id wins.
+ *
+ * @param {Object} gap - Gap from buildGapAnalysis()
+ * @param {Object} config - `compliance.poam` config
+ * @returns {string}
+ */
+function resolveOwner(gap, config) {
+  const owners = config.owners || {};
+  return owners[gap.control_id] || owners[gap.family] || config.owner || DEFAULT_POAM_OWNER;
+}
+
+/**
+ * Plan the milestones of a new POA&M item over its remediation window
+ * @param {Object} gap - Gap from buildGapAnalysis()
+ * @param {string} baseline - Assessed baseline
+ * @param {string} detectedAt - Detection timestamp
+ * @param {number} days - Remediation window
+ * @returns {Object[]} Milestones
+ */
+function planMilestones(gap, baseline, detectedAt, days) {
+  const actions = gap.failed_checks.map(c => c.description || c.message);
+  return [
+    `Agree the remediation approach for ${gap.control_id} with the control owner`,
+    `Implement: ${actions.join('; ')}`,
+    `Verify with \`eaos compliance nist --baseline ${baseline}\` and close the item`
+  ].map((description, i) => ({
+    id: i + 1,
+    description,
+    due: addDays(detectedAt, Math.round((days * (i + 1)) / 3))
+  }));
+}
+
+/**
+ * Build POAM.json from an assessment
+ *
+ * Every missing or weak control becomes an item. Items of a previous
+ * POA&M are carried over while their control is still a gap, keeping
+ * their id, detection date and milestones; items past their scheduled
+ * completion are `delayed`, items whose control no longer has a gap are
+ * `completed`. Items of controls outside the assessed baseline (e.g. after
+ * switching from high to low) were not re-assessed and are kept as they were.
+ *
+ * @param {Object} assessment - Assessment from assessNistBaseline()
+ * @param {Object} options - Options
+ * @param {Object} options.previous - Previous POAM.json
+ * @param {Object} options.config - `compliance.poam` config (`owner`, `owners`, `remediationDays`)
+ * @param {string} options.system - Asset identifier of the assessed system
+ * @returns {Object}
+ */
+export function buildPoam(assessment, options = {}) {
+  const config = options.config || {};
+  const remediationDays = { ...REMEDIATION_DAYS, ...config.remediationDays };
+  const now = assessment.generated_at;
+  const today = now.slice(0, 10);
+  const previousItems = options.previous?.items || [];
+  const open = new Map(previousItems
+    .filter(item => item.status !== POAM_STATUS.COMPLETED)
+    .map(item => [item.control_id, item]));
+  let nextId = previousItems.reduce((max, item) => Math.max(max, Number(item.id.split('-')[1]) || 0), 0) + 1;
+
+  const { gaps } = buildGapAnalysis(assessment);
+  const items = gaps.map(gap => {
+    const existing = open.get(gap.control_id);
+    open.delete(gap.control_id);
+
+    const days = remediationDays[gap.criticality] ?? REMEDIATION_DAYS.low;
+    const detectedAt = existing?.detected_at || now;
+    const scheduled = existing?.scheduled_completion || addDays(detectedAt, days);
+
+    return {
+      id: existing?.id || `POAM-${String(nextId++).padStart(4, '0')}`,
+      control_id: gap.control_id,
+      weakness_name: `${gap.control_id} ${gap.title}`,
+      weakness_description: gap.rationale,
+      gap_type: gap.gap_type,
+      source: `eaos compliance nist (${assessment.baseline} baseline)`,
+      asset: options.system || 'repository',
+      owner: resolveOwner(gap, config),
+      risk_rating: RISK_RATINGS[gap.criticality] || RISK_RATINGS.low,
+      remediation_plan: `Provide evidence for: ${gap.failed_checks.map(c => c.description || c.type).join('; ')}`,
+      milestones: existing?.milestones || planMilestones(gap, assessment.baseline, detectedAt, days),
+      detected_at: detectedAt,
+      scheduled_completion: scheduled,
+      status: today > scheduled ? POAM_STATUS.DELAYED : POAM_STATUS.OPEN,
+      status_date: now,
+      evidence_searched: gap.evidence_searched
+    };
+  });
+
+  // Remaining open items were remediated since the previous run, unless
+  // their control was not assessed this time
+  const assessed = new Set(assessment.controls.map(c => c.id));
+  for (const item of open.values()) {
+    items.push(assessed.has(item.control_id)
+      ? { ...item, status: POAM_STATUS.COMPLETED, status_date: now }
+      : item);
+  }
+  items.push(...previousItems.filter(item => item.status === POAM_STATUS.COMPLETED));
+
+  const byRisk = { High: 0, Moderate: 0, Low: 0 };
+  for (const item of items.filter(i => i.status !== POAM_STATUS.COMPLETED)) {
+    byRisk[item.risk_rating]++;
+  }
+
+  return {
+    version: POAM_VERSION,
+    framework: assessment.framework,
+    baseline: assessment.baseline,
+    system: options.system || 'repository',
+    generated_at: now,
+    summary: {
+      open: items.filter(i => i.status === POAM_STATUS.OPEN).length,
+      delayed: items.filter(i => i.status === POAM_STATUS.DELAYED).length,
+      completed: items.filter(i => i.status === POAM_STATUS.COMPLETED).length,
+      by_risk: byRisk
+    },
+    items
+  };
+}
+
+/**
+ * Build POAM.csv in the FedRAMP POA&M column layout
+ *
+ * Only open and delayed items are listed, as on the template's open items
+ * sheet; completed items stay in POAM.json.
+ *
+ * @param {Object} poam - POA&M from buildPoam()
+ * @returns {string} CSV
+ */
+export function buildPoamCsv(poam) {
+  const rows = poam.items
+    .filter(item => item.status !== POAM_STATUS.COMPLETED)
+    .map(item => {
+      const values = {
+        'POAM ID': item.id,
+        'Controls': item.control_id,
+        'Weakness Name': item.weakness_name,
+        'Weakness Description': item.weakness_description,
+        'Weakness Detector Source': item.source,
+        'Weakness Source Identifier': item.control_id,
+        'Asset Identifier': item.asset,
+        'Point of Contact': item.owner,
+        'Resources Required': '',
+        'Overall Remediation Plan': item.remediation_plan,
+        'Original Detection Date': item.detected_at.slice(0, 10),
+        'Scheduled Completion Date': item.scheduled_completion,
+        'Planned Milestones': item.milestones.map(m => `${m.id}: ${m.description} (${m.due})`).join('\n'),
+        'Milestone Changes': '',
+        'Status Date': item.status_date.slice(0, 10),
+        'Vendor Dependency': 'No',
+        'Original Risk Rating': item.risk_rating,
+        'Adjusted Risk Rating': item.risk_rating,
+        'Risk Adjustment': 'No',
+        'False Positive': 'No',
+        'Operational Requirement': 'No',
+        'Supporting Documents': ASSESSMENT_RESULTS_FILE,
+        'Comments': item.status === POAM_STATUS.DELAYED ? 'Past scheduled completion' : '',
+        'Auto-Approve': 'No'
+      };
+      return FEDRAMP_POAM_COLUMNS.map(column => values[column]);
+    });
+
+  return formatCsv(FEDRAMP_POAM_COLUMNS, rows);
+}
+
+let poamValidator = null;
+
+/**
+ * Validate a POA&M against its schema
+ * @param {Object} poam - POA&M from buildPoam()
+ * @throws {ValidationError} If the POA&M is malformed
+ */
+export function validatePoam(poam) {
+  if (!poamValidator) {
+    const ajv = new Ajv({ allErrors: true, strict: false, validateFormats: false });
+    poamValidator = ajv.compile(fs.readJsonSync(POAM_SCHEMA));
+  }
+
+  if (!poamValidator(poam)) {
+    throw new ValidationError(`${POAM_FILES.JSON} does not match its schema`, {
+      errors: poamValidator.errors.map(e => `${e.instancePath || '/'} ${e.message}`)
+    });
+  }
+}
+
+/**
+ * Write POAM.json and POAM.csv, updating the POA&M already in outputDir
+ * @param {Object} assessment - Assessment from assessNistBaseline()
+ * @param {string} outputDir - Directory to write to (e.g. compliance/nist)
+ * @param {Object} options - Options for buildPoam() except `previous`
+ * @returns {Promise<Object>} `{poam, written}` with written paths by file name
+ * @throws {ValidationError} If the POA&M does not match its schema
+ */
+export async function writePoam(assessment, outputDir, options = {}) {
+  const jsonPath = path.join(outputDir, POAM_FILES.JSON);
+  const previous = await fs.pathExists(jsonPath) ? await fs.readJson(jsonPath) : null;
+  if (previous) {
+    validatePoam(previous);
+  }
+
+  const poam = buildPoam(assessment, { ...options, previous });
+  validatePoam(poam);
+
+  await fs.ensureDir(outputDir);
+  const csvPath = path.join(outputDir, POAM_FILES.CSV);
+  await fs.writeJson(jsonPath, poam, { spaces: 2 });
+  await fs.writeFile(csvPath, buildPoamCsv(poam));
+
+  return { poam, written: { [POAM_FILES.JSON]: jsonPath, [POAM_FILES.CSV]: csvPath } };
+}
+
+// =============================================================================
+// Export
+// =============================================================================
+
+export {
+  ASSESSMENT_RESULTS_FILE,
+  FEDRAMP_POAM_COLUMNS,
+  NIST_BASELINES,
+  NIST_FRAMEWORK,
+  OSCAL_VERSION,
+  POAM_FILES,
+  POAM_STATUS,
+  REMEDIATION_DAYS
+};
+
+export default {
+  ASSESSMENT_RESULTS_FILE,
+  FEDRAMP_POAM_COLUMNS,
+  NIST_BASELINES,
+  NIST_FRAMEWORK,
+  OSCAL_VERSION,
+  POAM_FILES,
+  POAM_STATUS,
+  REMEDIATION_DAYS,
+  assessNistBaseline,
+  buildAssessmentResults,
+  buildPoam,
+  buildPoamCsv,
+  toOscalControlId,
+  validateAssessmentResults,
+  validatePoam,
+  writeAssessmentResults,
+  writePoam
+};
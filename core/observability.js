@@ -0,0 +1,179 @@
+/**
+ * EAOS Observability Audit Module
+ *
+ * Measures logging, metrics and tracing instrumentation coverage across
+ * the source modules of a repository for the Observability Audit phase.
+ */
+
+import path from 'path';
+import { SEVERITY_LEVELS } from './findings.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const SIGNALS = ['logging', 'metrics', 'tracing'];
+
+// Patterns that indicate a module emits each signal
+const SIGNAL_PATTERNS = {
+  logging: [
+    /\bconsole\.(?:log|info|warn|error|debug|trace)\s*\(/,
+    /\b\w*[lL]ogger\.(?:trace|debug|info|warn|error|fatal|log)\s*\(/,
+    /\bnew\s+EAOSLogger\s*\(|\b(?:getLogger|createLogger)\s*\(/,
+    /['"](?:winston|pino|bunyan|loglevel)['"]/
+  ],
+  metrics: [
+    /\b\w+\.(?:inc|dec|observe)\s*\(/,
+    /\bregistry\.(?:counter|gauge|histogram)\s*\(/,
+    /\bmeter\.create(?:Counter|Histogram|UpDownCounter|ObservableGauge)\s*\(/,
+    /['"](?:prom-client|hot-shots|node-statsd|@opentelemetry\/sdk-metrics)['"]/,
+    /from\s+['"][^'"]*\/metrics(?:\.js)?['"]/
+  ],
+  tracing: [
+    /\bstart(?:Active)?Span\s*\(/,
+    /\b(?:getTracer|trace\.getActiveSpan)\s*\(/,
+    /['"](?:@opentelemetry\/api|@opentelemetry\/sdk-trace-\w+|dd-trace|elastic-apm-node)['"]/,
+    /\btraceparent\b/
+  ]
+};
+
+// Default minimum share of modules carrying each signal
+const DEFAULT_MIN_COVERAGE = {
+  logging: 0.5,
+  metrics: 0.25,
+  tracing: 0.1
+};
+
+const COVERAGE_SEVERITY = {
+  logging: SEVERITY_LEVELS.MEDIUM,
+  metrics: SEVERITY_LEVELS.LOW,
+  tracing: SEVERITY_LEVELS.LOW
+};
+
+const DEFAULT_MIN_MODULE_LINES = 20;
+const DEFAULT_UNINSTRUMENTED_LINES = 100;
+
+// =============================================================================
+// Coverage
+// =============================================================================
+
+/**
+ * Check if a path is a test or type declaration file
+ * @param {string} filePath - Relative POSIX path
+ * @returns {boolean}
+ */
+export function isTestFile(filePath) {
+  return /(?:^|\/)(?:tests?|__tests__|__mocks__)\//.test(filePath) ||
+    /\.(?:test|spec)\.[cm]?[jt]sx?$/.test(filePath) ||
+    filePath.endsWith('.d.ts');
+}
+
+/**
+ * Detect which signals a module emits
+ * @param {string} content - Module source
+ * @returns {Object} Map of signal to boolean
+ */
+export function detectSignals(content) {
+  return Object.fromEntries(
+    SIGNALS.map(signal => [signal, SIGNAL_PATTERNS[signal].some(p => p.test(content))])
+  );
+}
+
+/**
+ * Measure instrumentation coverage of the repository's source modules
+ * @param {AuditContext} context - Audit context
+ * @param {Object} options - Options
+ * @param {number} options.minLines - Ignore modules with fewer non-blank lines
+ * @returns {Object} Coverage report
+ */
+export function measureInstrumentation(context, options = {}) {
+  const minLines = options.minLines ?? DEFAULT_MIN_MODULE_LINES;
+  const modules = [];
+
+  for (const file of context.sourceFiles()) {
+    if (isTestFile(file)) continue;
+    const content = context.readFile(file);
+    if (content === null) continue;
+
+    const lines = content.split('\n').filter(line => line.trim()).length;
+    if (lines < minLines) continue;
+
+    modules.push({ file, lines, ...detectSignals(content) });
+  }
+
+  const coverage = {};
+  for (const signal of SIGNALS) {
+    const instrumented = modules.filter(m => m[signal]).length;
+    coverage[signal] = {
+      instrumented,
+      total: modules.length,
+      ratio: modules.length > 0 ? instrumented / modules.length : 1
+    };
+  }
+
+  return { modules, coverage };
+}
+
+// =============================================================================
+// Analyzer
+// =============================================================================
+
+const INSTRUMENTATION_ANALYZER = {
+  id: 'instrumentation-coverage',
+  phase: 'observability',
+  name: 'Instrumentation Coverage',
+  description: 'Share of source modules emitting logs, metrics and traces',
+  analyze(context) {
+    const findings = [];
+    const report = measureInstrumentation(context, {
+      minLines: context.config.observability?.minModuleLines
+    });
+    context.data.instrumentation = report;
+
+    if (report.modules.length === 0) {
+      return findings;
+    }
+
+    for (const signal of SIGNALS) {
+      const ruleId = `${signal}-coverage`;
+      const minCoverage = context.ruleOptions(ruleId).minCoverage ?? DEFAULT_MIN_COVERAGE[signal];
+      const { instrumented, total, ratio } = report.coverage[signal];
+
+      if (ratio < minCoverage) {
+        findings.push({
+          ruleId,
+          severity: COVERAGE_SEVERITY[signal],
+          message: `Only ${instrumented} of ${total} modules (${Math.round(ratio * 100)}%) emit ${signal}; expected at least ${Math.round(minCoverage * 100)}%`,
+          metadata: { signal, instrumented, total, minCoverage }
+        });
+      }
+    }
+
+    const largeModuleLines = context.ruleOptions('uninstrumented-module').minLines || DEFAULT_UNINSTRUMENTED_LINES;
+    for (const entry of report.modules) {
+      if (entry.lines < largeModuleLines || SIGNALS.some(signal => entry[signal])) continue;
+      findings.push({
+        ruleId: 'uninstrumented-module',
+        severity: SEVERITY_LEVELS.INFO,
+        file: entry.file,
+        message: `${path.posix.basename(entry.file)} (${entry.lines} lines) has no logging, metrics or tracing`
+      });
+    }
+
+    return findings;
+  }
+};
+
+// =============================================================================
+// Export
+// =============================================================================
+
+export { SIGNALS, SIGNAL_PATTERNS, INSTRUMENTATION_ANALYZER };
+
+export default {
+  SIGNALS,
+  INSTRUMENTATION_ANALYZER,
+  detectSignals,
+  isTestFile,
+  measureInstrumentation
+};
@@ -0,0 +1,293 @@
+/**
+ * EAOS Performance Audit Module
+ *
+ * Compares benchmark results against stored baselines for the
+ * Performance Audit phase. Both files live under `audit/benchmarks/` by
+ * default and use the same format:
+ *
+ *   {
+ *     "benchmarks": [
+ *       { "name": "cli-startup", "value": 182, "unit": "ms", "direction": "lower" }
+ *     ]
+ *   }
+ *
+ * `direction` is `lower` (default) when smaller values are better, or
+ * `higher` for throughput-style metrics.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { ValidationError } from './errors.js';
+import { SEVERITY_LEVELS } from './findings.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const DEFAULT_RESULTS_PATH = 'audit/benchmarks/results.json';
+const DEFAULT_BASELINE_PATH = 'audit/benchmarks/baseline.json';
+
+// Relative change beyond which a benchmark counts as regressed
+const DEFAULT_REGRESSION_THRESHOLD = 0.1;
+
+// Regressions above this relative change are high severity
+const SEVERE_REGRESSION = 0.5;
+
+const BENCHMARK_STATUS = {
+  REGRESSED: 'regressed',
+  IMPROVED: 'improved',
+  UNCHANGED: 'unchanged',
+  NEW: 'new',
+  MISSING: 'missing'
+};
+
+// =============================================================================
+// Benchmark Files
+// =============================================================================
+
+/**
+ * Resolve benchmark file paths from `audit.benchmarks` configuration
+ * @param {Object} config - Audit configuration section
+ * @returns {{results: string, baseline: string}} Repository-relative paths
+ */
+export function getBenchmarkPaths(config = {}) {
+  return {
+    results: config.benchmarks?.results || DEFAULT_RESULTS_PATH,
+    baseline: config.benchmarks?.baseline || DEFAULT_BASELINE_PATH
+  };
+}
+
+/**
+ * Parse and validate a benchmark file
+ * @param {Object} data - Parsed JSON
+ * @returns {Map<string, Object>} Benchmarks keyed by name
+ * @throws {ValidationError} If the file does not match the benchmark format
+ */
+export function parseBenchmarks(data) {
+  if (!data || !Array.isArray(data.benchmarks)) {
+    throw new ValidationError('Benchmark file must contain a "benchmarks" array');
+  }
+
+  const benchmarks = new Map();
+  for (const entry of data.benchmarks) {
+    if (!entry || typeof entry.name !== 'string' || !entry.name) {
+      throw new ValidationError('Benchmark entry must have a name');
+    }
+    if (typeof entry.value !== 'number' || !Number.isFinite(entry.value)) {
+      throw new ValidationError(`Benchmark ${entry.name} must have a numeric value`);
+    }
+    if (entry.direction && !['lower', 'higher'].includes(entry.direction)) {
+      throw new ValidationError(`Benchmark ${entry.name} has invalid direction: ${entry.direction}`);
+    }
+
+    benchmarks.set(entry.name, {
+      name: entry.name,
+      value: entry.value,
+      unit: entry.unit || null,
+      direction: entry.direction || 'lower'
+    });
+  }
+
+  return benchmarks;
+}
+
+/**
+ * Compare benchmark results against a baseline
+ * @param {Map<string, Object>} results - Current results
+ * @param {Map<string, Object>} baseline - Baseline results
+ * @param {Object} options - Options
+ * @param {number} options.threshold - Relative change treated as significant
+ * @returns {Object[]} Comparisons. `change` is positive when performance got worse,
+ *   and null against a zero baseline, where any change in the worse direction
+ *   counts as a regression.
+ */
+export function compareBenchmarks(results, baseline, options = {}) {
+  const threshold = options.threshold ?? DEFAULT_REGRESSION_THRESHOLD;
+  const comparisons = [];
+
+  for (const current of results.values()) {
+    const base = baseline.get(current.name);
+    if (!base) {
+      comparisons.push({ ...current, baseline: null, change: null, status: BENCHMARK_STATUS.NEW });
+      continue;
+    }
+
+    const delta = current.direction === 'higher' ? base.value - current.value : current.value - base.value;
+    // A relative change from zero is undefined; compare the absolute delta
+    const change = base.value !== 0 ? delta / Math.abs(base.value) : null;
+    const limit = change === null ? 0 : threshold;
+    const worse = change ?? delta;
+
+    let status = BENCHMARK_STATUS.UNCHANGED;
+    if (worse > limit) {
+      status = BENCHMARK_STATUS.REGRESSED;
+    } else if (worse < -limit) {
+      status = BENCHMARK_STATUS.IMPROVED;
+    }
+
+    comparisons.push({ ...current, baseline: base.value, change, status });
+  }
+
+  for (const base of baseline.values()) {
+    if (!results.has(base.name)) {
+      comparisons.push({ ...base, value: null, baseline: base.value, change: null, status: BENCHMARK_STATUS.MISSING });
+    }
+  }
+
+  return comparisons;
+}
+
+/**
+ * Replace the baseline with the current benchmark results
+ * @param {string} rootDir - Repository root
+ * @param {Object} config - Audit configuration section
+ * @returns {Promise<Object>} Written baseline ({path, count})
+ * @throws {ValidationError} If there are no valid results to promote
+ */
+export async function updateBenchmarkBaseline(rootDir, config = {}) {
+  const paths = getBenchmarkPaths(config);
+  const resultsPath = path.join(rootDir, paths.results);
+
+  if (!await fs.pathExists(resultsPath)) {
+    throw new ValidationError(`No benchmark results found at ${paths.results}`);
+  }
+
+  const benchmarks = parseBenchmarks(await fs.readJson(resultsPath));
+  const baselinePath = path.join(rootDir, paths.baseline);
+
+  await fs.ensureDir(path.dirname(baselinePath));
+  await fs.writeJson(baselinePath, {
+    updated_at: new Date().toISOString(),
+    source: paths.results,
+    benchmarks: Array.from(benchmarks.values())
+  }, { spaces: 2 });
+
+  return { path: paths.baseline, count: benchmarks.size };
+}
+
+// =============================================================================
+// Analyzer
+// =============================================================================
+
+/**
+ * Read a benchmark file through the audit context
+ * @param {AuditContext} context - Audit context
+ * @param {string} relPath - Repository-relative path
+ * @returns {Map<string, Object>|null} Benchmarks, or null if the file is missing
+ * @throws {Error} If the file is not valid JSON or not a benchmark file
+ */
+function readBenchmarkFile(context, relPath) {
+  const content = context.readFile(relPath);
+  if (content === null) return null;
+  return parseBenchmarks(JSON.parse(content));
+}
+
+const BENCHMARK_ANALYZER = {
+  id: 'benchmark-regression',
+  phase: 'performance',
+  name: 'Benchmark Regression',
+  description: 'Benchmark results compared against the stored baseline',
+  analyze(context) {
+    const findings = [];
+    const paths = getBenchmarkPaths(context.config);
+    const report = { ...paths, comparisons: [] };
+    context.data.benchmarks = report;
+
+    let results;
+    let baseline;
+    try {
+      results = readBenchmarkFile(context, paths.results);
+    } catch (error) {
+      findings.push({
+        ruleId: 'invalid-benchmark-data',
+        severity: SEVERITY_LEVELS.LOW,
+        file: paths.results,
+        message: `Benchmark results are invalid: ${error.message}`
+      });
+      return findings;
+    }
+    try {
+      baseline = readBenchmarkFile(context, paths.baseline);
+    } catch (error) {
+      findings.push({
+        ruleId: 'invalid-benchmark-data',
+        severity: SEVERITY_LEVELS.LOW,
+        file: paths.baseline,
+        message: `Benchmark baseline is invalid: ${error.message}`
+      });
+      return findings;
+    }
+
+    if (!results) {
+      return findings;
+    }
+
+    if (!baseline) {
+      findings.push({
+        ruleId: 'missing-benchmark-baseline',
+        severity: SEVERITY_LEVELS.INFO,
+        file: paths.results,
+        message: `No benchmark baseline at ${paths.baseline}; run \`eaos audit performance --update-baseline\``
+      });
+      baseline = new Map();
+    }
+
+    const threshold = context.ruleOptions('performance-regression').threshold ?? DEFAULT_REGRESSION_THRESHOLD;
+    report.comparisons = compareBenchmarks(results, baseline, { threshold });
+
+    for (const comparison of report.comparisons) {
+      if (comparison.status === BENCHMARK_STATUS.MISSING) {
+        findings.push({
+          ruleId: 'missing-benchmark',
+          severity: SEVERITY_LEVELS.INFO,
+          file: paths.results,
+          message: `${comparison.name} is in the baseline but missing from the results`,
+          fingerprint: `missing-benchmark:${comparison.name}`,
+          metadata: { benchmark: comparison.name, baseline: comparison.baseline }
+        });
+        continue;
+      }
+      if (comparison.status !== BENCHMARK_STATUS.REGRESSED) continue;
+
+      const unit = comparison.unit ? ` ${comparison.unit}` : '';
+      const fromZero = comparison.change === null;
+      const amount = fromZero ? 'from a zero baseline' : `${Math.round(comparison.change * 100)}%`;
+      findings.push({
+        ruleId: 'performance-regression',
+        severity: fromZero || comparison.change > SEVERE_REGRESSION ? SEVERITY_LEVELS.HIGH : SEVERITY_LEVELS.MEDIUM,
+        file: paths.results,
+        message: `${comparison.name} regressed ${amount} (${comparison.baseline}${unit} -> ${comparison.value}${unit})`,
+        fingerprint: `performance-regression:${comparison.name}`,
+        metadata: {
+          benchmark: comparison.name,
+          baseline: comparison.baseline,
+          value: comparison.value,
+          change: comparison.change
+        }
+      });
+    }
+
+    return findings;
+  }
+};
+
+// =============================================================================
+// Export
+// =============================================================================
+
+export {
+  DEFAULT_RESULTS_PATH,
+  DEFAULT_BASELINE_PATH,
+  DEFAULT_REGRESSION_THRESHOLD,
+  BENCHMARK_STATUS,
+  BENCHMARK_ANALYZER
+};
+
+export default {
+  BENCHMARK_STATUS,
+  BENCHMARK_ANALYZER,
+  getBenchmarkPaths,
+  parseBenchmarks,
+  compareBenchmarks,
+  updateBenchmarkBaseline
+};
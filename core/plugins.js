@@ -51,6 +51,7 @@ export class Plugin {
     this.author = manifest.author || 'Unknown';
     this.dependencies = manifest.dependencies || [];
     this.hooks = manifest.hooks || {};
+    this.tasks = manifest.tasks || {};
     this.config = manifest.config || {};
     this.basePath = basePath;
     this.state = PLUGIN_STATES.UNLOADED;
@@ -89,6 +90,7 @@ export class Plugin {
       state: this.state,
       dependencies: this.dependencies,
       hooks: Object.keys(this.hooks),
+      tasks: Object.keys(this.tasks),
       loadedAt: this.loadedAt,
       error: this.error?.message || null
     };
@@ -417,6 +419,31 @@ export class PluginManager {
     return result;
   }
 
+  /**
+   * Get the task handler an enabled plugin provides for a task
+   *
+   * Plugins map task ids to handlers in the `tasks` manifest field, by
+   * method name of the plugin module or as a function. When several enabled
+   * plugins handle a task, the one loaded first wins.
+   *
+   * @param {string} taskId - Task id
+   * @returns {Object|null} `{pluginId, handler}`
+   */
+  getTaskHandler(taskId) {
+    for (const plugin of this.getAll()) {
+      if (!plugin.isEnabled() || !plugin.tasks[taskId]) continue;
+
+      const declared = plugin.tasks[taskId];
+      const handler = typeof declared === 'string'
+        ? plugin.instance?.[declared]?.bind(plugin.instance)
+        : declared;
+      if (typeof handler === 'function') {
+        return { pluginId: plugin.id, handler };
+      }
+    }
+    return null;
+  }
+
   /**
    * Get all loaded plugins
    * @returns {Plugin[]}
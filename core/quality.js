@@ -0,0 +1,594 @@
+/**
+ * EAOS Code Quality Module
+ *
+ * Code metrics for the Code Quality Audit phase, computed from the token
+ * stream of each JavaScript/TypeScript module:
+ * - Cyclomatic complexity per function
+ * - Copy-paste blocks found by hashing normalized token windows
+ * - Named exports that no module imports
+ */
+
+import path from 'path';
+import { SEVERITY_LEVELS } from './findings.js';
+import { tokenize, TOKEN_TYPES } from './tokenizer.js';
+import { resolveImport } from './architecture.js';
+import { isTestFile } from './observability.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const DEFAULT_MAX_COMPLEXITY = 10;
+const DEFAULT_MIN_DUPLICATE_TOKENS = 70;
+const DEFAULT_MIN_DUPLICATE_LINES = 5;
+
+// Tokens that add a branch to the control flow graph
+const DECISION_KEYWORDS = new Set(['if', 'for', 'while', 'case', 'catch']);
+const DECISION_OPERATORS = new Set(['&&', '||', '??', '?', '&&=', '||=', '??=']);
+
+// Keywords that look like calls when followed by `(...) {`
+const CONTROL_KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'with', 'return', 'typeof', 'await']);
+
+// Keywords kept verbatim when normalizing tokens for duplicate detection
+const KEYWORDS = new Set([
+  'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete', 'do',
+  'else', 'export', 'extends', 'false', 'finally', 'for', 'from', 'function', 'if', 'import', 'in',
+  'instanceof', 'let', 'new', 'null', 'of', 'return', 'static', 'super', 'switch', 'this', 'throw',
+  'true', 'try', 'typeof', 'undefined', 'var', 'void', 'while', 'yield'
+]);
+
+// Rolling hash parameters for token windows
+const HASH_BASE = 31;
+const HASH_MOD_A = 1000000007;
+const HASH_MOD_B = 998244353;
+
+// =============================================================================
+// Complexity
+// =============================================================================
+
+/**
+ * Index of the token opening the bracket closed at `index`
+ * @param {Object[]} tokens - Tokens
+ * @param {number} index - Index of a closing `)`
+ * @returns {number} Index of the matching `(`, or -1
+ */
+function matchingParen(tokens, index) {
+  let depth = 0;
+  for (let i = index; i >= 0; i--) {
+    if (tokens[i].type !== TOKEN_TYPES.PUNCTUATOR) continue;
+    if (tokens[i].value === ')') depth++;
+    else if (tokens[i].value === '(' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Name bound to a function expression from `name = ...` or `name: ...`
+ * @param {Object[]} tokens - Tokens
+ * @param {number} index - Index of the first token of the expression
+ * @returns {string|null}
+ */
+function assignedName(tokens, index) {
+  let i = index - 1;
+  if (tokens[i]?.value === 'async') i--;
+  const operator = tokens[i];
+  const name = tokens[i - 1];
+  if (operator && ['=', ':'].includes(operator.value) && name?.type === TOKEN_TYPES.IDENTIFIER) {
+    return name.value;
+  }
+  return null;
+}
+
+/**
+ * Decide whether the `{` at `index` opens a function body
+ * @param {Object[]} tokens - Tokens
+ * @param {number} index - Index of `{`
+ * @returns {string|null} Function name (`<anonymous>` if unnamed), or null for other blocks
+ */
+function functionAt(tokens, index) {
+  let close = index - 1;
+  const previous = tokens[close];
+  if (!previous) return null;
+
+  if (previous.value === '=>') {
+    const params = tokens[close - 1];
+    const start = params?.value === ')' ? matchingParen(tokens, close - 1) : close - 1;
+    return assignedName(tokens, start) || '<anonymous>';
+  }
+
+  // Skip a TypeScript return type annotation: `(...): Type {`
+  if (previous.value !== ')') {
+    let i = close;
+    while (i > 0 && i > index - 12 && tokens[i].value !== ':') i--;
+    if (tokens[i]?.value !== ':' || tokens[i - 1]?.value !== ')') return null;
+    close = i - 1;
+  }
+
+  const open = matchingParen(tokens, close);
+  if (open <= 0) return null;
+  const before = tokens[open - 1];
+
+  if (before.value === 'function') {
+    return assignedName(tokens, open - 1) || '<anonymous>';
+  }
+  if (before.type === TOKEN_TYPES.IDENTIFIER && !CONTROL_KEYWORDS.has(before.value)) {
+    return before.value;
+  }
+  return null;
+}
+
+/**
+ * Compute cyclomatic complexity of every function in a module
+ * @param {Object[]} tokens - Tokens from tokenize()
+ * @returns {Array<{name: string, line: number, endLine: number, complexity: number}>}
+ */
+export function measureComplexity(tokens) {
+  const functions = [];
+  // One entry per open brace: a function record or null for plain blocks
+  const braces = [];
+  const active = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const current = active[active.length - 1];
+
+    if (token.type === TOKEN_TYPES.PUNCTUATOR && token.value === '{') {
+      const name = functionAt(tokens, i);
+      if (name) {
+        const record = { name, line: token.line, endLine: token.line, complexity: 1 };
+        functions.push(record);
+        active.push(record);
+        braces.push(record);
+      } else {
+        braces.push(null);
+      }
+    } else if (token.type === TOKEN_TYPES.PUNCTUATOR && token.value === '}') {
+      const record = braces.pop();
+      if (record) {
+        record.endLine = token.line;
+        active.pop();
+      }
+    } else if (current) {
+      if (token.type === TOKEN_TYPES.IDENTIFIER && DECISION_KEYWORDS.has(token.value) &&
+          tokens[i - 1]?.value !== '.') {
+        current.complexity++;
+      } else if (token.type === TOKEN_TYPES.PUNCTUATOR && DECISION_OPERATORS.has(token.value)) {
+        current.complexity++;
+      }
+    }
+  }
+
+  return functions;
+}
+
+// =============================================================================
+// Duplication
+// =============================================================================
+
+/**
+ * Normalize a token so renamed copies still match
+ * @param {Object} token - Token
+ * @returns {string}
+ */
+function normalizeToken(token) {
+  switch (token.type) {
+  case TOKEN_TYPES.IDENTIFIER:
+    return KEYWORDS.has(token.value) ? token.value : '$id';
+  case TOKEN_TYPES.STRING:
+  case TOKEN_TYPES.TEMPLATE:
+    return '$str';
+  case TOKEN_TYPES.NUMBER:
+    return '$num';
+  case TOKEN_TYPES.REGEX:
+    return '$re';
+  default:
+    return token.value;
+  }
+}
+
+/**
+ * Rolling hashes of every window of `size` normalized tokens
+ * @param {number[]} ids - Normalized token ids
+ * @param {number} size - Window size
+ * @returns {string[]} Hash per window start
+ */
+function windowHashes(ids, size) {
+  const hashes = [];
+  if (ids.length < size) return hashes;
+
+  let powA = 1;
+  let powB = 1;
+  for (let i = 1; i < size; i++) {
+    powA = (powA * HASH_BASE) % HASH_MOD_A;
+    powB = (powB * HASH_BASE) % HASH_MOD_B;
+  }
+
+  let a = 0;
+  let b = 0;
+  for (let i = 0; i < ids.length; i++) {
+    if (i >= size) {
+      a = (a - ((ids[i - size] * powA) % HASH_MOD_A) + HASH_MOD_A) % HASH_MOD_A;
+      b = (b - ((ids[i - size] * powB) % HASH_MOD_B) + HASH_MOD_B) % HASH_MOD_B;
+    }
+    a = (a * HASH_BASE + ids[i]) % HASH_MOD_A;
+    b = (b * HASH_BASE + ids[i]) % HASH_MOD_B;
+    if (i >= size - 1) hashes.push(`${a}:${b}`);
+  }
+
+  return hashes;
+}
+
+/**
+ * Find copy-paste blocks across modules
+ * @param {Array<{file: string, tokens: Object[]}>} modules - Tokenized modules
+ * @param {Object} options - Options
+ * @param {number} options.minTokens - Minimum clone length in tokens
+ * @param {number} options.minLines - Minimum clone length in lines
+ * @returns {Object[]} Clones ({file, line, endLine, source: {file, line, endLine}, tokens})
+ */
+export function findDuplicates(modules, options = {}) {
+  const minTokens = options.minTokens || DEFAULT_MIN_DUPLICATE_TOKENS;
+  const minLines = options.minLines || DEFAULT_MIN_DUPLICATE_LINES;
+  const vocabulary = new Map();
+  const seen = new Map();
+  const clones = [];
+
+  for (const { file, tokens } of modules) {
+    const ids = tokens.map(token => {
+      const key = normalizeToken(token);
+      if (!vocabulary.has(key)) vocabulary.set(key, vocabulary.size + 1);
+      return vocabulary.get(key);
+    });
+    const hashes = windowHashes(ids, minTokens);
+    const sourceTokens = new Map(modules.map(m => [m.file, m.tokens]));
+    let run = null;
+
+    const finish = () => {
+      if (!run) return;
+      const end = run.end + minTokens - 1;
+      const source = sourceTokens.get(run.source.file);
+      const clone = {
+        file,
+        line: tokens[run.start].line,
+        endLine: tokens[end].line,
+        source: {
+          file: run.source.file,
+          line: source[run.source.start].line,
+          endLine: source[run.source.start + (end - run.start)].line
+        },
+        tokens: end - run.start + 1
+      };
+      if (clone.endLine - clone.line + 1 >= minLines) clones.push(clone);
+      run = null;
+    };
+
+    // Last token index covered by a clone, so copies are not reported twice
+    let covered = -1;
+
+    for (let k = 0; k < hashes.length; k++) {
+      const previous = seen.get(hashes[k]);
+
+      if (run && previous && previous.file === run.source.file && k === run.end + 1 &&
+          previous.start === run.source.start + (k - run.start) &&
+          !(previous.file === file && previous.start + minTokens > run.start)) {
+        run.end = k;
+      } else {
+        if (run) covered = run.end + minTokens - 1;
+        finish();
+        // Overlapping windows of the same file are repetition, not a copy
+        if (previous && k > covered && !(previous.file === file && previous.start + minTokens > k)) {
+          run = { start: k, end: k, source: previous };
+        }
+      }
+
+      if (!previous) seen.set(hashes[k], { file, start: k });
+    }
+    finish();
+  }
+
+  return clones;
+}
+
+// =============================================================================
+// Unused Exports
+// =============================================================================
+
+/**
+ * Named exports declared by a module
+ * @param {Object[]} tokens - Tokens
+ * @returns {Array<{name: string, line: number}>}
+ */
+export function extractExports(tokens) {
+  const exports = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type !== TOKEN_TYPES.IDENTIFIER || token.value !== 'export' || tokens[i - 1]?.value === '.') continue;
+
+    let j = i + 1;
+    if (tokens[j]?.value === 'default') {
+      exports.push({ name: 'default', line: token.line });
+      continue;
+    }
+    if (tokens[j]?.value === 'declare') j++;
+    if (tokens[j]?.value === 'async') j++;
+
+    const keyword = tokens[j]?.value;
+    if (['function', 'class', 'const', 'let', 'var', 'interface', 'type', 'enum'].includes(keyword)) {
+      let nameIndex = j + 1;
+      if (tokens[nameIndex]?.value === '*') nameIndex++; // generator
+      const name = tokens[nameIndex];
+      if (name?.type === TOKEN_TYPES.IDENTIFIER) {
+        exports.push({ name: name.value, line: token.line });
+      }
+    } else if (tokens[j]?.value === '{') {
+      // `export { a, b as c }` (re-exports from another module are named the same way)
+      for (j++; j < tokens.length && tokens[j].value !== '}'; j++) {
+        const next = tokens[j + 1];
+        if (tokens[j].type !== TOKEN_TYPES.IDENTIFIER || tokens[j].value === 'type') continue;
+        if (next?.value === 'as') {
+          exports.push({ name: tokens[j + 2].value, line: token.line });
+          j += 2;
+        } else {
+          exports.push({ name: tokens[j].value, line: token.line });
+        }
+      }
+    }
+  }
+
+  return exports;
+}
+
+/**
+ * Names a module uses from each module it imports
+ * @param {Object[]} tokens - Tokens
+ * @returns {Array<{specifier: string, names: string[]}>} `*` means every export
+ */
+export function extractImportedNames(tokens) {
+  const imports = [];
+  const is = (token, value) => token && token.value === value;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type !== TOKEN_TYPES.IDENTIFIER || is(tokens[i - 1], '.') || is(tokens[i - 1], '?.')) continue;
+
+    // require() and import() expose the whole module
+    if ((token.value === 'require' || token.value === 'import') && is(tokens[i + 1], '(') &&
+        tokens[i + 2]?.type === TOKEN_TYPES.STRING) {
+      imports.push({ specifier: tokens[i + 2].value, names: ['*'] });
+      continue;
+    }
+    if (token.value !== 'import' && token.value !== 'export') continue;
+
+    // Find `from '<specifier>'` before the statement ends
+    let end = i + 1;
+    while (end < tokens.length && !is(tokens[end], ';') && !is(tokens[end], '(') &&
+           !(tokens[end].type === TOKEN_TYPES.STRING)) {
+      end++;
+    }
+    const specifier = tokens[end];
+    const sideEffect = token.value === 'import' && end === i + 1;
+    if (specifier?.type !== TOKEN_TYPES.STRING || !(sideEffect || is(tokens[end - 1], 'from'))) continue;
+
+    const names = [];
+    let inBraces = false;
+    for (let j = i + 1; j < end - 1; j++) {
+      const current = tokens[j];
+      if (current.value === '{') inBraces = true;
+      else if (current.value === '}') inBraces = false;
+      else if (current.value === '*') names.push('*');
+      else if (current.type !== TOKEN_TYPES.IDENTIFIER || current.value === 'type') continue;
+      else if (inBraces) {
+        names.push(current.value);
+        if (is(tokens[j + 1], 'as')) j += 2;
+      } else if (token.value === 'import' && current.value !== 'as' && !is(tokens[j - 1], 'as')) {
+        names.push('default');
+      }
+    }
+    imports.push({ specifier: specifier.value, names });
+  }
+
+  return imports;
+}
+
+/**
+ * Package entry points, whose exports are public API
+ * @param {AuditContext} context - Audit context
+ * @returns {Set<string>} Repository-relative paths
+ */
+function entryPoints(context) {
+  const entries = new Set();
+  const content = context.readFile('package.json');
+  if (content === null) return entries;
+
+  let manifest;
+  try {
+    manifest = JSON.parse(content);
+  } catch {
+    return entries;
+  }
+
+  const collect = value => {
+    if (typeof value === 'string') entries.add(path.posix.normalize(value));
+    else if (value && typeof value === 'object') Object.values(value).forEach(collect);
+  };
+  collect(manifest.main);
+  collect(manifest.module);
+  collect(manifest.bin);
+  collect(manifest.exports);
+  return entries;
+}
+
+/**
+ * Find named exports that no module imports
+ *
+ * Only modules imported by another module are checked: modules nothing
+ * imports are entry points or dead files, and package entry points are
+ * public API.
+ *
+ * @param {Array<{file: string, tokens: Object[]}>} modules - Tokenized modules
+ * @param {Object} options - Options
+ * @param {Set<string>} options.entries - Entry points to skip
+ * @param {string[]} options.ignore - Export names never reported
+ * @returns {Array<{file: string, name: string, line: number}>}
+ */
+export function findUnusedExports(modules, options = {}) {
+  const files = new Set(modules.map(m => m.file));
+  const entries = options.entries || new Set();
+  const ignore = new Set(options.ignore || ['default']);
+  const used = new Map();
+
+  for (const { file, tokens } of modules) {
+    for (const { specifier, names } of extractImportedNames(tokens)) {
+      const target = resolveImport(file, specifier, files);
+      if (!target || target === file) continue;
+      if (!used.has(target)) used.set(target, new Set());
+      names.forEach(name => used.get(target).add(name));
+    }
+  }
+
+  const unused = [];
+  for (const { file, tokens } of modules) {
+    const names = used.get(file);
+    if (!names || names.has('*') || entries.has(file)) continue;
+    for (const { name, line } of extractExports(tokens)) {
+      if (!names.has(name) && !ignore.has(name)) unused.push({ file, name, line });
+    }
+  }
+
+  return unused;
+}
+
+// =============================================================================
+// Analyzer
+// =============================================================================
+
+/**
+ * Measure complexity, duplication and unused exports of a repository
+ * @param {AuditContext} context - Audit context
+ * @returns {Object} Quality report
+ */
+export function measureQuality(context) {
+  const modules = [];
+  for (const file of context.sourceFiles()) {
+    const content = context.readFile(file);
+    if (content === null) continue;
+    modules.push({ file, tokens: tokenize(content), lines: content.split('\n').length });
+  }
+
+  const production = modules.filter(m => !isTestFile(m.file));
+  const functions = production.flatMap(m => measureComplexity(m.tokens).map(fn => ({ file: m.file, ...fn })));
+  const duplicateOptions = context.ruleOptions('duplicate-code');
+  const clones = findDuplicates(production, duplicateOptions);
+  const unusedExports = findUnusedExports(modules, {
+    entries: entryPoints(context),
+    ignore: context.ruleOptions('unused-export').ignore
+  });
+
+  const totalLines = production.reduce((sum, m) => sum + m.lines, 0);
+  const duplicatedLines = clones.reduce((sum, c) => sum + (c.endLine - c.line + 1), 0);
+  const totalComplexity = functions.reduce((sum, fn) => sum + fn.complexity, 0);
+
+  return {
+    modules: production.length,
+    functions,
+    complexity: {
+      functions: functions.length,
+      average: functions.length > 0 ? Math.round((totalComplexity / functions.length) * 100) / 100 : 0,
+      max: functions.reduce((max, fn) => Math.max(max, fn.complexity), 0)
+    },
+    duplication: {
+      clones,
+      duplicated_lines: duplicatedLines,
+      total_lines: totalLines,
+      ratio: totalLines > 0 ? Math.round((duplicatedLines / totalLines) * 1000) / 1000 : 0
+    },
+    unused_exports: unusedExports
+  };
+}
+
+const QUALITY_METRICS_ANALYZER = {
+  id: 'quality-metrics',
+  phase: 'code-quality',
+  name: 'Quality Metrics',
+  description: 'Cyclomatic complexity, duplicated code and unused exports',
+  analyze(context) {
+    const findings = [];
+    const report = measureQuality(context);
+    const maxComplexity = context.ruleOptions('high-complexity').maxComplexity || DEFAULT_MAX_COMPLEXITY;
+
+    for (const fn of report.functions) {
+      if (fn.complexity <= maxComplexity) continue;
+      findings.push({
+        ruleId: 'high-complexity',
+        severity: fn.complexity > maxComplexity * 2 ? SEVERITY_LEVELS.HIGH : SEVERITY_LEVELS.MEDIUM,
+        file: fn.file,
+        line: fn.line,
+        message: `${fn.name} has cyclomatic complexity ${fn.complexity} (limit ${maxComplexity})`,
+        metadata: { function: fn.name, complexity: fn.complexity, endLine: fn.endLine }
+      });
+    }
+
+    for (const clone of report.duplication.clones) {
+      const lines = clone.endLine - clone.line + 1;
+      findings.push({
+        ruleId: 'duplicate-code',
+        severity: SEVERITY_LEVELS.LOW,
+        file: clone.file,
+        line: clone.line,
+        message: `${lines} lines duplicate ${clone.source.file}:${clone.source.line}-${clone.source.endLine}`,
+        metadata: { endLine: clone.endLine, source: clone.source, tokens: clone.tokens }
+      });
+    }
+
+    for (const entry of report.unused_exports) {
+      findings.push({
+        ruleId: 'unused-export',
+        severity: SEVERITY_LEVELS.LOW,
+        file: entry.file,
+        line: entry.line,
+        message: `Export ${entry.name} is not imported by any module`,
+        fingerprint: `unused-export:${entry.file}:${entry.name}`
+      });
+    }
+
+    // Keep the per-function list out of results; it is large and derivable
+    context.data.quality = {
+      modules: report.modules,
+      complexity: {
+        ...report.complexity,
+        over_limit: findings.filter(f => f.ruleId === 'high-complexity').length,
+        limit: maxComplexity
+      },
+      duplication: {
+        clones: report.duplication.clones.length,
+        duplicated_lines: report.duplication.duplicated_lines,
+        total_lines: report.duplication.total_lines,
+        ratio: report.duplication.ratio
+      },
+      unused_exports: report.unused_exports.length
+    };
+
+    return findings;
+  }
+};
+
+// =============================================================================
+// Export
+// =============================================================================
+
+export {
+  DEFAULT_MAX_COMPLEXITY,
+  DEFAULT_MIN_DUPLICATE_TOKENS,
+  QUALITY_METRICS_ANALYZER
+};
+
+export default {
+  QUALITY_METRICS_ANALYZER,
+  extractExports,
+  extractImportedNames,
+  findDuplicates,
+  findUnusedExports,
+  measureComplexity,
+  measureQuality
+};
@@ -0,0 +1,743 @@
+/**
+ * EAOS Audit Reports Module
+ *
+ * Builds the audit artifacts promised by modules/audit_pipeline.claude
+ * from pipeline results, validates them against the schemas in
+ * manifests/, and writes them to the audit output directory:
+ * - AuditReport.md
+ * - ArchitectureGraph.json
+ * - RiskRegister.json
+ * - Findings.json
+ * - RemediationPlan.json
+ *
+ * The audit report can additionally be exported as JSON or SARIF 2.1.0
+ * (AuditReport.json / AuditReport.sarif) for code-scanning tools.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Ajv from 'ajv/dist/2020.js';
+import { ValidationError } from './errors.js';
+import { AUDIT_PHASES } from './audit.js';
+import { SEVERITY_LEVELS, SEVERITY_RANK, compareSeverity } from './findings.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const MANIFESTS_DIR = path.join(__dirname, '..', 'manifests');
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const ARTIFACT_VERSION = '1.0.0';
+
+const ARTIFACTS = {
+  REPORT: 'AuditReport.md',
+  ARCHITECTURE_GRAPH: 'ArchitectureGraph.json',
+  RISK_REGISTER: 'RiskRegister.json',
+  FINDINGS: 'Findings.json',
+  REMEDIATION_PLAN: 'RemediationPlan.json'
+};
+
+// Audit report formats and their filenames (md is always written)
+const REPORT_FORMATS = {
+  md: 'AuditReport.md',
+  json: 'AuditReport.json',
+  sarif: 'AuditReport.sarif'
+};
+
+const SARIF_VERSION = '2.1.0';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const SARIF_LEVELS = {
+  critical: 'error',
+  high: 'error',
+  medium: 'warning',
+  low: 'note',
+  info: 'note'
+};
+
+// CVSS-style scores read by code-scanning UIs for security rules
+const SECURITY_SEVERITY = {
+  critical: '9.5',
+  high: '8.0',
+  medium: '5.5',
+  low: '3.0',
+  info: '0.0'
+};
+
+const ARTIFACT_SCHEMAS = {
+  [ARTIFACTS.ARCHITECTURE_GRAPH]: 'AUDIT_ARCHITECTURE_GRAPH_SCHEMA.json',
+  [ARTIFACTS.RISK_REGISTER]: 'AUDIT_RISK_REGISTER_SCHEMA.json',
+  [ARTIFACTS.FINDINGS]: 'AUDIT_FINDINGS_SCHEMA.json',
+  [ARTIFACTS.REMEDIATION_PLAN]: 'AUDIT_REMEDIATION_PLAN_SCHEMA.json'
+};
+
+// Impact score (1-5) per severity
+const SEVERITY_IMPACT = {
+  info: 1,
+  low: 2,
+  medium: 3,
+  high: 4,
+  critical: 5
+};
+
+const SEVERITY_PRIORITY = {
+  critical: 'P0',
+  high: 'P1',
+  medium: 'P2',
+  low: 'P3',
+  info: 'P3'
+};
+
+// Remediation deadline in days per priority
+const PRIORITY_DUE_DAYS = {
+  P0: 7,
+  P1: 30,
+  P2: 90,
+  P3: 180
+};
+
+// Default risk owners per phase (agent names from agents/)
+const PHASE_OWNERS = {
+  architecture: 'autonomous_cto',
+  'code-quality': 'autonomous_cto',
+  security: 'cio_agent',
+  compliance: 'cio_agent',
+  financial: 'cfo_agent',
+  observability: 'autonomous_cto',
+  performance: 'autonomous_cto'
+};
+
+const REMEDIATION_GUIDANCE = {
+  'module-size': 'Split the module along its responsibilities into smaller files',
+  'deep-relative-import': 'Expose the dependency through a public module entry point instead of reaching across directories',
+  'import-cycle': 'Break the cycle by moving shared code into a module both sides can import',
+  'layer-violation': 'Invert the dependency or move the code into a layer the importer may depend on',
+  'forbidden-dependency': 'Remove the import or route it through an allowed module',
+  'debugger-statement': 'Remove debugger statements before merging',
+  'high-complexity': 'Extract branches into smaller functions or replace conditionals with lookup tables',
+  'duplicate-code': 'Move the duplicated block into a shared function both call sites use',
+  'unused-export': 'Remove the export, or the code if nothing else uses it',
+  'todo-comment': 'Resolve the TODO or track it as a BEAD',
+  'dynamic-code-execution': 'Replace dynamic code execution with explicit parsing or dispatch tables',
+  'tls-verification-disabled': 'Re-enable certificate verification and trust the required CA explicitly',
+  'shell-injection': 'Use execFile/spawn with an argument array instead of an interpolated shell string',
+  'missing-security-policy': 'Add a SECURITY.md describing how to report vulnerabilities',
+  'missing-codeowners': 'Add a CODEOWNERS file assigning reviewers to each area',
+  'missing-license': 'Add a LICENSE file',
+  'missing-ci-workflow': 'Add a CI workflow that lints and tests every change',
+  'large-asset': 'Compress the asset or move it to artifact storage',
+  'cost-anomaly': 'Investigate the cost increase with the FinOps engine and right-size the service',
+  'invalid-cost-data': 'Regenerate finance/CostBreakdown.json with the FinOps engine',
+  'silent-catch': 'Log the error with context or rethrow it',
+  'sync-io-in-async': 'Use the promise-based fs API inside async code',
+  'logging-coverage': 'Add structured logging (core/logger.js) to modules that handle requests or background work',
+  'metrics-coverage': 'Record counters and histograms (core/metrics.js) for key operations',
+  'tracing-coverage': 'Instrument entry points with OpenTelemetry spans',
+  'uninstrumented-module': 'Add logging or metrics to the module',
+  'performance-regression': 'Profile the regressed benchmark and fix the slowdown, or update the baseline if it is intended',
+  'missing-benchmark-baseline': 'Record a baseline with `eaos audit performance --update-baseline`',
+  'invalid-benchmark-data': 'Regenerate the benchmark results in the documented format',
+  'missing-advisory-database': 'Mirror the OSV npm advisories into `.eaos/advisories` or set `audit.advisories.database`',
+  'invalid-lockfile': 'Regenerate the lockfile with the package manager'
+};
+
+// =============================================================================
+// Schema Validation
+// =============================================================================
+
+let ajv = null;
+const validators = new Map();
+
+/**
+ * Get a compiled validator for an artifact
+ * @param {string} artifact - Artifact filename
+ * @returns {Function} Ajv validate function
+ */
+function getValidator(artifact) {
+  if (!validators.has(artifact)) {
+    ajv = ajv || new Ajv({ allErrors: true, strict: false, validateFormats: false });
+    const schema = fs.readJsonSync(path.join(MANIFESTS_DIR, ARTIFACT_SCHEMAS[artifact]));
+    validators.set(artifact, ajv.compile(schema));
+  }
+  return validators.get(artifact);
+}
+
+/**
+ * Validate an artifact against its schema
+ * @param {string} artifact - Artifact filename
+ * @param {Object} data - Artifact content
+ * @throws {ValidationError} If the artifact does not match its schema
+ */
+export function validateArtifact(artifact, data) {
+  if (!ARTIFACT_SCHEMAS[artifact]) {
+    throw new ValidationError(`No schema registered for artifact: ${artifact}`);
+  }
+
+  const validate = getValidator(artifact);
+  if (!validate(data)) {
+    throw new ValidationError(`${artifact} does not match its schema`, {
+      errors: validate.errors.map(e => `${e.instancePath || '/'} ${e.message}`)
+    });
+  }
+}
+
+// =============================================================================
+// Artifact Builders
+// =============================================================================
+
+/**
+ * Format a finding location
+ * @param {Object} finding - Finding
+ * @returns {string}
+ */
+function formatLocation(finding) {
+  if (!finding.file) return '(repository)';
+  return finding.line ? `${finding.file}:${finding.line}` : finding.file;
+}
+
+/**
+ * Build Findings.json
+ * @param {Object} results - Audit pipeline results
+ * @returns {Object}
+ */
+export function buildFindings(results) {
+  return {
+    version: ARTIFACT_VERSION,
+    generated_at: results.timestamp,
+    audit_type: results.type,
+    summary: {
+      total: results.findings.length,
+      by_severity: results.summary.by_severity,
+      by_phase: Object.fromEntries(results.phases.map(p => [p.id, p.findings_count])),
+      ...(results.diff ? {
+        by_status: {
+          new: results.diff.summary.new,
+          persisting: results.diff.summary.persisting,
+          fixed: results.diff.summary.fixed
+        }
+      } : {})
+    },
+    findings: results.findings.map((finding, index) => ({
+      id: `F-${String(index + 1).padStart(4, '0')}`,
+      ...finding
+    }))
+  };
+}
+
+/**
+ * Group findings into risks, one per rule
+ * @param {Object} findingsArtifact - Findings.json content
+ * @returns {Object[]} Risk groups (most severe first)
+ */
+function groupRisks(findingsArtifact) {
+  const groups = new Map();
+
+  for (const finding of findingsArtifact.findings) {
+    const key = `${finding.phase}:${finding.ruleId}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        ruleId: finding.ruleId,
+        phase: finding.phase,
+        severity: finding.severity,
+        message: finding.message,
+        remediation: finding.metadata?.remediation || null,
+        findings: []
+      });
+    }
+    const group = groups.get(key);
+    if (compareSeverity(finding.severity, group.severity) > 0) {
+      group.severity = finding.severity;
+      group.message = finding.message;
+    }
+    group.findings.push(finding);
+  }
+
+  return Array.from(groups.values()).sort((a, b) =>
+    compareSeverity(b.severity, a.severity) ||
+    b.findings.length - a.findings.length ||
+    a.ruleId.localeCompare(b.ruleId)
+  );
+}
+
+/**
+ * Map an occurrence count to a likelihood score (1-5)
+ * @param {number} count - Number of occurrences
+ * @returns {number}
+ */
+function likelihoodFor(count) {
+  if (count >= 50) return 5;
+  if (count >= 20) return 4;
+  if (count >= 5) return 3;
+  if (count >= 2) return 2;
+  return 1;
+}
+
+/**
+ * Map an occurrence count to a BEADS effort estimate
+ * @param {number} count - Number of occurrences
+ * @returns {string}
+ */
+function effortFor(count) {
+  if (count > 50) return 'XL';
+  if (count > 20) return 'L';
+  if (count > 5) return 'M';
+  if (count > 1) return 'S';
+  return 'XS';
+}
+
+/**
+ * Build RiskRegister.json
+ * @param {Object} findingsArtifact - Findings.json content
+ * @returns {Object}
+ */
+export function buildRiskRegister(findingsArtifact) {
+  const risks = groupRisks(findingsArtifact).map((group, index) => {
+    const likelihood = likelihoodFor(group.findings.length);
+    const impact = SEVERITY_IMPACT[group.severity];
+    return {
+      id: `R-${String(index + 1).padStart(3, '0')}`,
+      title: group.message,
+      rule_id: group.ruleId,
+      category: group.phase,
+      severity: group.severity,
+      likelihood,
+      impact,
+      score: likelihood * impact,
+      occurrences: group.findings.length,
+      affected_files: [...new Set(group.findings.map(f => f.file).filter(Boolean))],
+      finding_ids: group.findings.map(f => f.id),
+      owner: PHASE_OWNERS[group.phase] || 'autonomous_cto',
+      status: 'open',
+      treatment: impact >= SEVERITY_IMPACT.high ? 'mitigate' : 'monitor'
+    };
+  });
+
+  return {
+    version: ARTIFACT_VERSION,
+    generated_at: findingsArtifact.generated_at,
+    summary: {
+      total: risks.length,
+      by_severity: Object.fromEntries(
+        Object.values(SEVERITY_LEVELS).map(s => [s, risks.filter(r => r.severity === s).length])
+      )
+    },
+    risks
+  };
+}
+
+/**
+ * Build RemediationPlan.json
+ * @param {Object} findingsArtifact - Findings.json content
+ * @param {Object} riskRegister - RiskRegister.json content
+ * @returns {Object}
+ */
+export function buildRemediationPlan(findingsArtifact, riskRegister) {
+  const groups = groupRisks(findingsArtifact);
+  const generatedAt = new Date(findingsArtifact.generated_at);
+
+  const items = riskRegister.risks.map((risk, index) => {
+    const group = groups[index];
+    const priority = SEVERITY_PRIORITY[risk.severity];
+    const dueDate = new Date(generatedAt.getTime() + PRIORITY_DUE_DAYS[priority] * 24 * 60 * 60 * 1000);
+    const guidance = group.remediation ||
+      REMEDIATION_GUIDANCE[risk.rule_id] ||
+      `Review and resolve the ${risk.rule_id} findings`;
+
+    return {
+      id: `REM-${String(index + 1).padStart(3, '0')}`,
+      risk_id: risk.id,
+      title: `Resolve ${risk.rule_id} (${risk.occurrences} occurrence${risk.occurrences === 1 ? '' : 's'})`,
+      priority,
+      effort_estimate: effortFor(risk.occurrences),
+      owner: risk.owner,
+      due_date: dueDate.toISOString().split('T')[0],
+      actions: [guidance],
+      affected_files: risk.affected_files,
+      finding_ids: risk.finding_ids
+    };
+  });
+
+  return {
+    version: ARTIFACT_VERSION,
+    generated_at: findingsArtifact.generated_at,
+    summary: {
+      total: items.length,
+      by_priority: Object.fromEntries(
+        Object.keys(PRIORITY_DUE_DAYS).map(p => [p, items.filter(i => i.priority === p).length])
+      )
+    },
+    items
+  };
+}
+
+/**
+ * Build ArchitectureGraph.json
+ * @param {Object} results - Audit pipeline results
+ * @returns {Object}
+ */
+export function buildArchitectureGraph(results) {
+  const graph = results.architecture_graph || { granularity: 'component', nodes: [], edges: [] };
+
+  return {
+    version: ARTIFACT_VERSION,
+    generated_at: results.timestamp,
+    ...graph
+  };
+}
+
+/**
+ * Build AuditReport.md
+ * @param {Object} findingsArtifact - Findings.json content
+ * @param {Object} riskRegister - RiskRegister.json content
+ * @param {Object} results - Audit pipeline results
+ * @returns {string} Markdown report
+ */
+export function buildAuditReport(findingsArtifact, riskRegister, results) {
+  const lines = [];
+  const bySeverity = findingsArtifact.summary.by_severity;
+
+  lines.push('# EAOS Audit Report', '');
+  lines.push(`- **Generated:** ${results.timestamp}`);
+  lines.push(`- **Audit type:** ${results.type}`);
+  lines.push(`- **Files scanned:** ${results.summary.files_scanned}`);
+  lines.push(`- **Total findings:** ${findingsArtifact.summary.total}`, '');
+
+  lines.push('## Severity Summary', '');
+  lines.push('| Severity | Findings |', '|----------|----------|');
+  for (const severity of Object.keys(SEVERITY_RANK).reverse()) {
+    lines.push(`| ${severity} | ${bySeverity[severity]} |`);
+  }
+  lines.push('');
+
+  lines.push('## Phase Summary', '');
+  lines.push('| Phase | Status | Analyzers | Findings |', '|-------|--------|-----------|----------|');
+  for (const phase of results.phases) {
+    lines.push(`| ${phase.name} | ${phase.status} | ${phase.analyzers.join(', ') || '-'} | ${phase.findings_count} |`);
+  }
+  lines.push('');
+
+  if (results.diff) {
+    const diff = results.diff;
+    lines.push('## Changes Since Baseline', '');
+    lines.push(`- **Baseline:** ${diff.baseline || 'none (all findings are new)'}`);
+    lines.push(`- **New:** ${diff.summary.new}`);
+    lines.push(`- **Persisting:** ${diff.summary.persisting}`);
+    lines.push(`- **Fixed:** ${diff.summary.fixed}`, '');
+    if (diff.fixed.length > 0) {
+      lines.push('| Severity | Rule | Location | Message |', '|----------|------|----------|---------|');
+      for (const finding of diff.fixed) {
+        lines.push(`| ${finding.severity} | ${finding.ruleId} | ${escapeCell(formatLocation(finding))} | ${escapeCell(finding.message)} |`);
+      }
+      lines.push('');
+    }
+  }
+
+  const graph = results.architecture_graph;
+  if (graph?.granularity === 'module') {
+    lines.push('## Architecture', '');
+    lines.push(`- **Modules:** ${graph.nodes.length}`);
+    lines.push(`- **Dependencies:** ${graph.edges.length}`);
+    lines.push(`- **Import cycles:** ${graph.cycles.length}`);
+    lines.push(`- **Rule violations:** ${graph.violations.length}`, '');
+  }
+
+  const quality = results.quality;
+  if (quality) {
+    lines.push('## Code Quality', '');
+    lines.push(`- **Functions:** ${quality.complexity.functions}`);
+    lines.push(`- **Average complexity:** ${quality.complexity.average} (max ${quality.complexity.max})`);
+    lines.push(`- **Over complexity limit:** ${quality.complexity.over_limit}`);
+    lines.push(`- **Duplicated lines:** ${quality.duplication.duplicated_lines} (${(quality.duplication.ratio * 100).toFixed(1)}%)`);
+    lines.push(`- **Unused exports:** ${quality.unused_exports}`, '');
+  }
+
+  lines.push('## Top Risks', '');
+  if (riskRegister.risks.length === 0) {
+    lines.push('No risks identified.');
+  } else {
+    lines.push('| Risk | Severity | Score | Occurrences | Owner | Title |', '|------|----------|-------|-------------|-------|-------|');
+    for (const risk of riskRegister.risks.slice(0, 10)) {
+      lines.push(`| ${risk.id} | ${risk.severity} | ${risk.score} | ${risk.occurrences} | ${risk.owner} | ${escapeCell(risk.title)} |`);
+    }
+  }
+  lines.push('');
+
+  lines.push('## Findings', '');
+  for (const phase of AUDIT_PHASES) {
+    const phaseFindings = findingsArtifact.findings.filter(f => f.phase === phase.id);
+    if (phaseFindings.length === 0) continue;
+
+    lines.push(`### ${phase.name}`, '');
+    if (results.diff) {
+      lines.push('| ID | Severity | Status | Rule | Location | Message |', '|----|----------|--------|------|----------|---------|');
+    } else {
+      lines.push('| ID | Severity | Rule | Location | Message |', '|----|----------|------|----------|---------|');
+    }
+    for (const finding of phaseFindings) {
+      const status = results.diff ? ` ${finding.status} |` : '';
+      lines.push(`| ${finding.id} | ${finding.severity} |${status} ${finding.ruleId} | ${escapeCell(formatLocation(finding))} | ${escapeCell(finding.message)} |`);
+    }
+    lines.push('');
+  }
+  if (findingsArtifact.findings.length === 0) {
+    lines.push('No findings.', '');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Build AuditReport.json
+ * @param {Object} findingsArtifact - Findings.json content
+ * @param {Object} results - Audit pipeline results
+ * @returns {Object}
+ */
+export function buildJsonReport(findingsArtifact, results) {
+  return {
+    version: ARTIFACT_VERSION,
+    generated_at: results.timestamp,
+    audit_type: results.type,
+    summary: results.summary,
+    phases: results.phases.map(phase => ({
+      id: phase.id,
+      name: phase.name,
+      status: phase.status,
+      analyzers: phase.analyzers,
+      findings_count: phase.findings_count,
+      by_severity: phase.by_severity,
+      duration_ms: phase.duration_ms,
+      errors: phase.errors
+    })),
+    findings: findingsArtifact.findings,
+    ...(results.diff ? { diff: results.diff } : {})
+  };
+}
+
+/**
+ * Build AuditReport.sarif (SARIF 2.1.0)
+ * @param {Object} findingsArtifact - Findings.json content
+ * @param {Object} results - Audit pipeline results
+ * @returns {Object}
+ */
+export function buildSarifReport(findingsArtifact, results) {
+  const rules = [];
+  const ruleIndex = new Map();
+
+  for (const finding of findingsArtifact.findings) {
+    if (ruleIndex.has(finding.ruleId)) {
+      const rule = rules[ruleIndex.get(finding.ruleId)];
+      if (compareSeverity(finding.severity, rule.properties.severity) > 0) {
+        rule.properties.severity = finding.severity;
+        rule.defaultConfiguration.level = SARIF_LEVELS[finding.severity];
+      }
+      continue;
+    }
+
+    ruleIndex.set(finding.ruleId, rules.length);
+    rules.push({
+      id: finding.ruleId,
+      name: finding.ruleId,
+      shortDescription: { text: finding.message },
+      defaultConfiguration: { level: SARIF_LEVELS[finding.severity] },
+      properties: {
+        phase: finding.phase,
+        analyzer: finding.analyzer,
+        severity: finding.severity,
+        tags: [finding.phase].filter(Boolean)
+      }
+    });
+  }
+
+  for (const rule of rules) {
+    if (rule.properties.phase === 'security') {
+      rule.properties['security-severity'] = SECURITY_SEVERITY[rule.properties.severity];
+      rule.properties.tags.push('security');
+    }
+  }
+
+  const sarifResults = findingsArtifact.findings.map(finding => {
+    const result = {
+      ruleId: finding.ruleId,
+      ruleIndex: ruleIndex.get(finding.ruleId),
+      level: SARIF_LEVELS[finding.severity],
+      message: { text: finding.message },
+      properties: {
+        id: finding.id,
+        severity: finding.severity,
+        phase: finding.phase
+      }
+    };
+
+    if (finding.file) {
+      result.locations = [{
+        physicalLocation: {
+          artifactLocation: { uri: finding.file, uriBaseId: '%SRCROOT%' },
+          ...(finding.line ? { region: { startLine: finding.line } } : {})
+        }
+      }];
+    }
+
+    if (finding.fingerprint) {
+      result.partialFingerprints = { eaosFingerprint: finding.fingerprint };
+    }
+    if (finding.status) {
+      result.baselineState = finding.status === 'new' ? 'new' : 'unchanged';
+    }
+
+    return result;
+  });
+
+  const notifications = results.phases.flatMap(phase =>
+    phase.errors.map(error => ({
+      level: 'error',
+      message: { text: `${phase.name}: analyzer ${error.analyzer} failed: ${error.error}` }
+    }))
+  );
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: [{
+      tool: {
+        driver: {
+          name: 'EAOS Audit',
+          version: getToolVersion(),
+          informationUri: 'https://github.com/Ethical-AI-Syndicate/eaos-skill',
+          rules
+        }
+      },
+      invocations: [{
+        executionSuccessful: results.phases.every(p => p.status !== 'failed'),
+        endTimeUtc: results.timestamp,
+        toolExecutionNotifications: notifications
+      }],
+      results: sarifResults,
+      properties: {
+        auditType: results.type,
+        summary: results.summary
+      }
+    }]
+  };
+}
+
+/**
+ * Get the EAOS version from package.json
+ * @returns {string}
+ */
+function getToolVersion() {
+  try {
+    return fs.readJsonSync(path.join(__dirname, '..', 'package.json')).version;
+  } catch {
+    return '0.0.0';
+  }
+}
+
+/**
+ * Parse an --output value into report formats
+ * @param {string|string[]} value - Format or comma-separated formats (md, json, sarif)
+ * @returns {string[]} Formats (always including md)
+ * @throws {ValidationError} If a format is unknown
+ */
+export function parseReportFormats(value = 'md') {
+  const requested = (Array.isArray(value) ? value : String(value).split(','))
+    .map(f => f.trim().toLowerCase())
+    .filter(Boolean);
+
+  for (const format of requested) {
+    if (!REPORT_FORMATS[format]) {
+      throw new ValidationError(`Unknown report format: ${format}`, {
+        valid: Object.keys(REPORT_FORMATS)
+      });
+    }
+  }
+
+  return ['md', ...requested.filter(f => f !== 'md')].filter((f, i, all) => all.indexOf(f) === i);
+}
+
+/**
+ * Escape a value for a Markdown table cell
+ * @param {string} value - Cell value
+ * @returns {string}
+ */
+function escapeCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+// =============================================================================
+// Writer
+// =============================================================================
+
+/**
+ * Build, validate and write all audit artifacts
+ * @param {Object} results - Audit pipeline results
+ * @param {string} outputDir - Output directory (e.g. <root>/audit)
+ * @param {Object} options - Write options
+ * @param {string[]} options.formats - Report formats to write (see parseReportFormats)
+ * @returns {Promise<Object>} Map of artifact name to written path
+ * @throws {ValidationError} If an artifact does not match its schema
+ */
+export async function writeAuditArtifacts(results, outputDir, options = {}) {
+  const formats = parseReportFormats(options.formats);
+  const findings = buildFindings(results);
+  const riskRegister = buildRiskRegister(findings);
+  const remediationPlan = buildRemediationPlan(findings, riskRegister);
+  const architectureGraph = buildArchitectureGraph(results);
+
+  const jsonArtifacts = {
+    [ARTIFACTS.FINDINGS]: findings,
+    [ARTIFACTS.RISK_REGISTER]: riskRegister,
+    [ARTIFACTS.REMEDIATION_PLAN]: remediationPlan,
+    [ARTIFACTS.ARCHITECTURE_GRAPH]: architectureGraph
+  };
+
+  // Validate everything before touching disk so a bad run never leaves a partial set
+  for (const [artifact, data] of Object.entries(jsonArtifacts)) {
+    validateArtifact(artifact, data);
+  }
+
+  await fs.ensureDir(outputDir);
+  const written = {};
+
+  for (const [artifact, data] of Object.entries(jsonArtifacts)) {
+    written[artifact] = path.join(outputDir, artifact);
+    await fs.writeJson(written[artifact], data, { spaces: 2 });
+  }
+
+  written[ARTIFACTS.REPORT] = path.join(outputDir, ARTIFACTS.REPORT);
+  await fs.writeFile(written[ARTIFACTS.REPORT], buildAuditReport(findings, riskRegister, results));
+
+  if (formats.includes('json')) {
+    written[REPORT_FORMATS.json] = path.join(outputDir, REPORT_FORMATS.json);
+    await fs.writeJson(written[REPORT_FORMATS.json], buildJsonReport(findings, results), { spaces: 2 });
+  }
+
+  if (formats.includes('sarif')) {
+    written[REPORT_FORMATS.sarif] = path.join(outputDir, REPORT_FORMATS.sarif);
+    await fs.writeJson(written[REPORT_FORMATS.sarif], buildSarifReport(findings, results), { spaces: 2 });
+  }
+
+  return written;
+}
+
+// =============================================================================
+// Export
+// =============================================================================
+
+export { ARTIFACTS, ARTIFACT_SCHEMAS, REPORT_FORMATS };
+
+export default {
+  ARTIFACTS,
+  buildFindings,
+  buildRiskRegister,
+  buildRemediationPlan,
+  buildArchitectureGraph,
+  buildAuditReport,
+  buildJsonReport,
+  buildSarifReport,
+  parseReportFormats,
+  validateArtifact,
+  writeAuditArtifacts
+};
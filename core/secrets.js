@@ -0,0 +1,704 @@
+/**
+ * EAOS Secret Scanner Module
+ *
+ * Detects hardcoded secrets and credentials in the working tree and in
+ * git history for the Security Audit phase:
+ * - Keyword patterns from `.prompt-lint.json` (no-hardcoded-secrets)
+ * - Provider token formats (AWS, GitHub, Slack, Stripe, ...)
+ * - High-entropy string detection
+ *
+ * Detected values are never written or printed in full; findings carry a
+ * redacted preview and a line-independent fingerprint that baseline and
+ * allowlist entries refer to.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { execFileSync } from 'child_process';
+import { ValidationError } from './errors.js';
+import { SEVERITY_LEVELS } from './findings.js';
+import { matchesGlob } from './glob.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const PROMPT_LINT_CONFIG = '.prompt-lint.json';
+const DEFAULT_BASELINE_PATH = '.eaos/secrets-baseline.json';
+const ALLOW_PRAGMA = 'eaos-allow-secret';
+
+// Used when the repository has no .prompt-lint.json
+const DEFAULT_KEYWORD_PATTERNS = [
+  'api[_-]?key\\s*[=:]\\s*[\'"][^\'"]+[\'"]',
+  'password\\s*[=:]\\s*[\'"][^\'"]+[\'"]',
+  'secret\\s*[=:]\\s*[\'"][^\'"]+[\'"]',
+  'token\\s*[=:]\\s*[\'"][^\'"]+[\'"]'
+];
+
+const PROVIDER_DETECTORS = [
+  {
+    id: 'private-key',
+    name: 'Private key',
+    severity: SEVERITY_LEVELS.CRITICAL,
+    pattern: /-----BEGIN (?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY(?: BLOCK)?-----/
+  },
+  {
+    id: 'aws-access-key-id',
+    name: 'AWS access key ID',
+    severity: SEVERITY_LEVELS.CRITICAL,
+    pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/
+  },
+  {
+    id: 'github-token',
+    name: 'GitHub token',
+    severity: SEVERITY_LEVELS.CRITICAL,
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/
+  },
+  {
+    id: 'slack-token',
+    name: 'Slack token',
+    severity: SEVERITY_LEVELS.CRITICAL,
+    pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/
+  },
+  {
+    id: 'stripe-secret-key',
+    name: 'Stripe secret key',
+    severity: SEVERITY_LEVELS.CRITICAL,
+    pattern: /\b[rs]k_live_[0-9a-zA-Z]{24,}\b/
+  },
+  {
+    id: 'google-api-key',
+    name: 'Google API key',
+    severity: SEVERITY_LEVELS.HIGH,
+    pattern: /\bAIza[0-9A-Za-z_-]{35}\b/
+  },
+  {
+    id: 'anthropic-api-key',
+    name: 'Anthropic API key',
+    severity: SEVERITY_LEVELS.CRITICAL,
+    pattern: /\bsk-ant-[A-Za-z0-9_-]{32,}/
+  },
+  {
+    id: 'openai-api-key',
+    name: 'OpenAI API key',
+    severity: SEVERITY_LEVELS.CRITICAL,
+    pattern: /\bsk-(?:proj-|svcacct-)?[A-Za-z0-9_-]{20,}T3BlbkFJ[A-Za-z0-9_-]{20,}/
+  },
+  {
+    id: 'npm-token',
+    name: 'npm access token',
+    severity: SEVERITY_LEVELS.CRITICAL,
+    pattern: /\bnpm_[A-Za-z0-9]{36}\b/
+  },
+  {
+    id: 'sendgrid-api-key',
+    name: 'SendGrid API key',
+    severity: SEVERITY_LEVELS.HIGH,
+    pattern: /\bSG\.[A-Za-z0-9_-]{22}\.[A-Za-z0-9_-]{43}\b/
+  }
+];
+
+const KEYWORD_DETECTOR = {
+  id: 'hardcoded-credential',
+  name: 'Hardcoded credential',
+  severity: SEVERITY_LEVELS.HIGH
+};
+
+const ENTROPY_DETECTOR = {
+  id: 'high-entropy-string',
+  name: 'High-entropy string',
+  severity: SEVERITY_LEVELS.MEDIUM
+};
+
+// Keyword matches with these values are placeholders, not secrets
+const PLACEHOLDER_VALUE = /^(?:x+|\*+|\.+|changeme|change[_-]me|password|secret|token|example|placeholder|redacted|dummy|test|your[_-]?\w*|<[^>]*>|\$\{[^}]*\}|\{\{[^}]*\}\}|%[^%]*%)$/i;
+const MIN_KEYWORD_VALUE_LENGTH = 8;
+
+// High-entropy candidates: quoted strings and unquoted `KEY=value` assignments
+const ENTROPY_CANDIDATES = [
+  /['"`]([A-Za-z0-9+/_=-]{20,})['"`]/g,
+  /^\s*[A-Za-z_][A-Za-z0-9_]*\s*[=:]\s*([A-Za-z0-9+/_=-]{20,})\s*$/g
+];
+const DEFAULT_ENTROPY_THRESHOLD = 4.2;
+const DEFAULT_ENTROPY_MIN_LENGTH = 24;
+
+// Generated files that are full of hashes
+const DEFAULT_ALLOWLIST_PATHS = [
+  'package-lock.json',
+  'npm-shrinkwrap.json',
+  'yarn.lock',
+  'pnpm-lock.yaml',
+  '*.min.js',
+  '*.map'
+];
+
+const GIT_MAX_BUFFER = 512 * 1024 * 1024;
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * Shannon entropy of a string in bits per character
+ * @param {string} value - Input string
+ * @returns {number}
+ */
+export function shannonEntropy(value) {
+  if (!value) return 0;
+
+  const counts = new Map();
+  for (const char of value) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Redact a secret for display
+ * @param {string} value - Secret value
+ * @returns {string} First four characters followed by a mask
+ */
+export function redactSecret(value) {
+  const visible = value.length > 12 ? 4 : 0;
+  return `${value.slice(0, visible)}${'*'.repeat(Math.min(Math.max(value.length - visible, 4), 12))}`;
+}
+
+/**
+ * SHA-256 hex digest
+ * @param {string} value - Input
+ * @returns {string}
+ */
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Compute a line-independent fingerprint for a secret
+ * @param {string} detectorId - Detector id
+ * @param {string} file - Repository-relative path
+ * @param {string} value - Secret value
+ * @returns {string}
+ */
+export function fingerprintSecret(detectorId, file, value) {
+  return sha256(`${detectorId}:${file}:${sha256(value)}`).slice(0, 32);
+}
+
+/**
+ * Load keyword patterns from .prompt-lint.json
+ * @param {string} rootDir - Repository root
+ * @returns {string[]} Pattern sources
+ */
+export function loadPromptLintPatterns(rootDir) {
+  try {
+    const config = fs.readJsonSync(path.join(rootDir, PROMPT_LINT_CONFIG));
+    const rule = config.rules?.['no-hardcoded-secrets'];
+    if (rule && rule.enabled !== false && Array.isArray(rule.patterns)) {
+      return rule.patterns;
+    }
+  } catch {
+    // Fall through to the defaults when the file is missing or invalid
+  }
+  return DEFAULT_KEYWORD_PATTERNS;
+}
+
+// =============================================================================
+// Secret Scanner
+// =============================================================================
+
+/**
+ * Scans content, the working tree and git history for secrets
+ */
+export class SecretScanner {
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || process.cwd();
+    this.config = options.config || {};
+
+    const allowlist = this.config.allowlist || {};
+    this.allowPaths = [...DEFAULT_ALLOWLIST_PATHS, ...(allowlist.paths || [])];
+    this.allowPatterns = (allowlist.patterns || []).map(p => new RegExp(p));
+    this.allowFingerprints = new Set(allowlist.fingerprints || []);
+
+    this.entropy = {
+      enabled: this.config.entropy !== false,
+      threshold: this.config.entropy?.threshold ?? DEFAULT_ENTROPY_THRESHOLD,
+      minLength: this.config.entropy?.minLength ?? DEFAULT_ENTROPY_MIN_LENGTH
+    };
+
+    const keywordPatterns = options.keywordPatterns || loadPromptLintPatterns(this.rootDir);
+    this.keywordPatterns = keywordPatterns.map(source => new RegExp(source, 'gi'));
+  }
+
+  /**
+   * Check if a path is allowlisted
+   * @param {string} file - Repository-relative path
+   * @returns {boolean}
+   */
+  isPathAllowed(file) {
+    return this.allowPaths.some(pattern => matchesGlob(file, pattern));
+  }
+
+  /**
+   * Check if a detected value is allowlisted
+   * @param {Object} detection - Detection
+   * @returns {boolean}
+   */
+  isAllowed(detection) {
+    return this.allowFingerprints.has(detection.fingerprint) ||
+      this.allowPatterns.some(pattern => pattern.test(detection.value));
+  }
+
+  /**
+   * Scan a single line
+   * @param {string} text - Line text
+   * @returns {Array<{detector: Object, value: string, column: number}>}
+   */
+  scanLine(text) {
+    if (text.includes(ALLOW_PRAGMA)) return [];
+
+    const hits = [];
+    const overlaps = (start, end) => hits.some(h => start < h.end && end > h.start);
+
+    for (const detector of PROVIDER_DETECTORS) {
+      const regex = new RegExp(detector.pattern.source, 'g');
+      let match;
+      while ((match = regex.exec(text)) !== null) {
+        const end = match.index + match[0].length;
+        if (overlaps(match.index, end)) continue;
+        hits.push({ detector, value: match[0], start: match.index, end });
+      }
+    }
+
+    for (const regex of this.keywordPatterns) {
+      regex.lastIndex = 0;
+      let match;
+      while ((match = regex.exec(text)) !== null) {
+        const quoted = match[0].match(/['"]([^'"]+)['"]\s*$/);
+        const value = quoted ? quoted[1] : match[0];
+        const start = match.index + match[0].lastIndexOf(value);
+        const end = start + value.length;
+        if (overlaps(start, end) || !looksLikeSecretValue(value)) continue;
+        hits.push({ detector: KEYWORD_DETECTOR, value, start, end });
+      }
+    }
+
+    if (this.entropy.enabled) {
+      for (const pattern of ENTROPY_CANDIDATES) {
+        const regex = new RegExp(pattern.source, pattern.flags);
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+          const value = match[1];
+          const start = match.index + match[0].indexOf(value);
+          const end = start + value.length;
+          if (overlaps(start, end) || !this.isHighEntropy(value)) continue;
+          hits.push({ detector: ENTROPY_DETECTOR, value, start, end });
+        }
+      }
+    }
+
+    return hits.map(({ detector, value, start }) => ({ detector, value, column: start + 1 }));
+  }
+
+  /**
+   * Check if a candidate string is random enough to be a secret
+   * @param {string} value - Candidate
+   * @returns {boolean}
+   */
+  isHighEntropy(value) {
+    return value.length >= this.entropy.minLength &&
+      /[a-z]/.test(value) && /[A-Z]/.test(value) && /[0-9]/.test(value) &&
+      shannonEntropy(value) >= this.entropy.threshold;
+  }
+
+  /**
+   * Scan file content
+   * @param {string} content - File content
+   * @param {string} file - Repository-relative path
+   * @returns {Object[]} Detections
+   */
+  scanContent(content, file) {
+    const detections = [];
+
+    content.split('\n').forEach((text, index) => {
+      for (const hit of this.scanLine(text)) {
+        detections.push(this.createDetection(hit, file, index + 1));
+      }
+    });
+
+    return detections;
+  }
+
+  /**
+   * Create a detection record
+   * @param {Object} hit - Line hit
+   * @param {string} file - Repository-relative path
+   * @param {number} line - 1-based line
+   * @returns {Object}
+   */
+  createDetection(hit, file, line) {
+    return {
+      detector: hit.detector,
+      value: hit.value,
+      valueHash: sha256(hit.value),
+      fingerprint: fingerprintSecret(hit.detector.id, file, hit.value),
+      file,
+      line,
+      column: hit.column
+    };
+  }
+
+  /**
+   * Scan the working tree
+   * @param {Object} context - Audit context (listFiles, readFile)
+   * @returns {Object[]} Detections
+   */
+  scanWorkingTree(context) {
+    const detections = [];
+
+    for (const file of context.listFiles()) {
+      if (this.isPathAllowed(file)) continue;
+      const content = context.readFile(file);
+      if (content === null) continue;
+      detections.push(...this.scanContent(content, file));
+    }
+
+    return detections;
+  }
+
+  /**
+   * Scan lines added in git history, oldest commit first
+   *
+   * History is unavailable outside a git repository or without git. Any
+   * other failure (e.g. a history larger than the output buffer) is
+   * returned as `error`, since the history then went unscanned.
+   *
+   * @param {Object} options - Options
+   * @param {number} options.maxCommits - Limit to the most recent commits
+   * @param {Function} options.isIgnored - `(file) => boolean` for paths to skip
+   * @returns {{available: boolean, commits: number, detections: Object[], error?: string}}
+   */
+  scanHistory(options = {}) {
+    const args = ['log', '--reverse', '-p', '--no-color', '--no-ext-diff', '--unified=0',
+      '--format=commit %H %aI %an'];
+    if (options.maxCommits) {
+      args.push('-n', String(options.maxCommits));
+    }
+
+    let output;
+    try {
+      output = execFileSync('git', ['-c', 'core.quotePath=false', ...args], {
+        cwd: this.rootDir,
+        encoding: 'utf-8',
+        maxBuffer: GIT_MAX_BUFFER,
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+    } catch (error) {
+      return { available: false, commits: 0, detections: [], ...describeGitError(error) };
+    }
+
+    const detections = [];
+    let commit = null;
+    let commits = 0;
+    let file = null;
+    let line = 0;
+
+    for (const text of output.split('\n')) {
+      const header = text.match(/^commit ([0-9a-f]{40}) (\S+) (.*)$/);
+      if (header) {
+        commit = { hash: header[1], date: header[2], author: header[3] };
+        commits++;
+        file = null;
+        continue;
+      }
+      if (text.startsWith('+++ ')) {
+        const target = text.slice(4).replace(/^"|"$/g, '');
+        file = target === '/dev/null' ? null : target.replace(/^b\//, '');
+        if (file && (this.isPathAllowed(file) || options.isIgnored?.(file))) file = null;
+        continue;
+      }
+      const hunk = text.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+      if (hunk) {
+        line = Number(hunk[1]);
+        continue;
+      }
+      if (text.startsWith('+') && file && commit) {
+        for (const hit of this.scanLine(text.slice(1))) {
+          detections.push({ ...this.createDetection(hit, file, line), commit });
+        }
+        line++;
+      }
+    }
+
+    return { available: true, commits, detections };
+  }
+
+  /**
+   * Scan the working tree and (optionally) history
+   * @param {Object} context - Audit context (listFiles, readFile, isIgnored)
+   * @param {Object} options - Options
+   * @param {boolean} options.history - Also scan git history (default: config.history !== false)
+   * @returns {Object} Scan result: new, baselined and allowlisted detections plus summary
+   */
+  scan(context, options = {}) {
+    const scanHistory = options.history ?? this.config.history !== false;
+    const history = scanHistory
+      ? this.scanHistory({ maxCommits: this.config.maxCommits, isIgnored: file => context.isIgnored(file) })
+      : { available: false, commits: 0, detections: [] };
+
+    // First commit that introduced each value, per file and overall
+    const introducedIn = new Map();
+    for (const detection of history.detections) {
+      for (const key of [`${detection.file}:${detection.valueHash}`, detection.valueHash]) {
+        if (!introducedIn.has(key)) introducedIn.set(key, detection.commit);
+      }
+    }
+
+    const detections = this.scanWorkingTree(context).map(detection => ({
+      ...detection,
+      source: 'working-tree',
+      commit: introducedIn.get(`${detection.file}:${detection.valueHash}`) ||
+        introducedIn.get(detection.valueHash) || null
+    }));
+
+    // Secrets removed from the working tree remain exposed in history
+    const seen = new Set(detections.map(d => d.fingerprint));
+    for (const detection of history.detections) {
+      if (seen.has(detection.fingerprint)) continue;
+      seen.add(detection.fingerprint);
+      detections.push({ ...detection, source: 'history' });
+    }
+
+    const baseline = loadSecretsBaseline(this.rootDir, this.config.baseline);
+    const result = { new: [], baselined: [], allowlisted: [] };
+
+    for (const detection of detections) {
+      if (this.isAllowed(detection)) {
+        result.allowlisted.push(detection);
+      } else if (baseline.has(detection.fingerprint)) {
+        result.baselined.push(detection);
+      } else {
+        result.new.push(detection);
+      }
+    }
+
+    result.summary = {
+      files_scanned: context.listFiles().length,
+      history_scanned: history.available,
+      history_error: history.error || null,
+      commits_scanned: history.commits,
+      new: result.new.length,
+      baselined: result.baselined.length,
+      allowlisted: result.allowlisted.length
+    };
+
+    return result;
+  }
+}
+
+/**
+ * Tell a repository without history apart from a failed history scan
+ * @param {Error} error - execFileSync error of `git log`
+ * @returns {{available?: boolean, error?: string}} Nothing for a missing repository or git
+ */
+function describeGitError(error) {
+  const stderr = String(error.stderr || '');
+  if (error.code === 'ENOENT' || /not a git repository/i.test(stderr)) {
+    return {};
+  }
+  if (/does not have any commits yet/i.test(stderr)) {
+    return { available: true };
+  }
+  if (error.code === 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER') {
+    return { error: `git history exceeds ${GIT_MAX_BUFFER / 1024 / 1024} MB; set secrets.maxCommits to scan the most recent commits` };
+  }
+  return { error: stderr.trim().split('\n')[0] || error.message };
+}
+
+/**
+ * Check if a keyword-matched value looks like a real secret
+ * @param {string} value - Matched value
+ * @returns {boolean}
+ */
+function looksLikeSecretValue(value) {
+  return value.length >= MIN_KEYWORD_VALUE_LENGTH &&
+    !/\s/.test(value) &&
+    !PLACEHOLDER_VALUE.test(value) &&
+    !value.includes('process.env');
+}
+
+/**
+ * Create a new secret scanner
+ * @param {Object} options - Options
+ * @returns {SecretScanner}
+ */
+export function createSecretScanner(options = {}) {
+  return new SecretScanner(options);
+}
+
+// =============================================================================
+// Baseline
+// =============================================================================
+
+/**
+ * Load baselined secret fingerprints
+ * @param {string} rootDir - Repository root
+ * @param {string} baselinePath - Repository-relative baseline path
+ * @returns {Set<string>} Fingerprints
+ * @throws {ValidationError} If the baseline file is malformed
+ */
+export function loadSecretsBaseline(rootDir, baselinePath = DEFAULT_BASELINE_PATH) {
+  const fullPath = path.join(rootDir, baselinePath || DEFAULT_BASELINE_PATH);
+  if (!fs.existsSync(fullPath)) {
+    return new Set();
+  }
+
+  let data;
+  try {
+    data = fs.readJsonSync(fullPath);
+  } catch (error) {
+    throw new ValidationError(`Invalid secrets baseline: ${error.message}`, { path: baselinePath });
+  }
+  if (!Array.isArray(data.secrets)) {
+    throw new ValidationError('Secrets baseline must contain a "secrets" array', { path: baselinePath });
+  }
+
+  return new Set(data.secrets.map(s => s.fingerprint));
+}
+
+/**
+ * Write a secrets baseline accepting the given secrets
+ * @param {string} rootDir - Repository root
+ * @param {Object[]} entries - Secrets report entries ({fingerprint, detector, file})
+ * @param {string} baselinePath - Repository-relative baseline path
+ * @returns {Promise<string>} Written path (repository-relative)
+ */
+export async function writeSecretsBaseline(rootDir, entries, baselinePath = DEFAULT_BASELINE_PATH) {
+  const relPath = baselinePath || DEFAULT_BASELINE_PATH;
+  const fullPath = path.join(rootDir, relPath);
+
+  const secrets = entries
+    .map(e => ({ fingerprint: e.fingerprint, detector: e.detector, file: e.file }))
+    .sort((a, b) => a.file.localeCompare(b.file) || a.fingerprint.localeCompare(b.fingerprint))
+    .filter((s, i, all) => i === 0 || s.fingerprint !== all[i - 1].fingerprint);
+
+  await fs.ensureDir(path.dirname(fullPath));
+  await fs.writeJson(fullPath, {
+    version: '1.0.0',
+    generated_at: new Date().toISOString(),
+    secrets
+  }, { spaces: 2 });
+
+  return relPath;
+}
+
+// =============================================================================
+// Analyzer
+// =============================================================================
+
+/**
+ * Convert a detection into an audit finding
+ * @param {Object} detection - Detection
+ * @returns {Object} Finding data
+ */
+export function detectionToFinding(detection) {
+  const redacted = redactSecret(detection.value);
+  const commit = detection.commit;
+  let origin = 'not yet committed';
+  if (commit) {
+    origin = `introduced in ${commit.hash.slice(0, 8)} by ${commit.author} on ${commit.date.split('T')[0]}`;
+  }
+  const where = detection.source === 'history' ? ' (removed from working tree, still in git history)' : '';
+
+  return {
+    ruleId: 'hardcoded-secret',
+    severity: detection.detector.severity,
+    file: detection.file,
+    line: detection.line,
+    fingerprint: detection.fingerprint,
+    message: `${detection.detector.name} ${redacted}${where}; ${origin}`,
+    metadata: {
+      detector: detection.detector.id,
+      redacted,
+      source: detection.source,
+      column: detection.column,
+      commit: commit || null,
+      remediation: 'Rotate the credential, remove it from the code and load it from the environment or a secret manager'
+    }
+  };
+}
+
+/**
+ * Summarize a scan without the secret values, safe to persist
+ * @param {Object} result - SecretScanner.scan() result
+ * @returns {Object} Summary plus {fingerprint, detector, file, line, source, status} per secret
+ */
+export function createSecretsReport(result) {
+  const entries = [];
+  for (const status of ['new', 'baselined', 'allowlisted']) {
+    for (const detection of result[status]) {
+      entries.push({
+        fingerprint: detection.fingerprint,
+        detector: detection.detector.id,
+        file: detection.file,
+        line: detection.line,
+        source: detection.source,
+        status
+      });
+    }
+  }
+
+  return { summary: result.summary, secrets: entries };
+}
+
+const SECRETS_ANALYZER = {
+  id: 'secret-scanner',
+  phase: 'security',
+  name: 'Secret Scanner',
+  description: 'Hardcoded secrets and credentials in the working tree and git history',
+  analyze(context) {
+    const scanner = createSecretScanner({ rootDir: context.rootDir, config: context.config.secrets });
+    const result = scanner.scan(context);
+    context.data.secrets = createSecretsReport(result);
+
+    const findings = result.new.map(detectionToFinding);
+    if (result.summary.history_error) {
+      findings.push({
+        ruleId: 'secret-history-not-scanned',
+        severity: SEVERITY_LEVELS.LOW,
+        message: `Git history not scanned for secrets: ${result.summary.history_error}`,
+        metadata: { remediation: 'Fix the git error, or set secrets.maxCommits or secrets.history in the audit config' }
+      });
+    }
+    return findings;
+  }
+};
+
+// =============================================================================
+// Export
+// =============================================================================
+
+export {
+  DEFAULT_BASELINE_PATH,
+  PROVIDER_DETECTORS,
+  SECRETS_ANALYZER
+};
+
+export default {
+  SecretScanner,
+  SECRETS_ANALYZER,
+  createSecretScanner,
+  createSecretsReport,
+  detectionToFinding,
+  fingerprintSecret,
+  loadPromptLintPatterns,
+  loadSecretsBaseline,
+  redactSecret,
+  shannonEntropy,
+  writeSecretsBaseline
+};
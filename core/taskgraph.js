@@ -0,0 +1,186 @@
+/**
+ * EAOS Task Graph Module
+ *
+ * Runs the tasks of an autonomy cycle as a dependency graph:
+ * - Tasks list the ids of the tasks they run after in `dependsOn`
+ * - Tasks whose dependencies completed run in parallel, up to a concurrency
+ *   limit, and start in definition order
+ * - Tasks with a dependency that did not complete are skipped, which in turn
+ *   skips their own dependents
+ * - Each run returns a timeline of when every task started and ended, and on
+ *   which lane (one lane per concurrent task)
+ */
+
+import { ValidationError } from './errors.js';
+import { TASK_STATUS } from './tasks.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const DEFAULT_CONCURRENCY = 4;
+
+// How a dependency that did not complete reads in the skip reason
+const DEPENDENCY_OUTCOMES = {
+  [TASK_STATUS.ERROR]: 'failed',
+  [TASK_STATUS.SKIPPED]: 'was skipped',
+  [TASK_STATUS.NOT_IMPLEMENTED]: 'is not implemented'
+};
+
+// =============================================================================
+// Graph
+// =============================================================================
+
+/**
+ * Validate the dependencies of a task list and order it topologically
+ *
+ * Ties keep definition order, so tasks without dependencies keep their order.
+ *
+ * @param {Array<{id: string, dependsOn?: string[]}>} tasks - Task definitions
+ * @returns {Array} Tasks, each after its dependencies
+ * @throws {ValidationError} On duplicate ids, unknown dependencies or dependency cycles
+ */
+export function buildTaskGraph(tasks) {
+  const ids = new Set();
+  for (const task of tasks) {
+    if (ids.has(task.id)) {
+      throw new ValidationError(`Duplicate task in cycle: ${task.id}`, { taskId: task.id });
+    }
+    ids.add(task.id);
+  }
+
+  for (const task of tasks) {
+    const dependsOn = task.dependsOn ?? [];
+    if (!Array.isArray(dependsOn) || dependsOn.some(id => typeof id !== 'string')) {
+      throw new ValidationError(`dependsOn of task ${task.id} must be an array of task ids`, { taskId: task.id });
+    }
+    const unknown = dependsOn.find(id => !ids.has(id));
+    if (unknown) {
+      throw new ValidationError(`Task ${task.id} depends on unknown task ${unknown}`, {
+        taskId: task.id,
+        dependency: unknown
+      });
+    }
+  }
+
+  const order = [];
+  const placed = new Set();
+  let pending = [...tasks];
+  while (pending.length > 0) {
+    const ready = pending.find(task => (task.dependsOn ?? []).every(id => placed.has(id)));
+    if (!ready) {
+      const stuck = pending.map(task => task.id);
+      throw new ValidationError(`Task dependencies form a cycle: ${stuck.join(', ')}`, { tasks: stuck });
+    }
+    order.push(ready);
+    placed.add(ready.id);
+    pending = pending.filter(task => task !== ready);
+  }
+
+  return order;
+}
+
+// =============================================================================
+// Execution
+// =============================================================================
+
+/**
+ * Run a task list as a dependency graph
+ *
+ * `runTask` resolves to a task result with a `status`; only `completed`
+ * results let dependents run. A rejected `runTask` counts as an error result.
+ *
+ * @param {Array} tasks - Task definitions
+ * @param {Function} runTask - `async (task) => result`
+ * @param {Object} options - Options
+ * @param {number} options.concurrency - Most tasks running at once (default: 4)
+ * @returns {Promise<{results: Array, timeline: Array}>} Results in definition
+ *   order and `{id, dependsOn, status, lane, start, end}` timeline entries in
+ *   start order, with `start` and `end` in ms since the run began
+ * @throws {ValidationError} If the graph or concurrency is invalid
+ */
+export async function runTaskGraph(tasks, runTask, options = {}) {
+  const concurrency = options.concurrency ?? DEFAULT_CONCURRENCY;
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new ValidationError(`Concurrency must be a positive integer: ${concurrency}`, { concurrency });
+  }
+  buildTaskGraph(tasks);
+
+  const began = Date.now();
+  const results = new Map();
+  const timeline = [];
+  const running = new Set();
+  const freeLanes = Array.from({ length: concurrency }, (_, lane) => lane);
+  let pending = [...tasks];
+
+  const record = (task, result, lane, start) => {
+    results.set(task.id, result);
+    timeline.push({
+      id: task.id,
+      dependsOn: task.dependsOn ?? [],
+      status: result.status,
+      lane,
+      start,
+      end: Date.now() - began
+    });
+  };
+
+  const start = (task) => {
+    const lane = freeLanes.shift();
+    const startedAt = Date.now() - began;
+    const run = (async () => {
+      let result;
+      try {
+        result = await runTask(task);
+      } catch (error) {
+        result = { id: task.id, name: task.name, status: TASK_STATUS.ERROR, error: error.message };
+      }
+      record(task, result, lane, startedAt);
+      freeLanes.push(lane);
+      freeLanes.sort((a, b) => a - b);
+      running.delete(run);
+    })();
+    running.add(run);
+  };
+
+  while (pending.length > 0 || running.size > 0) {
+    for (const task of pending) {
+      const dependsOn = task.dependsOn ?? [];
+      if (!dependsOn.every(id => results.has(id))) continue;
+
+      const blocker = dependsOn.find(id => results.get(id).status !== TASK_STATUS.COMPLETED);
+      if (blocker) {
+        const outcome = DEPENDENCY_OUTCOMES[results.get(blocker).status] || `ended ${results.get(blocker).status}`;
+        record(task, {
+          ...task,
+          status: TASK_STATUS.SKIPPED,
+          reason: `Dependency ${blocker} ${outcome}`
+        }, null, Date.now() - began);
+      } else if (freeLanes.length > 0) {
+        start(task);
+      } else {
+        continue;
+      }
+      pending = pending.filter(t => t !== task);
+    }
+
+    if (running.size > 0) {
+      await Promise.race(running);
+    }
+  }
+
+  timeline.sort((a, b) => a.start - b.start || (a.lane ?? concurrency) - (b.lane ?? concurrency));
+  return { results: tasks.map(task => results.get(task.id)), timeline };
+}
+
+// =============================================================================
+// Export
+// =============================================================================
+
+export { DEFAULT_CONCURRENCY };
+
+export default {
+  DEFAULT_CONCURRENCY,
+  buildTaskGraph,
+  runTaskGraph
+};
@@ -0,0 +1,541 @@
+/**
+ * EAOS Task Handlers Module
+ *
+ * Maps autonomy cycle task ids to the implementations that run them:
+ * - A registry of task handlers, with the built-in handlers registered by default
+ * - Plugins and callers can register handlers for new tasks or override built-ins
+ * - Tasks without a handler are reported as `not_implemented` by the engine
+ *
+ * A handler is `async (task, context) => output`, where context holds the
+ * engine's `rootDir`, `autonomyDir`, `eventBus`, `logger` and `pluginManager`.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { ValidationError } from './errors.js';
+import { AutonomyEvents } from './events.js';
+import { loadConfig, getConfigSection } from './config.js';
+import { createAuditPipeline } from './audit.js';
+import {
+  assessCatalog,
+  createComplianceContext,
+  listCatalogs,
+  loadCatalog,
+  writeComplianceArtifacts
+} from './compliance.js';
+import { listComplianceHistories, recordComplianceRun, reportComplianceDrift } from './drift.js';
+import { loadBacklog, validateBead } from './beads.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const TASK_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  ERROR: 'error',
+  SKIPPED: 'skipped',
+  NOT_IMPLEMENTED: 'not_implemented'
+};
+
+const BUILTIN_SOURCE = 'builtin';
+
+// Scorecard penalty per finding, by severity
+const SEVERITY_PENALTY = {
+  critical: 25,
+  high: 10,
+  medium: 3,
+  low: 1,
+  info: 0
+};
+
+const SCORECARD_PHASES = ['architecture', 'code-quality', 'security', 'observability'];
+const SCORECARD_FILE = 'scorecard.json';
+
+// Open BEADS untouched for longer are reported as stale
+const STALE_BEAD_DAYS = 30;
+
+const BEAD_PRIORITIES = ['P0', 'P1', 'P2', 'P3'];
+
+// =============================================================================
+// Task Registry
+// =============================================================================
+
+/**
+ * Registry of task handlers by task id
+ *
+ * Registering a handler for a task that already has one overrides it;
+ * unregistering the override restores the previous handler.
+ */
+export class TaskRegistry {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  /**
+   * Register a task handler
+   * @param {string} taskId - Task id (e.g. `health-scan`)
+   * @param {Function} handler - `async (task, context) => output`
+   * @param {Object} options - Options
+   * @param {string} options.source - Who registered the handler (default: `builtin`)
+   * @throws {ValidationError} If the handler is not a function
+   */
+  register(taskId, handler, options = {}) {
+    if (typeof handler !== 'function') {
+      throw new ValidationError(`Task handler for ${taskId} must be a function`);
+    }
+
+    const source = options.source || BUILTIN_SOURCE;
+    const stack = (this.handlers.get(taskId) || []).filter(entry => entry.source !== source);
+    stack.push({ handler, source });
+    this.handlers.set(taskId, stack);
+  }
+
+  /**
+   * Remove the handlers a source registered
+   * @param {string} source - Source passed to register()
+   * @param {string} taskId - Only remove the handler of this task (default: all tasks)
+   */
+  unregister(source, taskId = null) {
+    for (const [id, stack] of this.handlers) {
+      if (taskId && id !== taskId) continue;
+      const remaining = stack.filter(entry => entry.source !== source);
+      if (remaining.length > 0) {
+        this.handlers.set(id, remaining);
+      } else {
+        this.handlers.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Get the active handler of a task
+   * @param {string} taskId - Task id
+   * @returns {Function|null}
+   */
+  get(taskId) {
+    const stack = this.handlers.get(taskId);
+    return stack ? stack[stack.length - 1].handler : null;
+  }
+
+  /**
+   * Check if a task has a handler
+   * @param {string} taskId - Task id
+   * @returns {boolean}
+   */
+  has(taskId) {
+    return this.handlers.has(taskId);
+  }
+
+  /**
+   * List task ids with the source of their active handler
+   * @returns {Array<{taskId: string, source: string}>}
+   */
+  list() {
+    return Array.from(this.handlers, ([taskId, stack]) => ({ taskId, source: stack[stack.length - 1].source }))
+      .sort((a, b) => a.taskId.localeCompare(b.taskId));
+  }
+}
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * Run audit phases against the engine's repository
+ *
+ * The secrets history scan is left out: it runs `git log -p` synchronously,
+ * which would block the daemon's event loop (and task timeouts) until it ends.
+ *
+ * @param {Object} context - Task context
+ * @param {string} type - Audit type recorded in results
+ * @param {string[]} phases - Phase ids
+ * @returns {Promise<Object>} Audit results
+ */
+function runAuditPhases(context, type, phases) {
+  const config = getConfigSection(context.rootDir, 'audit');
+  return createAuditPipeline({
+    rootDir: context.rootDir,
+    pluginManager: context.pluginManager,
+    config: { ...config, secrets: { ...config.secrets, history: false } }
+  }).run({ type, phases });
+}
+
+/**
+ * Score audit findings from 0 to 100
+ * @param {Object} bySeverity - Finding counts by severity
+ * @returns {number}
+ */
+function scoreFindings(bySeverity) {
+  const penalty = Object.entries(bySeverity || {})
+    .reduce((sum, [severity, count]) => sum + (SEVERITY_PENALTY[severity] || 0) * count, 0);
+  return Math.max(0, 100 - penalty);
+}
+
+/**
+ * Read a JSON file, reporting whether it exists and parses
+ * @param {string} filePath - File path
+ * @returns {Promise<Object>} `{passed, message}`
+ */
+async function checkJsonFile(filePath) {
+  if (!await fs.pathExists(filePath)) {
+    return { passed: false, message: 'Not found' };
+  }
+  try {
+    await fs.readJson(filePath);
+    return { passed: true, message: 'OK' };
+  } catch (error) {
+    return { passed: false, message: `Invalid JSON: ${error.message}` };
+  }
+}
+
+/**
+ * Result message summarizing finding counts
+ * @param {string} label - What was audited
+ * @param {Object} results - Audit results
+ * @returns {string}
+ */
+function findingsMessage(label, results) {
+  return `${label} found ${results.summary.total_findings} findings`;
+}
+
+// =============================================================================
+// Daily Tasks
+// =============================================================================
+
+/**
+ * Check that the memory kernel, reasoning graph, config and plugins are usable
+ *
+ * Emits `autonomy:health:check`, plus `autonomy:health:degraded` when a
+ * check failed.
+ */
+async function healthScan(task, context) {
+  const checks = {
+    memory_kernel: await checkJsonFile(path.join(context.rootDir, 'memory', 'state.json')),
+    reasoning_graph: await checkJsonFile(path.join(context.rootDir, 'memory', 'reasoning_graph.json'))
+  };
+
+  try {
+    loadConfig(context.rootDir);
+    checks.config = { passed: true, message: 'OK' };
+  } catch (error) {
+    checks.config = { passed: false, message: error.message };
+  }
+
+  const plugins = context.pluginManager ? context.pluginManager.getStatus() : { error: 0 };
+  checks.plugins = plugins.error > 0
+    ? { passed: false, message: `${plugins.error} plugins failed to load` }
+    : { passed: true, message: 'OK' };
+
+  const failed = Object.keys(checks).filter(name => !checks[name].passed);
+  const healthy = failed.length === 0;
+
+  await context.eventBus.emit(AutonomyEvents.HEALTH_CHECK, { healthy, checks });
+  if (!healthy) {
+    await context.eventBus.emit(AutonomyEvents.HEALTH_DEGRADED, { failed, checks });
+  }
+
+  return {
+    taskId: task.id,
+    message: healthy ? 'All health checks passed' : `Health checks failed: ${failed.join(', ')}`,
+    healthy,
+    checks,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Report drift in compliance results persisted since the last check,
+ * e.g. by compliance commands run between cycles
+ */
+async function driftDetection(task, context) {
+  const drift = [];
+  for (const framework of await listComplianceHistories({ rootDir: context.rootDir })) {
+    drift.push(...await reportComplianceDrift(framework, { rootDir: context.rootDir, eventBus: context.eventBus }));
+  }
+
+  const drifted = drift.reduce((sum, d) => sum + d.controls.length, 0);
+  return {
+    taskId: task.id,
+    message: `${drifted} controls drifted`,
+    drift,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Run the Security Audit phase: insecure code, secrets and dependency advisories
+ */
+async function securitySweep(task, context) {
+  const results = await runAuditPhases(context, 'security-sweep', ['security']);
+  return {
+    taskId: task.id,
+    message: findingsMessage('Security sweep', results),
+    findings: results.summary.by_severity,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Run the Financial Audit phase for cost anomalies in the code
+ */
+async function financialAnomaly(task, context) {
+  const results = await runAuditPhases(context, 'financial-anomaly', ['financial']);
+  return {
+    taskId: task.id,
+    message: findingsMessage('Financial audit', results),
+    findings: results.summary.by_severity,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Evaluate the active compliance frameworks
+ *
+ * Every result is persisted and compared with the previous run, so
+ * controls that stopped passing are reported as drift right away.
+ */
+async function complianceCheck(task, context) {
+  const config = getConfigSection(context.rootDir, 'compliance');
+  const frameworks = Array.isArray(config.frameworks) && config.frameworks.length > 0
+    ? config.frameworks
+    : await listCatalogs();
+  const complianceContext = await createComplianceContext(context.rootDir, config);
+
+  const summaries = {};
+  const drift = [];
+  for (const framework of frameworks) {
+    const catalog = await loadCatalog(framework);
+    const assessment = await assessCatalog(catalog, { rootDir: context.rootDir, config, context: complianceContext });
+    await recordComplianceRun(assessment, { rootDir: context.rootDir });
+    drift.push(...await reportComplianceDrift(framework, { rootDir: context.rootDir, eventBus: context.eventBus }));
+    summaries[framework] = assessment.summary;
+  }
+
+  const drifted = drift.reduce((sum, d) => sum + d.controls.length, 0);
+  return {
+    taskId: task.id,
+    message: `Evaluated ${frameworks.length} frameworks, ${drifted} controls drifted`,
+    frameworks: summaries,
+    drift,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Run the Observability Audit phase for logging, metrics and tracing coverage
+ */
+async function observabilityValidation(task, context) {
+  const results = await runAuditPhases(context, 'observability', ['observability']);
+  return {
+    taskId: task.id,
+    message: findingsMessage('Observability audit', results),
+    instrumentation: results.instrumentation || null,
+    findings: results.summary.by_severity,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// =============================================================================
+// Weekly Tasks
+// =============================================================================
+
+/**
+ * Run the Code Quality Audit phase for the weekly CIW task
+ */
+async function ciwExecution(task, context) {
+  const results = await runAuditPhases(context, 'ciw', ['code-quality']);
+  return {
+    taskId: task.id,
+    message: `Code quality audit found ${results.summary.total_findings} findings`,
+    quality: results.quality || null,
+    findings: results.summary.by_severity,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Score the architecture, code quality, security and observability phases
+ * and save the scorecard to the autonomy directory
+ *
+ * Each phase starts at 100 and loses points per finding by severity.
+ */
+async function scorecardRefresh(task, context) {
+  const results = await runAuditPhases(context, 'scorecard', SCORECARD_PHASES);
+  const phases = {};
+  for (const phase of results.phases) {
+    phases[phase.id] = { score: scoreFindings(phase.by_severity), findings: phase.by_severity };
+  }
+  const scores = Object.values(phases).map(p => p.score);
+
+  const scorecard = {
+    generated_at: results.timestamp,
+    overall: scores.length > 0 ? Math.round(scores.reduce((sum, s) => sum + s, 0) / scores.length) : null,
+    phases
+  };
+  const scorecardPath = path.join(context.autonomyDir, SCORECARD_FILE);
+  await fs.outputJson(scorecardPath, scorecard, { spaces: 2 });
+
+  return {
+    taskId: task.id,
+    message: `Scorecard refreshed: ${scorecard.overall}/100`,
+    scorecard,
+    path: scorecardPath,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Review the BEADS backlog: open work by priority, stale BEADS and BEADS
+ * that do not match the schema
+ */
+async function beadsRefinement(task, context) {
+  const { beads } = await loadBacklog({ rootDir: context.rootDir });
+  const open = beads.filter(b => !['done', 'cancelled'].includes(b.status));
+  const staleBefore = Date.now() - STALE_BEAD_DAYS * 24 * 60 * 60 * 1000;
+
+  const invalid = [];
+  for (const bead of beads) {
+    try {
+      validateBead(bead);
+    } catch (error) {
+      invalid.push({ id: bead.id || null, errors: error.details?.errors || [error.message] });
+    }
+  }
+
+  const byPriority = Object.fromEntries(BEAD_PRIORITIES.map(p => [p, open.filter(b => b.priority === p).length]));
+  const stale = open
+    .filter(b => Date.parse(b.updated_at || b.created_at) < staleBefore)
+    .map(b => b.id);
+
+  return {
+    taskId: task.id,
+    message: `${open.length} open BEADS, ${stale.length} stale, ${invalid.length} invalid`,
+    open: open.length,
+    by_priority: byPriority,
+    stale,
+    invalid,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Check that no critical or high findings and no open P0 BEADS block a release
+ */
+async function releaseReadiness(task, context) {
+  const results = await runAuditPhases(context, 'release-readiness', ['code-quality', 'security']);
+  const { beads } = await loadBacklog({ rootDir: context.rootDir });
+
+  const bySeverity = results.summary.by_severity;
+  const blockingFindings = (bySeverity.critical || 0) + (bySeverity.high || 0);
+  const blockingBeads = beads
+    .filter(b => b.priority === 'P0' && !['done', 'cancelled'].includes(b.status))
+    .map(b => b.id);
+  const ready = blockingFindings === 0 && blockingBeads.length === 0;
+
+  return {
+    taskId: task.id,
+    message: ready
+      ? 'Release ready'
+      : `Release blocked by ${blockingFindings} critical/high findings and ${blockingBeads.length} open P0 BEADS`,
+    ready,
+    findings: bySeverity,
+    blocking_beads: blockingBeads,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// =============================================================================
+// Monthly Tasks
+// =============================================================================
+
+/**
+ * Run the Architecture Audit phase
+ */
+async function architectureAudit(task, context) {
+  const results = await runAuditPhases(context, 'architecture', ['architecture']);
+  const graph = results.architecture_graph;
+  return {
+    taskId: task.id,
+    message: findingsMessage('Architecture audit', results),
+    modules: graph ? graph.nodes.length : 0,
+    dependencies: graph ? graph.edges.length : 0,
+    findings: results.summary.by_severity,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Assess every compliance catalog and write its control matrix, mapping
+ * report and gap analysis to compliance/<framework>
+ */
+async function complianceMapping(task, context) {
+  const config = getConfigSection(context.rootDir, 'compliance');
+  const complianceContext = await createComplianceContext(context.rootDir, config);
+
+  const frameworks = {};
+  for (const framework of await listCatalogs()) {
+    const catalog = await loadCatalog(framework);
+    const assessment = await assessCatalog(catalog, { rootDir: context.rootDir, config, context: complianceContext });
+    await writeComplianceArtifacts(assessment, path.join(context.rootDir, 'compliance', framework), { map: true, gaps: true });
+    frameworks[framework] = assessment.summary;
+  }
+
+  return {
+    taskId: task.id,
+    message: `Mapped ${Object.keys(frameworks).length} compliance frameworks`,
+    frameworks,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// =============================================================================
+// Built-in Handlers
+// =============================================================================
+
+// Tasks of the multiverse, quantum planner and executive engines have no
+// implementation yet and run as `not_implemented`
+const BUILTIN_TASK_HANDLERS = {
+  'health-scan': healthScan,
+  'drift-detection': driftDetection,
+  'security-sweep': securitySweep,
+  'financial-anomaly': financialAnomaly,
+  'compliance-check': complianceCheck,
+  'observability': observabilityValidation,
+  'ciw-execution': ciwExecution,
+  'scorecard-refresh': scorecardRefresh,
+  'beads-refinement': beadsRefinement,
+  'release-readiness': releaseReadiness,
+  'architecture-audit': architectureAudit,
+  'compliance-mapping': complianceMapping
+};
+
+/**
+ * Create a task registry
+ * @param {Object} options - Options
+ * @param {boolean} options.builtins - Register the built-in handlers (default: true)
+ * @returns {TaskRegistry}
+ */
+export function createTaskRegistry(options = {}) {
+  const registry = new TaskRegistry();
+  if (options.builtins !== false) {
+    for (const [taskId, handler] of Object.entries(BUILTIN_TASK_HANDLERS)) {
+      registry.register(taskId, handler);
+    }
+  }
+  return registry;
+}
+
+// =============================================================================
+// Export
+// =============================================================================
+
+export { BUILTIN_SOURCE, BUILTIN_TASK_HANDLERS, TASK_STATUS };
+
+export default {
+  BUILTIN_SOURCE,
+  BUILTIN_TASK_HANDLERS,
+  TASK_STATUS,
+  TaskRegistry,
+  createTaskRegistry
+};
@@ -0,0 +1,197 @@
+/**
+ * EAOS Tokenizer Module
+ *
+ * Minimal JavaScript/TypeScript tokenizer used by source analyzers. It is
+ * not a parser: it only splits source into identifiers, punctuators,
+ * literals and template chunks, dropping comments, so that analyzers do
+ * not match code-like text inside strings or comments.
+ */
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const TOKEN_TYPES = {
+  IDENTIFIER: 'identifier',
+  PUNCTUATOR: 'punctuator',
+  STRING: 'string',
+  TEMPLATE: 'template',
+  NUMBER: 'number',
+  REGEX: 'regex'
+};
+
+// Longest first so greedy matching picks the full operator
+const PUNCTUATORS = [
+  '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+  '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=',
+  '*=', '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>'
+];
+
+// Keywords after which `/` starts a regular expression rather than a division
+const REGEX_KEYWORDS = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+  'throw', 'case', 'do', 'else', 'yield', 'await'
+]);
+
+const IDENTIFIER_START = /[A-Za-z_$\u0080-\uffff]/;
+const IDENTIFIER_PART = /[A-Za-z0-9_$\u0080-\uffff]/;
+
+// =============================================================================
+// Tokenizer
+// =============================================================================
+
+/**
+ * Check if a `/` at this point starts a regular expression
+ * @param {Object|undefined} previous - Previous token
+ * @returns {boolean}
+ */
+function regexAllowed(previous) {
+  if (!previous) return true;
+  if (previous.type === TOKEN_TYPES.IDENTIFIER) return REGEX_KEYWORDS.has(previous.value);
+  if (previous.type === TOKEN_TYPES.PUNCTUATOR) return ![')', ']'].includes(previous.value);
+  return false;
+}
+
+/**
+ * Tokenize JavaScript or TypeScript source
+ *
+ * Comments are dropped. Unterminated strings and regular expressions end
+ * at the line break so one misread character cannot swallow the file.
+ *
+ * @param {string} content - Source code
+ * @returns {Array<{type: string, value: string, line: number}>} Tokens
+ */
+export function tokenize(content) {
+  const tokens = [];
+  // Open braces: true for `${` template substitutions, false for blocks
+  const braces = [];
+  const length = content.length;
+  let i = 0;
+  let line = 1;
+
+  const push = (type, value, startLine) => tokens.push({ type, value, line: startLine });
+
+  // Scan template characters up to the closing backtick or the next `${`
+  const scanTemplate = () => {
+    const startLine = line;
+    let value = '';
+    while (i < length) {
+      const char = content[i];
+      if (char === '\\') {
+        value += content.slice(i, i + 2);
+        if (content[i + 1] === '\n') line++;
+        i += 2;
+      } else if (char === '`') {
+        i++;
+        push(TOKEN_TYPES.TEMPLATE, value, startLine);
+        return;
+      } else if (char === '$' && content[i + 1] === '{') {
+        i += 2;
+        braces.push(true);
+        push(TOKEN_TYPES.TEMPLATE, value, startLine);
+        return;
+      } else {
+        if (char === '\n') line++;
+        value += char;
+        i++;
+      }
+    }
+    push(TOKEN_TYPES.TEMPLATE, value, startLine);
+  };
+
+  if (content.startsWith('#!')) {
+    i = content.indexOf('\n');
+    if (i === -1) return tokens;
+  }
+
+  while (i < length) {
+    const char = content[i];
+
+    if (char === '\n') {
+      line++;
+      i++;
+    } else if (/\s/.test(char)) {
+      i++;
+    } else if (char === '/' && content[i + 1] === '/') {
+      while (i < length && content[i] !== '\n') i++;
+    } else if (char === '/' && content[i + 1] === '*') {
+      const end = content.indexOf('*/', i + 2);
+      const stop = end === -1 ? length : end + 2;
+      for (let j = i; j < stop; j++) {
+        if (content[j] === '\n') line++;
+      }
+      i = stop;
+    } else if (char === '"' || char === '\'') {
+      let value = '';
+      i++;
+      while (i < length && content[i] !== char && content[i] !== '\n') {
+        if (content[i] === '\\' && i + 1 < length) {
+          value += content[i + 1];
+          i += 2;
+        } else {
+          value += content[i++];
+        }
+      }
+      if (content[i] === char) i++;
+      push(TOKEN_TYPES.STRING, value, line);
+    } else if (char === '`') {
+      i++;
+      scanTemplate();
+    } else if (char === '}' && braces[braces.length - 1] === true) {
+      braces.pop();
+      i++;
+      scanTemplate();
+    } else if (char === '/' && regexAllowed(tokens[tokens.length - 1])) {
+      let j = i + 1;
+      let inClass = false;
+      while (j < length && content[j] !== '\n') {
+        if (content[j] === '\\') {
+          j += 2;
+          continue;
+        }
+        if (content[j] === '[') inClass = true;
+        else if (content[j] === ']') inClass = false;
+        else if (content[j] === '/' && !inClass) break;
+        j++;
+      }
+      if (content[j] === '/') {
+        j++;
+        while (j < length && /[a-z]/i.test(content[j])) j++;
+        push(TOKEN_TYPES.REGEX, content.slice(i, j), line);
+        i = j;
+      } else {
+        push(TOKEN_TYPES.PUNCTUATOR, '/', line);
+        i++;
+      }
+    } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(content[i + 1] || ''))) {
+      let j = i + 1;
+      while (j < length && /[0-9A-Za-z_.]/.test(content[j])) j++;
+      push(TOKEN_TYPES.NUMBER, content.slice(i, j), line);
+      i = j;
+    } else if (IDENTIFIER_START.test(char) || (char === '#' && IDENTIFIER_START.test(content[i + 1] || ''))) {
+      let j = i + 1;
+      while (j < length && IDENTIFIER_PART.test(content[j])) j++;
+      push(TOKEN_TYPES.IDENTIFIER, content.slice(i, j), line);
+      i = j;
+    } else {
+      const punctuator = PUNCTUATORS.find(p => content.startsWith(p, i)) || char;
+      if (punctuator === '{') braces.push(false);
+      else if (punctuator === '}') braces.pop();
+      push(TOKEN_TYPES.PUNCTUATOR, punctuator, line);
+      i += punctuator.length;
+    }
+  }
+
+  return tokens;
+}
+
+// =============================================================================
+// Export
+// =============================================================================
+
+export { TOKEN_TYPES };
+
+export default {
+  TOKEN_TYPES,
+  tokenize
+};
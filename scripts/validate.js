@@ -47,6 +47,17 @@ function validateJsonFiles() {
     'manifests/claude_skill.json',
     'manifests/BEADS_SCHEMA.json',
     'manifests/COMMAND_REGISTRY.json',
+    'manifests/AUDIT_FINDINGS_SCHEMA.json',
+    'manifests/AUDIT_RISK_REGISTER_SCHEMA.json',
+    'manifests/AUDIT_REMEDIATION_PLAN_SCHEMA.json',
+    'manifests/AUDIT_ARCHITECTURE_GRAPH_SCHEMA.json',
+    'manifests/COMPLIANCE_CATALOG_SCHEMA.json',
+    'manifests/COMPLIANCE_CONTROL_MATRIX_SCHEMA.json',
+    'manifests/COMPLIANCE_GAP_ANALYSIS_SCHEMA.json',
+    'manifests/COMPLIANCE_EVIDENCE_MANIFEST_SCHEMA.json',
+    'manifests/COMPLIANCE_CROSSWALK_SCHEMA.json',
+    'manifests/OSCAL_ASSESSMENT_RESULTS_SCHEMA.json',
+    'manifests/NIST_POAM_SCHEMA.json',
     'EAOS_REASONING_GRAPH_SCHEMA.json'
   ];
 
@@ -247,6 +258,97 @@ function validateBeadsSchema() {
   }
 }
 
+// =============================================================================
+// Validate compliance catalogs
+// =============================================================================
+function validateComplianceCatalogs() {
+  console.log('\nValidating compliance catalogs...');
+
+  const catalogDir = path.join(ROOT_DIR, 'compliance/catalogs');
+  const schemaPath = path.join(ROOT_DIR, 'manifests/COMPLIANCE_CATALOG_SCHEMA.json');
+  if (!fs.existsSync(catalogDir) || !fs.existsSync(schemaPath)) {
+    log('warn', 'Compliance catalogs or schema not found');
+    warnings.push('Compliance catalogs missing');
+    return;
+  }
+
+  try {
+    const validate = ajv.compile(JSON.parse(fs.readFileSync(schemaPath, 'utf-8')));
+
+    for (const file of fs.readdirSync(catalogDir).filter(f => f.endsWith('.json')).sort()) {
+      const catalog = JSON.parse(fs.readFileSync(path.join(catalogDir, file), 'utf-8'));
+      const ids = (catalog.controls || []).map(c => c.id);
+      const duplicates = ids.filter((id, idx) => ids.indexOf(id) !== idx);
+
+      if (!validate(catalog)) {
+        log('error', `${file}: ${ajv.errorsText(validate.errors)}`);
+        errors.push(`Compliance catalog ${file} does not match its schema`);
+      } else if (duplicates.length > 0) {
+        log('error', `${file}: duplicate control ids ${duplicates.join(', ')}`);
+        errors.push(`Compliance catalog ${file} has duplicate control ids`);
+      } else {
+        log('success', `${file}: ${ids.length} controls`);
+      }
+    }
+  } catch (e) {
+    log('error', `Compliance catalog error: ${e.message}`);
+    errors.push(`Compliance catalog error: ${e.message}`);
+  }
+}
+
+// =============================================================================
+// Validate compliance crosswalk
+// =============================================================================
+function validateComplianceCrosswalk() {
+  console.log('\nValidating compliance crosswalk...');
+
+  const crosswalkPath = path.join(ROOT_DIR, 'compliance/crosswalk.json');
+  const schemaPath = path.join(ROOT_DIR, 'manifests/COMPLIANCE_CROSSWALK_SCHEMA.json');
+  if (!fs.existsSync(crosswalkPath) || !fs.existsSync(schemaPath)) {
+    log('warn', 'Compliance crosswalk or schema not found');
+    warnings.push('Compliance crosswalk missing');
+    return;
+  }
+
+  try {
+    const validate = ajv.compile(JSON.parse(fs.readFileSync(schemaPath, 'utf-8')));
+    const crosswalk = JSON.parse(fs.readFileSync(crosswalkPath, 'utf-8'));
+
+    if (!validate(crosswalk)) {
+      log('error', `crosswalk.json: ${ajv.errorsText(validate.errors)}`);
+      errors.push('Compliance crosswalk does not match its schema');
+      return;
+    }
+
+    const unknown = [];
+    for (const framework of crosswalk.frameworks) {
+      const catalogPath = path.join(ROOT_DIR, 'compliance/catalogs', `${framework}.json`);
+      const ids = fs.existsSync(catalogPath)
+        ? new Set(JSON.parse(fs.readFileSync(catalogPath, 'utf-8')).controls.map(c => c.id))
+        : new Set();
+      for (const mapping of crosswalk.mappings) {
+        for (const id of mapping.controls[framework] || []) {
+          if (!ids.has(id)) unknown.push(`${framework}:${id}`);
+        }
+      }
+    }
+    const frameworks = new Set(crosswalk.frameworks);
+    for (const mapping of crosswalk.mappings) {
+      unknown.push(...Object.keys(mapping.controls).filter(f => !frameworks.has(f)));
+    }
+
+    if (unknown.length > 0) {
+      log('error', `crosswalk.json: unknown controls ${unknown.join(', ')}`);
+      errors.push('Compliance crosswalk references unknown controls');
+    } else {
+      log('success', `crosswalk.json: ${crosswalk.mappings.length} mappings across ${crosswalk.frameworks.length} frameworks`);
+    }
+  } catch (e) {
+    log('error', `Compliance crosswalk error: ${e.message}`);
+    errors.push(`Compliance crosswalk error: ${e.message}`);
+  }
+}
+
 // =============================================================================
 // Validate directory structure
 // =============================================================================
@@ -297,6 +399,8 @@ validateManifest();
 validateSkillLoader();
 validateCommandRegistry();
 validateBeadsSchema();
+validateComplianceCatalogs();
+validateComplianceCrosswalk();
 
 // Summary
 console.log('\n' + '─'.repeat(60));
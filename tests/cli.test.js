@@ -7,23 +7,39 @@
  * - Command execution
  */
 
-import { test, describe } from 'node:test';
+import { test, describe, before, after } from 'node:test';
 import assert from 'node:assert';
 import { execSync } from 'child_process';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const ROOT_DIR = path.join(__dirname, '..');
-const CLI_PATH = path.join(ROOT_DIR, 'cli', 'eaos.js');
 
-// Helper to run CLI commands
-function runCli(args) {
+/**
+ * Copy the CLI into a temporary directory that links the real core modules
+ *
+ * The CLI writes to the directory above it, so commands run from the copy
+ * leave the working tree's compliance output, history and BEADS alone.
+ */
+function createTempRoot() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'eaos-cli-root-'));
+  fs.cpSync(path.join(ROOT_DIR, 'cli'), path.join(root, 'cli'), { recursive: true });
+  fs.copyFileSync(path.join(ROOT_DIR, 'package.json'), path.join(root, 'package.json'));
+  for (const entry of ['core', 'manifests', 'node_modules']) {
+    fs.symlinkSync(path.join(ROOT_DIR, entry), path.join(root, entry), 'junction');
+  }
+  return root;
+}
+
+// Helper to run CLI commands, against a copy of the CLI when `root` is given
+function runCli(args, root = ROOT_DIR) {
   try {
-    const result = execSync(`node ${CLI_PATH} ${args}`, {
-      cwd: ROOT_DIR,
+    const result = execSync(`node ${path.join(root, 'cli', 'eaos.js')} ${args}`, {
+      cwd: root,
       encoding: 'utf-8',
       timeout: 30000
     });
@@ -73,6 +89,63 @@ describe('EAOS CLI', () => {
     );
   });
 
+  test('audit quick should exit non-zero when the failure policy is violated', () => {
+    const passed = runCli('audit quick --fail-on critical --max-findings 100000');
+    assert.ok(passed.success, 'Policy within limits should succeed');
+    assert.ok(passed.output.includes('Failure Policy'), 'Should show policy result');
+
+    const failed = runCli('audit quick --max-findings 0');
+    assert.ok(!failed.success, 'Exceeding --max-findings should fail');
+  });
+
+  test('audit commands should reject unknown --fail-on severities', () => {
+    const result = runCli('audit observability --fail-on urgent');
+    assert.ok(!result.success, 'Unknown severity should fail');
+  });
+
+  test('audit full should reject unknown output formats', () => {
+    const result = runCli('audit full --output xml');
+    assert.ok(!result.success, 'Unknown format should fail');
+  });
+
+  test('audit security should pass without new secrets', () => {
+    const result = runCli('audit security');
+    assert.ok(result.success, 'Audit security should succeed');
+    assert.ok(result.output.includes('Secret Scan'), 'Should show secret scan summary');
+  });
+
+  test('audit diff should report new and fixed findings', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eaos-cli-diff-'));
+    const finding = { ruleId: 'todo-comment', severity: 'info', file: 'a.js', line: 1, message: 'TODO' };
+    fs.writeFileSync(path.join(dir, 'a.json'), JSON.stringify({ findings: [{ ...finding, fingerprint: 'old' }] }));
+    fs.writeFileSync(path.join(dir, 'b.json'), JSON.stringify({ findings: [{ ...finding, fingerprint: 'new' }] }));
+
+    try {
+      const result = runCli(`audit diff ${path.join(dir, 'a.json')} ${path.join(dir, 'b.json')} --fail-on-new`);
+      assert.ok(!result.success, 'New findings should fail with --fail-on-new');
+      assert.ok(result.output.includes('New Findings'), 'Should list new findings');
+      assert.ok(result.output.includes('Fixed Findings'), 'Should list fixed findings');
+
+      const gated = runCli(`audit diff ${path.join(dir, 'a.json')} ${path.join(dir, 'b.json')} --fail-on-new --fail-on medium`);
+      assert.ok(gated.success, '--fail-on should only fail on new findings at or above the severity');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('audit diff should fail when no run was recorded before b', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eaos-cli-diff-'));
+    const file = path.join(dir, 'b.json');
+    fs.writeFileSync(file, JSON.stringify({ timestamp: '2000-01-01T00:00:00.000Z', findings: [] }));
+
+    try {
+      const result = runCli(`audit diff "" ${file}`);
+      assert.ok(!result.success, 'Diff without an earlier run should fail');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
   test('beads list command should work', () => {
     const result = runCli('beads list');
     assert.ok(result.success, 'Beads list should succeed');
@@ -93,6 +166,116 @@ describe('EAOS CLI', () => {
 
 });
 
+describe('EAOS CLI compliance', () => {
+
+  let tempRoot;
+
+  before(() => {
+    tempRoot = createTempRoot();
+  });
+
+  after(() => {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  test('compliance soc2 should report the assessed catalog', () => {
+    const result = runCli('compliance soc2', tempRoot);
+    assert.ok(result.success, 'Compliance soc2 should succeed');
+    assert.ok(result.output.includes('Controls mapped'), 'Should show mapped controls');
+    assert.ok(result.output.includes('Processing Integrity'), 'Should show every category');
+  });
+
+  test('compliance soc2 --map --gaps should write compliance artifacts', () => {
+    const result = runCli('compliance soc2 --map --gaps', tempRoot);
+    assert.ok(result.success, 'Compliance soc2 --map --gaps should succeed');
+    assert.ok(result.output.includes('Gaps'), 'Should list gaps');
+
+    for (const artifact of ['ControlMatrix.json', 'MappingReport.md', 'GapAnalysis.json']) {
+      assert.ok(fs.existsSync(path.join(tempRoot, 'compliance', 'soc2', artifact)), `Should write ${artifact}`);
+    }
+  });
+
+  test('compliance soc2 --create-beads should add remediation BEADS once', () => {
+    const result = runCli('compliance soc2 --create-beads', tempRoot);
+    assert.ok(result.success, 'Compliance soc2 --create-beads should succeed');
+    assert.ok(result.output.includes('Remediation BEADS'), 'Should list remediation BEADS');
+
+    const backlog = JSON.parse(fs.readFileSync(path.join(tempRoot, 'beads', 'backlog.json'), 'utf-8'));
+    const count = backlog.beads.filter(b => b.tags?.includes('soc2')).length;
+
+    runCli('compliance soc2 --create-beads', tempRoot);
+    const rerun = JSON.parse(fs.readFileSync(path.join(tempRoot, 'beads', 'backlog.json'), 'utf-8'));
+    assert.strictEqual(rerun.beads.filter(b => b.tags?.includes('soc2')).length, count, 'Re-running should not duplicate BEADS');
+  });
+
+  test('compliance iso27001 soa should write the Statement of Applicability', () => {
+    const result = runCli('compliance iso27001 soa', tempRoot);
+    assert.ok(result.success, 'Compliance iso27001 soa should succeed');
+    assert.ok(result.output.includes('Applicable controls'), 'Should show applicability');
+
+    for (const artifact of ['StatementOfApplicability.md', 'StatementOfApplicability.csv']) {
+      assert.ok(fs.existsSync(path.join(tempRoot, 'compliance', 'iso27001', artifact)), `Should write ${artifact}`);
+    }
+  });
+
+  test('compliance nist should write OSCAL assessment results for the baseline', () => {
+    const result = runCli('compliance nist --baseline low', tempRoot);
+    assert.ok(result.success, 'Compliance nist should succeed');
+    assert.ok(result.output.includes('low baseline'), 'Should show the selected baseline');
+    assert.ok(fs.existsSync(path.join(tempRoot, 'compliance', 'nist', 'AssessmentResults.json')), 'Should write AssessmentResults.json');
+
+    const invalid = runCli('compliance nist --baseline extreme', tempRoot);
+    assert.ok(!invalid.success, 'Unknown baseline should fail');
+  });
+
+  test('compliance nist poam should write the POA&M as JSON and CSV', () => {
+    const result = runCli('compliance nist poam --baseline low', tempRoot);
+    assert.ok(result.success, 'Compliance nist poam should succeed');
+    assert.ok(result.output.includes('Plan of Action and Milestones'), 'Should show the POA&M summary');
+
+    for (const artifact of ['POAM.json', 'POAM.csv']) {
+      assert.ok(fs.existsSync(path.join(tempRoot, 'compliance', 'nist', artifact)), `Should write ${artifact}`);
+    }
+  });
+
+  test('compliance iso42001 should score the selected scope', () => {
+    const result = runCli('compliance iso42001 --scope risk --gaps', tempRoot);
+    assert.ok(result.success, 'Compliance iso42001 should succeed');
+    assert.ok(result.output.includes('Overall score'), 'Should show the overall score');
+    assert.ok(result.output.includes('scope: risk'), 'Should show the scope');
+    assert.ok(!result.output.includes('78%'), 'Should not print a fixed score');
+
+    const invalid = runCli('compliance iso42001 --scope everything', tempRoot);
+    assert.ok(!invalid.success, 'Unknown scope should fail');
+  });
+
+  test('compliance crosswalk should map controls across frameworks', () => {
+    const result = runCli('compliance crosswalk --gaps', tempRoot);
+    assert.ok(result.success, 'Compliance crosswalk should succeed');
+    assert.ok(result.output.includes('access-control'), 'Should show the mapped requirements');
+    assert.ok(result.output.includes('Pre-filled controls'), 'Should show pre-filled evidence');
+    assert.ok(fs.existsSync(path.join(tempRoot, 'compliance', 'crosswalk', 'CrosswalkReport.md')), 'Should write CrosswalkReport.md');
+
+    const single = runCli('compliance crosswalk --control CC6.1 --framework soc2', tempRoot);
+    assert.ok(single.success, 'Compliance crosswalk --control should succeed');
+    assert.ok(single.output.includes('A.5.15'), 'Should list the mapped ISO 27001 control');
+
+    const unknown = runCli('compliance crosswalk --control XX-99', tempRoot);
+    assert.ok(!unknown.success, 'Unknown control should fail');
+  });
+
+  test('compliance verify should reject directories without a manifest', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eaos-cli-evidence-'));
+    try {
+      const result = runCli(`compliance verify ${dir}`, tempRoot);
+      assert.ok(!result.success, 'Verifying a non-bundle should fail');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+});
+
 describe('Validation Scripts', () => {
 
   test('validate.js should run successfully', () => {
@@ -0,0 +1,270 @@
+/**
+ * EAOS Dependency Advisories Unit Tests
+ *
+ * Tests for core/advisories.js covering:
+ * - Semver precedence
+ * - OSV range matching
+ * - CVSS base scores
+ * - Advisory database loading
+ * - Vulnerability findings from the audit pipeline
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+
+import { createAuditPipeline } from '../../core/audit.js';
+import {
+  AdvisoryDatabase,
+  compareSemver,
+  cvssBaseScore,
+  fixedVersions,
+  isAffected,
+  matchVulnerabilities,
+  vulnerabilityToFinding,
+} from '../../core/advisories.js';
+import { ValidationError } from '../../core/errors.js';
+
+// =============================================================================
+// Test Setup
+// =============================================================================
+
+let testDir;
+
+async function setupTestDir() {
+  testDir = path.join(os.tmpdir(), `eaos-advisories-test-${Date.now()}`);
+  await fs.ensureDir(testDir);
+  return testDir;
+}
+
+async function cleanupTestDir() {
+  if (testDir) {
+    await fs.remove(testDir);
+  }
+}
+
+const ADVISORY = {
+  id: 'GHSA-aaaa-bbbb-cccc',
+  aliases: ['CVE-2024-0001'],
+  summary: 'Prototype pollution in left-pad',
+  database_specific: { severity: 'HIGH' },
+  affected: [{
+    package: { ecosystem: 'npm', name: 'left-pad' },
+    ranges: [{
+      type: 'SEMVER',
+      events: [{ introduced: '0' }, { fixed: '1.3.1' }, { introduced: '2.0.0' }, { fixed: '2.0.4' }],
+    }],
+  }],
+};
+
+const PACKAGE_LOCK = {
+  lockfileVersion: 3,
+  packages: {
+    '': { dependencies: { app: '^1.0.0' } },
+    'node_modules/app': { version: '1.0.0', dependencies: { 'left-pad': '^1.0.0' } },
+    'node_modules/left-pad': { version: '1.3.0' },
+  },
+};
+
+// =============================================================================
+// Semver
+// =============================================================================
+
+describe('compareSemver', () => {
+  test('should order by major, minor and patch', () => {
+    assert.ok(compareSemver('1.2.3', '1.10.0') < 0);
+    assert.ok(compareSemver('2.0.0', '1.99.99') > 0);
+    assert.strictEqual(compareSemver('v1.0.0', '1.0.0+build.5'), 0);
+  });
+
+  test('should rank prereleases below releases', () => {
+    assert.ok(compareSemver('1.0.0-alpha', '1.0.0') < 0);
+    assert.ok(compareSemver('1.0.0-alpha', '1.0.0-alpha.1') < 0);
+    assert.ok(compareSemver('1.0.0-alpha.2', '1.0.0-alpha.10') < 0);
+    assert.ok(compareSemver('1.0.0-alpha.beta', '1.0.0-beta') < 0);
+    assert.ok(compareSemver('1.0.0-1', '1.0.0-alpha') < 0);
+  });
+
+  test('should reject invalid versions', () => {
+    assert.throws(() => compareSemver('1.0', '1.0.0'), ValidationError);
+  });
+});
+
+// =============================================================================
+// OSV Matching
+// =============================================================================
+
+describe('isAffected', () => {
+  const affected = ADVISORY.affected[0];
+
+  test('should match versions inside introduced/fixed ranges', () => {
+    assert.strictEqual(isAffected('1.0.0', affected), true);
+    assert.strictEqual(isAffected('1.3.1', affected), false);
+    assert.strictEqual(isAffected('2.0.3', affected), true);
+    assert.strictEqual(isAffected('2.0.4', affected), false);
+  });
+
+  test('should honour last_affected and explicit versions', () => {
+    const entry = {
+      package: { ecosystem: 'npm', name: 'x' },
+      versions: ['0.9.0'],
+      ranges: [{ type: 'SEMVER', events: [{ introduced: '1.0.0' }, { last_affected: '1.4.2' }] }],
+    };
+
+    assert.strictEqual(isAffected('0.9.0', entry), true);
+    assert.strictEqual(isAffected('0.9.1', entry), false);
+    assert.strictEqual(isAffected('1.4.2', entry), true);
+    assert.strictEqual(isAffected('1.4.3', entry), false);
+  });
+
+  test('should ignore non-semver ranges and versions', () => {
+    assert.strictEqual(isAffected('github:user/repo', affected), false);
+    assert.strictEqual(isAffected('1.0.0', {
+      ranges: [{ type: 'GIT', events: [{ introduced: '0' }] }],
+    }), false);
+  });
+
+  test('should list fixed versions newer than the resolved version', () => {
+    assert.deepStrictEqual(fixedVersions('1.0.0', affected), ['1.3.1', '2.0.4']);
+    assert.deepStrictEqual(fixedVersions('2.0.0', affected), ['2.0.4']);
+  });
+});
+
+describe('cvssBaseScore', () => {
+  test('should compute CVSS v3 base scores', () => {
+    assert.strictEqual(cvssBaseScore('CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H'), 9.8);
+    assert.strictEqual(cvssBaseScore('CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:N/A:N'), 7.5);
+    assert.strictEqual(cvssBaseScore('CVSS:3.1/AV:N/AC:L/PR:N/UI:R/S:C/C:L/I:L/A:N'), 6.1);
+    assert.strictEqual(cvssBaseScore('CVSS:3.0/AV:L/AC:L/PR:L/UI:N/S:U/C:H/I:N/A:N'), 5.5);
+    assert.strictEqual(cvssBaseScore('CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:N/I:N/A:N'), 0);
+  });
+
+  test('should return null for other vectors', () => {
+    assert.strictEqual(cvssBaseScore('AV:N/AC:L/Au:N/C:P/I:P/A:P'), null);
+    assert.strictEqual(cvssBaseScore('CVSS:4.0/AV:N/AC:L/AT:N/PR:N/UI:N/VC:H/VI:H/VA:H/SC:N/SI:N/SA:N'), null);
+    assert.strictEqual(cvssBaseScore('CVSS:3.1/AV:X/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H'), null);
+  });
+
+  test('should rate advisories without a GHSA label by their CVSS vector', () => {
+    const db = new AdvisoryDatabase();
+    db.add({
+      ...ADVISORY,
+      database_specific: undefined,
+      severity: [{ type: 'CVSS_V3', score: 'CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H' }],
+    });
+
+    const [vulnerability] = matchVulnerabilities([{ name: 'left-pad', version: '1.3.0', path: ['left-pad'], dev: false }], db);
+
+    assert.strictEqual(vulnerabilityToFinding(vulnerability, 'package-lock.json').severity, 'critical');
+  });
+});
+
+describe('matchVulnerabilities', () => {
+  test('should report CVE ids, path and fixed versions', () => {
+    const db = new AdvisoryDatabase();
+    db.add(ADVISORY);
+
+    const [vulnerability] = matchVulnerabilities(
+      [{ name: 'left-pad', version: '1.3.0', path: ['app', 'left-pad'], dev: false }],
+      db
+    );
+    const finding = vulnerabilityToFinding(vulnerability, 'package-lock.json');
+
+    assert.deepStrictEqual(vulnerability.cves, ['CVE-2024-0001']);
+    assert.strictEqual(finding.severity, 'high');
+    assert.match(finding.message, /left-pad@1\.3\.0 \(CVE-2024-0001\)/);
+    assert.match(finding.message, /fixed in 1\.3\.1, 2\.0\.4/);
+    assert.strictEqual(finding.metadata.path, 'app > left-pad');
+    assert.strictEqual(finding.metadata.remediation, 'Upgrade left-pad to 1.3.1 or later');
+  });
+
+  test('should skip ignored advisories by id or alias', () => {
+    const db = new AdvisoryDatabase();
+    db.add(ADVISORY);
+    const packages = [{ name: 'left-pad', version: '1.3.0', path: ['left-pad'], dev: false }];
+
+    assert.strictEqual(matchVulnerabilities(packages, db, { ignore: ['CVE-2024-0001'] }).length, 0);
+    assert.strictEqual(matchVulnerabilities(packages, db, { ignore: ['GHSA-aaaa-bbbb-cccc'] }).length, 0);
+  });
+
+  test('should skip withdrawn advisories and other ecosystems', () => {
+    const db = new AdvisoryDatabase();
+    db.add({ ...ADVISORY, withdrawn: '2024-02-01T00:00:00Z' });
+    db.add({ ...ADVISORY, id: 'PYSEC-1', affected: [{ ...ADVISORY.affected[0], package: { ecosystem: 'PyPI', name: 'left-pad' } }] });
+
+    assert.strictEqual(db.count, 0);
+  });
+});
+
+// =============================================================================
+// Analyzer
+// =============================================================================
+
+describe('Dependency advisories analyzer', () => {
+  beforeEach(async () => {
+    await setupTestDir();
+    await fs.writeJson(path.join(testDir, 'package-lock.json'), PACKAGE_LOCK);
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('should load advisories from nested directories', async () => {
+    await fs.outputJson(path.join(testDir, '.eaos/advisories/npm/GHSA-aaaa-bbbb-cccc.json'), ADVISORY);
+    await fs.outputFile(path.join(testDir, '.eaos/advisories/broken.json'), '{');
+
+    const db = await AdvisoryDatabase.load(path.join(testDir, '.eaos/advisories'));
+
+    assert.strictEqual(db.count, 1);
+    assert.strictEqual(db.match('left-pad', '1.3.0').length, 1);
+  });
+
+  test('should flag vulnerable lockfile dependencies', async () => {
+    await fs.outputJson(path.join(testDir, '.eaos/advisories/GHSA-aaaa-bbbb-cccc.json'), ADVISORY);
+
+    const pipeline = createAuditPipeline({ rootDir: testDir });
+    const results = await pipeline.run({ phases: ['security'] });
+    const finding = results.findings.find(f => f.ruleId === 'vulnerable-dependency');
+
+    assert.ok(finding);
+    assert.strictEqual(finding.file, 'package-lock.json');
+    assert.strictEqual(finding.metadata.path, 'app > left-pad');
+    assert.deepStrictEqual(results.advisories.lockfiles, [{ path: 'package-lock.json', type: 'npm', packages: 2 }]);
+    assert.strictEqual(results.advisories.vulnerabilities, 1);
+  });
+
+  test('should read the database location from config', async () => {
+    await fs.outputJson(path.join(testDir, 'mirror/osv.json'), [ADVISORY]);
+
+    const pipeline = createAuditPipeline({
+      rootDir: testDir,
+      config: { advisories: { database: 'mirror', ignore: [] } },
+    });
+    const results = await pipeline.run({ phases: ['security'] });
+
+    assert.strictEqual(results.advisories.advisories, 1);
+    assert.strictEqual(results.advisories.vulnerabilities, 1);
+  });
+
+  test('should report a missing advisory database', async () => {
+    const pipeline = createAuditPipeline({ rootDir: testDir });
+    const results = await pipeline.run({ phases: ['security'] });
+    const finding = results.findings.find(f => f.ruleId === 'missing-advisory-database');
+
+    assert.ok(finding);
+    assert.strictEqual(finding.severity, 'info');
+  });
+
+  test('should report unparseable lockfiles', async () => {
+    await fs.outputJson(path.join(testDir, '.eaos/advisories/GHSA-aaaa-bbbb-cccc.json'), ADVISORY);
+    await fs.writeFile(path.join(testDir, 'package-lock.json'), '{');
+
+    const pipeline = createAuditPipeline({ rootDir: testDir });
+    const results = await pipeline.run({ phases: ['security'] });
+
+    assert.ok(results.findings.some(f => f.ruleId === 'invalid-lockfile'));
+  });
+});
@@ -0,0 +1,250 @@
+/**
+ * EAOS Architecture Unit Tests
+ *
+ * Tests for core/architecture.js covering:
+ * - Import extraction (ESM, CommonJS, dynamic, TypeScript)
+ * - Specifier resolution
+ * - Cycle detection
+ * - Layering and forbidden-dependency rules
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+
+import { createAuditPipeline } from '../../core/audit.js';
+import {
+  checkLayering,
+  extractImports,
+  findCycles,
+  normalizeArchitectureRules,
+  packageName,
+  resolveImport,
+} from '../../core/architecture.js';
+import { ARTIFACTS, buildArchitectureGraph, validateArtifact } from '../../core/reports.js';
+import { ConfigurationError } from '../../core/errors.js';
+
+// =============================================================================
+// Test Setup
+// =============================================================================
+
+let testDir;
+
+async function setupTestDir() {
+  testDir = path.join(os.tmpdir(), `eaos-architecture-test-${Date.now()}`);
+  await fs.ensureDir(testDir);
+  return testDir;
+}
+
+async function cleanupTestDir() {
+  if (testDir) {
+    await fs.remove(testDir);
+  }
+}
+
+async function writeFile(relPath, content) {
+  await fs.outputFile(path.join(testDir, relPath), content);
+}
+
+async function runArchitecture(config) {
+  const pipeline = createAuditPipeline({ rootDir: testDir, ...(config ? { config } : {}) });
+  return pipeline.run({ phases: ['architecture'] });
+}
+
+// =============================================================================
+// Import Extraction
+// =============================================================================
+
+describe('extractImports', () => {
+  test('should find ESM, CommonJS and dynamic imports', () => {
+    const imports = extractImports([
+      'import a, { b } from \'./a.js\';',
+      'import \'./polyfill.js\';',
+      'export * as ns from "./ns.js"',
+      'const c = require(\'./c\');',
+      'const d = await import(\'./d.js\');',
+    ].join('\n'));
+
+    assert.deepStrictEqual(imports, [
+      { specifier: './a.js', kind: 'import', line: 1 },
+      { specifier: './polyfill.js', kind: 'import', line: 2 },
+      { specifier: './ns.js', kind: 'export', line: 3 },
+      { specifier: './c', kind: 'require', line: 4 },
+      { specifier: './d.js', kind: 'dynamic', line: 5 },
+    ]);
+  });
+
+  test('should classify TypeScript type-only and import-equals forms', () => {
+    const imports = extractImports('import type { T } from \'./types\';\nimport fs = require(\'fs\');\n');
+
+    assert.deepStrictEqual(imports.map(i => i.kind), ['type', 'require']);
+  });
+
+  test('should ignore imports inside strings, comments and member calls', () => {
+    const imports = extractImports([
+      '// import x from \'./comment.js\';',
+      'const s = "require(\'./string.js\')";',
+      'module.require(\'./member.js\');',
+      'export const value = \'./value.js\';',
+      'console.log(import.meta.url);',
+    ].join('\n'));
+
+    assert.deepStrictEqual(imports, []);
+  });
+});
+
+// =============================================================================
+// Resolution
+// =============================================================================
+
+describe('resolveImport', () => {
+  const files = new Set(['src/a.js', 'src/lib/index.ts', 'src/util.ts', 'src/b.mjs']);
+
+  test('should resolve extensions, index files and TypeScript sources', () => {
+    assert.strictEqual(resolveImport('src/b.mjs', './a.js', files), 'src/a.js');
+    assert.strictEqual(resolveImport('src/a.js', './lib', files), 'src/lib/index.ts');
+    assert.strictEqual(resolveImport('src/lib/index.ts', '../util.js', files), 'src/util.ts');
+    assert.strictEqual(resolveImport('src/a.js', './b', files), 'src/b.mjs');
+  });
+
+  test('should leave packages and missing files unresolved', () => {
+    assert.strictEqual(resolveImport('src/a.js', 'lodash', files), null);
+    assert.strictEqual(resolveImport('src/a.js', './missing.js', files), null);
+  });
+
+  test('should extract package names', () => {
+    assert.strictEqual(packageName('lodash/get'), 'lodash');
+    assert.strictEqual(packageName('@scope/pkg/sub'), '@scope/pkg');
+  });
+});
+
+// =============================================================================
+// Cycles and Layering
+// =============================================================================
+
+describe('findCycles', () => {
+  test('should report each cycle once as a closed path', () => {
+    const cycles = findCycles(['a', 'b', 'c', 'd'], [
+      { from: 'a', to: 'b' },
+      { from: 'b', to: 'c' },
+      { from: 'c', to: 'a' },
+      { from: 'c', to: 'd' },
+      { from: 'd', to: 'd' },
+    ]);
+
+    assert.deepStrictEqual(cycles, [['a', 'b', 'c', 'a'], ['d', 'd']]);
+  });
+
+  test('should ignore type-only edges', () => {
+    const cycles = findCycles(['a', 'b'], [
+      { from: 'a', to: 'b', type: 'import' },
+      { from: 'b', to: 'a', type: 'type' },
+    ]);
+
+    assert.deepStrictEqual(cycles, []);
+  });
+});
+
+describe('checkLayering', () => {
+  const rules = normalizeArchitectureRules({
+    layers: [
+      { name: 'cli', paths: ['cli/'], allow: ['core'] },
+      { name: 'core', paths: ['core/'] },
+    ],
+    forbidden: [{ from: 'core/', to: 'core/internal/', message: 'Use the public core API' }],
+  });
+
+  test('should flag imports of layers that are not allowed', () => {
+    const violations = checkLayering([
+      { from: 'cli/main.js', to: 'core/a.js', line: 1 },
+      { from: 'core/a.js', to: 'cli/main.js', line: 4 },
+      { from: 'scripts/x.js', to: 'cli/main.js', line: 1 },
+    ], rules);
+
+    assert.strictEqual(violations.length, 1);
+    assert.strictEqual(violations[0].rule, 'layer-violation');
+    assert.strictEqual(violations[0].from, 'core/a.js');
+    assert.strictEqual(violations[0].line, 4);
+  });
+
+  test('should flag forbidden dependencies', () => {
+    const [violation] = checkLayering([{ from: 'core/a.js', to: 'core/internal/b.js', line: 2 }], rules);
+
+    assert.strictEqual(violation.rule, 'forbidden-dependency');
+    assert.match(violation.message, /Use the public core API/);
+  });
+
+  test('should reject malformed rules', () => {
+    assert.throws(() => normalizeArchitectureRules({ layers: [{ name: 'x' }] }), ConfigurationError);
+    assert.throws(() => normalizeArchitectureRules({
+      layers: [{ name: 'x', paths: ['x/'], allow: ['y'] }],
+    }), ConfigurationError);
+    assert.throws(() => normalizeArchitectureRules({ forbidden: [{ from: 'a/' }] }), ConfigurationError);
+  });
+});
+
+// =============================================================================
+// Analyzer
+// =============================================================================
+
+describe('Import graph analyzer', () => {
+  beforeEach(async () => {
+    await setupTestDir();
+    await writeFile('cli/main.js', 'import { run } from \'../core/run.js\';\nimport chalk from \'chalk\';\nrun();\n');
+    await writeFile('core/run.js', 'import { helper } from \'./helper.js\';\nexport function run() { helper(); }\n');
+    await writeFile('core/helper.js', 'import { run } from \'./run.js\';\nimport \'../cli/main.js\';\nexport const helper = () => run;\n');
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('should build a module graph with external packages', async () => {
+    const results = await runArchitecture();
+    const graph = results.architecture_graph;
+
+    assert.strictEqual(graph.edges.length, 4);
+    assert.deepStrictEqual(graph.nodes.find(n => n.id === 'cli/main.js').external, ['chalk']);
+    assert.deepStrictEqual(graph.components.edges, [
+      { from: 'cli', to: 'core', weight: 1 },
+      { from: 'core', to: 'cli', weight: 1 },
+    ]);
+    assert.doesNotThrow(() => validateArtifact(ARTIFACTS.ARCHITECTURE_GRAPH, buildArchitectureGraph(results)));
+  });
+
+  test('should emit a finding per import cycle', async () => {
+    const results = await runArchitecture();
+    const cycles = results.findings.filter(f => f.ruleId === 'import-cycle');
+
+    assert.strictEqual(cycles.length, 1);
+    assert.strictEqual(cycles[0].file, 'cli/main.js');
+    assert.strictEqual(cycles[0].line, 1);
+    assert.match(cycles[0].message, /cli\/main\.js -> core\/run\.js -> core\/helper\.js -> cli\/main\.js/);
+  });
+
+  test('should emit findings for layering violations from config', async () => {
+    const results = await runArchitecture({
+      architecture: {
+        layers: [
+          { name: 'cli', paths: ['cli/'], allow: ['core'] },
+          { name: 'core', paths: ['core/'] },
+        ],
+      },
+    });
+    const violation = results.findings.find(f => f.ruleId === 'layer-violation');
+
+    assert.strictEqual(violation.file, 'core/helper.js');
+    assert.strictEqual(violation.line, 2);
+    assert.strictEqual(results.architecture_graph.violations.length, 1);
+  });
+
+  test('should record invalid rules as an analyzer error', async () => {
+    const results = await runArchitecture({ architecture: { layers: 'cli' } });
+    const phase = results.phases[0];
+
+    assert.strictEqual(phase.status, 'completed_with_errors');
+    assert.strictEqual(phase.errors[0].analyzer, 'import-graph');
+  });
+});
@@ -0,0 +1,399 @@
+/**
+ * EAOS Audit Module Unit Tests
+ *
+ * Tests for core/audit.js covering:
+ * - Glob matching and repository walking
+ * - Finding creation and ordering
+ * - Built-in analyzers for each phase
+ * - AuditPipeline execution and analyzer registration
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+
+import {
+  AuditPipeline,
+  AUDIT_PHASES,
+  SEVERITY_LEVELS,
+  createAuditPipeline,
+  createFinding,
+  evaluateFailurePolicy,
+  parseFailurePolicy,
+  sortFindings,
+  findMatches,
+  isIgnoredPath,
+  matchesGlob,
+  walkRepository,
+} from '../../core/audit.js';
+import { ValidationError } from '../../core/errors.js';
+
+// =============================================================================
+// Test Setup
+// =============================================================================
+
+let testDir;
+
+async function setupTestDir() {
+  testDir = path.join(os.tmpdir(), `eaos-audit-test-${Date.now()}`);
+  await fs.ensureDir(testDir);
+  return testDir;
+}
+
+async function cleanupTestDir() {
+  if (testDir) {
+    await fs.remove(testDir);
+  }
+}
+
+async function writeFile(relPath, content) {
+  const fullPath = path.join(testDir, relPath);
+  await fs.ensureDir(path.dirname(fullPath));
+  await fs.writeFile(fullPath, content);
+}
+
+async function runPhase(phase) {
+  const pipeline = createAuditPipeline({ rootDir: testDir });
+  return pipeline.run({ phases: [phase] });
+}
+
+// =============================================================================
+// Helper Tests
+// =============================================================================
+
+describe('Audit Helpers', () => {
+
+  test('matchesGlob should support directory, basename and path patterns', () => {
+    assert.ok(matchesGlob('vendor/lib/a.js', 'vendor/'));
+    assert.ok(matchesGlob('src/deep/file.min.js', '*.min.js'));
+    assert.ok(matchesGlob('src/deep/file.js', 'src/**/*.js'));
+    assert.ok(matchesGlob('src/file.js', 'src/**/*.js'));
+    assert.ok(!matchesGlob('lib/file.js', 'src/**/*.js'));
+  });
+
+  test('findMatches should report 1-based line numbers', () => {
+    const matches = findMatches('a\nb target\nc\ntarget', /target/);
+
+    assert.deepStrictEqual(matches.map(m => m.line), [2, 4]);
+  });
+
+  test('createFinding should reject invalid severity', () => {
+    assert.throws(
+      () => createFinding({ ruleId: 'x', severity: 'urgent' }),
+      ValidationError
+    );
+    assert.throws(
+      () => createFinding({ ruleId: 'x', severity: 'constructor' }),
+      ValidationError
+    );
+  });
+
+  test('sortFindings should order by severity then location', () => {
+    const sorted = sortFindings([
+      createFinding({ ruleId: 'a', severity: 'low', file: 'a.js', line: 1 }),
+      createFinding({ ruleId: 'b', severity: 'critical', file: 'z.js', line: 9 }),
+      createFinding({ ruleId: 'c', severity: 'low', file: 'a.js', line: 0 }),
+    ]);
+
+    assert.deepStrictEqual(sorted.map(f => f.ruleId), ['b', 'c', 'a']);
+  });
+
+  test('parseFailurePolicy should validate severity and maximum', () => {
+    assert.deepStrictEqual(parseFailurePolicy({}), { failOn: null, maxFindings: null });
+    assert.deepStrictEqual(parseFailurePolicy({ failOn: 'HIGH', maxFindings: '0' }), { failOn: 'high', maxFindings: 0 });
+    assert.throws(() => parseFailurePolicy({ failOn: 'urgent' }), ValidationError);
+    assert.throws(() => parseFailurePolicy({ failOn: 'constructor' }), ValidationError);
+    assert.throws(() => parseFailurePolicy({ failOn: 'toString' }), ValidationError);
+    assert.throws(() => parseFailurePolicy({ maxFindings: '-1' }), ValidationError);
+    assert.throws(() => parseFailurePolicy({ maxFindings: 'many' }), ValidationError);
+  });
+
+  test('evaluateFailurePolicy should fail at or above the severity and over the maximum', () => {
+    const findings = [
+      createFinding({ ruleId: 'a', severity: 'high' }),
+      createFinding({ ruleId: 'b', severity: 'low' }),
+    ];
+
+    assert.strictEqual(evaluateFailurePolicy(findings, { failOn: 'critical', maxFindings: 2 }).passed, true);
+
+    const result = evaluateFailurePolicy(findings, { failOn: 'high', maxFindings: 1 });
+    assert.strictEqual(result.passed, false);
+    assert.deepStrictEqual(result.violations, [
+      '1 finding(s) at or above high severity',
+      '2 findings exceed the maximum of 1',
+    ]);
+  });
+
+});
+
+describe('walkRepository', () => {
+
+  beforeEach(async () => {
+    await setupTestDir();
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('should skip default and configured ignore paths', async () => {
+    await writeFile('src/index.js', 'export {};');
+    await writeFile('node_modules/pkg/index.js', 'module.exports = {};');
+    await writeFile('build/out.js', '');
+    await writeFile('lib/build/steps.js', '');
+    await writeFile('vendor/lib.js', '');
+    await writeFile('src/bundle.min.js', '');
+
+    const files = await walkRepository(testDir, { ignore: ['vendor/', '*.min.js'] });
+
+    assert.deepStrictEqual(files.map(f => f.path).sort(), ['lib/build/steps.js', 'src/index.js']);
+  });
+
+  test('should apply the same ignore rules to single paths', () => {
+    const ignore = ['vendor/', '*.min.js'];
+
+    assert.strictEqual(isIgnoredPath('node_modules/pkg/index.js', ignore), true);
+    assert.strictEqual(isIgnoredPath('packages/app/node_modules/pkg/index.js', ignore), true);
+    assert.strictEqual(isIgnoredPath('dist/main.js', ignore), true);
+    assert.strictEqual(isIgnoredPath('src/memory/store.js', ignore), false);
+    assert.strictEqual(isIgnoredPath('packages/app/audit/rules.js', ignore), false);
+    assert.strictEqual(isIgnoredPath('vendor/lib.js', ignore), true);
+    assert.strictEqual(isIgnoredPath('src/bundle.min.js', ignore), true);
+    assert.strictEqual(isIgnoredPath('src/index.js', ignore), false);
+    assert.strictEqual(isIgnoredPath('src/dist.js', ignore), false);
+  });
+
+});
+
+// =============================================================================
+// Built-in Analyzer Tests
+// =============================================================================
+
+describe('Built-in Analyzers', () => {
+
+  beforeEach(async () => {
+    await setupTestDir();
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('architecture phase should flag oversized modules and deep imports', async () => {
+    await writeFile('src/big.js', 'const a = 1;\n'.repeat(600));
+    await writeFile('src/a/b/c/d.js', "import x from '../../../x.js';\n");
+
+    const results = await runPhase('architecture');
+    const rules = results.findings.map(f => f.ruleId);
+
+    assert.ok(rules.includes('module-size'));
+    const deep = results.findings.find(f => f.ruleId === 'deep-relative-import');
+    assert.strictEqual(deep.file, 'src/a/b/c/d.js');
+    assert.strictEqual(deep.line, 1);
+  });
+
+  test('module-size limit should be configurable', async () => {
+    await writeFile('src/small.js', 'const a = 1;\n'.repeat(20));
+    await fs.writeJson(path.join(testDir, '.eaos.config.json'), {
+      audit: { rules: { 'module-size': { maxLines: 10 } } },
+    });
+
+    const results = await runPhase('architecture');
+
+    assert.strictEqual(results.findings[0].ruleId, 'module-size');
+  });
+
+  test('code-quality phase should flag debugger statements and TODOs', async () => {
+    await writeFile('src/app.js', 'function f() {\n  debugger;\n  // TODO: remove\n}\n');
+
+    const results = await runPhase('code-quality');
+    const byRule = Object.fromEntries(results.findings.map(f => [f.ruleId, f]));
+
+    assert.strictEqual(byRule['debugger-statement'].line, 2);
+    assert.strictEqual(byRule['todo-comment'].line, 3);
+    assert.strictEqual(byRule['todo-comment'].severity, SEVERITY_LEVELS.INFO);
+  });
+
+  test('security phase should flag insecure code but not comments', async () => {
+    await writeFile('src/run.js', [
+      '// never call eval(input) here',
+      'const out = eval(input);',
+      'const agent = new https.Agent({ rejectUnauthorized: false });',
+      'execSync(`git log ${branch}`);',
+    ].join('\n'));
+
+    const results = await runPhase('security');
+    const rules = results.findings.map(f => `${f.ruleId}:${f.line}`);
+
+    assert.deepStrictEqual(rules.sort(), [
+      'dynamic-code-execution:2',
+      'shell-injection:4',
+      'tls-verification-disabled:3',
+    ]);
+    assert.ok(results.findings.every(f => f.severity === SEVERITY_LEVELS.HIGH));
+  });
+
+  test('compliance phase should flag missing governance files', async () => {
+    await writeFile('LICENSE', 'MIT');
+
+    const results = await runPhase('compliance');
+    const rules = results.findings.map(f => f.ruleId).sort();
+
+    assert.deepStrictEqual(rules, ['missing-ci-workflow', 'missing-codeowners', 'missing-security-policy']);
+  });
+
+  test('financial phase should detect cost anomalies', async () => {
+    await writeFile('finance/CostBreakdown.json', JSON.stringify({
+      periods: [
+        { period: '2025-09', services: { compute: 100, storage: 50 } },
+        { period: '2025-10', services: { compute: 100, storage: 50 } },
+        { period: '2025-11', services: { compute: 250, storage: 55 } },
+      ],
+    }));
+
+    const results = await runPhase('financial');
+
+    assert.strictEqual(results.findings.length, 1);
+    assert.strictEqual(results.findings[0].ruleId, 'cost-anomaly');
+    assert.strictEqual(results.findings[0].severity, SEVERITY_LEVELS.HIGH);
+    assert.match(results.findings[0].message, /compute/);
+  });
+
+  test('observability phase should flag silent catch blocks', async () => {
+    await writeFile('src/io.js', [
+      'try { a(); } catch { /* ignore */ }',
+      'try { b(); } catch (error) { logger.error(error); }',
+      'try { c(); } catch (e) {',
+      '  // nothing',
+      '}',
+    ].join('\n'));
+
+    const results = await runPhase('observability');
+
+    assert.deepStrictEqual(results.findings.map(f => f.line), [1, 3]);
+  });
+
+  test('performance phase should flag sync I/O in async functions only', async () => {
+    await writeFile('src/io.js', [
+      'function load() {',
+      '  return fs.readFileSync(p);',
+      '}',
+      'async function save() {',
+      '  fs.writeFileSync(p, data);',
+      '}',
+    ].join('\n'));
+
+    const results = await runPhase('performance');
+
+    assert.strictEqual(results.findings.length, 1);
+    assert.strictEqual(results.findings[0].line, 5);
+    assert.match(results.findings[0].message, /writeFileSync/);
+  });
+
+});
+
+// =============================================================================
+// AuditPipeline Tests
+// =============================================================================
+
+describe('AuditPipeline', () => {
+
+  beforeEach(async () => {
+    await setupTestDir();
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('should register a built-in analyzer for every phase', () => {
+    const pipeline = new AuditPipeline({ rootDir: testDir });
+
+    for (const phase of AUDIT_PHASES) {
+      assert.ok(pipeline.getAnalyzers(phase.id).length > 0, `${phase.id} should have an analyzer`);
+    }
+  });
+
+  test('should run all phases and summarize findings', async () => {
+    await writeFile('src/app.js', 'debugger;\n');
+
+    const pipeline = createAuditPipeline({ rootDir: testDir });
+    const phasesSeen = [];
+    const results = await pipeline.run({ onPhaseStart: p => phasesSeen.push(p.id) });
+
+    assert.strictEqual(results.phases.length, AUDIT_PHASES.length);
+    assert.deepStrictEqual(phasesSeen, AUDIT_PHASES.map(p => p.id));
+    assert.strictEqual(results.summary.total_findings, results.findings.length);
+    assert.strictEqual(results.summary.files_scanned, 1);
+    assert.ok(results.findings.every(f => f.phase && f.analyzer));
+  });
+
+  test('should run custom analyzers', async () => {
+    const pipeline = createAuditPipeline({ rootDir: testDir, builtins: false });
+    pipeline.registerAnalyzer({
+      id: 'custom',
+      phase: 'security',
+      analyze: () => [{ ruleId: 'custom-rule', severity: 'critical', message: 'Custom' }],
+    });
+
+    const results = await pipeline.run({ phases: ['security'] });
+
+    assert.strictEqual(results.findings[0].ruleId, 'custom-rule');
+    assert.strictEqual(results.findings[0].analyzer, 'custom');
+  });
+
+  test('should reject analyzers for unknown phases', () => {
+    const pipeline = createAuditPipeline({ rootDir: testDir, builtins: false });
+
+    assert.throws(
+      () => pipeline.registerAnalyzer({ id: 'bad', phase: 'nope', analyze: () => [] }),
+      ValidationError
+    );
+  });
+
+  test('should record analyzer errors without failing the run', async () => {
+    const pipeline = createAuditPipeline({ rootDir: testDir, builtins: false });
+    pipeline.registerAnalyzer({ id: 'broken', phase: 'security', analyze: () => { throw new Error('boom'); } });
+    pipeline.registerAnalyzer({ id: 'working', phase: 'security', analyze: () => [] });
+
+    const results = await pipeline.run({ phases: ['security'] });
+
+    assert.strictEqual(results.phases[0].status, 'completed_with_errors');
+    assert.strictEqual(results.phases[0].errors[0].analyzer, 'broken');
+  });
+
+  test('should drop findings for rules disabled in config', async () => {
+    await writeFile('src/app.js', '// TODO: later\n');
+    await fs.writeJson(path.join(testDir, '.eaos.config.json'), {
+      audit: { rules: { 'todo-comment': 'off' } },
+    });
+
+    const results = await runPhase('code-quality');
+
+    assert.strictEqual(results.findings.length, 0);
+  });
+
+  test('should expose a module architecture graph', async () => {
+    await writeFile('core/a.js', 'export const a = 1;\n');
+    await writeFile('core/b.js', 'export const b = 2;\n');
+    await writeFile('index.js', 'export * from \'./core/a.js\';\n');
+
+    const results = await runPhase('architecture');
+    const graph = results.architecture_graph;
+
+    assert.strictEqual(graph.granularity, 'module');
+    assert.deepStrictEqual(graph.nodes.map(n => n.id).sort(), ['core/a.js', 'core/b.js', 'index.js']);
+    assert.deepStrictEqual(graph.edges.map(e => [e.from, e.to]), [['index.js', 'core/a.js']]);
+    assert.deepStrictEqual(graph.components.nodes.map(n => n.id).sort(), ['.', 'core']);
+    assert.strictEqual(graph.components.nodes.find(n => n.id === 'core').files, 2);
+  });
+
+  test('should reject unknown phases', async () => {
+    const pipeline = createAuditPipeline({ rootDir: testDir });
+
+    await assert.rejects(() => pipeline.run({ phases: ['nope'] }), ValidationError);
+  });
+
+});
@@ -5,6 +5,10 @@
  * - AutonomyEngine lifecycle
  * - Cycle execution
  * - Trigger system
+ * - Task handlers
+ * - Cycle schedules
+ * - Missed-cycle catch-up
+ * - Task dependency graph
  * - State management
  */
 
@@ -19,14 +23,19 @@ import {
   Trigger,
   ENGINE_STATES,
   CYCLE_TYPES,
+  CATCH_UP_POLICIES,
   HDM_LEVELS,
   DAILY_TASKS,
   WEEKLY_TASKS,
   MONTHLY_TASKS,
+  DEFAULT_SCHEDULES,
   createAutonomyEngine,
+  resolveCycleSchedules,
 } from '../../core/autonomy.js';
-import { createEventBus } from '../../core/events.js';
-import { createPluginManager } from '../../core/plugins.js';
+import { createEventBus, AutonomyEvents } from '../../core/events.js';
+import { Plugin, PLUGIN_STATES, createPluginManager } from '../../core/plugins.js';
+import { TASK_STATUS } from '../../core/tasks.js';
+import { ValidationError } from '../../core/errors.js';
 
 // =============================================================================
 // Test Setup
@@ -256,6 +265,10 @@ describe('AutonomyEngine', () => {
     await engine.start();
 
     assert.strictEqual(engine.state, ENGINE_STATES.RUNNING);
+    assert.strictEqual(engine.timers.size, 3);
+
+    await engine.stop();
+    assert.strictEqual(engine.timers.size, 0);
   });
 
   test('should stop and change state', async () => {
@@ -267,6 +280,27 @@ describe('AutonomyEngine', () => {
     assert.strictEqual(engine.state, ENGINE_STATES.STOPPED);
   });
 
+  test('should stop processing events and wait for running cycles when stopped', async () => {
+    const eventBus = createEventBus();
+    const engine = createAutonomyEngine({ rootDir: testDir, eventBus });
+    await engine.initialize();
+    await engine.start();
+    assert.strictEqual(eventBus.listenerCount('*'), 1);
+
+    let finished = false;
+    engine.runCycle = async () => {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      finished = true;
+    };
+    const run = engine.runScheduledCycle(CYCLE_TYPES.DAILY);
+    await engine.stop();
+
+    assert.ok(finished, 'stop() should wait for the running cycle');
+    assert.strictEqual(eventBus.listenerCount('*'), 0);
+    await run;
+    assert.strictEqual(engine.timers.size, 0, 'A stopped engine should not reschedule');
+  });
+
   test('should pause and resume', async () => {
     const engine = createAutonomyEngine({ rootDir: testDir });
     await engine.initialize();
@@ -370,11 +404,68 @@ describe('AutonomyEngine', () => {
     const engine = createAutonomyEngine({ rootDir: testDir });
     await engine.initialize();
 
+    engine.registerTaskHandler('test-task', async (task, context) => ({ taskId: task.id, rootDir: context.rootDir }));
+
     const task = { id: 'test-task', name: 'Test Task', hdmLevel: 0 };
     const result = await engine.executeTask(task, 'test-cycle');
 
     assert.strictEqual(result.status, 'completed');
-    assert.ok(result.output);
+    assert.deepStrictEqual(result.output, { taskId: 'test-task', rootDir: testDir });
+  });
+
+  test('should report tasks without a handler as not implemented', async () => {
+    const eventBus = createEventBus();
+    const engine = createAutonomyEngine({ rootDir: testDir, eventBus });
+    await engine.initialize();
+
+    const ended = [];
+    eventBus.on(AutonomyEvents.TASK_END, (e) => ended.push(e.data));
+
+    const task = MONTHLY_TASKS.find(t => t.id === 'executive-report');
+    const result = await engine.executeTask(task, 'test-cycle');
+
+    assert.strictEqual(result.status, TASK_STATUS.NOT_IMPLEMENTED);
+    assert.strictEqual(result.output, null);
+    assert.match(result.reason, /executive-report/);
+    assert.strictEqual(ended[0].status, TASK_STATUS.NOT_IMPLEMENTED);
+  });
+
+  test('should let enabled plugins override built-in task handlers', async () => {
+    const pluginManager = createPluginManager({ eventBus: createEventBus() });
+    await pluginManager.initialize(testDir);
+    const engine = createAutonomyEngine({ rootDir: testDir, pluginManager });
+    await engine.initialize();
+
+    const plugin = new Plugin({
+      id: 'scan-override',
+      name: 'Scan Override',
+      version: '1.0.0',
+      tasks: { 'health-scan': async (task) => ({ taskId: task.id, message: 'From plugin' }) },
+    }, testDir);
+    plugin.state = PLUGIN_STATES.ENABLED;
+    pluginManager.plugins.set(plugin.id, plugin);
+
+    const task = DAILY_TASKS.find(t => t.id === 'health-scan');
+    const overridden = await engine.executeTask(task, 'test-cycle');
+    assert.strictEqual(overridden.output.message, 'From plugin');
+
+    await pluginManager.disable(plugin.id);
+    const builtin = await engine.executeTask(task, 'test-cycle');
+    assert.ok(builtin.output.checks, 'Disabling the plugin should restore the built-in handler');
+  });
+
+  test('should run the code quality audit for CIW execution', async () => {
+    await fs.outputFile(path.join(testDir, 'src', 'app.js'), 'export function run(a) {\n  return a ? 1 : 2;\n}\n');
+    const engine = createAutonomyEngine({ rootDir: testDir });
+    await engine.initialize();
+
+    const task = WEEKLY_TASKS.find(t => t.id === 'ciw-execution');
+    const result = await engine.executeTask(task, 'test-cycle');
+
+    assert.strictEqual(result.status, 'completed');
+    assert.strictEqual(result.output.quality.complexity.functions, 1);
+    assert.strictEqual(result.output.quality.complexity.max, 2);
+    assert.ok(result.output.findings);
   });
 
   test('should skip tasks requiring higher HDM level', async () => {
@@ -393,6 +484,402 @@ describe('AutonomyEngine', () => {
 
 });
 
+// =============================================================================
+// Schedule Tests
+// =============================================================================
+
+describe('Cycle Schedules', () => {
+
+  beforeEach(async () => {
+    await setupTestDir();
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('resolveCycleSchedules should default the built-in cycles', () => {
+    const schedules = resolveCycleSchedules({}, { timezone: 'Europe/Berlin' });
+
+    assert.deepStrictEqual(Object.keys(schedules), ['daily', 'weekly', 'monthly']);
+    assert.strictEqual(schedules.daily.cron, DEFAULT_SCHEDULES.daily.cron);
+    assert.strictEqual(schedules.weekly.timezone, 'Europe/Berlin');
+    assert.ok(schedules.monthly.enabled);
+  });
+
+  test('resolveCycleSchedules should reject malformed cycles', () => {
+    assert.throws(() => resolveCycleSchedules({ daily: '0 25 * * *' }), ValidationError);
+    assert.throws(() => resolveCycleSchedules({ daily: { timezone: 'Nowhere/City' } }), /unknown time zone/);
+    assert.throws(() => resolveCycleSchedules({ hourly: '0 * * * *' }), /must list its tasks/);
+    assert.throws(() => resolveCycleSchedules({ manual: { cron: '0 * * * *', tasks: ['health-scan'] } }), /reserved/);
+    assert.throws(() => resolveCycleSchedules({ '../x': { cron: '0 * * * *', tasks: ['health-scan'] } }), /Invalid cycle name/);
+  });
+
+  test('should load cycles and time zones from config', async () => {
+    await fs.outputJson(path.join(testDir, '.eaos.config.json'), {
+      autonomy: {
+        timezone: 'America/New_York',
+        cycles: {
+          daily: { cron: '0 6 * * *', timezone: 'Europe/Berlin' },
+          monthly: { enabled: false },
+          'nightly-security': { cron: '30 1 * * 1-5', tasks: ['security-sweep', { id: 'custom-check', hdmLevel: 1 }] },
+        },
+      },
+    });
+    const engine = createAutonomyEngine({ rootDir: testDir });
+    await engine.initialize();
+
+    assert.deepStrictEqual(engine.schedules.daily, {
+      cron: '0 6 * * *',
+      timezone: 'Europe/Berlin',
+      enabled: true,
+      catchUp: CATCH_UP_POLICIES.RUN_ONCE,
+      concurrency: 4,
+    });
+    assert.strictEqual(engine.schedules.weekly.timezone, 'America/New_York');
+    assert.ok(engine.getCycleNames().includes('nightly-security'));
+
+    const tasks = engine.getTasksForCycle('nightly-security');
+    assert.deepStrictEqual(tasks[0], DAILY_TASKS.find(t => t.id === 'security-sweep'));
+    assert.deepStrictEqual(tasks[1], { id: 'custom-check', name: 'custom-check', hdmLevel: 1 });
+
+    const schedules = engine.getSchedules();
+    assert.strictEqual(schedules.find(s => s.cycle === 'monthly').nextRun, null);
+    assert.ok(schedules.find(s => s.cycle === 'nightly-security').nextRun);
+
+    await engine.start();
+    assert.deepStrictEqual([...engine.timers.keys()].sort(), ['daily', 'nightly-security', 'weekly']);
+    await engine.stop();
+  });
+
+  test('should prefer constructor schedules over config', async () => {
+    await fs.outputJson(path.join(testDir, '.eaos.config.json'), {
+      autonomy: { cycles: { daily: { cron: '0 6 * * *', timezone: 'Europe/Berlin' } } },
+    });
+    const engine = createAutonomyEngine({ rootDir: testDir, schedules: { daily: '15 3 * * *' } });
+    await engine.initialize();
+
+    assert.strictEqual(engine.schedules.daily.cron, '15 3 * * *');
+    assert.strictEqual(engine.schedules.daily.timezone, 'Europe/Berlin');
+  });
+
+  test('should schedule the next run in the cycle time zone', async () => {
+    const engine = createAutonomyEngine({
+      rootDir: testDir,
+      schedules: { daily: { cron: '0 2 * * *', timezone: 'Asia/Tokyo' } },
+    });
+    await engine.initialize();
+    await engine.start();
+
+    const nextRun = new Date(engine.nextRuns.daily);
+    await engine.stop();
+
+    assert.strictEqual(nextRun.getUTCHours(), 17);
+    assert.ok(nextRun > new Date());
+    assert.ok(nextRun - new Date() <= 24 * 60 * 60 * 1000);
+  });
+
+  test('should reschedule after a scheduled run', async () => {
+    const engine = createAutonomyEngine({ rootDir: testDir });
+    await engine.initialize();
+    await engine.start();
+
+    await engine.runScheduledCycle(CYCLE_TYPES.WEEKLY);
+
+    assert.ok(engine.lastCycleRun.weekly);
+    assert.ok(engine.timers.has(CYCLE_TYPES.WEEKLY));
+    assert.ok(new Date(engine.nextRuns.weekly) > new Date());
+
+    await engine.stop();
+  });
+
+});
+
+// =============================================================================
+// Catch-Up Tests
+// =============================================================================
+
+describe('Missed Cycle Catch-Up', () => {
+
+  const now = new Date('2026-10-18T12:10:00Z');
+
+  function createHourlyEngine(catchUp, options = {}) {
+    const eventBus = createEventBus();
+    const engine = createAutonomyEngine({
+      rootDir: testDir,
+      eventBus,
+      pluginManager: createPluginManager({ eventBus }),
+      schedules: {
+        daily: { enabled: false },
+        weekly: { enabled: false },
+        monthly: { enabled: false },
+        hourly: { cron: '0 * * * *', timezone: 'UTC', tasks: ['noop'], catchUp },
+      },
+      ...options,
+    });
+    engine.registerTaskHandler('noop', async () => ({ ok: true }));
+    return engine;
+  }
+
+  beforeEach(async () => {
+    await setupTestDir();
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('resolveCycleSchedules should default and validate catch-up policies', () => {
+    assert.strictEqual(resolveCycleSchedules({}).daily.catchUp, CATCH_UP_POLICIES.RUN_ONCE);
+    assert.strictEqual(resolveCycleSchedules({}, { catchUp: 'skip' }).weekly.catchUp, CATCH_UP_POLICIES.SKIP);
+    assert.strictEqual(resolveCycleSchedules({ daily: { catchUp: 'run-all' } }).daily.catchUp, CATCH_UP_POLICIES.RUN_ALL);
+    assert.throws(() => resolveCycleSchedules({ daily: { catchUp: 'sometimes' } }), /unknown catch-up policy/);
+  });
+
+  test('should list runs missed since the last run', async () => {
+    const engine = createHourlyEngine(CATCH_UP_POLICIES.RUN_ALL);
+    await engine.initialize();
+
+    assert.deepStrictEqual(engine.getMissedRuns('hourly', now), []);
+
+    engine.lastCycleRun.hourly = '2026-10-18T09:30:00Z';
+    assert.deepStrictEqual(engine.getMissedRuns('hourly', now).map(d => d.toISOString()), [
+      '2026-10-18T10:00:00.000Z',
+      '2026-10-18T11:00:00.000Z',
+      '2026-10-18T12:00:00.000Z',
+    ]);
+
+    engine.lastCycleRun.hourly = '2026-01-01T00:00:00Z';
+    assert.strictEqual(engine.getMissedRuns('hourly', now).length, 24);
+  });
+
+  test('should follow the catch-up policy of each cycle', async () => {
+    const lastRun = '2026-10-18T09:30:00Z';
+    const overdue = async (policy) => {
+      const engine = createHourlyEngine(policy);
+      await engine.initialize();
+      engine.lastCycleRun.hourly = lastRun;
+      return engine.getOverdueCycles(now);
+    };
+
+    assert.deepStrictEqual(await overdue(CATCH_UP_POLICIES.SKIP), []);
+    assert.deepStrictEqual(await overdue(CATCH_UP_POLICIES.RUN_ONCE), [
+      { cycle: 'hourly', policy: 'run-once', scheduledFor: '2026-10-18T10:00:00.000Z', missedRuns: 3 },
+    ]);
+    assert.deepStrictEqual((await overdue(CATCH_UP_POLICIES.RUN_ALL)).map(o => o.scheduledFor), [
+      '2026-10-18T10:00:00.000Z',
+      '2026-10-18T11:00:00.000Z',
+      '2026-10-18T12:00:00.000Z',
+    ]);
+  });
+
+  test('should record catch-up runs in their cycle reports', async () => {
+    const engine = createHourlyEngine(CATCH_UP_POLICIES.RUN_ALL);
+    await engine.initialize();
+    engine.state = ENGINE_STATES.RUNNING;
+    engine.lastCycleRun.hourly = '2026-10-18T10:30:00Z';
+
+    const reports = await engine.runMissedCycles(now);
+
+    assert.strictEqual(reports.length, 2);
+    assert.deepStrictEqual(reports[0].catchUp, {
+      policy: 'run-all',
+      scheduledFor: '2026-10-18T11:00:00.000Z',
+      missedRuns: 2,
+    });
+    assert.strictEqual(reports[1].catchUp.scheduledFor, '2026-10-18T12:00:00.000Z');
+    assert.strictEqual(reports[0].status, 'completed');
+
+    const report = await engine.runCycle('hourly');
+    assert.strictEqual(report.catchUp, null);
+  });
+
+  test('should report missed runs dropped by the skip policy', async () => {
+    const engine = createHourlyEngine(CATCH_UP_POLICIES.SKIP);
+    await engine.initialize();
+    engine.state = ENGINE_STATES.RUNNING;
+    engine.lastCycleRun.hourly = '2026-10-18T09:30:00Z';
+
+    const skipped = [];
+    engine.eventBus.on(AutonomyEvents.CYCLE_SKIP, (event) => skipped.push(event.data));
+
+    assert.deepStrictEqual(await engine.runMissedCycles(now), []);
+    assert.strictEqual(skipped.length, 1);
+    assert.strictEqual(skipped[0].type, 'hourly');
+    assert.strictEqual(skipped[0].missedRuns, 3);
+    assert.strictEqual(engine.lastCycleRun.hourly, now.toISOString());
+
+    await engine.runMissedCycles(now);
+    assert.strictEqual(skipped.length, 1);
+  });
+
+  test('should not run a scheduled cycle while its catch-up run is in progress', async () => {
+    const engine = createHourlyEngine(CATCH_UP_POLICIES.RUN_ONCE);
+    await engine.initialize();
+    engine.state = ENGINE_STATES.RUNNING;
+    engine.lastCycleRun.hourly = '2026-10-18T10:30:00Z';
+
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    engine.registerTaskHandler('noop', async () => gate);
+
+    const skipped = [];
+    engine.eventBus.on(AutonomyEvents.CYCLE_SKIP, (event) => skipped.push(event.data));
+
+    const catchUp = engine.runMissedCycles(now);
+    await new Promise(resolve => setImmediate(resolve));
+    const scheduled = engine.runScheduledCycle('hourly');
+    await new Promise(resolve => setImmediate(resolve));
+    release({ ok: true });
+
+    const reports = await catchUp;
+    await scheduled;
+    assert.ok(engine.nextRuns.hourly, 'the skipped cycle should be rescheduled');
+    engine.clearTimers();
+
+    assert.strictEqual(reports.length, 1);
+    assert.deepStrictEqual(skipped, [{ type: 'hourly', reason: 'Cycle already running' }]);
+    assert.strictEqual(engine.getLogs({ type: 'hourly' }).length, 1);
+  });
+
+  test('should catch up on overdue cycles when started', async () => {
+    await fs.outputJson(path.join(testDir, '.eaos', 'autonomy', 'state.json'), {
+      lastCycleRun: { hourly: new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString() },
+    });
+    const engine = createHourlyEngine(CATCH_UP_POLICIES.RUN_ONCE);
+    await engine.initialize();
+
+    await engine.start();
+    await Promise.all([...engine.activeRuns]);
+    await engine.stop();
+
+    const catchUps = engine.getLogs({ type: 'hourly' }).filter(r => r.catchUp);
+    assert.strictEqual(catchUps.length, 1);
+    assert.strictEqual(catchUps[0].catchUp.policy, 'run-once');
+    assert.ok(new Date(engine.lastCycleRun.hourly) > new Date(catchUps[0].catchUp.scheduledFor));
+  });
+
+});
+
+// =============================================================================
+// Task Graph Tests
+// =============================================================================
+
+describe('Cycle Task Graph', () => {
+
+  beforeEach(async () => {
+    await setupTestDir();
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('should declare dependencies of the built-in tasks', () => {
+    assert.deepStrictEqual(DAILY_TASKS.find(t => t.id === 'drift-detection').dependsOn, ['compliance-check']);
+    assert.deepStrictEqual(
+      MONTHLY_TASKS.find(t => t.id === 'executive-report').dependsOn,
+      ['architecture-audit', 'compliance-mapping']
+    );
+  });
+
+  test('should drop built-in dependencies on tasks outside the cycle', async () => {
+    const engine = createAutonomyEngine({
+      rootDir: testDir,
+      schedules: {
+        drift: { cron: '0 * * * *', tasks: ['drift-detection'] },
+        compliance: { cron: '0 * * * *', tasks: ['compliance-check', 'drift-detection'] },
+      },
+    });
+    await engine.initialize();
+
+    assert.deepStrictEqual(engine.getTasksForCycle('drift')[0].dependsOn, []);
+    assert.deepStrictEqual(engine.getTasksForCycle('compliance')[1].dependsOn, ['compliance-check']);
+  });
+
+  test('should reject cycles whose task dependencies are not a DAG', async () => {
+    const tasks = [{ id: 'a', dependsOn: ['b'] }, { id: 'b', dependsOn: ['a'] }];
+    const engine = createAutonomyEngine({ rootDir: testDir, schedules: { loop: { cron: '0 * * * *', tasks } } });
+
+    await assert.rejects(engine.initialize(), /form a cycle/);
+    assert.throws(() => resolveCycleSchedules({ daily: { concurrency: 0 } }), /Concurrency of cycle daily/);
+  });
+
+  test('should keep the current schedules when a reload has invalid task dependencies', async () => {
+    const engine = createAutonomyEngine({ rootDir: testDir });
+    await engine.initialize();
+    await engine.start();
+    const before = engine.schedules;
+    const nextRuns = { ...engine.nextRuns };
+
+    await fs.outputJson(path.join(testDir, '.eaos.config.json'), {
+      autonomy: { cycles: { loop: { cron: '0 * * * *', tasks: [{ id: 'a', dependsOn: ['b'] }, { id: 'b', dependsOn: ['a'] }] } } },
+    });
+
+    try {
+      assert.throws(() => engine.reloadSchedules(), /form a cycle/);
+      assert.strictEqual(engine.schedules, before);
+      assert.deepStrictEqual(engine.nextRuns, nextRuns);
+    } finally {
+      await engine.stop();
+    }
+  });
+
+  test('should run independent tasks in parallel and skip dependents of failed tasks', async () => {
+    const eventBus = createEventBus();
+    const engine = createAutonomyEngine({
+      rootDir: testDir,
+      eventBus,
+      pluginManager: createPluginManager({ eventBus }),
+      schedules: {
+        release: {
+          cron: '0 * * * *',
+          concurrency: 2,
+          tasks: ['build', 'lint', { id: 'publish', dependsOn: ['build', 'lint'] }, { id: 'notify', dependsOn: ['publish'] }],
+        },
+      },
+    });
+    await engine.initialize();
+
+    let active = 0;
+    let peak = 0;
+    const handler = (fail) => async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      active--;
+      if (fail) throw new Error('lint failed');
+      return { ok: true };
+    };
+    engine.registerTaskHandler('build', handler(false));
+    engine.registerTaskHandler('lint', handler(true));
+    engine.registerTaskHandler('publish', handler(false));
+    engine.registerTaskHandler('notify', handler(false));
+
+    const report = await engine.runCycle('release', { force: true });
+
+    assert.strictEqual(peak, 2);
+    assert.deepStrictEqual(report.tasks.map(t => t.status), [
+      TASK_STATUS.COMPLETED,
+      TASK_STATUS.ERROR,
+      TASK_STATUS.SKIPPED,
+      TASK_STATUS.SKIPPED,
+    ]);
+    assert.strictEqual(report.tasks[2].reason, 'Dependency lint failed');
+    assert.strictEqual(report.tasks[3].reason, 'Dependency publish was skipped');
+    assert.deepStrictEqual(report.errors, ['lint failed']);
+    assert.strictEqual(report.status, 'completed_with_errors');
+
+    assert.deepStrictEqual(report.timeline.map(e => [e.id, e.lane]), [
+      ['build', 0],
+      ['lint', 1],
+      ['publish', null],
+      ['notify', null],
+    ]);
+  });
+
+});
+
 // =============================================================================
 // Constants Tests
 // =============================================================================
@@ -470,6 +957,29 @@ describe('Autonomy Integration', () => {
     assert.ok(events.includes('autonomy:cycle:end'));
   });
 
+  test('should emit compliance drift between daily compliance checks', async () => {
+    await fs.outputJson(path.join(testDir, '.eaos.config.json'), { compliance: { frameworks: ['soc2'] } });
+    await fs.outputFile(path.join(testDir, 'SECURITY.md'), '# Security Policy\n');
+    const eventBus = createEventBus();
+    const engine = createAutonomyEngine({ rootDir: testDir, eventBus });
+    await engine.initialize();
+
+    const drift = [];
+    eventBus.on('compliance:drift', (e) => drift.push(e.data));
+
+    const task = DAILY_TASKS.find(t => t.id === 'compliance-check');
+    const first = await engine.executeTask(task, 'test-cycle');
+    await fs.remove(path.join(testDir, 'SECURITY.md'));
+    const second = await engine.executeTask(task, 'test-cycle');
+    const detection = await engine.executeTask(DAILY_TASKS.find(t => t.id === 'drift-detection'), 'test-cycle');
+
+    assert.strictEqual(first.status, 'completed');
+    assert.ok(first.output.frameworks.soc2);
+    assert.strictEqual(second.output.drift.length, 1);
+    assert.ok(drift[0].controls.some(c => c.control_id === 'CC2.3'));
+    assert.strictEqual(detection.output.drift.length, 0, 'Drift should not be reported twice');
+  });
+
   test('should work with plugin manager', async () => {
     const pluginManager = createPluginManager();
     await pluginManager.initialize(testDir);
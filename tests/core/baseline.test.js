@@ -0,0 +1,230 @@
+/**
+ * EAOS Audit Baseline Unit Tests
+ *
+ * Tests for core/baseline.js covering:
+ * - Finding fingerprints
+ * - New / persisting / fixed classification
+ * - Baseline files and previous-run lookup
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+
+import { createAuditPipeline } from '../../core/audit.js';
+import { assignFingerprints, fingerprintFinding } from '../../core/findings.js';
+import {
+  DEFAULT_AUDIT_BASELINE,
+  applyBaseline,
+  diffFindings,
+  findPreviousRun,
+  listAuditResults,
+  loadFindingsFile,
+  resolveBaseline,
+  writeAuditBaseline,
+} from '../../core/baseline.js';
+import { ARTIFACTS, buildFindings, buildSarifReport, validateArtifact } from '../../core/reports.js';
+import { ValidationError } from '../../core/errors.js';
+
+// =============================================================================
+// Test Setup
+// =============================================================================
+
+let testDir;
+
+async function setupTestDir() {
+  testDir = path.join(os.tmpdir(), `eaos-baseline-test-${Date.now()}`);
+  await fs.ensureDir(testDir);
+  return testDir;
+}
+
+async function cleanupTestDir() {
+  if (testDir) {
+    await fs.remove(testDir);
+  }
+}
+
+async function runCodeQuality() {
+  const pipeline = createAuditPipeline({ rootDir: testDir });
+  return pipeline.run({ phases: ['code-quality'] });
+}
+
+// =============================================================================
+// Fingerprints
+// =============================================================================
+
+describe('fingerprintFinding', () => {
+  const finding = { ruleId: 'debugger-statement', file: 'src/app.js', line: 3 };
+
+  test('should ignore line numbers when the line content is known', () => {
+    const moved = { ...finding, line: 10 };
+
+    assert.strictEqual(
+      fingerprintFinding(finding, '  debugger;'),
+      fingerprintFinding(moved, 'debugger;')
+    );
+    assert.notStrictEqual(fingerprintFinding(finding, 'debugger;'), fingerprintFinding(finding, 'debugger; // x'));
+  });
+
+  test('should keep analyzer-supplied fingerprints', () => {
+    assert.strictEqual(fingerprintFinding({ ...finding, fingerprint: 'abc' }, 'debugger;'), 'abc');
+  });
+
+  test('should number identical findings in the same file', () => {
+    const findings = assignFingerprints(
+      [{ ...finding }, { ...finding, line: 7 }],
+      () => 'debugger;'
+    );
+
+    assert.notStrictEqual(findings[0].fingerprint, findings[1].fingerprint);
+    assert.strictEqual(findings[0].fingerprint, fingerprintFinding(finding, 'debugger;'));
+  });
+});
+
+// =============================================================================
+// Diffing
+// =============================================================================
+
+describe('diffFindings', () => {
+  const a = { ruleId: 'a', severity: 'high', file: 'x.js', line: 1, message: 'A', fingerprint: 'fa' };
+  const b = { ruleId: 'b', severity: 'low', file: 'x.js', line: 2, message: 'B', fingerprint: 'fb' };
+  const c = { ruleId: 'c', severity: 'medium', file: 'y.js', line: 1, message: 'C', fingerprint: 'fc' };
+
+  test('should classify new, persisting and fixed findings', () => {
+    const diff = diffFindings([a, c], [a, b]);
+
+    assert.deepStrictEqual(diff.findings.map(f => f.status), ['persisting', 'new']);
+    assert.deepStrictEqual(diff.fixed.map(f => f.fingerprint), ['fb']);
+    assert.strictEqual(diff.fixed[0].status, 'fixed');
+    assert.strictEqual(diff.summary.new, 1);
+    assert.strictEqual(diff.summary.persisting, 1);
+    assert.strictEqual(diff.summary.fixed, 1);
+    assert.strictEqual(diff.summary.new_by_severity.medium, 1);
+  });
+
+  test('should treat every finding as new without a baseline', () => {
+    const diff = diffFindings([a, b], null);
+
+    assert.strictEqual(diff.summary.new, 2);
+    assert.strictEqual(diff.summary.fixed, 0);
+  });
+});
+
+// =============================================================================
+// Baselines
+// =============================================================================
+
+describe('Audit baselines', () => {
+  beforeEach(async () => {
+    await setupTestDir();
+    await fs.outputFile(path.join(testDir, 'src/app.js'), 'const a = 1;\ndebugger;\n');
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('should fingerprint pipeline findings', async () => {
+    const results = await runCodeQuality();
+
+    assert.ok(results.findings.length > 0);
+    assert.ok(results.findings.every(f => /^[0-9a-f]{32}$/.test(f.fingerprint)));
+  });
+
+  test('should keep findings persisting when lines shift', async () => {
+    const before = await runCodeQuality();
+    await writeAuditBaseline(testDir, before.findings);
+
+    await fs.outputFile(path.join(testDir, 'src/app.js'), '// header\n\nconst a = 1;\ndebugger;\n');
+    const after = await runCodeQuality();
+    applyBaseline(after, await loadFindingsFile(path.join(testDir, DEFAULT_AUDIT_BASELINE)), testDir);
+
+    assert.strictEqual(after.diff.baseline, DEFAULT_AUDIT_BASELINE);
+    assert.strictEqual(after.diff.summary.new, 0);
+    assert.strictEqual(after.diff.summary.fixed, 0);
+    assert.ok(after.findings.every(f => f.status === 'persisting'));
+  });
+
+  test('should report new and fixed findings', async () => {
+    const before = await runCodeQuality();
+    await fs.outputFile(path.join(testDir, 'src/app.js'), 'const a = 1;\n// TODO: remove\n');
+    const after = await runCodeQuality();
+    const baseline = { path: path.join(testDir, 'prev.json'), timestamp: null, findings: before.findings };
+    applyBaseline(after, baseline, testDir);
+
+    assert.ok(after.diff.fixed.some(f => f.ruleId === 'debugger-statement'));
+    assert.ok(after.findings.some(f => f.ruleId === 'todo-comment' && f.status === 'new'));
+  });
+
+  test('should carry statuses into Findings.json and SARIF', async () => {
+    const results = await runCodeQuality();
+    applyBaseline(results, null, testDir);
+    const findings = buildFindings(results);
+    const sarif = buildSarifReport(findings, results);
+
+    assert.doesNotThrow(() => validateArtifact(ARTIFACTS.FINDINGS, findings));
+    assert.strictEqual(findings.summary.by_status.new, results.findings.length);
+    assert.ok(sarif.runs[0].results.every(r => r.baselineState === 'new'));
+  });
+
+  test('should load findings from results written before fingerprinting', async () => {
+    const file = path.join(testDir, 'old.json');
+    await fs.writeJson(file, { timestamp: '2025-01-01T00:00:00.000Z', findings: [{ ruleId: 'a', file: 'x.js', line: 4 }] });
+
+    const loaded = await loadFindingsFile(file);
+
+    assert.strictEqual(loaded.timestamp, '2025-01-01T00:00:00.000Z');
+    assert.match(loaded.findings[0].fingerprint, /^[0-9a-f]{32}$/);
+  });
+
+  test('should reject files without findings', async () => {
+    const file = path.join(testDir, 'bad.json');
+    await fs.writeJson(file, { results: [] });
+
+    await assert.rejects(() => loadFindingsFile(file), ValidationError);
+    await assert.rejects(() => loadFindingsFile(path.join(testDir, 'missing.json')), ValidationError);
+  });
+
+  test('should prefer an explicit file, then the baseline, then the previous run', async () => {
+    const auditDir = path.join(testDir, 'audit');
+    await fs.outputJson(path.join(auditDir, 'audit_2026-01-01T00-00-00-000Z.json'), { findings: [] });
+    await fs.outputJson(path.join(auditDir, 'audit_2026-01-02T00-00-00-000Z.json'), { findings: [] });
+    await fs.outputJson(path.join(auditDir, 'security_2026-01-03T00-00-00-000Z.json'), { findings: [] });
+
+    const runs = await listAuditResults(auditDir, 'audit');
+    assert.strictEqual(runs.length, 2);
+    assert.strictEqual(await resolveBaseline(testDir, { auditDir }), runs[1]);
+
+    await writeAuditBaseline(testDir, []);
+    assert.strictEqual(await resolveBaseline(testDir, { auditDir }), path.join(testDir, DEFAULT_AUDIT_BASELINE));
+    assert.strictEqual(await resolveBaseline(testDir, { baseline: 'x.json', auditDir }), path.join(testDir, 'x.json'));
+  });
+
+  test('should find the newest run recorded before another run', async () => {
+    const auditDir = path.join(testDir, 'audit');
+    const write = async (file, timestamp) => {
+      await fs.outputJson(path.join(auditDir, file), { timestamp, findings: [] });
+      return path.join(auditDir, file);
+    };
+    // File names that do not sort by time
+    await write('audit_2026-01-03T00-00-00-000Z.json', '2026-01-01T00:00:00.000Z');
+    const newest = await write('audit_2026-01-01T00-00-00-000Z.json', '2026-01-02T00:00:00.000Z');
+    await write('audit_2026-01-02T00-00-00-000Z.json', '2026-01-05T00:00:00.000Z');
+    const runs = await listAuditResults(auditDir, 'audit');
+
+    const current = await loadFindingsFile(await write('../elsewhere/b.json', '2026-01-04T00:00:00.000Z'));
+    assert.strictEqual((await findPreviousRun(runs, current)).path, newest);
+
+    const first = await loadFindingsFile(runs[2]);
+    assert.strictEqual(await findPreviousRun(runs, first), null);
+
+    const untimed = await loadFindingsFile(await write('../untimed.json', undefined));
+    await assert.rejects(() => findPreviousRun(runs, untimed), /no recorded timestamp/);
+  });
+
+  test('should return null with nothing to compare against', async () => {
+    assert.strictEqual(await resolveBaseline(testDir, { auditDir: path.join(testDir, 'audit') }), null);
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * EAOS BEADS Unit Tests
+ *
+ * Tests for core/beads.js covering:
+ * - Backlog loading, saving and id allocation
+ * - Remediation BEADS from compliance gaps
+ * - Duplicate prevention across re-runs
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+
+import {
+  BACKLOG_PATH,
+  BEAD_SOURCES,
+  createComplianceBeads,
+  gapTag,
+  loadBacklog,
+  nextBeadId,
+  validateBead,
+} from '../../core/beads.js';
+import { CONTROL_STATUS } from '../../core/compliance.js';
+import { ValidationError } from '../../core/errors.js';
+
+// =============================================================================
+// Test Setup
+// =============================================================================
+
+let testDir;
+
+async function setupTestDir() {
+  testDir = path.join(os.tmpdir(), `eaos-beads-test-${Date.now()}`);
+  await fs.ensureDir(testDir);
+  return testDir;
+}
+
+async function cleanupTestDir() {
+  if (testDir) {
+    await fs.remove(testDir);
+  }
+}
+
+function check(type, passed, description) {
+  return { type, description, passed, evidence: passed ? ['SECURITY.md'] : [], searched: ['SECURITY.md'], message: passed ? '' : `${description} not found` };
+}
+
+function assessment() {
+  return {
+    framework: 'soc2',
+    name: 'SOC 2',
+    version: '2017',
+    generated_at: '2026-01-01T00:00:00.000Z',
+    summary: {},
+    controls: [
+      {
+        id: 'CC6.1',
+        title: 'Logical access security',
+        category: 'Security',
+        family: 'CC6 Logical and Physical Access Controls',
+        description: 'The entity implements logical access security software and architectures.',
+        criticality: 'high',
+        status: CONTROL_STATUS.PARTIAL,
+        checks: [check('file', true, 'Code owners'), check('branch-protection', false, 'Required reviews')],
+      },
+      {
+        id: 'CC1.1',
+        title: 'Integrity and ethical values',
+        category: 'Security',
+        family: 'CC1 Control Environment',
+        criticality: 'low',
+        status: CONTROL_STATUS.GAP,
+        checks: [check('policy', false, 'Code of conduct policy')],
+      },
+      {
+        id: 'CC2.3',
+        title: 'External communication',
+        category: 'Security',
+        criticality: 'medium',
+        status: CONTROL_STATUS.SATISFIED,
+        checks: [check('file', true, 'Security policy')],
+      },
+    ],
+  };
+}
+
+// =============================================================================
+// Backlog
+// =============================================================================
+
+describe('BEADS - Backlog', () => {
+  beforeEach(async () => {
+    await setupTestDir();
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('should return an empty backlog when none exists', async () => {
+    assert.deepStrictEqual(await loadBacklog({ rootDir: testDir }), { beads: [] });
+  });
+
+  test('should reject a backlog that is not JSON', async () => {
+    await fs.outputFile(path.join(testDir, BACKLOG_PATH), '{ broken');
+    await assert.rejects(() => loadBacklog({ rootDir: testDir }), ValidationError);
+  });
+
+  test('should allocate the id after the highest one', () => {
+    assert.strictEqual(nextBeadId([]), 'bead-001');
+    assert.strictEqual(nextBeadId([{ id: 'bead-002' }, { id: 'bead-010' }, { id: 'other' }]), 'bead-011');
+  });
+
+  test('should reject BEADS that do not match the schema', () => {
+    assert.throws(() => validateBead({ id: 'bead-001', title: 'Short' }), ValidationError);
+  });
+});
+
+// =============================================================================
+// Compliance Remediation
+// =============================================================================
+
+describe('BEADS - Compliance Remediation', () => {
+  beforeEach(async () => {
+    await setupTestDir();
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('should create one BEAD per gap', async () => {
+    const { created, skipped, backlogPath } = await createComplianceBeads(assessment(), { rootDir: testDir });
+
+    assert.strictEqual(created.length, 2);
+    assert.deepStrictEqual(skipped, []);
+    assert.strictEqual(backlogPath, path.join(testDir, BACKLOG_PATH));
+
+    const [access, ethics] = created;
+    assert.strictEqual(access.id, 'bead-001');
+    assert.strictEqual(access.category, 'compliance');
+    assert.strictEqual(access.priority, 'P1');
+    assert.strictEqual(access.source, BEAD_SOURCES.AUDIT);
+    assert.strictEqual(access.acceptance_criteria[0], 'The entity implements logical access security software and architectures.');
+    assert.ok(access.acceptance_criteria.includes('Required reviews'));
+    assert.ok(access.tags.includes(gapTag('soc2', 'CC6.1')));
+
+    assert.strictEqual(ethics.priority, 'P3');
+    assert.strictEqual(ethics.source, BEAD_SOURCES.GOVERNANCE, 'Policy-only gaps are governance work');
+    assert.strictEqual(ethics.acceptance_criteria[0], 'CC1.1 Integrity and ethical values is implemented');
+
+    const backlog = await fs.readJson(backlogPath);
+    assert.strictEqual(backlog.beads.length, 2);
+  });
+
+  test('should not duplicate BEADS when re-run', async () => {
+    await createComplianceBeads(assessment(), { rootDir: testDir });
+    const rerun = await createComplianceBeads(assessment(), { rootDir: testDir });
+
+    assert.strictEqual(rerun.created.length, 0);
+    assert.deepStrictEqual(rerun.skipped.sort(), ['CC1.1', 'CC6.1']);
+    assert.strictEqual(rerun.backlogPath, null);
+    assert.strictEqual((await loadBacklog({ rootDir: testDir })).beads.length, 2);
+  });
+
+  test('should create a new BEAD when the previous one was closed', async () => {
+    await createComplianceBeads(assessment(), { rootDir: testDir });
+    const backlogPath = path.join(testDir, BACKLOG_PATH);
+    const backlog = await fs.readJson(backlogPath);
+    backlog.beads[0].status = 'done';
+    await fs.writeJson(backlogPath, backlog);
+
+    const rerun = await createComplianceBeads(assessment(), { rootDir: testDir });
+
+    assert.deepStrictEqual(rerun.created.map(b => [b.id, b.tags[2]]), [['bead-003', gapTag('soc2', 'CC6.1')]]);
+  });
+
+  test('should keep existing BEADS in the backlog', async () => {
+    await fs.outputJson(path.join(testDir, BACKLOG_PATH), {
+      beads: [{ id: 'bead-004', title: 'Existing work', status: 'open' }],
+    });
+
+    const { created } = await createComplianceBeads(assessment(), { rootDir: testDir });
+    const backlog = await loadBacklog({ rootDir: testDir });
+
+    assert.strictEqual(created[0].id, 'bead-005');
+    assert.deepStrictEqual(backlog.beads.map(b => b.id), ['bead-004', 'bead-005', 'bead-006']);
+  });
+});
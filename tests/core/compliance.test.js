@@ -0,0 +1,391 @@
+/**
+ * EAOS Compliance Unit Tests
+ *
+ * Tests for core/compliance.js covering:
+ * - Catalog loading, validation and baseline selection
+ * - Built-in evidence evaluators
+ * - Control status and framework summary
+ * - Control matrix, mapping report and gap analysis artifacts
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+
+import {
+  COMPLIANCE_ARTIFACTS,
+  CONTROL_STATUS,
+  assessCatalog,
+  assessFramework,
+  buildControlMatrix,
+  buildGapAnalysis,
+  buildMappingReport,
+  createComplianceContext,
+  evaluateControl,
+  formatCsv,
+  listCatalogs,
+  loadCatalog,
+  registerEvaluator,
+  selectBaseline,
+  validateCatalog,
+  validateComplianceArtifact,
+  writeComplianceArtifacts,
+} from '../../core/compliance.js';
+import { ValidationError } from '../../core/errors.js';
+
+// =============================================================================
+// Test Setup
+// =============================================================================
+
+let testDir;
+
+async function setupTestDir() {
+  testDir = path.join(os.tmpdir(), `eaos-compliance-test-${Date.now()}`);
+  await fs.ensureDir(testDir);
+  return testDir;
+}
+
+async function cleanupTestDir() {
+  if (testDir) {
+    await fs.remove(testDir);
+  }
+}
+
+async function writeFile(relPath, content) {
+  await fs.outputFile(path.join(testDir, relPath), content);
+}
+
+/**
+ * Evaluate a single evaluator entry against the test repository
+ */
+async function check(entry) {
+  const context = await createComplianceContext(testDir);
+  const result = await evaluateControl({ id: 'T.1', title: 'Test', category: 'Test', evaluators: [entry] }, context);
+  return result.checks[0];
+}
+
+/**
+ * Minimal valid catalog
+ */
+function catalog(controls) {
+  return { framework: 'test', name: 'Test Framework', version: '1', controls };
+}
+
+// =============================================================================
+// Catalogs
+// =============================================================================
+
+describe('Compliance catalogs', () => {
+  test('should ship a valid SOC 2 catalog covering every criteria family', async () => {
+    const soc2 = await loadCatalog('soc2');
+    const families = new Set(soc2.controls.map(c => c.id.split('.')[0]));
+
+    assert.ok((await listCatalogs()).includes('soc2'));
+    for (const family of ['CC1', 'CC2', 'CC3', 'CC4', 'CC5', 'CC6', 'CC7', 'CC8', 'CC9', 'A1', 'C1', 'PI1', 'P1', 'P8']) {
+      assert.ok(families.has(family), `${family} should be in the catalog`);
+    }
+    assert.deepStrictEqual(
+      [...new Set(soc2.controls.map(c => c.category))],
+      ['Security', 'Availability', 'Confidentiality', 'Processing Integrity', 'Privacy']
+    );
+  });
+
+  test('should reject unknown frameworks', async () => {
+    await assert.rejects(loadCatalog('pci'), ValidationError);
+    await assert.rejects(loadCatalog('../secrets'), ValidationError);
+  });
+
+  test('should reject malformed catalogs', () => {
+    const control = { id: 'X.1', title: 'X', category: 'X', criticality: 'low', evaluators: [] };
+
+    assert.doesNotThrow(() => validateCatalog(catalog([control])));
+    assert.throws(() => validateCatalog(catalog([])), ValidationError);
+    assert.throws(() => validateCatalog(catalog([control, control])), /Duplicate control id/);
+    assert.throws(() => validateCatalog(catalog([{
+      ...control,
+      evaluators: [{ type: 'telepathy', description: 'Unknown' }],
+    }])), /Unknown evaluator type/);
+    assert.throws(() => validateCatalog(catalog([{
+      ...control,
+      evaluators: [{ type: 'file', description: 'No paths' }],
+    }])), ValidationError);
+    assert.throws(() => validateCatalog({
+      ...catalog([{ ...control, baselines: ['extreme'] }]),
+      baselines: { low: 'Low impact' },
+    }), /Unknown baseline in X.1/);
+  });
+
+  test('should select the controls of a baseline', () => {
+    const control = (id, baselines) => ({ id, title: id, category: 'X', criticality: 'low', baselines, evaluators: [] });
+    const base = {
+      ...catalog([control('X.1', ['low', 'high']), control('X.2', ['high']), control('X.3', ['privacy']), control('X.4', [])]),
+      baselines: { low: 'Low impact', high: 'High impact', privacy: 'Privacy' },
+    };
+
+    const low = selectBaseline(base, 'low');
+    assert.strictEqual(low.baseline, 'low');
+    assert.deepStrictEqual(low.controls.map(c => c.id), ['X.1']);
+    assert.deepStrictEqual(selectBaseline(base, 'high', { include: ['privacy'] }).controls.map(c => c.id), ['X.1', 'X.2', 'X.3']);
+    assert.strictEqual(base.controls.length, 4, 'Should not modify the catalog');
+    assert.throws(() => selectBaseline(base, 'moderate'), /Unknown test baseline: moderate/);
+  });
+});
+
+// =============================================================================
+// Evaluators
+// =============================================================================
+
+describe('Compliance evaluators', () => {
+  beforeEach(async () => {
+    await setupTestDir();
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('file should pass when any candidate exists', async () => {
+    await writeFile('.github/CODEOWNERS', '* @team\n');
+
+    const found = await check({ type: 'file', description: 'Owners', paths: ['CODEOWNERS', '.github/CODEOWNERS'] });
+    const missing = await check({ type: 'file', description: 'Dependabot', paths: ['.github/dependabot.yml'] });
+
+    assert.strictEqual(found.passed, true);
+    assert.deepStrictEqual(found.evidence, ['.github/CODEOWNERS']);
+    assert.strictEqual(missing.passed, false);
+    assert.deepStrictEqual(missing.searched, ['.github/dependabot.yml']);
+  });
+
+  test('policy should require the document and every keyword', async () => {
+    await writeFile('EAOS_POLICY_PACK/SECURITY_POLICY.md', '# Security\n2. Access Control\n- MFA required\n');
+
+    const covered = await check({ type: 'policy', description: 'Access', document: 'SECURITY_POLICY.md', keywords: ['access control', 'MFA'] });
+    const weak = await check({ type: 'policy', description: 'Crypto', document: 'SECURITY_POLICY.md', keywords: ['Encryption'] });
+    const missing = await check({ type: 'policy', description: 'DR', document: 'DR_BCP_POLICY.md' });
+
+    assert.strictEqual(covered.passed, true);
+    assert.strictEqual(weak.passed, false);
+    assert.match(weak.message, /does not mention "Encryption"/);
+    assert.strictEqual(missing.passed, false);
+    assert.match(missing.message, /not found/);
+  });
+
+  test('policy should read the configured policy pack', async () => {
+    await writeFile('policies/SECURITY_POLICY.md', '# Security\n');
+    const context = await createComplianceContext(testDir, { policyPack: 'policies' });
+
+    const result = await evaluateControl({
+      id: 'T.1',
+      evaluators: [{ type: 'policy', description: 'Policy', document: 'SECURITY_POLICY.md' }],
+    }, context);
+
+    assert.deepStrictEqual(result.checks[0].evidence, ['policies/SECURITY_POLICY.md']);
+  });
+
+  test('workflow should match every pattern within one workflow', async () => {
+    await writeFile('.github/workflows/ci.yml', 'on:\n  pull_request:\njobs:\n  test:\n    steps:\n      - run: npm test\n');
+    await writeFile('.github/workflows/nightly.yml', 'on:\n  schedule:\n    - cron: "0 0 * * *"\n');
+
+    const tests = await check({ type: 'workflow', description: 'Tests', patterns: ['pull_request', 'npm (run )?test'] });
+    const scheduledTests = await check({ type: 'workflow', description: 'Nightly tests', patterns: ['schedule', 'npm test'] });
+
+    assert.deepStrictEqual(tests.evidence, ['.github/workflows/ci.yml']);
+    assert.strictEqual(scheduledTests.passed, false);
+  });
+
+  test('branch-protection should read settings.yml and rulesets', async () => {
+    const entry = { type: 'branch-protection', description: 'Protected', reviews: 1, statusChecks: true };
+    assert.strictEqual((await check(entry)).passed, false);
+
+    await writeFile('.github/settings.yml', [
+      'branches:',
+      '  - name: main',
+      '    protection:',
+      '      required_pull_request_reviews:',
+      '        required_approving_review_count: 0',
+    ].join('\n'));
+    const weak = await check(entry);
+    assert.strictEqual(weak.passed, false);
+    assert.match(weak.message, /does not require 1 review/);
+
+    await writeFile('.github/rulesets/main.json', JSON.stringify({
+      target: 'branch',
+      enforcement: 'active',
+      rules: [
+        { type: 'pull_request', parameters: { required_approving_review_count: 2 } },
+        { type: 'required_status_checks', parameters: {} },
+      ],
+    }));
+    const protectedBranch = await check(entry);
+    assert.strictEqual(protectedBranch.passed, true);
+    assert.deepStrictEqual(protectedBranch.evidence, ['.github/rulesets/main.json']);
+  });
+
+  test('content should search files matching globs', async () => {
+    await writeFile('schemas/order.json', '{ "$schema": "https://json-schema.org/draft/2020-12/schema" }');
+    await writeFile('data/order.json', '{ "id": 1 }');
+
+    const result = await check({ type: 'content', description: 'Schemas', paths: ['schemas/**/*.json'], pattern: '"\\$schema"' });
+
+    assert.deepStrictEqual(result.evidence, ['schemas/order.json']);
+  });
+
+  test('config should check .eaos.config.json keys', async () => {
+    await fs.writeJson(path.join(testDir, '.eaos.config.json'), { autonomy: { approval_required_level: 2, enabled: false } });
+
+    assert.strictEqual((await check({ type: 'config', description: 'HDM', key: 'autonomy.approval_required_level' })).passed, true);
+    assert.strictEqual((await check({ type: 'config', description: 'Enabled', key: 'autonomy.enabled' })).passed, false);
+    assert.strictEqual((await check({ type: 'config', description: 'Missing', key: 'swarm.peers' })).passed, false);
+  });
+
+  test('should support custom evaluators and contain evaluator errors', async () => {
+    registerEvaluator('test-always', () => ({ passed: true, evidence: ['x'], searched: ['x'], message: 'ok' }));
+    registerEvaluator('test-broken', () => {
+      throw new Error('boom');
+    });
+
+    assert.strictEqual((await check({ type: 'test-always', description: 'Custom' })).passed, true);
+    const broken = await check({ type: 'test-broken', description: 'Broken' });
+    assert.strictEqual(broken.passed, false);
+    assert.match(broken.message, /Evaluator failed: boom/);
+  });
+});
+
+// =============================================================================
+// Assessment
+// =============================================================================
+
+describe('Compliance assessment', () => {
+  beforeEach(async () => {
+    await setupTestDir();
+    await writeFile('SECURITY.md', '# Reporting\n');
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('should derive control status and summary numbers', async () => {
+    const found = { type: 'file', description: 'Security policy', paths: ['SECURITY.md'] };
+    const missing = { type: 'file', description: 'Owners', paths: ['CODEOWNERS'] };
+    const control = (id, evaluators) => ({ id, title: id, category: 'Security', criticality: 'medium', evaluators });
+
+    const assessment = await assessCatalog(catalog([
+      control('T.1', [found]),
+      control('T.2', [found, missing]),
+      control('T.3', [missing]),
+      control('T.4', []),
+    ]), { rootDir: testDir });
+
+    assert.deepStrictEqual(assessment.controls.map(c => c.status), [
+      CONTROL_STATUS.SATISFIED,
+      CONTROL_STATUS.PARTIAL,
+      CONTROL_STATUS.GAP,
+      CONTROL_STATUS.MANUAL,
+    ]);
+    assert.deepStrictEqual(assessment.summary, {
+      controls: 4,
+      mapped: 2,
+      satisfied: 1,
+      partial: 1,
+      gaps: 2,
+      manual: 1,
+      checks: 4,
+      checks_passed: 2,
+      coverage: 0.5,
+    });
+  });
+
+  test('should assess a repository against the SOC 2 catalog', async () => {
+    const assessment = await assessFramework('soc2', { rootDir: testDir });
+    const cc23 = assessment.controls.find(c => c.id === 'CC2.3');
+    const cc81 = assessment.controls.find(c => c.id === 'CC8.1');
+
+    assert.strictEqual(assessment.framework, 'soc2');
+    assert.strictEqual(cc23.status, CONTROL_STATUS.SATISFIED);
+    assert.strictEqual(cc81.status, CONTROL_STATUS.GAP);
+    assert.ok(cc81.checks.every(c => c.searched.length > 0));
+    assert.strictEqual(assessment.summary.controls, assessment.controls.length);
+    assert.ok(assessment.summary.gaps > 0);
+  });
+});
+
+// =============================================================================
+// Artifacts
+// =============================================================================
+
+describe('Compliance artifacts', () => {
+  let assessment;
+
+  beforeEach(async () => {
+    await setupTestDir();
+    await writeFile('SECURITY.md', '# Reporting\n');
+
+    const found = { type: 'file', description: 'Security policy', paths: ['SECURITY.md'] };
+    const missing = { type: 'file', description: 'Owners', paths: ['CODEOWNERS'] };
+    assessment = await assessCatalog(catalog([
+      { id: 'T.1', title: 'Reporting', category: 'Security', criticality: 'low', evaluators: [found] },
+      { id: 'T.2', title: 'Ownership', category: 'Security', criticality: 'low', evaluators: [found, missing] },
+      { id: 'T.3', title: 'Review', category: 'Privacy', criticality: 'high', evaluators: [missing] },
+      { id: 'T.4', title: 'Training', category: 'Privacy', criticality: 'medium', evaluators: [] },
+    ]), { rootDir: testDir });
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('should build a schema-valid control matrix', () => {
+    const matrix = buildControlMatrix(assessment);
+
+    assert.doesNotThrow(() => validateComplianceArtifact(COMPLIANCE_ARTIFACTS.CONTROL_MATRIX, matrix));
+    assert.strictEqual(matrix.controls.length, 4);
+    assert.deepStrictEqual(matrix.controls[1].evidence, ['SECURITY.md']);
+    assert.strictEqual(matrix.summary.mapped, 2);
+  });
+
+  test('should list missing and weak controls with rationale', () => {
+    const analysis = buildGapAnalysis(assessment);
+
+    assert.doesNotThrow(() => validateComplianceArtifact(COMPLIANCE_ARTIFACTS.GAP_ANALYSIS, analysis));
+    assert.deepStrictEqual(analysis.gaps.map(g => [g.control_id, g.gap_type]), [['T.3', 'missing'], ['T.2', 'weak']]);
+    assert.deepStrictEqual(analysis.summary, { total: 2, missing: 1, weak: 1, by_criticality: { high: 1, medium: 0, low: 1 } });
+
+    const weak = analysis.gaps[1];
+    assert.match(weak.rationale, /1 of 2 checks failed: None of CODEOWNERS exist/);
+    assert.deepStrictEqual(weak.evidence_searched, ['SECURITY.md', 'CODEOWNERS']);
+    assert.deepStrictEqual(weak.evidence_found, ['SECURITY.md']);
+    assert.deepStrictEqual(weak.failed_checks.map(c => c.type), ['file']);
+  });
+
+  test('should render the mapping report per category', () => {
+    const report = buildMappingReport(assessment);
+
+    assert.match(report, /^# Test Framework Control Mapping/);
+    assert.match(report, /\*\*Controls mapped:\*\* 2\/4/);
+    assert.match(report, /\| Privacy \| 0 \| 0 \| 1 \| 1 \|/);
+    assert.match(report, /\| T\.4 \| Training \| manual \| Manual evidence required \|/);
+  });
+
+  test('should write only the requested artifacts', async () => {
+    const outputDir = path.join(testDir, 'compliance', 'test');
+
+    const gapsOnly = await writeComplianceArtifacts(assessment, outputDir, { gaps: true });
+    assert.deepStrictEqual(Object.keys(gapsOnly), [COMPLIANCE_ARTIFACTS.GAP_ANALYSIS]);
+
+    const written = await writeComplianceArtifacts(assessment, outputDir, { map: true, gaps: true });
+    assert.deepStrictEqual(Object.keys(written).sort(), Object.values(COMPLIANCE_ARTIFACTS).sort());
+    for (const file of Object.values(written)) {
+      assert.ok(await fs.pathExists(file), `${file} should exist`);
+    }
+    assert.strictEqual((await fs.readJson(written[COMPLIANCE_ARTIFACTS.GAP_ANALYSIS])).summary.total, 2);
+  });
+
+  test('should quote CSV fields only when needed', () => {
+    const csv = formatCsv(['Id', 'Note'], [['A.1', 'plain'], ['A.2', 'a, "quoted"\nline'], ['A.3', null]]);
+
+    assert.strictEqual(csv, 'Id,Note\r\nA.1,plain\r\nA.2,"a, ""quoted""\nline"\r\nA.3,\r\n');
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * EAOS Config Module Unit Tests
+ *
+ * Tests for core/config.js covering:
+ * - Loading .eaos.config.json
+ * - Local override merging
+ * - Invalid configuration handling
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+
+import {
+  loadConfig,
+  getConfigSection,
+  mergeConfig,
+  CONFIG_FILE,
+  LOCAL_CONFIG_FILE,
+} from '../../core/config.js';
+import { ConfigurationError } from '../../core/errors.js';
+
+// =============================================================================
+// Test Setup
+// =============================================================================
+
+let testDir;
+
+async function setupTestDir() {
+  testDir = path.join(os.tmpdir(), `eaos-config-test-${Date.now()}`);
+  await fs.ensureDir(testDir);
+  return testDir;
+}
+
+async function cleanupTestDir() {
+  if (testDir) {
+    await fs.remove(testDir);
+  }
+}
+
+// =============================================================================
+// Config Tests
+// =============================================================================
+
+describe('loadConfig', () => {
+
+  beforeEach(async () => {
+    await setupTestDir();
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('should return empty object when no config exists', () => {
+    assert.deepStrictEqual(loadConfig(testDir), {});
+  });
+
+  test('should load config file', async () => {
+    await fs.writeJson(path.join(testDir, CONFIG_FILE), { audit: { ignore: ['tmp/'] } });
+
+    const config = loadConfig(testDir);
+    assert.deepStrictEqual(config.audit.ignore, ['tmp/']);
+  });
+
+  test('should merge local overrides', async () => {
+    await fs.writeJson(path.join(testDir, CONFIG_FILE), {
+      autonomy: { enabled: false, approval_required_level: 2 },
+    });
+    await fs.writeJson(path.join(testDir, LOCAL_CONFIG_FILE), {
+      autonomy: { enabled: true },
+    });
+
+    const config = loadConfig(testDir);
+    assert.strictEqual(config.autonomy.enabled, true);
+    assert.strictEqual(config.autonomy.approval_required_level, 2);
+  });
+
+  test('should throw ConfigurationError on invalid JSON', async () => {
+    await fs.writeFile(path.join(testDir, CONFIG_FILE), '{ not json');
+
+    assert.throws(() => loadConfig(testDir), ConfigurationError);
+  });
+
+  test('getConfigSection should return empty object for missing section', async () => {
+    await fs.writeJson(path.join(testDir, CONFIG_FILE), { audit: 'invalid' });
+
+    assert.deepStrictEqual(getConfigSection(testDir, 'audit'), {});
+    assert.deepStrictEqual(getConfigSection(testDir, 'compliance'), {});
+  });
+
+});
+
+describe('mergeConfig', () => {
+
+  test('should replace arrays instead of merging them', () => {
+    const merged = mergeConfig({ list: [1, 2], nested: { a: 1 } }, { list: [3], nested: { b: 2 } });
+
+    assert.deepStrictEqual(merged.list, [3]);
+    assert.deepStrictEqual(merged.nested, { a: 1, b: 2 });
+  });
+
+});
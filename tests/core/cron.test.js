@@ -0,0 +1,141 @@
+/**
+ * EAOS Cron Module Unit Tests
+ *
+ * Tests for core/cron.js covering:
+ * - Cron expression parsing
+ * - Next run computation in IANA time zones
+ * - DST gaps and overlaps
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+
+import {
+  parseCron,
+  nextCronRun,
+  upcomingCronRuns,
+  isValidTimezone,
+  formatWallClock,
+  CRON_MACROS,
+} from '../../core/cron.js';
+import { ValidationError } from '../../core/errors.js';
+
+function runs(expression, timezone, after, count = 3) {
+  return upcomingCronRuns(expression, { timezone, after: new Date(after), count }).map(d => d.toISOString());
+}
+
+// =============================================================================
+// Parsing Tests
+// =============================================================================
+
+describe('parseCron', () => {
+
+  test('should parse wildcards, lists, ranges and steps', () => {
+    const cron = parseCron('*/15 8-10 1,15 * *');
+
+    assert.deepStrictEqual(cron.minute, [0, 15, 30, 45]);
+    assert.deepStrictEqual(cron.hour, [8, 9, 10]);
+    assert.deepStrictEqual(cron.dayOfMonth, [1, 15]);
+    assert.strictEqual(cron.month.length, 12);
+    assert.ok(cron.dayOfMonthRestricted);
+    assert.ok(!cron.dayOfWeekRestricted);
+  });
+
+  test('should parse month and weekday names and fold 7 to Sunday', () => {
+    const cron = parseCron('0 0 * JAN-mar sat,7');
+
+    assert.deepStrictEqual(cron.month, [1, 2, 3]);
+    assert.deepStrictEqual(cron.dayOfWeek, [0, 6]);
+  });
+
+  test('should parse a start value with a step', () => {
+    assert.deepStrictEqual(parseCron('5/20 * * * *').minute, [5, 25, 45]);
+  });
+
+  test('should expand macros', () => {
+    assert.deepStrictEqual(parseCron('@weekly').dayOfWeek, [0]);
+    assert.strictEqual(CRON_MACROS['@daily'], '0 0 * * *');
+  });
+
+  test('should reject malformed expressions', () => {
+    for (const expression of ['* * * *', '60 * * * *', '* 24 * * *', '0 0 0 * *', '*/0 * * * *', '5-1 * * * *', 'x * * * *']) {
+      assert.throws(() => parseCron(expression), ValidationError, expression);
+    }
+  });
+
+});
+
+// =============================================================================
+// Scheduling Tests
+// =============================================================================
+
+describe('nextCronRun', () => {
+
+  test('should return the first run strictly after the given instant', () => {
+    const after = new Date('2026-10-18T02:00:00Z');
+    assert.strictEqual(nextCronRun('0 2 * * *', { timezone: 'UTC', after }).toISOString(), '2026-10-19T02:00:00.000Z');
+  });
+
+  test('should evaluate the expression in the given time zone', () => {
+    assert.deepStrictEqual(runs('0 9 * * mon-fri', 'Asia/Tokyo', '2026-10-16T00:00:00Z', 2), [
+      '2026-10-19T00:00:00.000Z',
+      '2026-10-20T00:00:00.000Z',
+    ]);
+  });
+
+  test('should match either day field when both are restricted', () => {
+    // 13th of the month or any Friday
+    assert.deepStrictEqual(runs('0 0 13 * 5', 'UTC', '2026-11-07T00:00:00Z', 3), [
+      '2026-11-13T00:00:00.000Z',
+      '2026-11-20T00:00:00.000Z',
+      '2026-11-27T00:00:00.000Z',
+    ]);
+  });
+
+  test('should keep wall-clock time across DST changes', () => {
+    assert.deepStrictEqual(runs('0 4 * * *', 'America/New_York', '2026-10-31T12:00:00Z', 2), [
+      '2026-11-01T09:00:00.000Z',
+      '2026-11-02T09:00:00.000Z',
+    ]);
+  });
+
+  test('should run times skipped by spring forward after the gap', () => {
+    // 02:30 does not exist on 2026-03-08 in New York; it runs at 03:30 EDT
+    assert.deepStrictEqual(runs('30 2 * * *', 'America/New_York', '2026-03-07T12:00:00Z', 2), [
+      '2026-03-08T07:30:00.000Z',
+      '2026-03-09T06:30:00.000Z',
+    ]);
+  });
+
+  test('should run repeated times of fall back once', () => {
+    // 01:30 happens twice on 2026-11-01 in New York
+    assert.deepStrictEqual(runs('30 1 * * *', 'America/New_York', '2026-10-31T12:00:00Z', 2), [
+      '2026-11-01T05:30:00.000Z',
+      '2026-11-02T06:30:00.000Z',
+    ]);
+  });
+
+  test('should find runs on leap days', () => {
+    assert.deepStrictEqual(runs('0 0 29 2 *', 'UTC', '2026-01-01T00:00:00Z', 1), ['2028-02-29T00:00:00.000Z']);
+  });
+
+  test('should reject expressions that never match', () => {
+    assert.throws(() => nextCronRun('0 0 30 2 *', { timezone: 'UTC' }), /never matches/);
+  });
+
+  test('should reject unknown time zones', () => {
+    assert.throws(() => nextCronRun('0 0 * * *', { timezone: 'Mars/Olympus_Mons' }), ValidationError);
+    assert.ok(isValidTimezone('Europe/Berlin'));
+    assert.ok(!isValidTimezone('Mars/Olympus_Mons'));
+  });
+
+});
+
+describe('formatWallClock', () => {
+
+  test('should format wall-clock time with the UTC offset', () => {
+    assert.strictEqual(formatWallClock(new Date('2026-03-08T07:30:00Z'), 'America/New_York'), '2026-03-08 03:30 (UTC-04:00)');
+    assert.strictEqual(formatWallClock(new Date('2026-01-01T00:00:00Z'), 'Asia/Kolkata'), '2026-01-01 05:30 (UTC+05:30)');
+  });
+
+});
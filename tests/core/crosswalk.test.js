@@ -0,0 +1,253 @@
+/**
+ * EAOS Compliance Crosswalk Unit Tests
+ *
+ * Tests for core/crosswalk.js covering:
+ * - Dataset validation against the catalogs
+ * - Related controls across frameworks
+ * - Evidence pre-fill and gap impact
+ * - CrosswalkReport.md
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+
+import {
+  CROSSWALK_PATH,
+  CROSSWALK_REPORT,
+  assessCrosswalk,
+  buildCrosswalk,
+  buildCrosswalkReport,
+  loadCrosswalk,
+  relatedControls,
+  writeCrosswalkReport,
+} from '../../core/crosswalk.js';
+import { CONTROL_STATUS } from '../../core/compliance.js';
+import { ValidationError } from '../../core/errors.js';
+
+// =============================================================================
+// Test Setup
+// =============================================================================
+
+let testDir;
+
+async function setupTestDir() {
+  testDir = path.join(os.tmpdir(), `eaos-crosswalk-test-${Date.now()}`);
+  await fs.ensureDir(testDir);
+  return testDir;
+}
+
+async function cleanupTestDir() {
+  if (testDir) {
+    await fs.remove(testDir);
+  }
+}
+
+const CROSSWALK = {
+  version: '1.0.0',
+  frameworks: ['soc2', 'iso27001', 'nist-800-53'],
+  mappings: [
+    {
+      id: 'access-control',
+      title: 'Logical access control',
+      controls: { soc2: ['CC6.1'], iso27001: ['A.5.15'], 'nist-800-53': ['AC-3'] },
+    },
+    {
+      id: 'malware',
+      title: 'Malware protection',
+      controls: { soc2: ['CC6.8'], iso27001: ['A.8.7'] },
+    },
+  ],
+};
+
+function control(id, status, evidence = []) {
+  return {
+    id,
+    title: `Control ${id}`,
+    category: 'Test',
+    criticality: 'high',
+    status,
+    checks: [{ type: 'file', passed: evidence.length > 0, evidence }],
+  };
+}
+
+function assessments() {
+  return {
+    soc2: { name: 'SOC 2', version: '2017', summary: {}, controls: [
+      control('CC6.1', CONTROL_STATUS.SATISFIED, ['SECURITY.md']),
+      control('CC6.8', CONTROL_STATUS.GAP),
+    ] },
+    iso27001: { name: 'ISO 27001', version: '2022', summary: {}, controls: [
+      control('A.5.15', CONTROL_STATUS.GAP),
+      control('A.8.7', CONTROL_STATUS.SATISFIED, ['.github/dependabot.yml']),
+    ] },
+    'nist-800-53': { name: 'NIST', version: '5.1.1', summary: {}, controls: [
+      control('AC-3', CONTROL_STATUS.SATISFIED, ['CODEOWNERS']),
+    ] },
+  };
+}
+
+// =============================================================================
+// Dataset
+// =============================================================================
+
+describe('Crosswalk - Dataset', () => {
+  beforeEach(async () => {
+    await setupTestDir();
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('should load the shipped crosswalk with its catalogs', async () => {
+    const { crosswalk, catalogs } = await loadCrosswalk();
+
+    assert.deepStrictEqual(crosswalk.frameworks, ['soc2', 'iso27001', 'nist-800-53', 'iso42001']);
+    assert.ok(crosswalk.mappings.length >= 30);
+    for (const framework of crosswalk.frameworks) {
+      assert.ok(catalogs[framework].controls.length > 0, `${framework} catalog should be loaded`);
+    }
+  });
+
+  test('should reject control ids missing from a catalog', async () => {
+    const crosswalkPath = path.join(testDir, 'crosswalk.json');
+    const broken = structuredClone(CROSSWALK);
+    broken.mappings[0].controls.soc2 = ['CC99.9'];
+    await fs.writeJson(crosswalkPath, broken);
+
+    await assert.rejects(
+      () => loadCrosswalk({ crosswalkPath }),
+      err => err instanceof ValidationError && err.message.includes('CC99.9')
+    );
+  });
+
+  test('should reject mappings for frameworks outside the crosswalk', async () => {
+    const crosswalkPath = path.join(testDir, 'crosswalk.json');
+    const broken = structuredClone(CROSSWALK);
+    broken.mappings[1].controls.iso42001 = ['A.7.4'];
+    await fs.writeJson(crosswalkPath, broken);
+
+    await assert.rejects(
+      () => loadCrosswalk({ crosswalkPath }),
+      err => err instanceof ValidationError && err.message.includes('iso42001')
+    );
+  });
+
+  test('should reject crosswalks that do not match the schema', async () => {
+    const crosswalkPath = path.join(testDir, 'crosswalk.json');
+    await fs.writeJson(crosswalkPath, { ...CROSSWALK, mappings: [{ id: 'one', title: 'One', controls: { soc2: ['CC6.1'] } }] });
+
+    await assert.rejects(() => loadCrosswalk({ crosswalkPath }), ValidationError);
+  });
+
+  test('should list related controls in other frameworks', () => {
+    const related = relatedControls(CROSSWALK, 'iso27001', 'A.5.15');
+
+    assert.deepStrictEqual(related, [
+      { framework: 'soc2', control_id: 'CC6.1', mapping: 'access-control' },
+      { framework: 'nist-800-53', control_id: 'AC-3', mapping: 'access-control' },
+    ]);
+    assert.deepStrictEqual(relatedControls(CROSSWALK, 'nist-800-53', 'AC-2'), []);
+  });
+
+  test('should keep the default crosswalk outside the catalog directory', () => {
+    assert.strictEqual(path.basename(CROSSWALK_PATH), 'crosswalk.json');
+    assert.notStrictEqual(path.basename(path.dirname(CROSSWALK_PATH)), 'catalogs');
+  });
+});
+
+// =============================================================================
+// Crosswalk
+// =============================================================================
+
+describe('Crosswalk - Prefill and Gap Impact', () => {
+  test('should pre-fill open controls with evidence of mapped controls', () => {
+    const report = buildCrosswalk(CROSSWALK, assessments());
+    const prefill = report.prefill.find(entry => entry.control_id === 'A.5.15');
+
+    assert.strictEqual(prefill.framework, 'iso27001');
+    assert.strictEqual(prefill.status, CONTROL_STATUS.GAP, 'Pre-fill should not change the status');
+    assert.deepStrictEqual(prefill.evidence, [
+      { source: 'soc2:CC6.1', files: ['SECURITY.md'] },
+      { source: 'nist-800-53:AC-3', files: ['CODEOWNERS'] },
+    ]);
+    assert.ok(!report.prefill.some(entry => entry.control_id === 'CC6.1'), 'Satisfied controls need no pre-fill');
+  });
+
+  test('should show which frameworks a gap affects', () => {
+    const report = buildCrosswalk(CROSSWALK, assessments());
+    const gap = report.gaps.find(g => g.control_id === 'A.5.15');
+
+    assert.strictEqual(gap.gap_type, 'missing');
+    assert.deepStrictEqual(gap.affects, ['soc2', 'nist-800-53']);
+    assert.deepStrictEqual(gap.related.map(r => r.status), [CONTROL_STATUS.SATISFIED, CONTROL_STATUS.SATISFIED]);
+    assert.strictEqual(report.summary.gaps, 2);
+    assert.strictEqual(report.summary.cross_framework_gaps, 2);
+  });
+
+  test('should roll up mapping status per framework', () => {
+    const report = buildCrosswalk(CROSSWALK, assessments());
+    const malware = report.mappings.find(m => m.id === 'malware');
+
+    assert.strictEqual(malware.frameworks.soc2.status, CONTROL_STATUS.GAP);
+    assert.strictEqual(malware.frameworks.iso27001.status, CONTROL_STATUS.SATISFIED);
+    assert.strictEqual(malware.frameworks['nist-800-53'].status, null);
+    assert.deepStrictEqual(malware.evidence, ['.github/dependabot.yml']);
+  });
+
+  test('should assess only mapped controls of each framework', async () => {
+    const { crosswalk, catalogs } = await loadCrosswalk();
+    const dir = path.join(os.tmpdir(), `eaos-crosswalk-assess-${Date.now()}`);
+    await fs.ensureDir(dir);
+
+    try {
+      const results = await assessCrosswalk(crosswalk, catalogs, { rootDir: dir, config: {} });
+      const mapped = new Set(crosswalk.mappings.flatMap(m => m.controls['nist-800-53'] || []));
+
+      assert.strictEqual(results['nist-800-53'].controls.length, mapped.size);
+      assert.ok(results.soc2.controls.every(c => c.status !== CONTROL_STATUS.SATISFIED), 'Empty repository satisfies nothing');
+    } finally {
+      await fs.remove(dir);
+    }
+  });
+});
+
+// =============================================================================
+// Report
+// =============================================================================
+
+describe('Crosswalk - Report', () => {
+  beforeEach(async () => {
+    await setupTestDir();
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('should write CrosswalkReport.md', async () => {
+    const report = buildCrosswalk(CROSSWALK, assessments());
+    const reportPath = await writeCrosswalkReport(report, testDir);
+    const markdown = await fs.readFile(reportPath, 'utf-8');
+
+    assert.strictEqual(path.basename(reportPath), CROSSWALK_REPORT);
+    assert.ok(markdown.includes('| Requirement | soc2 | iso27001 | nist-800-53 |'));
+    assert.ok(markdown.includes('| Malware protection | gap (CC6.8) | ok (A.8.7) | - |'));
+    assert.ok(markdown.includes('soc2:CC6.1: SECURITY.md'));
+    assert.ok(markdown.includes('## Gap Impact'));
+  });
+
+  test('should report when there is nothing to pre-fill', () => {
+    const satisfied = assessments();
+    satisfied.soc2.controls[1] = control('CC6.8', CONTROL_STATUS.SATISFIED, ['package-lock.json']);
+    satisfied.iso27001.controls[0] = control('A.5.15', CONTROL_STATUS.SATISFIED, ['SECURITY.md']);
+
+    const markdown = buildCrosswalkReport(buildCrosswalk(CROSSWALK, satisfied));
+
+    assert.ok(markdown.includes('No controls to pre-fill.'));
+    assert.ok(markdown.includes('No gaps identified.'));
+  });
+});
@@ -0,0 +1,344 @@
+/**
+ * EAOS Daemon Module Unit Tests
+ *
+ * Tests for core/daemon.js covering:
+ * - Lock and PID file handling
+ * - Socket requests (status, on, off, reload, shutdown)
+ * - Signal handling
+ * - Persisted autonomy state across restarts
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+
+import {
+  AutonomyDaemon,
+  DAEMON_COMMANDS,
+  acquireDaemonLock,
+  getDaemonPaths,
+  readDaemonPid,
+  releaseDaemonLock,
+  sendDaemonCommand,
+} from '../../core/daemon.js';
+import { ENGINE_STATES, createAutonomyEngine } from '../../core/autonomy.js';
+import { AutonomyEvents, createEventBus } from '../../core/events.js';
+import { createPluginManager } from '../../core/plugins.js';
+import { DaemonError } from '../../core/errors.js';
+
+// =============================================================================
+// Test Setup
+// =============================================================================
+
+let testDir;
+let daemon;
+
+async function setupTestDir() {
+  testDir = path.join(os.tmpdir(), `eaos-daemon-test-${Date.now()}`);
+  await fs.ensureDir(testDir);
+  return testDir;
+}
+
+async function cleanupTestDir() {
+  if (daemon) {
+    await daemon.stop();
+    daemon = null;
+  }
+  if (testDir) {
+    await fs.remove(testDir);
+  }
+}
+
+function createDaemon(options = {}) {
+  const eventBus = createEventBus();
+  const engine = createAutonomyEngine({
+    rootDir: testDir,
+    eventBus,
+    pluginManager: createPluginManager({ eventBus }),
+  });
+  return new AutonomyDaemon({ rootDir: testDir, engine, handleSignals: false, ...options });
+}
+
+// =============================================================================
+// Lock Tests
+// =============================================================================
+
+describe('Daemon Lock', () => {
+
+  beforeEach(async () => {
+    await setupTestDir();
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('should keep daemon files under .eaos/autonomy', () => {
+    const paths = getDaemonPaths(testDir);
+
+    assert.strictEqual(paths.dir, path.join(testDir, '.eaos', 'autonomy'));
+    assert.strictEqual(paths.lock, path.join(paths.dir, 'daemon.lock'));
+    assert.strictEqual(paths.pid, path.join(paths.dir, 'daemon.pid'));
+  });
+
+  test('should move long socket paths to the temp dir', () => {
+    const paths = getDaemonPaths(path.join(testDir, 'x'.repeat(120)));
+    if (process.platform === 'win32') return;
+
+    assert.strictEqual(path.dirname(paths.socket), os.tmpdir());
+  });
+
+  test('should refuse a lock held by this process', async () => {
+    const { lock } = getDaemonPaths(testDir);
+    await fs.ensureDir(path.dirname(lock));
+
+    await acquireDaemonLock(lock);
+    await assert.rejects(acquireDaemonLock(lock), DaemonError);
+
+    await releaseDaemonLock(lock);
+    assert.ok(!await fs.pathExists(lock));
+  });
+
+  test('should give the lock to one of two concurrent starters', async () => {
+    const { lock } = getDaemonPaths(testDir);
+    await fs.ensureDir(path.dirname(lock));
+
+    const results = await Promise.allSettled([acquireDaemonLock(lock), acquireDaemonLock(lock)]);
+
+    assert.deepStrictEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+    assert.ok(results.find(r => r.status === 'rejected').reason instanceof DaemonError);
+    assert.deepStrictEqual(await fs.readdir(path.dirname(lock)), ['daemon.lock']);
+    await releaseDaemonLock(lock);
+  });
+
+  test('should take over a stale lock', async () => {
+    const { lock } = getDaemonPaths(testDir);
+    // Highest pid on Linux is 2^22; this one cannot exist
+    await fs.outputFile(lock, '99999999\n');
+
+    await acquireDaemonLock(lock);
+    assert.strictEqual((await fs.readFile(lock, 'utf8')).trim(), String(process.pid));
+    await releaseDaemonLock(lock);
+  });
+
+});
+
+// =============================================================================
+// Daemon Tests
+// =============================================================================
+
+describe('AutonomyDaemon', () => {
+
+  beforeEach(async () => {
+    await setupTestDir();
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('should write the PID file and answer status requests', async () => {
+    daemon = createDaemon();
+    await daemon.start();
+
+    assert.strictEqual(await readDaemonPid(testDir), process.pid);
+
+    const status = await sendDaemonCommand(testDir, DAEMON_COMMANDS.STATUS);
+    assert.strictEqual(status.daemon.pid, process.pid);
+    assert.strictEqual(status.state, ENGINE_STATES.STOPPED);
+    assert.ok(status.schedules.length >= 3);
+  });
+
+  test('should refuse a second daemon for the same repository', async () => {
+    daemon = createDaemon();
+    await daemon.start();
+
+    await assert.rejects(createDaemon().start(), /already running/);
+  });
+
+  test('should turn autonomy on and off', async () => {
+    daemon = createDaemon();
+    await daemon.start();
+
+    const on = await sendDaemonCommand(testDir, DAEMON_COMMANDS.ON, { hdmLevel: 1 });
+    assert.strictEqual(on.state, ENGINE_STATES.RUNNING);
+    assert.strictEqual(on.hdmLevel, 1);
+    assert.strictEqual(daemon.engine.timers.size, 3);
+
+    const off = await sendDaemonCommand(testDir, DAEMON_COMMANDS.OFF);
+    assert.strictEqual(off.state, ENGINE_STATES.STOPPED);
+    assert.strictEqual(daemon.engine.timers.size, 0);
+  });
+
+  test('should turn autonomy off without waiting for running cycles', async () => {
+    await fs.outputJson(path.join(testDir, '.eaos.config.json'), {
+      autonomy: { cycles: { slow: { cron: '0 0 1 1 *', timezone: 'UTC', tasks: ['slow-task'] } } },
+    });
+    daemon = createDaemon();
+    await daemon.start();
+    await sendDaemonCommand(testDir, DAEMON_COMMANDS.ON);
+
+    let finish;
+    const started = new Promise(resolve => {
+      daemon.engine.registerTaskHandler('slow-task', () => {
+        resolve();
+        return new Promise(done => {
+          finish = done;
+        });
+      });
+    });
+    const cycle = daemon.engine.runScheduledCycle('slow');
+    await started;
+
+    const off = await sendDaemonCommand(testDir, DAEMON_COMMANDS.OFF, {}, { timeout: 2000 });
+    assert.strictEqual(off.state, ENGINE_STATES.STOPPED);
+    assert.strictEqual(off.currentCycle.type, 'slow');
+    assert.strictEqual(daemon.engine.timers.size, 0);
+    assert.strictEqual((await fs.readJson(getDaemonPaths(testDir).state)).enabled, false);
+
+    // Shutting down still waits for the cycle
+    const stopped = daemon.stop();
+    finish({ ok: true });
+    await stopped;
+    await cycle;
+    assert.ok(daemon.engine.lastCycleRun.slow);
+  });
+
+  test('should turn autonomy on only after a previous off has stopped the engine', async () => {
+    await fs.outputJson(path.join(testDir, '.eaos.config.json'), {
+      autonomy: { cycles: { slow: { cron: '0 0 1 1 *', timezone: 'UTC', tasks: ['slow-task'] } } },
+    });
+    daemon = createDaemon();
+    await daemon.start();
+    await sendDaemonCommand(testDir, DAEMON_COMMANDS.ON);
+
+    let finish;
+    const started = new Promise(resolve => {
+      daemon.engine.registerTaskHandler('slow-task', () => {
+        resolve();
+        return new Promise(done => {
+          finish = done;
+        });
+      });
+    });
+    const cycle = daemon.engine.runScheduledCycle('slow');
+    await started;
+
+    const events = [];
+    daemon.engine.eventBus.on(AutonomyEvents.ENGINE_START, () => events.push('start'));
+    daemon.engine.eventBus.on(AutonomyEvents.ENGINE_STOP, () => events.push('stop'));
+
+    await sendDaemonCommand(testDir, DAEMON_COMMANDS.OFF, {}, { timeout: 2000 });
+    const on = sendDaemonCommand(testDir, DAEMON_COMMANDS.ON);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    finish({ ok: true });
+
+    assert.strictEqual((await on).state, ENGINE_STATES.RUNNING);
+    await cycle;
+    assert.deepStrictEqual(events, ['stop', 'start']);
+  });
+
+  test('should restore autonomy state when restarted', async () => {
+    daemon = createDaemon();
+    await daemon.start();
+    await sendDaemonCommand(testDir, DAEMON_COMMANDS.ON, { hdmLevel: 1 });
+    await daemon.stop();
+
+    daemon = createDaemon();
+    await daemon.start();
+
+    assert.strictEqual(daemon.engine.state, ENGINE_STATES.RUNNING);
+    assert.strictEqual(daemon.engine.hdmLevel, 1);
+  });
+
+  test('should start autonomy when enabled in config', async () => {
+    await fs.outputJson(path.join(testDir, '.eaos.config.json'), { autonomy: { enabled: true } });
+    daemon = createDaemon();
+    await daemon.start();
+
+    assert.strictEqual(daemon.engine.state, ENGINE_STATES.RUNNING);
+  });
+
+  test('should reject invalid requests', async () => {
+    daemon = createDaemon();
+    await daemon.start();
+
+    await assert.rejects(sendDaemonCommand(testDir, 'explode'), /Unknown daemon command/);
+    await assert.rejects(sendDaemonCommand(testDir, DAEMON_COMMANDS.ON, { hdmLevel: 9 }), /Invalid HDM level/);
+  });
+
+  test('should reload schedules from config', async () => {
+    daemon = createDaemon();
+    await daemon.start();
+    await sendDaemonCommand(testDir, DAEMON_COMMANDS.ON);
+
+    await fs.outputJson(path.join(testDir, '.eaos.config.json'), {
+      autonomy: { cycles: { hourly: { cron: '0 * * * *', timezone: 'UTC', tasks: ['health-scan'] } } },
+    });
+    const status = await sendDaemonCommand(testDir, DAEMON_COMMANDS.RELOAD);
+
+    assert.ok(status.schedules.some(s => s.cycle === 'hourly'));
+    assert.ok(daemon.engine.timers.has('hourly'));
+  });
+
+  test('should shut down on request and remove its files', async () => {
+    daemon = createDaemon();
+    await daemon.start();
+
+    const result = await sendDaemonCommand(testDir, DAEMON_COMMANDS.SHUTDOWN);
+    assert.ok(result.stopping);
+    await daemon.wait();
+
+    const paths = getDaemonPaths(testDir);
+    assert.ok(!await fs.pathExists(paths.lock));
+    assert.ok(!await fs.pathExists(paths.pid));
+    assert.strictEqual(await readDaemonPid(testDir), null);
+  });
+
+  test('should reload on SIGHUP and stop on SIGTERM', { skip: process.platform === 'win32' }, async () => {
+    const listeners = process.listenerCount('SIGTERM');
+    daemon = createDaemon({ handleSignals: true });
+    await daemon.start();
+
+    let reloaded = 0;
+    const reload = daemon.engine.reloadSchedules.bind(daemon.engine);
+    daemon.engine.reloadSchedules = () => {
+      reloaded++;
+      reload();
+    };
+
+    process.emit('SIGHUP', 'SIGHUP');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(reloaded, 1);
+
+    process.emit('SIGTERM', 'SIGTERM');
+    await daemon.wait();
+    assert.strictEqual(process.listenerCount('SIGTERM'), listeners);
+  });
+
+});
+
+// =============================================================================
+// Client Tests
+// =============================================================================
+
+describe('sendDaemonCommand', () => {
+
+  beforeEach(async () => {
+    await setupTestDir();
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('should report a daemon that is not running', async () => {
+    await assert.rejects(
+      sendDaemonCommand(testDir, DAEMON_COMMANDS.STATUS),
+      (error) => error instanceof DaemonError && error.details.notRunning === true
+    );
+  });
+
+});
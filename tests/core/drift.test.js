@@ -0,0 +1,204 @@
+/**
+ * EAOS Compliance Drift Unit Tests
+ *
+ * Tests for core/drift.js covering:
+ * - Persisted evaluation history
+ * - Passing to failing drift detection
+ * - compliance:drift events and memory kernel entries
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+
+import {
+  COMPLIANCE_HISTORY_DIR,
+  MAX_RUNS,
+  detectDrift,
+  listComplianceHistories,
+  loadComplianceHistory,
+  recordComplianceRun,
+  recordDriftInMemory,
+  reportComplianceDrift,
+  snapshotAssessment,
+} from '../../core/drift.js';
+import { CONTROL_STATUS } from '../../core/compliance.js';
+import { ComplianceEvents, createEventBus } from '../../core/events.js';
+
+// =============================================================================
+// Test Setup
+// =============================================================================
+
+let testDir;
+
+async function setupTestDir() {
+  testDir = path.join(os.tmpdir(), `eaos-drift-test-${Date.now()}`);
+  await fs.ensureDir(testDir);
+  return testDir;
+}
+
+async function cleanupTestDir() {
+  if (testDir) {
+    await fs.remove(testDir);
+  }
+}
+
+let clock = Date.parse('2026-01-01T00:00:00Z');
+
+function assessment(statuses) {
+  clock += 60000;
+  return {
+    framework: 'soc2',
+    name: 'SOC 2',
+    version: '2017',
+    generated_at: new Date(clock).toISOString(),
+    summary: { controls: Object.keys(statuses).length },
+    controls: Object.entries(statuses).map(([id, status]) => ({
+      id,
+      title: `Control ${id}`,
+      criticality: 'high',
+      status,
+      checks: [],
+    })),
+  };
+}
+
+async function initMemory(domain = {}) {
+  await fs.outputJson(path.join(testDir, 'memory', 'state.json'), {
+    version: '1.0.0',
+    domains: { compliance_security: domain, system_state: {} },
+  });
+}
+
+// =============================================================================
+// History
+// =============================================================================
+
+describe('Drift - History', () => {
+  beforeEach(async () => {
+    await setupTestDir();
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('should persist each evaluation with the previous run', async () => {
+    const first = await recordComplianceRun(assessment({ 'CC6.1': CONTROL_STATUS.SATISFIED }), { rootDir: testDir });
+    const second = await recordComplianceRun(assessment({ 'CC6.1': CONTROL_STATUS.GAP }), { rootDir: testDir });
+
+    assert.strictEqual(first.previous, null);
+    assert.strictEqual(second.previous.id, first.run.id);
+    assert.ok(await fs.pathExists(path.join(testDir, COMPLIANCE_HISTORY_DIR, 'soc2.json')));
+
+    const history = await loadComplianceHistory('soc2', { rootDir: testDir });
+    assert.deepStrictEqual(history.runs.map(r => r.controls['CC6.1'].status), [CONTROL_STATUS.SATISFIED, CONTROL_STATUS.GAP]);
+    assert.deepStrictEqual(await listComplianceHistories({ rootDir: testDir }), ['soc2']);
+  });
+
+  test('should keep only the latest runs', async () => {
+    for (let i = 0; i < MAX_RUNS + 2; i++) {
+      await recordComplianceRun(assessment({ 'CC6.1': CONTROL_STATUS.SATISFIED }), { rootDir: testDir });
+    }
+
+    const history = await loadComplianceHistory('soc2', { rootDir: testDir });
+    assert.strictEqual(history.runs.length, MAX_RUNS);
+  });
+
+  test('should start a new history when the file is corrupted', async () => {
+    await fs.outputFile(path.join(testDir, COMPLIANCE_HISTORY_DIR, 'soc2.json'), '{ not json');
+
+    const history = await loadComplianceHistory('soc2', { rootDir: testDir });
+    assert.deepStrictEqual(history.runs, []);
+  });
+});
+
+// =============================================================================
+// Drift
+// =============================================================================
+
+describe('Drift - Detection', () => {
+  test('should report controls that went from passing to failing', () => {
+    const previous = snapshotAssessment(assessment({
+      'CC6.1': CONTROL_STATUS.SATISFIED,
+      'CC6.2': CONTROL_STATUS.SATISFIED,
+      'CC6.3': CONTROL_STATUS.GAP,
+      'CC6.4': CONTROL_STATUS.SATISFIED,
+    }));
+    const current = snapshotAssessment(assessment({
+      'CC6.1': CONTROL_STATUS.GAP,
+      'CC6.2': CONTROL_STATUS.PARTIAL,
+      'CC6.3': CONTROL_STATUS.SATISFIED,
+      'CC6.4': CONTROL_STATUS.MANUAL,
+      'CC6.5': CONTROL_STATUS.GAP,
+    }));
+
+    const drift = detectDrift(previous, current);
+
+    assert.deepStrictEqual(drift.map(d => [d.control_id, d.from, d.to]), [
+      ['CC6.1', CONTROL_STATUS.SATISFIED, CONTROL_STATUS.GAP],
+      ['CC6.2', CONTROL_STATUS.SATISFIED, CONTROL_STATUS.PARTIAL],
+    ]);
+  });
+
+  test('should not report drift on the first run', () => {
+    assert.deepStrictEqual(detectDrift(null, snapshotAssessment(assessment({ 'CC6.1': CONTROL_STATUS.GAP }))), []);
+  });
+});
+
+// =============================================================================
+// Reporting
+// =============================================================================
+
+describe('Drift - Reporting', () => {
+  beforeEach(async () => {
+    await setupTestDir();
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('should emit compliance:drift and record it in the memory kernel once', async () => {
+    await initMemory();
+    const eventBus = createEventBus();
+    const events = [];
+    eventBus.on(ComplianceEvents.DRIFT, e => events.push(e.data));
+
+    await recordComplianceRun(assessment({ 'CC6.1': CONTROL_STATUS.SATISFIED }), { rootDir: testDir });
+    await recordComplianceRun(assessment({ 'CC6.1': CONTROL_STATUS.GAP }), { rootDir: testDir });
+
+    const reported = await reportComplianceDrift('soc2', { rootDir: testDir, eventBus });
+    const again = await reportComplianceDrift('soc2', { rootDir: testDir, eventBus });
+
+    assert.strictEqual(ComplianceEvents.DRIFT, 'compliance:drift');
+    assert.strictEqual(reported.length, 1);
+    assert.strictEqual(again.length, 0, 'Runs should only be reported once');
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].controls[0].control_id, 'CC6.1');
+
+    const state = await fs.readJson(path.join(testDir, 'memory', 'state.json'));
+    const entries = state.domains.compliance_security.entries;
+    assert.strictEqual(entries.length, 1);
+    assert.strictEqual(entries[0].type, 'compliance_drift');
+    assert.strictEqual(entries[0].framework, 'soc2');
+  });
+
+  test('should append to existing memory kernel entries', async () => {
+    await initMemory({ description: 'SOC-2/ISO/NIST mappings', entries: [{ type: 'note' }] });
+
+    const recorded = await recordDriftInMemory({ framework: 'soc2', controls: [] }, { rootDir: testDir });
+
+    const state = await fs.readJson(path.join(testDir, 'memory', 'state.json'));
+    assert.strictEqual(recorded, true);
+    assert.strictEqual(state.domains.compliance_security.description, 'SOC-2/ISO/NIST mappings');
+    assert.deepStrictEqual(state.domains.compliance_security.entries.map(e => e.type), ['note', 'compliance_drift']);
+  });
+
+  test('should skip the memory kernel when it is not initialized', async () => {
+    const recorded = await recordDriftInMemory({ framework: 'soc2', controls: [] }, { rootDir: testDir });
+    assert.strictEqual(recorded, false);
+  });
+});
@@ -19,6 +19,7 @@ import {
   TimeoutError,
   ComplianceError,
   ApprovalRequiredError,
+  DaemonError,
   AggregateError,
   withErrorHandling,
   withRetry,
@@ -137,6 +138,17 @@ describe('ApprovalRequiredError', () => {
 
 });
 
+describe('DaemonError', () => {
+
+  test('should have correct code and details', () => {
+    const error = new DaemonError('Daemon is not running', { notRunning: true });
+    assert.strictEqual(error.code, 'EAOS_DAEMON_ERROR');
+    assert.strictEqual(error.name, 'DaemonError');
+    assert.strictEqual(error.details.notRunning, true);
+  });
+
+});
+
 describe('AggregateError', () => {
 
   test('should collect multiple errors', () => {
@@ -284,6 +296,13 @@ describe('withTimeout', () => {
     );
   });
 
+  test('should not keep the timeout pending after the function settles', async () => {
+    const before = process.getActiveResourcesInfo().filter(r => r === 'Timeout').length;
+    await withTimeout(async () => 'success', 60000);
+    const after = process.getActiveResourcesInfo().filter(r => r === 'Timeout').length;
+    assert.strictEqual(after, before);
+  });
+
 });
 
 describe('withFallback', () => {
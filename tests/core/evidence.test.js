@@ -0,0 +1,218 @@
+/**
+ * EAOS Evidence Unit Tests
+ *
+ * Tests for core/evidence.js covering:
+ * - Evidence file resolution by source
+ * - Bundle manifest, checksums and control links
+ * - Bundle verification
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+
+import { assessCatalog } from '../../core/compliance.js';
+import {
+  CHECKSUM_FILE,
+  MANIFEST_FILE,
+  createEvidenceBundle,
+  resolveEvidenceFiles,
+  verifyEvidenceBundle,
+} from '../../core/evidence.js';
+import { FileSystemError } from '../../core/errors.js';
+
+// =============================================================================
+// Test Setup
+// =============================================================================
+
+let testDir;
+
+async function setupTestDir() {
+  testDir = path.join(os.tmpdir(), `eaos-evidence-test-${Date.now()}`);
+  await fs.ensureDir(testDir);
+  return testDir;
+}
+
+async function cleanupTestDir() {
+  if (testDir) {
+    await fs.remove(testDir);
+  }
+}
+
+async function writeFile(relPath, content) {
+  await fs.outputFile(path.join(testDir, relPath), content);
+}
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+async function setupRepository() {
+  await writeFile('audit/Findings.json', '{"findings":[]}');
+  await writeFile('audit/benchmarks/results.json', '{}');
+  await writeFile('logs/eaos-2026-01-01.log', 'started\n');
+  await writeFile('logs/notes.txt', 'not a log');
+  await writeFile('.eaos/autonomy/logs/cycle_daily_1.json', '{"id":1}');
+  await writeFile('.eaos/autonomy/state.json', '{}');
+  await writeFile('memory/reasoning_graph.json', '{"nodes":[]}');
+  await writeFile('.eaos.config.json', '{"compliance":{}}');
+  await writeFile('EAOS_POLICY_PACK/SECURITY_POLICY.md', '# Security\n');
+  await writeFile('.github/CODEOWNERS', '* @team\n');
+  await writeFile('src/index.js', 'export default 1;\n');
+}
+
+// =============================================================================
+// Resolution
+// =============================================================================
+
+describe('resolveEvidenceFiles', () => {
+  beforeEach(async () => {
+    await setupTestDir();
+    await setupRepository();
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('should collect logs, reports, config and policies by source', async () => {
+    const files = await resolveEvidenceFiles(testDir);
+
+    assert.deepStrictEqual(files, [
+      { path: 'audit/Findings.json', source: 'audit' },
+      { path: 'audit/benchmarks/results.json', source: 'audit' },
+      { path: 'logs/eaos-2026-01-01.log', source: 'audit' },
+      { path: '.eaos/autonomy/logs/cycle_daily_1.json', source: 'autonomy' },
+      { path: 'memory/reasoning_graph.json', source: 'reasoning' },
+      { path: '.eaos.config.json', source: 'config' },
+      { path: 'EAOS_POLICY_PACK/SECURITY_POLICY.md', source: 'policies' },
+    ]);
+  });
+
+  test('should read the configured policy pack and control evidence', async () => {
+    await writeFile('policies/ACCESS.md', '# Access\n');
+    const assessment = await assessCatalog({
+      framework: 'test',
+      name: 'Test',
+      version: '1',
+      controls: [{
+        id: 'T.1',
+        title: 'Owners',
+        category: 'Security',
+        criticality: 'low',
+        evaluators: [{ type: 'file', description: 'Owners', paths: ['.github/CODEOWNERS', '.github'] }],
+      }],
+    }, { rootDir: testDir, config: {} });
+
+    const files = await resolveEvidenceFiles(testDir, { policyPack: 'policies', assessment });
+    const sources = Object.fromEntries(files.map(f => [f.path, f.source]));
+
+    assert.strictEqual(sources['policies/ACCESS.md'], 'policies');
+    assert.strictEqual(sources['EAOS_POLICY_PACK/SECURITY_POLICY.md'], undefined);
+    assert.strictEqual(sources['.github/CODEOWNERS'], 'controls');
+    assert.strictEqual(sources['.github'], undefined);
+  });
+});
+
+// =============================================================================
+// Bundles
+// =============================================================================
+
+describe('Evidence bundles', () => {
+  let assessment;
+
+  beforeEach(async () => {
+    await setupTestDir();
+    await setupRepository();
+    assessment = await assessCatalog({
+      framework: 'test',
+      name: 'Test',
+      version: '1',
+      controls: [
+        {
+          id: 'T.1',
+          title: 'Owners',
+          category: 'Security',
+          criticality: 'low',
+          evaluators: [{ type: 'file', description: 'Owners', paths: ['.github/CODEOWNERS'] }],
+        },
+        { id: 'T.2', title: 'Training', category: 'Security', criticality: 'low', evaluators: [] },
+      ],
+    }, { rootDir: testDir, config: {} });
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('should copy evidence and record hashes, timestamp and control links', async () => {
+    const { bundleDir, manifest, digest } = await createEvidenceBundle({ rootDir: testDir, framework: 'test', assessment });
+
+    assert.ok(bundleDir.startsWith(path.join(testDir, 'compliance', 'test', 'EvidenceBundle')));
+    assert.ok(!Number.isNaN(Date.parse(manifest.collected_at)));
+    assert.strictEqual(manifest.summary.files, 8);
+    assert.deepStrictEqual(manifest.summary.by_source, { audit: 3, autonomy: 1, reasoning: 1, config: 1, policies: 1, controls: 1 });
+
+    const config = manifest.files.find(f => f.path === '.eaos.config.json');
+    assert.strictEqual(config.sha256, sha256('{"compliance":{}}'));
+    assert.strictEqual(await fs.readFile(path.join(bundleDir, 'files', '.eaos.config.json'), 'utf-8'), '{"compliance":{}}');
+
+    assert.deepStrictEqual(manifest.controls, [
+      { id: 'T.1', title: 'Owners', status: 'satisfied', evidence: ['.github/CODEOWNERS'] },
+      { id: 'T.2', title: 'Training', status: 'manual', evidence: [] },
+    ]);
+
+    assert.strictEqual(digest, sha256(await fs.readFile(path.join(bundleDir, MANIFEST_FILE))));
+    const checksums = (await fs.readFile(path.join(bundleDir, CHECKSUM_FILE), 'utf-8')).trim().split('\n');
+    assert.strictEqual(checksums.length, 9);
+    assert.ok(checksums.includes(`${config.sha256}  files/.eaos.config.json`));
+    assert.strictEqual(checksums.at(-1), `${digest}  ${MANIFEST_FILE}`);
+  });
+
+  test('should verify an untouched bundle', async () => {
+    const { bundleDir, digest } = await createEvidenceBundle({ rootDir: testDir, framework: 'test', assessment });
+    await writeFile('.eaos.config.json', '{"changed":true}');
+
+    const result = await verifyEvidenceBundle(bundleDir, { digest });
+
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.verified, 8);
+  });
+
+  test('should detect modified, missing and unexpected files', async () => {
+    const { bundleDir } = await createEvidenceBundle({ rootDir: testDir, framework: 'test', assessment });
+    await fs.appendFile(path.join(bundleDir, 'files', 'audit', 'Findings.json'), ' ');
+    await fs.remove(path.join(bundleDir, 'files', 'logs', 'eaos-2026-01-01.log'));
+    await fs.outputFile(path.join(bundleDir, 'files', 'audit', 'extra.json'), '{}');
+
+    const result = await verifyEvidenceBundle(bundleDir);
+
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(result.modified, ['audit/Findings.json']);
+    assert.deepStrictEqual(result.missing, ['logs/eaos-2026-01-01.log']);
+    assert.deepStrictEqual(result.unexpected, ['audit/extra.json']);
+  });
+
+  test('should detect a rewritten manifest with the recorded digest', async () => {
+    const { bundleDir, manifest, digest } = await createEvidenceBundle({ rootDir: testDir, framework: 'test', assessment });
+    const target = path.join(bundleDir, 'files', 'audit', 'Findings.json');
+    await fs.writeFile(target, '{"findings":["forged"]}');
+    const forged = {
+      ...manifest,
+      files: manifest.files.map(f => (f.path === 'audit/Findings.json' ? { ...f, sha256: sha256('{"findings":["forged"]}') } : f)),
+    };
+    await fs.writeJson(path.join(bundleDir, MANIFEST_FILE), forged, { spaces: 2 });
+
+    assert.strictEqual((await verifyEvidenceBundle(bundleDir)).valid, true);
+    const result = await verifyEvidenceBundle(bundleDir, { digest });
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.manifest_matches, false);
+  });
+
+  test('should reject directories without a manifest', async () => {
+    await assert.rejects(verifyEvidenceBundle(path.join(testDir, 'audit')), FileSystemError);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * EAOS ISO 27001 Unit Tests
+ *
+ * Tests for core/iso27001.js covering:
+ * - The ISO/IEC 27001:2022 Annex A catalog
+ * - Statement of Applicability applicability, justification and status
+ * - Markdown and CSV output
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+
+import {
+  ISO27001_FRAMEWORK,
+  SOA_COLUMNS,
+  SOA_FILES,
+  buildSoaCsv,
+  buildSoaMarkdown,
+  buildStatementOfApplicability,
+  writeStatementOfApplicability,
+} from '../../core/iso27001.js';
+import { assessFramework, loadCatalog } from '../../core/compliance.js';
+import { ValidationError } from '../../core/errors.js';
+
+// =============================================================================
+// Test Setup
+// =============================================================================
+
+let testDir;
+
+async function setupTestDir() {
+  testDir = path.join(os.tmpdir(), `eaos-iso27001-test-${Date.now()}`);
+  await fs.ensureDir(testDir);
+  await fs.outputFile(path.join(testDir, 'EAOS_POLICY_PACK', 'SECURITY_POLICY.md'), '# Security\nPurpose: x\n1. Governance\n');
+  await fs.outputFile(path.join(testDir, '.github', 'CODEOWNERS'), '* @security\n');
+  return testDir;
+}
+
+async function cleanupTestDir() {
+  if (testDir) {
+    await fs.remove(testDir);
+  }
+}
+
+// =============================================================================
+// Catalog
+// =============================================================================
+
+describe('ISO 27001 catalog', () => {
+  test('should ship the 93 Annex A controls in four themes', async () => {
+    const iso = await loadCatalog(ISO27001_FRAMEWORK);
+    const count = theme => iso.controls.filter(c => c.category === theme).length;
+
+    assert.strictEqual(iso.controls.length, 93);
+    assert.strictEqual(count('Organizational'), 37);
+    assert.strictEqual(count('People'), 8);
+    assert.strictEqual(count('Physical'), 14);
+    assert.strictEqual(count('Technological'), 34);
+  });
+});
+
+// =============================================================================
+// Statement of Applicability
+// =============================================================================
+
+describe('ISO 27001 Statement of Applicability', () => {
+  let assessment;
+
+  before(async () => {
+    await setupTestDir();
+    assessment = await assessFramework(ISO27001_FRAMEWORK, { rootDir: testDir });
+  });
+
+  after(async () => {
+    await cleanupTestDir();
+  });
+
+  test('should record applicability, justification and evidence-backed status', () => {
+    const soa = buildStatementOfApplicability(assessment, {
+      exclusions: { 'A.7.4': 'No premises; hosting provider monitors its data centres' },
+      justifications: { 'A.8.28': 'Customer contracts require secure coding' },
+    });
+    const control = id => soa.controls.find(c => c.id === id);
+
+    assert.strictEqual(soa.summary.controls, 93);
+    assert.strictEqual(soa.summary.applicable, 92);
+    assert.strictEqual(soa.summary.excluded, 1);
+    assert.strictEqual(
+      soa.summary.implemented + soa.summary.partial + soa.summary.not_implemented + soa.summary.not_assessed,
+      92
+    );
+
+    assert.deepStrictEqual(control('A.7.4'), {
+      id: 'A.7.4',
+      title: 'Physical security monitoring',
+      theme: 'Physical',
+      applicable: false,
+      justification: 'No premises; hosting provider monitors its data centres',
+      implementation_status: 'Not applicable',
+      evidence: [],
+    });
+    assert.strictEqual(control('A.8.28').justification, 'Customer contracts require secure coding');
+    assert.strictEqual(control('A.5.1').implementation_status, 'Implemented');
+    assert.deepStrictEqual(control('A.5.1').evidence, ['EAOS_POLICY_PACK/SECURITY_POLICY.md']);
+    assert.strictEqual(control('A.5.3').implementation_status, 'Partially implemented');
+    assert.strictEqual(control('A.8.12').implementation_status, 'Not implemented');
+    assert.strictEqual(control('A.7.1').implementation_status, 'Not assessed');
+  });
+
+  test('should reject unknown controls and exclusions without justification', () => {
+    assert.throws(() => buildStatementOfApplicability(assessment, { exclusions: { 'A.9.1': 'Old numbering' } }), ValidationError);
+    assert.throws(() => buildStatementOfApplicability(assessment, { exclusions: { 'A.7.4': '' } }), /needs a justification/);
+  });
+
+  test('should render Markdown per theme and one CSV row per control', () => {
+    const soa = buildStatementOfApplicability(assessment, {
+      exclusions: { 'A.7.4': 'No premises, "cloud only"' },
+    });
+    const markdown = buildSoaMarkdown(soa);
+    const lines = buildSoaCsv(soa).trim().split('\r\n');
+
+    for (const theme of ['Organizational', 'People', 'Physical', 'Technological']) {
+      assert.ok(markdown.includes(`## ${theme} controls`));
+    }
+    assert.ok(markdown.includes('| A.7.4 | Physical security monitoring | No |'));
+
+    assert.strictEqual(lines[0], SOA_COLUMNS.join(','));
+    assert.strictEqual(lines.length, 94);
+    assert.ok(lines.includes('A.7.4,Physical security monitoring,Physical,No,"No premises, ""cloud only""",Not applicable,'));
+  });
+
+  test('should write the Markdown and CSV documents', async () => {
+    const { written } = await writeStatementOfApplicability(assessment, path.join(testDir, 'compliance', 'iso27001'));
+
+    assert.ok(await fs.pathExists(written[SOA_FILES.MARKDOWN]));
+    assert.ok(await fs.pathExists(written[SOA_FILES.CSV]));
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * EAOS ISO 42001 Unit Tests
+ *
+ * Tests for core/iso42001.js covering:
+ * - The clause and Annex A catalog
+ * - Scoped assessment
+ * - Control, clause and overall scores
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+
+import {
+  ISO42001_FRAMEWORK,
+  assessIso42001,
+  scoreAssessment,
+  scoreControl,
+} from '../../core/iso42001.js';
+import { CONTROL_STATUS, buildGapAnalysis, loadCatalog } from '../../core/compliance.js';
+import { ValidationError } from '../../core/errors.js';
+
+// =============================================================================
+// Test Setup
+// =============================================================================
+
+let testDir;
+
+async function setupTestDir() {
+  testDir = path.join(os.tmpdir(), `eaos-iso42001-test-${Date.now()}`);
+  await fs.ensureDir(testDir);
+  return testDir;
+}
+
+async function cleanupTestDir() {
+  if (testDir) {
+    await fs.remove(testDir);
+  }
+}
+
+async function writeFile(relPath, content) {
+  await fs.outputFile(path.join(testDir, relPath), content);
+}
+
+/**
+ * Control result with the given check outcomes
+ */
+function control(id, family, results, category = 'Clauses') {
+  const checks = results.map(passed => ({ type: 'file', passed, evidence: [], searched: [], message: '' }));
+  const passed = results.filter(Boolean).length;
+  const status = results.length === 0 ? CONTROL_STATUS.MANUAL
+    : passed === results.length ? CONTROL_STATUS.SATISFIED
+      : passed > 0 ? CONTROL_STATUS.PARTIAL : CONTROL_STATUS.GAP;
+  return { id, title: id, category, family, criticality: 'high', status, checks };
+}
+
+// =============================================================================
+// Catalog
+// =============================================================================
+
+describe('ISO 42001 catalog', () => {
+  test('should cover clauses 4-10 and Annex A groups A.1-A.10', async () => {
+    const iso = await loadCatalog(ISO42001_FRAMEWORK);
+    const families = new Set(iso.controls.map(c => c.family.split(' ').slice(0, 2).join(' ')));
+
+    for (const clause of [4, 5, 6, 7, 8, 9, 10]) {
+      assert.ok(families.has(`Clause ${clause}`), `Clause ${clause} should be in the catalog`);
+    }
+    for (let group = 1; group <= 10; group++) {
+      assert.ok(iso.controls.some(c => c.family.startsWith(`A.${group} `)), `A.${group} should be in the catalog`);
+    }
+    assert.ok(iso.controls.every(c => c.baselines.length > 0), 'Every control should belong to a scope');
+  });
+});
+
+// =============================================================================
+// Scoring
+// =============================================================================
+
+describe('ISO 42001 scoring', () => {
+  test('should score controls by the share of passed checks', () => {
+    assert.strictEqual(scoreControl(control('4.1', 'Clause 4', [true, true])), 100);
+    assert.strictEqual(scoreControl(control('4.2', 'Clause 4', [true, false, false])), 33);
+    assert.strictEqual(scoreControl(control('4.3', 'Clause 4', [false])), 0);
+    assert.strictEqual(scoreControl(control('4.4', 'Clause 4', [])), null);
+  });
+
+  test('should average clause, Annex A and overall scores', () => {
+    const scores = scoreAssessment({
+      scope: 'full',
+      controls: [
+        control('4.1', 'Clause 4', [true]),
+        control('4.2', 'Clause 4', [true, false]),
+        control('5.1', 'Clause 5', []),
+        control('A.1.1', 'A.1 AI Policies', [false], 'Annex A'),
+      ],
+    });
+
+    assert.deepStrictEqual(scores, {
+      overall_score: 50,
+      clause_scores: { 'Clause 4': 75, 'Clause 5': null },
+      annex_scores: { 'A.1 AI Policies': 0 },
+      scored: 3,
+      unscored: 1,
+      certification_ready: false,
+    });
+  });
+
+  test('should only be certification ready for a fully satisfied full scope', () => {
+    const controls = [control('4.1', 'Clause 4', [true]), control('A.1.1', 'A.1 AI Policies', [false], 'Annex A')];
+
+    assert.strictEqual(scoreAssessment({ scope: 'full', controls }).certification_ready, true);
+    assert.strictEqual(scoreAssessment({ scope: 'policies', controls }).certification_ready, false);
+  });
+});
+
+// =============================================================================
+// Assessment
+// =============================================================================
+
+describe('ISO 42001 assessment', () => {
+  beforeEach(async () => {
+    await setupTestDir();
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('should limit the assessment to the controls of a scope', async () => {
+    const full = await assessIso42001('full', { rootDir: testDir });
+    const data = await assessIso42001('data', { rootDir: testDir });
+
+    assert.strictEqual(data.scope, 'data');
+    assert.ok(data.controls.length < full.controls.length);
+    assert.ok(data.controls.some(c => c.id === 'A.5.4'));
+    assert.ok(!data.controls.some(c => c.id === '5.2'));
+    assert.ok(!('baseline' in data));
+    await assert.rejects(assessIso42001('everything', { rootDir: testDir }), ValidationError);
+  });
+
+  test('should report missing AIMS documents as gaps', async () => {
+    const before = await assessIso42001('risk', { rootDir: testDir });
+    const { gaps } = buildGapAnalysis(before);
+    const gapIds = gaps.map(g => g.control_id);
+    assert.ok(gapIds.includes('8.2'), 'Missing risk register should be a gap');
+    assert.ok(gapIds.includes('8.4'), 'Missing impact assessment should be a gap');
+    assert.ok(gaps.find(g => g.control_id === '8.2').evidence_searched.includes('aims/ai-risk-register.md'));
+
+    await writeFile('aims/ai-risk-register.md', '# AI Risk Register\n');
+    await writeFile('aims/impact-assessments/chat-assistant.md', '# Impact Assessment\n');
+    const after = await assessIso42001('risk', { rootDir: testDir });
+    const status = id => after.controls.find(c => c.id === id).status;
+
+    assert.strictEqual(status('8.2'), CONTROL_STATUS.SATISFIED);
+    assert.strictEqual(status('8.4'), CONTROL_STATUS.SATISFIED);
+    assert.ok(after.scores.overall_score > before.scores.overall_score);
+  });
+});
@@ -0,0 +1,268 @@
+/**
+ * EAOS Lockfile Unit Tests
+ *
+ * Tests for core/lockfiles.js covering:
+ * - npm package-lock.json (v1, v3)
+ * - yarn.lock (classic and berry)
+ * - pnpm-lock.yaml (v5, v6, v9)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+
+import { isLockfile, parseLockfile } from '../../core/lockfiles.js';
+import { ValidationError } from '../../core/errors.js';
+
+/**
+ * Index parsed packages by name@version
+ */
+function byId(packages) {
+  return Object.fromEntries(packages.map(pkg => [`${pkg.name}@${pkg.version}`, pkg]));
+}
+
+// =============================================================================
+// Detection
+// =============================================================================
+
+describe('isLockfile', () => {
+  test('should recognize supported lockfiles', () => {
+    assert.strictEqual(isLockfile('package-lock.json'), true);
+    assert.strictEqual(isLockfile('packages/web/yarn.lock'), true);
+    assert.strictEqual(isLockfile('pnpm-lock.yaml'), true);
+    assert.strictEqual(isLockfile('npm-shrinkwrap.json'), true);
+    assert.strictEqual(isLockfile('package.json'), false);
+  });
+
+  test('should reject unsupported lockfiles', () => {
+    assert.throws(() => parseLockfile('Cargo.lock', ''), ValidationError);
+  });
+
+  test('should wrap parse errors', () => {
+    assert.throws(() => parseLockfile('package-lock.json', '{not json'), /Failed to parse package-lock.json/);
+  });
+});
+
+// =============================================================================
+// npm
+// =============================================================================
+
+describe('parseLockfile (npm)', () => {
+  test('should resolve nested installs with shortest paths (v3)', () => {
+    const lock = JSON.stringify({
+      lockfileVersion: 3,
+      packages: {
+        '': { dependencies: { a: '^1.0.0' }, devDependencies: { c: '^1.0.0' } },
+        'node_modules/a': { version: '1.2.0', dependencies: { b: '^2.0.0' } },
+        'node_modules/a/node_modules/b': { version: '2.0.5' },
+        'node_modules/c': { version: '1.0.0', dev: true },
+      },
+    });
+
+    const { type, packages } = parseLockfile('package-lock.json', lock);
+    const index = byId(packages);
+
+    assert.strictEqual(type, 'npm');
+    assert.deepStrictEqual(index['b@2.0.5'].path, ['a', 'b']);
+    assert.strictEqual(index['a@1.2.0'].dev, false);
+    assert.strictEqual(index['c@1.0.0'].dev, true);
+  });
+
+  test('should parse lockfileVersion 1 dependency trees', () => {
+    const lock = JSON.stringify({
+      lockfileVersion: 1,
+      dependencies: {
+        a: { version: '1.2.0', requires: { b: '^2.0.0' }, dependencies: { b: { version: '2.1.0' } } },
+        b: { version: '3.0.0', dev: true },
+      },
+    });
+
+    const index = byId(parseLockfile('package-lock.json', lock).packages);
+
+    assert.deepStrictEqual(index['b@2.1.0'].path, ['a', 'b']);
+    assert.deepStrictEqual(index['b@3.0.0'].path, ['b']);
+    assert.strictEqual(index['b@3.0.0'].dev, true);
+  });
+
+  test('should skip workspace links', () => {
+    const lock = JSON.stringify({
+      lockfileVersion: 3,
+      packages: {
+        '': { workspaces: ['packages/*'] },
+        'packages/web': { name: 'web', version: '1.0.0' },
+        'node_modules/web': { resolved: 'packages/web', link: true },
+      },
+    });
+
+    assert.deepStrictEqual(parseLockfile('package-lock.json', lock).packages, []);
+  });
+});
+
+// =============================================================================
+// yarn
+// =============================================================================
+
+describe('parseLockfile (yarn)', () => {
+  test('should parse classic lockfiles', () => {
+    const lock = [
+      '# yarn lockfile v1',
+      '',
+      '"a@^1.0.0", a@^1.1.0:',
+      '  version "1.2.0"',
+      '  dependencies:',
+      '    b "^2.0.0"',
+      '',
+      'b@^2.0.0:',
+      '  version "2.1.0"',
+      '',
+    ].join('\n');
+
+    const { type, packages } = parseLockfile('yarn.lock', lock, { dependencies: { a: '^1.0.0' } });
+
+    assert.strictEqual(type, 'yarn');
+    assert.deepStrictEqual(packages.map(pkg => `${pkg.name}@${pkg.version}`), ['a@1.2.0', 'b@2.1.0']);
+    assert.deepStrictEqual(byId(packages)['b@2.1.0'].path, ['a', 'b']);
+  });
+
+  test('should parse berry lockfiles', () => {
+    const lock = [
+      '__metadata:',
+      '  version: 6',
+      '',
+      '"@scope/a@npm:^1.0.0":',
+      '  version: 1.2.0',
+      '  dependencies:',
+      '    b: "npm:^2.0.0"',
+      '',
+      '"b@npm:^2.0.0":',
+      '  version: 2.1.0',
+      '',
+      '"app@workspace:.":',
+      '  version: 0.0.0-use.local',
+      '',
+    ].join('\n');
+
+    const { packages } = parseLockfile('yarn.lock', lock, { devDependencies: { '@scope/a': '^1.0.0' } });
+    const index = byId(packages);
+
+    assert.strictEqual(packages.length, 2);
+    assert.deepStrictEqual(index['b@2.1.0'].path, ['@scope/a', 'b']);
+    assert.strictEqual(index['b@2.1.0'].dev, true);
+  });
+});
+
+// =============================================================================
+// pnpm
+// =============================================================================
+
+describe('parseLockfile (pnpm)', () => {
+  test('should parse lockfileVersion 5', () => {
+    const lock = [
+      'lockfileVersion: 5.4',
+      'dependencies:',
+      '  a: 1.2.0',
+      'packages:',
+      '  /a/1.2.0:',
+      '    dependencies:',
+      '      b: 2.1.0_react@18.0.0',
+      '    dev: false',
+      '  /b/2.1.0_react@18.0.0:',
+      '    dev: false',
+    ].join('\n');
+
+    const index = byId(parseLockfile('pnpm-lock.yaml', lock).packages);
+
+    assert.deepStrictEqual(index['b@2.1.0'].path, ['a', 'b']);
+  });
+
+  test('should parse lockfileVersion 6', () => {
+    const lock = [
+      'lockfileVersion: \'6.0\'',
+      'devDependencies:',
+      '  \'@scope/a\':',
+      '    specifier: ^1.0.0',
+      '    version: 1.2.0',
+      'packages:',
+      '  /@scope/a@1.2.0:',
+      '    dependencies:',
+      '      b: 2.1.0',
+      '    dev: true',
+      '  /b@2.1.0:',
+      '    dev: true',
+    ].join('\n');
+
+    const index = byId(parseLockfile('pnpm-lock.yaml', lock).packages);
+
+    assert.deepStrictEqual(index['b@2.1.0'].path, ['@scope/a', 'b']);
+    assert.strictEqual(index['@scope/a@1.2.0'].dev, true);
+  });
+
+  test('should parse lockfileVersion 9 snapshots', () => {
+    const lock = [
+      'lockfileVersion: \'9.0\'',
+      'importers:',
+      '  .:',
+      '    dependencies:',
+      '      a:',
+      '        specifier: ^1.0.0',
+      '        version: 1.2.0(react@18.0.0)',
+      'packages:',
+      '  a@1.2.0:',
+      '    resolution: {integrity: sha512-a}',
+      '  b@2.1.0:',
+      '    resolution: {integrity: sha512-b}',
+      'snapshots:',
+      '  a@1.2.0(react@18.0.0):',
+      '    dependencies:',
+      '      b: 2.1.0',
+      '  b@2.1.0: {}',
+    ].join('\n');
+
+    const { packages } = parseLockfile('pnpm-lock.yaml', lock);
+
+    assert.strictEqual(packages.length, 2);
+    assert.deepStrictEqual(byId(packages)['b@2.1.0'].path, ['a', 'b']);
+  });
+
+  test('should keep underscores in package names', () => {
+    const v5 = [
+      'lockfileVersion: 5.4',
+      'dependencies:',
+      '  string_decoder: 1.3.0_react@18.0.0',
+      'packages:',
+      '  /string_decoder/1.3.0_react@18.0.0:',
+      '    dev: false',
+    ].join('\n');
+    const v6 = [
+      'lockfileVersion: \'6.0\'',
+      'dependencies:',
+      '  a:',
+      '    specifier: ^1.0.0',
+      '    version: 1.2.0',
+      'packages:',
+      '  /a@1.2.0:',
+      '    dependencies:',
+      '      string_decoder: 1.3.0',
+      '    dev: false',
+      '  /string_decoder@1.3.0:',
+      '    dev: false',
+    ].join('\n');
+    const v9 = [
+      'lockfileVersion: \'9.0\'',
+      'importers:',
+      '  .:',
+      '    dependencies:',
+      '      decoder:',
+      '        specifier: npm:string_decoder@^1.3.0',
+      '        version: string_decoder@1.3.0',
+      'packages:',
+      '  string_decoder@1.3.0:',
+      '    resolution: {integrity: sha512-s}',
+      'snapshots:',
+      '  string_decoder@1.3.0: {}',
+    ].join('\n');
+
+    assert.deepStrictEqual(byId(parseLockfile('pnpm-lock.yaml', v5).packages)['string_decoder@1.3.0'].path, ['string_decoder']);
+    assert.deepStrictEqual(byId(parseLockfile('pnpm-lock.yaml', v6).packages)['string_decoder@1.3.0'].path, ['a', 'string_decoder']);
+    assert.deepStrictEqual(byId(parseLockfile('pnpm-lock.yaml', v9).packages)['string_decoder@1.3.0'].path, ['string_decoder']);
+  });
+});
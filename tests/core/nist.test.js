@@ -0,0 +1,302 @@
+/**
+ * EAOS NIST 800-53 Unit Tests
+ *
+ * Tests for core/nist.js covering:
+ * - The Rev. 5 catalog and its baselines
+ * - Baseline selection and assessment
+ * - OSCAL assessment results
+ * - POA&M generation and FedRAMP CSV export
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+
+import {
+  ASSESSMENT_RESULTS_FILE,
+  FEDRAMP_POAM_COLUMNS,
+  NIST_FRAMEWORK,
+  POAM_FILES,
+  POAM_STATUS,
+  REMEDIATION_DAYS,
+  assessNistBaseline,
+  buildAssessmentResults,
+  buildPoam,
+  buildPoamCsv,
+  toOscalControlId,
+  validateAssessmentResults,
+  validatePoam,
+  writeAssessmentResults,
+  writePoam,
+} from '../../core/nist.js';
+import { CONTROL_STATUS, loadCatalog } from '../../core/compliance.js';
+import { ValidationError } from '../../core/errors.js';
+
+// =============================================================================
+// Test Setup
+// =============================================================================
+
+let testDir;
+
+async function setupTestDir() {
+  testDir = path.join(os.tmpdir(), `eaos-nist-test-${Date.now()}`);
+  await fs.ensureDir(testDir);
+  await fs.outputFile(path.join(testDir, 'SECURITY.md'), '# Security Policy\n');
+  return testDir;
+}
+
+async function cleanupTestDir() {
+  if (testDir) {
+    await fs.remove(testDir);
+  }
+}
+
+// =============================================================================
+// Catalog
+// =============================================================================
+
+describe('NIST 800-53 catalog', () => {
+  test('should cover every Rev. 5 control family', async () => {
+    const nist = await loadCatalog(NIST_FRAMEWORK);
+    const families = new Set(nist.controls.map(c => c.family));
+
+    for (const family of ['AC', 'AT', 'AU', 'CA', 'CM', 'CP', 'IA', 'IR', 'MA', 'MP', 'PE', 'PL', 'PM', 'PS', 'PT', 'RA', 'SA', 'SC', 'SI', 'SR']) {
+      assert.ok(families.has(family), `${family} should be in the catalog`);
+    }
+    assert.deepStrictEqual(Object.keys(nist.baselines), ['low', 'moderate', 'high', 'privacy', 'organization']);
+  });
+
+  test('should nest the low baseline in moderate and moderate in high', async () => {
+    const nist = await loadCatalog(NIST_FRAMEWORK);
+    const ids = baseline => new Set(nist.controls.filter(c => c.baselines.includes(baseline)).map(c => c.id));
+    const low = ids('low');
+    const moderate = ids('moderate');
+    const high = ids('high');
+
+    assert.ok([...low].every(id => moderate.has(id)), 'low should be a subset of moderate');
+    assert.ok([...moderate].every(id => high.has(id)), 'moderate should be a subset of high');
+    assert.ok(low.size < moderate.size && moderate.size < high.size);
+    assert.ok(low.has('AC-2') && !low.has('AC-2(1)'));
+    assert.ok(moderate.has('AC-2(1)') && !moderate.has('AC-2(11)'));
+    assert.ok(high.has('AC-2(11)'));
+  });
+});
+
+// =============================================================================
+// Assessment
+// =============================================================================
+
+describe('NIST 800-53 assessment', () => {
+  let low;
+
+  before(async () => {
+    await setupTestDir();
+    low = await assessNistBaseline('low', { rootDir: testDir });
+  });
+
+  after(async () => {
+    await cleanupTestDir();
+  });
+
+  test('should select the baseline with program management and privacy controls', async () => {
+    const ids = new Set(low.controls.map(c => c.id));
+
+    assert.strictEqual(low.baseline, 'low');
+    assert.ok(ids.has('AC-2') && ids.has('PM-1') && ids.has('PT-2'));
+    assert.ok(!ids.has('AC-2(1)'));
+
+    const withoutPrivacy = await assessNistBaseline('low', { rootDir: testDir, privacy: false });
+    const families = new Set(withoutPrivacy.controls.map(c => c.family));
+    assert.ok(!families.has('PT'));
+    assert.ok(families.has('PM'));
+  });
+
+  test('should reject unknown baselines', async () => {
+    await assert.rejects(assessNistBaseline('extreme', { rootDir: testDir }), ValidationError);
+  });
+
+  test('should evaluate controls against repository evidence', () => {
+    const policy = low.controls.find(c => c.id === 'IR-1');
+    assert.notStrictEqual(policy.status, CONTROL_STATUS.MANUAL);
+    assert.ok(low.summary.gaps > 0);
+    assert.ok(low.summary.manual > 0);
+  });
+});
+
+// =============================================================================
+// OSCAL
+// =============================================================================
+
+describe('NIST 800-53 OSCAL assessment results', () => {
+  let assessment;
+
+  before(async () => {
+    await setupTestDir();
+    assessment = await assessNistBaseline('moderate', { rootDir: testDir, privacy: false });
+  });
+
+  after(async () => {
+    await cleanupTestDir();
+  });
+
+  test('should convert control ids to OSCAL form', () => {
+    assert.strictEqual(toOscalControlId('AC-2'), 'ac-2');
+    assert.strictEqual(toOscalControlId('AC-2(12)'), 'ac-2.12');
+  });
+
+  test('should build a schema-valid document with one finding per automated control', () => {
+    const document = buildAssessmentResults(assessment);
+    const results = document['assessment-results'];
+    const [result] = results.results;
+    const automated = assessment.controls.filter(c => c.status !== CONTROL_STATUS.MANUAL);
+
+    assert.doesNotThrow(() => validateAssessmentResults(document));
+    assert.strictEqual(results.metadata.props[0].value, 'moderate');
+    assert.strictEqual(results['import-ap'].href, `#${results['back-matter'].resources[0].uuid}`);
+    assert.strictEqual(result['reviewed-controls']['control-selections'][0]['include-controls'].length, assessment.controls.length);
+    assert.strictEqual(result.findings.length, automated.length);
+    assert.strictEqual(result.observations.length, assessment.summary.checks);
+
+    const observations = new Set(result.observations.map(o => o.uuid));
+    for (const finding of result.findings) {
+      assert.match(finding.target['target-id'], /^[a-z]{2}-\d+(\.\d+)?_obj$/);
+      assert.ok(finding['related-observations'].every(r => observations.has(r['observation-uuid'])));
+    }
+
+    const satisfied = automated.filter(c => c.status === CONTROL_STATUS.SATISFIED).length;
+    assert.strictEqual(result.findings.filter(f => f.target.status.state === 'satisfied').length, satisfied);
+  });
+
+  test('should reject malformed documents', () => {
+    const document = buildAssessmentResults(assessment);
+    delete document['assessment-results'].metadata['oscal-version'];
+    assert.throws(() => validateAssessmentResults(document), ValidationError);
+  });
+
+  test('should write the assessment results', async () => {
+    const outputPath = await writeAssessmentResults(assessment, path.join(testDir, 'compliance', 'nist'));
+
+    assert.strictEqual(path.basename(outputPath), ASSESSMENT_RESULTS_FILE);
+    assert.ok((await fs.readJson(outputPath))['assessment-results']);
+  });
+});
+
+// =============================================================================
+// POA&M
+// =============================================================================
+
+describe('NIST 800-53 POA&M', () => {
+  let assessment;
+
+  before(async () => {
+    await setupTestDir();
+    assessment = await assessNistBaseline('low', { rootDir: testDir, privacy: false });
+  });
+
+  after(async () => {
+    await cleanupTestDir();
+  });
+
+  /**
+   * Copy of the assessment with some gaps remediated, assessed at a later time
+   */
+  function laterAssessment(remediated, generatedAt) {
+    return {
+      ...assessment,
+      generated_at: generatedAt,
+      controls: assessment.controls.map(c => (remediated.includes(c.id)
+        ? { ...c, status: CONTROL_STATUS.SATISFIED, checks: c.checks.map(check => ({ ...check, passed: true })) }
+        : c)),
+    };
+  }
+
+  test('should create one open item per gap with owner, milestones and completion date', () => {
+    const poam = buildPoam(assessment, {
+      system: 'payments-api',
+      config: { owner: 'Security Team', owners: { AC: 'IAM Team', 'IR-1': 'Incident Manager' } },
+    });
+    const gaps = assessment.controls.filter(c => c.status === CONTROL_STATUS.GAP || c.status === CONTROL_STATUS.PARTIAL);
+
+    assert.doesNotThrow(() => validatePoam(poam));
+    assert.strictEqual(poam.items.length, gaps.length);
+    assert.strictEqual(poam.summary.open, gaps.length);
+    assert.strictEqual(poam.items[0].id, 'POAM-0001');
+
+    for (const item of poam.items) {
+      const control = gaps.find(c => c.id === item.control_id);
+      const owner = item.control_id === 'IR-1' ? 'Incident Manager' : item.control_id.startsWith('AC-') ? 'IAM Team' : 'Security Team';
+      const days = REMEDIATION_DAYS[control.criticality];
+      const due = new Date(item.detected_at);
+      due.setUTCDate(due.getUTCDate() + days);
+
+      assert.strictEqual(item.status, POAM_STATUS.OPEN);
+      assert.strictEqual(item.owner, owner);
+      assert.strictEqual(item.asset, 'payments-api');
+      assert.strictEqual(item.scheduled_completion, due.toISOString().slice(0, 10));
+      assert.strictEqual(item.milestones.length, 3);
+      assert.strictEqual(item.milestones[2].due, item.scheduled_completion);
+      assert.ok(item.weakness_description.length > 0);
+    }
+  });
+
+  test('should carry items over, delay overdue ones and complete remediated ones', () => {
+    const first = buildPoam(assessment);
+    const [remediated, ...remaining] = first.items;
+
+    const later = new Date(assessment.generated_at);
+    later.setUTCDate(later.getUTCDate() + 365);
+    const second = buildPoam(laterAssessment([remediated.control_id], later.toISOString()), { previous: first });
+
+    const completed = second.items.find(i => i.control_id === remediated.control_id);
+    assert.strictEqual(completed.id, remediated.id);
+    assert.strictEqual(completed.status, POAM_STATUS.COMPLETED);
+    assert.strictEqual(second.summary.completed, 1);
+
+    for (const item of remaining) {
+      const carried = second.items.find(i => i.control_id === item.control_id);
+      assert.strictEqual(carried.id, item.id);
+      assert.strictEqual(carried.detected_at, item.detected_at);
+      assert.strictEqual(carried.status, POAM_STATUS.DELAYED);
+    }
+    assert.strictEqual(second.summary.delayed, remaining.length);
+  });
+
+  test('should not complete items of controls outside the assessed baseline', async () => {
+    const high = buildPoam(await assessNistBaseline('high', { rootDir: testDir, privacy: false }));
+    const lowControls = new Set(assessment.controls.map(c => c.id));
+    const highOnly = high.items.filter(i => !lowControls.has(i.control_id));
+    assert.ok(highOnly.length > 0);
+
+    const later = new Date(assessment.generated_at);
+    later.setUTCDate(later.getUTCDate() + 1);
+    const low = buildPoam(laterAssessment([], later.toISOString()), { previous: high });
+
+    assert.strictEqual(low.summary.completed, 0);
+    for (const item of highOnly) {
+      assert.deepStrictEqual(low.items.find(i => i.control_id === item.control_id), item);
+    }
+  });
+
+  test('should export open items in the FedRAMP column layout', () => {
+    const poam = buildPoam(assessment);
+    poam.items[0] = { ...poam.items[0], status: POAM_STATUS.COMPLETED };
+    const lines = buildPoamCsv(poam).split('\r\n');
+
+    assert.strictEqual(lines[0], FEDRAMP_POAM_COLUMNS.join(','));
+    assert.ok(!lines.some(line => line.startsWith(`${poam.items[0].id},`)), 'Completed items should not be listed');
+    assert.ok(lines.some(line => line.startsWith(`${poam.items[1].id},${poam.items[1].control_id},`)));
+    assert.match(lines.join('\n'), /"1: Agree the remediation approach/);
+  });
+
+  test('should update the POA&M written by a previous run', async () => {
+    const outputDir = path.join(testDir, 'compliance', 'nist');
+    const first = await writePoam(assessment, outputDir);
+    const second = await writePoam(laterAssessment([], new Date().toISOString()), outputDir);
+
+    assert.ok(await fs.pathExists(first.written[POAM_FILES.CSV]));
+    assert.deepStrictEqual(second.poam.items.map(i => i.id), first.poam.items.map(i => i.id));
+    assert.deepStrictEqual(await fs.readJson(first.written[POAM_FILES.JSON]), second.poam);
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * EAOS Observability Audit Unit Tests
+ *
+ * Tests for core/observability.js covering:
+ * - Signal detection
+ * - Instrumentation coverage measurement
+ * - Coverage findings in the observability phase
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+
+import { createAuditPipeline } from '../../core/audit.js';
+import { detectSignals, isTestFile } from '../../core/observability.js';
+
+// =============================================================================
+// Test Setup
+// =============================================================================
+
+let testDir;
+
+async function setupTestDir() {
+  testDir = path.join(os.tmpdir(), `eaos-observability-test-${Date.now()}`);
+  await fs.ensureDir(testDir);
+  return testDir;
+}
+
+async function cleanupTestDir() {
+  if (testDir) {
+    await fs.remove(testDir);
+  }
+}
+
+async function writeModule(relPath, body) {
+  const fullPath = path.join(testDir, relPath);
+  await fs.ensureDir(path.dirname(fullPath));
+  const padding = Array.from({ length: 30 }, (_, i) => `export const value${i} = ${i};`).join('\n');
+  await fs.writeFile(fullPath, `${body}\n${padding}\n`);
+}
+
+async function runObservability() {
+  const pipeline = createAuditPipeline({ rootDir: testDir });
+  return pipeline.run({ phases: ['observability'] });
+}
+
+// =============================================================================
+// Signal Detection Tests
+// =============================================================================
+
+describe('Signal Detection', () => {
+
+  test('should detect logging, metrics and tracing', () => {
+    assert.deepStrictEqual(detectSignals('logger.info("started");'), {
+      logging: true,
+      metrics: false,
+      tracing: false,
+    });
+    assert.strictEqual(detectSignals('auditsRun.inc({ type: "full" });').metrics, true);
+    assert.strictEqual(detectSignals('import { trace } from \'@opentelemetry/api\';').tracing, true);
+    assert.strictEqual(detectSignals('tracer.startActiveSpan("run", fn);').tracing, true);
+  });
+
+  test('should recognize test files', () => {
+    assert.ok(isTestFile('tests/core/audit.test.js'));
+    assert.ok(isTestFile('src/app.spec.ts'));
+    assert.ok(!isTestFile('src/testing.js'));
+  });
+
+});
+
+// =============================================================================
+// Analyzer Tests
+// =============================================================================
+
+describe('Instrumentation Coverage Analyzer', () => {
+
+  beforeEach(async () => {
+    await setupTestDir();
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('should measure coverage per signal', async () => {
+    await writeModule('src/a.js', 'logger.info("a");\ncounter.inc();');
+    await writeModule('src/b.js', 'console.error("b");');
+    await writeModule('src/c.js', '');
+    await writeModule('tests/a.test.js', '');
+
+    const results = await runObservability();
+    const { coverage, modules } = results.instrumentation;
+
+    assert.strictEqual(modules.length, 3);
+    assert.strictEqual(coverage.logging.instrumented, 2);
+    assert.strictEqual(coverage.metrics.instrumented, 1);
+    assert.strictEqual(coverage.tracing.ratio, 0);
+  });
+
+  test('should report signals below the minimum coverage', async () => {
+    await writeModule('src/a.js', 'logger.info("a");');
+    await writeModule('src/b.js', '');
+
+    const results = await runObservability();
+    const ruleIds = results.findings.map(f => f.ruleId);
+
+    assert.ok(!ruleIds.includes('logging-coverage'));
+    assert.ok(ruleIds.includes('metrics-coverage'));
+    assert.ok(ruleIds.includes('tracing-coverage'));
+  });
+
+  test('should honor configured minimum coverage', async () => {
+    await writeModule('src/a.js', '');
+    await fs.writeJson(path.join(testDir, '.eaos.config.json'), {
+      audit: { rules: { 'tracing-coverage': { minCoverage: 0 } } },
+    });
+
+    const results = await runObservability();
+
+    assert.ok(!results.findings.some(f => f.ruleId === 'tracing-coverage'));
+  });
+
+  test('should flag large modules without instrumentation', async () => {
+    const body = Array.from({ length: 120 }, (_, i) => `export const big${i} = ${i};`).join('\n');
+    await writeModule('src/big.js', body);
+
+    const results = await runObservability();
+    const finding = results.findings.find(f => f.ruleId === 'uninstrumented-module');
+
+    assert.strictEqual(finding.file, 'src/big.js');
+    assert.strictEqual(finding.severity, 'info');
+  });
+
+});
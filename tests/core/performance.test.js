@@ -0,0 +1,214 @@
+/**
+ * EAOS Performance Audit Unit Tests
+ *
+ * Tests for core/performance.js covering:
+ * - Benchmark file parsing
+ * - Baseline comparison
+ * - Regression findings and baseline updates
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+
+import { createAuditPipeline } from '../../core/audit.js';
+import {
+  DEFAULT_BASELINE_PATH,
+  DEFAULT_RESULTS_PATH,
+  compareBenchmarks,
+  parseBenchmarks,
+  updateBenchmarkBaseline,
+} from '../../core/performance.js';
+import { ValidationError } from '../../core/errors.js';
+
+// =============================================================================
+// Test Setup
+// =============================================================================
+
+let testDir;
+
+async function setupTestDir() {
+  testDir = path.join(os.tmpdir(), `eaos-performance-test-${Date.now()}`);
+  await fs.ensureDir(testDir);
+  return testDir;
+}
+
+async function cleanupTestDir() {
+  if (testDir) {
+    await fs.remove(testDir);
+  }
+}
+
+async function writeBenchmarks(relPath, benchmarks) {
+  const fullPath = path.join(testDir, relPath);
+  await fs.ensureDir(path.dirname(fullPath));
+  await fs.writeJson(fullPath, { benchmarks });
+}
+
+async function runPerformance() {
+  const pipeline = createAuditPipeline({ rootDir: testDir });
+  return pipeline.run({ phases: ['performance'] });
+}
+
+// =============================================================================
+// Comparison Tests
+// =============================================================================
+
+describe('Benchmark Comparison', () => {
+
+  test('should reject malformed benchmark files', () => {
+    assert.throws(() => parseBenchmarks({}), ValidationError);
+    assert.throws(() => parseBenchmarks({ benchmarks: [{ name: 'a', value: 'fast' }] }), ValidationError);
+    assert.throws(() => parseBenchmarks({ benchmarks: [{ name: 'a', value: 1, direction: 'up' }] }), ValidationError);
+  });
+
+  test('should classify changes against the baseline', () => {
+    const baseline = parseBenchmarks({
+      benchmarks: [
+        { name: 'startup', value: 100, unit: 'ms' },
+        { name: 'throughput', value: 1000, direction: 'higher' },
+        { name: 'render', value: 50 },
+        { name: 'removed', value: 10 },
+      ],
+    });
+    const results = parseBenchmarks({
+      benchmarks: [
+        { name: 'startup', value: 130, unit: 'ms' },
+        { name: 'throughput', value: 800, direction: 'higher' },
+        { name: 'render', value: 40 },
+        { name: 'added', value: 5 },
+      ],
+    });
+
+    const byName = Object.fromEntries(
+      compareBenchmarks(results, baseline, { threshold: 0.1 }).map(c => [c.name, c])
+    );
+
+    assert.strictEqual(byName.startup.status, 'regressed');
+    assert.ok(Math.abs(byName.startup.change - 0.3) < 1e-9);
+    assert.strictEqual(byName.throughput.status, 'regressed');
+    assert.strictEqual(byName.render.status, 'improved');
+    assert.strictEqual(byName.added.status, 'new');
+    assert.strictEqual(byName.removed.status, 'missing');
+  });
+
+  test('should compare absolute deltas against a zero baseline', () => {
+    const baseline = parseBenchmarks({
+      benchmarks: [
+        { name: 'errors', value: 0 },
+        { name: 'hits', value: 0, direction: 'higher' },
+        { name: 'steady', value: 0 },
+      ],
+    });
+    const results = parseBenchmarks({
+      benchmarks: [
+        { name: 'errors', value: 2 },
+        { name: 'hits', value: 5, direction: 'higher' },
+        { name: 'steady', value: 0 },
+      ],
+    });
+
+    const byName = Object.fromEntries(compareBenchmarks(results, baseline).map(c => [c.name, c]));
+
+    assert.strictEqual(byName.errors.status, 'regressed');
+    assert.strictEqual(byName.errors.change, null);
+    assert.strictEqual(byName.hits.status, 'improved');
+    assert.strictEqual(byName.steady.status, 'unchanged');
+  });
+
+});
+
+// =============================================================================
+// Analyzer Tests
+// =============================================================================
+
+describe('Benchmark Regression Analyzer', () => {
+
+  beforeEach(async () => {
+    await setupTestDir();
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('should report regressions beyond the threshold', async () => {
+    await writeBenchmarks(DEFAULT_BASELINE_PATH, [{ name: 'startup', value: 100 }, { name: 'build', value: 100 }]);
+    await writeBenchmarks(DEFAULT_RESULTS_PATH, [{ name: 'startup', value: 200 }, { name: 'build', value: 105 }]);
+
+    const results = await runPerformance();
+    const regressions = results.findings.filter(f => f.ruleId === 'performance-regression');
+
+    assert.strictEqual(regressions.length, 1);
+    assert.strictEqual(regressions[0].severity, 'high');
+    assert.strictEqual(regressions[0].metadata.benchmark, 'startup');
+    assert.strictEqual(results.benchmarks.comparisons.length, 2);
+  });
+
+  test('should report regressions from zero and benchmarks missing from the results', async () => {
+    await writeBenchmarks(DEFAULT_BASELINE_PATH, [{ name: 'errors', value: 0 }, { name: 'removed', value: 10 }]);
+    await writeBenchmarks(DEFAULT_RESULTS_PATH, [{ name: 'errors', value: 3 }]);
+
+    const results = await runPerformance();
+    const regression = results.findings.find(f => f.ruleId === 'performance-regression');
+    const missing = results.findings.find(f => f.ruleId === 'missing-benchmark');
+
+    assert.strictEqual(regression.severity, 'high');
+    assert.match(regression.message, /errors regressed from a zero baseline \(0 -> 3\)/);
+    assert.strictEqual(missing.severity, 'info');
+    assert.strictEqual(missing.metadata.benchmark, 'removed');
+  });
+
+  test('should read benchmark paths and threshold from config', async () => {
+    await writeBenchmarks('perf/base.json', [{ name: 'startup', value: 100 }]);
+    await writeBenchmarks('perf/current.json', [{ name: 'startup', value: 105 }]);
+    await fs.writeJson(path.join(testDir, '.eaos.config.json'), {
+      audit: {
+        benchmarks: { results: 'perf/current.json', baseline: 'perf/base.json' },
+        rules: { 'performance-regression': { threshold: 0.01 } },
+      },
+    });
+
+    const results = await runPerformance();
+    const regression = results.findings.find(f => f.ruleId === 'performance-regression');
+
+    assert.strictEqual(regression.severity, 'medium');
+    assert.strictEqual(regression.file, 'perf/current.json');
+  });
+
+  test('should note a missing baseline', async () => {
+    await writeBenchmarks(DEFAULT_RESULTS_PATH, [{ name: 'startup', value: 100 }]);
+
+    const results = await runPerformance();
+
+    assert.ok(results.findings.some(f => f.ruleId === 'missing-benchmark-baseline'));
+    assert.strictEqual(results.benchmarks.comparisons[0].status, 'new');
+  });
+
+  test('should report invalid benchmark files', async () => {
+    await fs.ensureDir(path.join(testDir, 'audit/benchmarks'));
+    await fs.writeFile(path.join(testDir, DEFAULT_RESULTS_PATH), '{ not json');
+
+    const results = await runPerformance();
+
+    assert.strictEqual(results.findings[0].ruleId, 'invalid-benchmark-data');
+  });
+
+  test('should promote results to the baseline', async () => {
+    await writeBenchmarks(DEFAULT_RESULTS_PATH, [{ name: 'startup', value: 100 }]);
+
+    const written = await updateBenchmarkBaseline(testDir);
+    const baseline = await fs.readJson(path.join(testDir, DEFAULT_BASELINE_PATH));
+
+    assert.strictEqual(written.count, 1);
+    assert.strictEqual(baseline.benchmarks[0].name, 'startup');
+    assert.strictEqual(baseline.source, DEFAULT_RESULTS_PATH);
+  });
+
+  test('should refuse to update the baseline without results', async () => {
+    await assert.rejects(() => updateBenchmarkBaseline(testDir), ValidationError);
+  });
+
+});
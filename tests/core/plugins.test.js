@@ -5,6 +5,7 @@
  * - Plugin class
  * - PluginManager lifecycle
  * - Hook registration and execution
+ * - Task handlers
  * - Plugin discovery
  */
 
@@ -475,6 +476,57 @@ describe('Plugin Hooks', () => {
 
 });
 
+// =============================================================================
+// Task Handler Tests
+// =============================================================================
+
+describe('Plugin Task Handlers', () => {
+
+  beforeEach(async () => {
+    await setupTestDir();
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('should resolve task handlers by method name', async () => {
+    const pluginDir = await createTestPlugin('task-plugin', {
+      main: 'index.js',
+      tasks: { 'health-scan': 'scan' },
+    });
+    await fs.writeFile(
+      path.join(pluginDir, 'index.js'),
+      'export default { prefix: "custom", async scan(task) { return { message: `${this.prefix} ${task.id}` }; } };\n'
+    );
+
+    const manager = createPluginManager({ eventBus: createEventBus() });
+    await manager.initialize(testDir);
+    const plugin = await manager.load('task-plugin');
+
+    assert.deepStrictEqual(plugin.toJSON().tasks, ['health-scan']);
+    assert.strictEqual(manager.getTaskHandler('health-scan'), null, 'Loaded plugins should not handle tasks');
+
+    await manager.enable('task-plugin');
+    const { pluginId, handler } = manager.getTaskHandler('health-scan');
+
+    assert.strictEqual(pluginId, 'task-plugin');
+    assert.deepStrictEqual(await handler({ id: 'health-scan' }), { message: 'custom health-scan' });
+    assert.strictEqual(manager.getTaskHandler('security-sweep'), null);
+  });
+
+  test('should resolve task handlers given as functions', () => {
+    const manager = createPluginManager();
+    const handler = async () => ({ ok: true });
+    const plugin = new Plugin({ id: 'fn', name: 'Fn', version: '1.0.0', tasks: { 'custom-task': handler } }, '/path');
+    plugin.state = PLUGIN_STATES.ENABLED;
+    manager.plugins.set('fn', plugin);
+
+    assert.strictEqual(manager.getTaskHandler('custom-task').handler, handler);
+  });
+
+});
+
 // =============================================================================
 // Constants Tests
 // =============================================================================
@@ -0,0 +1,279 @@
+/**
+ * EAOS Quality Unit Tests
+ *
+ * Tests for core/quality.js covering:
+ * - Cyclomatic complexity per function
+ * - Duplicate code detection
+ * - Unused export detection
+ * - Code quality analyzer findings
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+
+import { createAuditPipeline } from '../../core/audit.js';
+import {
+  extractExports,
+  extractImportedNames,
+  findDuplicates,
+  findUnusedExports,
+  measureComplexity,
+} from '../../core/quality.js';
+import { tokenize } from '../../core/tokenizer.js';
+
+// =============================================================================
+// Test Setup
+// =============================================================================
+
+let testDir;
+
+async function setupTestDir() {
+  testDir = path.join(os.tmpdir(), `eaos-quality-test-${Date.now()}`);
+  await fs.ensureDir(testDir);
+  return testDir;
+}
+
+async function cleanupTestDir() {
+  if (testDir) {
+    await fs.remove(testDir);
+  }
+}
+
+async function writeFile(relPath, content) {
+  await fs.outputFile(path.join(testDir, relPath), content);
+}
+
+/**
+ * Source of a function with `branches` if statements
+ */
+function branchyFunction(name, branches) {
+  const lines = [`function ${name}(value) {`];
+  for (let i = 0; i < branches; i++) {
+    lines.push(`  if (value === ${i}) return 'v${i}';`);
+  }
+  lines.push('  return null;', '}');
+  return lines.join('\n');
+}
+
+/**
+ * A block long enough to be reported as duplicated
+ */
+const COPIED_BLOCK = [
+  'function summarize(items, options) {',
+  '  const totals = { count: 0, sum: 0 };',
+  '  for (const item of items) {',
+  '    if (item.skip) continue;',
+  '    totals.count += 1;',
+  '    totals.sum += item.value * options.scale;',
+  '  }',
+  '  const average = totals.count > 0 ? totals.sum / totals.count : 0;',
+  '  return { ...totals, average, label: options.label };',
+  '}',
+].join('\n');
+
+// =============================================================================
+// Complexity
+// =============================================================================
+
+describe('measureComplexity', () => {
+  test('should count decision points per function', () => {
+    const functions = measureComplexity(tokenize([
+      'function plain() { return 1; }',
+      'function branches(a, b) {',
+      '  if (a && b) return 1;',
+      '  for (const x of a) { if (x) continue; }',
+      '  return a ?? b ? 2 : 3;',
+      '}',
+    ].join('\n')));
+
+    assert.deepStrictEqual(functions.map(f => [f.name, f.complexity]), [['plain', 1], ['branches', 7]]);
+    assert.strictEqual(functions[1].line, 2);
+    assert.strictEqual(functions[1].endLine, 6);
+  });
+
+  test('should attribute nested functions separately', () => {
+    const functions = measureComplexity(tokenize([
+      'const outer = (items) => {',
+      '  return items.map(function (item) { return item ? 1 : 0; });',
+      '};',
+    ].join('\n')));
+
+    assert.deepStrictEqual(functions.map(f => [f.name, f.complexity]), [['outer', 1], ['<anonymous>', 2]]);
+  });
+
+  test('should recognize methods and TypeScript return types', () => {
+    const functions = measureComplexity(tokenize([
+      'class Store {',
+      '  get(key): string | null {',
+      '    if (key) return key;',
+      '    return null;',
+      '  }',
+      '}',
+      'const handlers = { save: async (x) => { while (x) x--; } };',
+    ].join('\n')));
+
+    assert.deepStrictEqual(functions.map(f => [f.name, f.complexity]), [['get', 2], ['save', 2]]);
+  });
+
+  test('should not treat control statements as functions', () => {
+    const functions = measureComplexity(tokenize('if (a) { b(); }\nswitch (c) { case 1: break; }\n'));
+
+    assert.deepStrictEqual(functions, []);
+  });
+});
+
+// =============================================================================
+// Duplication
+// =============================================================================
+
+describe('findDuplicates', () => {
+  test('should find blocks copied with renamed identifiers', () => {
+    const renamed = COPIED_BLOCK.replace(/totals/g, 'acc').replace(/items/g, 'rows');
+    const clones = findDuplicates([
+      { file: 'a.js', tokens: tokenize(COPIED_BLOCK) },
+      { file: 'b.js', tokens: tokenize(`const x = 1;\n\n${renamed}`) },
+    ], { minTokens: 40, minLines: 5 });
+
+    assert.strictEqual(clones.length, 1);
+    assert.strictEqual(clones[0].file, 'b.js');
+    assert.strictEqual(clones[0].line, 3);
+    assert.strictEqual(clones[0].endLine, 12);
+    assert.deepStrictEqual(clones[0].source, { file: 'a.js', line: 1, endLine: 10 });
+  });
+
+  test('should ignore blocks below the minimum size', () => {
+    const clones = findDuplicates([
+      { file: 'a.js', tokens: tokenize('const a = f(1, 2);') },
+      { file: 'b.js', tokens: tokenize('const a = f(1, 2);') },
+    ], { minTokens: 40, minLines: 5 });
+
+    assert.deepStrictEqual(clones, []);
+  });
+
+  test('should report repeated copies once', () => {
+    const clones = findDuplicates([
+      { file: 'a.js', tokens: tokenize(`${COPIED_BLOCK}\n${COPIED_BLOCK}\n${COPIED_BLOCK}`) },
+    ], { minTokens: 40, minLines: 5 });
+
+    assert.deepStrictEqual(clones.map(c => [c.line, c.source.line]), [[11, 1], [21, 1]]);
+  });
+});
+
+// =============================================================================
+// Unused Exports
+// =============================================================================
+
+describe('extractExports', () => {
+  test('should list declared, listed and default exports', () => {
+    const exports = extractExports(tokenize([
+      'export function a() {}',
+      'export async function b() {}',
+      'export const c = 1;',
+      'export class D {}',
+      'export { e, f as g };',
+      'export default { a };',
+      'export interface Shape {}',
+    ].join('\n')));
+
+    assert.deepStrictEqual(exports.map(e => e.name), ['a', 'b', 'c', 'D', 'e', 'g', 'default', 'Shape']);
+  });
+});
+
+describe('extractImportedNames', () => {
+  test('should list imported names per specifier', () => {
+    const imports = extractImportedNames(tokenize([
+      'import def, { a, b as c } from \'./x.js\';',
+      'import * as ns from \'./y.js\';',
+      'export { d } from \'./z.js\';',
+      'const lazy = await import(\'./w.js\');',
+      'import \'./side.js\';',
+    ].join('\n')));
+
+    assert.deepStrictEqual(imports, [
+      { specifier: './x.js', names: ['default', 'a', 'b'] },
+      { specifier: './y.js', names: ['*'] },
+      { specifier: './z.js', names: ['d'] },
+      { specifier: './w.js', names: ['*'] },
+      { specifier: './side.js', names: [] },
+    ]);
+  });
+});
+
+describe('findUnusedExports', () => {
+  const modules = [
+    { file: 'src/main.js', tokens: tokenize('import { used } from \'./lib.js\';\nimport * as all from \'./all.js\';\n') },
+    { file: 'src/lib.js', tokens: tokenize('export const used = 1;\nexport const unused = 2;\nexport default {};\n') },
+    { file: 'src/all.js', tokens: tokenize('export const ignored = 1;\n') },
+    { file: 'src/index.js', tokens: tokenize('export const api = 1;\n') },
+  ];
+
+  test('should report exports of imported modules that nothing uses', () => {
+    const unused = findUnusedExports(modules);
+
+    assert.deepStrictEqual(unused, [{ file: 'src/lib.js', name: 'unused', line: 2 }]);
+  });
+
+  test('should honour ignored names and entry points', () => {
+    assert.deepStrictEqual(findUnusedExports(modules, { ignore: ['unused', 'default'] }), []);
+    assert.deepStrictEqual(findUnusedExports(modules, { entries: new Set(['src/lib.js']) }), []);
+  });
+});
+
+// =============================================================================
+// Analyzer
+// =============================================================================
+
+describe('Quality metrics analyzer', () => {
+  beforeEach(async () => {
+    await setupTestDir();
+    await writeFile('src/branches.js', `export ${branchyFunction('classify', 12)}\nexport const unusedHelper = 1;\n`);
+    await writeFile('src/main.js', `import { classify } from './branches.js';\n${COPIED_BLOCK}\nclassify(1);\n`);
+    await writeFile('src/copy.js', `${COPIED_BLOCK}\n`);
+    await writeFile('tests/main.test.js', `${COPIED_BLOCK}\n${branchyFunction('fixture', 12)}\n`);
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('should emit complexity, duplication and unused export findings', async () => {
+    const pipeline = createAuditPipeline({
+      rootDir: testDir,
+      config: { rules: { 'duplicate-code': { minTokens: 40, minLines: 5 } } },
+    });
+    const results = await pipeline.run({ phases: ['code-quality'] });
+    const byRule = ruleId => results.findings.filter(f => f.ruleId === ruleId);
+
+    assert.strictEqual(byRule('high-complexity').length, 1);
+    assert.strictEqual(byRule('high-complexity')[0].file, 'src/branches.js');
+    assert.strictEqual(byRule('high-complexity')[0].metadata.complexity, 13);
+
+    const copies = byRule('duplicate-code').filter(f => f.metadata.source.file === 'src/copy.js');
+    assert.strictEqual(copies.length, 1);
+    assert.strictEqual(copies[0].file, 'src/main.js');
+    assert.ok(byRule('duplicate-code').every(f => !f.file.startsWith('tests/')));
+
+    assert.strictEqual(byRule('unused-export').length, 1);
+    assert.match(byRule('unused-export')[0].message, /unusedHelper/);
+
+    assert.strictEqual(results.quality.modules, 3);
+    assert.strictEqual(results.quality.complexity.over_limit, 1);
+    assert.strictEqual(results.quality.duplication.clones, byRule('duplicate-code').length);
+    assert.strictEqual(results.quality.unused_exports, 1);
+  });
+
+  test('should read the complexity limit from rule options', async () => {
+    const pipeline = createAuditPipeline({
+      rootDir: testDir,
+      config: { rules: { 'high-complexity': { maxComplexity: 5 } } },
+    });
+    const results = await pipeline.run({ phases: ['code-quality'] });
+    const [finding] = results.findings.filter(f => f.ruleId === 'high-complexity');
+
+    assert.strictEqual(finding.severity, 'high');
+    assert.match(finding.message, /classify has cyclomatic complexity 13 \(limit 5\)/);
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * EAOS Audit Reports Unit Tests
+ *
+ * Tests for core/reports.js covering:
+ * - Findings, risk register and remediation plan builders
+ * - Schema validation of artifacts
+ * - JSON and SARIF report exports
+ * - Writing the full artifact set
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+
+import { createAuditPipeline } from '../../core/audit.js';
+import {
+  ARTIFACTS,
+  REPORT_FORMATS,
+  buildFindings,
+  buildRiskRegister,
+  buildRemediationPlan,
+  buildSarifReport,
+  parseReportFormats,
+  validateArtifact,
+  writeAuditArtifacts,
+} from '../../core/reports.js';
+import { ValidationError } from '../../core/errors.js';
+
+// =============================================================================
+// Test Setup
+// =============================================================================
+
+let testDir;
+
+async function setupTestDir() {
+  testDir = path.join(os.tmpdir(), `eaos-reports-test-${Date.now()}`);
+  await fs.ensureDir(testDir);
+  return testDir;
+}
+
+async function cleanupTestDir() {
+  if (testDir) {
+    await fs.remove(testDir);
+  }
+}
+
+async function writeFile(relPath, content) {
+  const fullPath = path.join(testDir, relPath);
+  await fs.ensureDir(path.dirname(fullPath));
+  await fs.writeFile(fullPath, content);
+}
+
+async function runAudit() {
+  const pipeline = createAuditPipeline({ rootDir: testDir });
+  return pipeline.run({ type: 'full' });
+}
+
+// =============================================================================
+// Builder Tests
+// =============================================================================
+
+describe('Audit Report Builders', () => {
+
+  beforeEach(async () => {
+    await setupTestDir();
+    await writeFile('src/a.js', 'debugger;\neval(input);\n');
+    await writeFile('src/b.js', 'debugger;\n');
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('should assign sequential finding ids', async () => {
+    const findings = buildFindings(await runAudit());
+
+    assert.strictEqual(findings.findings[0].id, 'F-0001');
+    assert.strictEqual(findings.summary.total, findings.findings.length);
+    assert.doesNotThrow(() => validateArtifact(ARTIFACTS.FINDINGS, findings));
+  });
+
+  test('should group findings into risks by rule', async () => {
+    const findings = buildFindings(await runAudit());
+    const register = buildRiskRegister(findings);
+    const debuggerRisk = register.risks.find(r => r.rule_id === 'debugger-statement');
+
+    assert.strictEqual(debuggerRisk.occurrences, 2);
+    assert.deepStrictEqual(debuggerRisk.affected_files, ['src/a.js', 'src/b.js']);
+    assert.strictEqual(debuggerRisk.score, debuggerRisk.likelihood * debuggerRisk.impact);
+    assert.strictEqual(register.risks[0].rule_id, 'dynamic-code-execution');
+    assert.strictEqual(register.risks[0].owner, 'cio_agent');
+  });
+
+  test('should prioritize remediation by severity', async () => {
+    const findings = buildFindings(await runAudit());
+    const register = buildRiskRegister(findings);
+    const plan = buildRemediationPlan(findings, register);
+
+    assert.strictEqual(plan.items.length, register.risks.length);
+    assert.strictEqual(plan.items[0].priority, 'P1');
+    assert.strictEqual(plan.items[0].risk_id, register.risks[0].id);
+    assert.ok(plan.items.every(item => item.actions.length > 0));
+  });
+
+  test('should reject artifacts that do not match their schema', () => {
+    assert.throws(
+      () => validateArtifact(ARTIFACTS.FINDINGS, { version: '1.0.0', findings: [] }),
+      ValidationError
+    );
+  });
+
+});
+
+// =============================================================================
+// Report Format Tests
+// =============================================================================
+
+describe('Report Formats', () => {
+
+  beforeEach(async () => {
+    await setupTestDir();
+    await writeFile('src/a.js', 'eval(input);\n// TODO: tidy\n');
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('should parse output formats', () => {
+    assert.deepStrictEqual(parseReportFormats('md'), ['md']);
+    assert.deepStrictEqual(parseReportFormats('sarif'), ['md', 'sarif']);
+    assert.deepStrictEqual(parseReportFormats('json, SARIF,json'), ['md', 'json', 'sarif']);
+    assert.throws(() => parseReportFormats('xml'), ValidationError);
+  });
+
+  test('should build a SARIF 2.1.0 log', async () => {
+    const results = await runAudit();
+    const sarif = buildSarifReport(buildFindings(results), results);
+    const run = sarif.runs[0];
+    const evalResult = run.results.find(r => r.ruleId === 'dynamic-code-execution');
+    const evalRule = run.tool.driver.rules[evalResult.ruleIndex];
+
+    assert.strictEqual(sarif.version, '2.1.0');
+    assert.strictEqual(evalResult.level, 'error');
+    assert.deepStrictEqual(evalResult.locations[0].physicalLocation.artifactLocation, {
+      uri: 'src/a.js',
+      uriBaseId: '%SRCROOT%',
+    });
+    assert.strictEqual(evalResult.locations[0].physicalLocation.region.startLine, 1);
+    assert.strictEqual(evalRule.id, 'dynamic-code-execution');
+    assert.ok(evalRule.properties['security-severity']);
+    assert.strictEqual(run.results.find(r => r.ruleId === 'todo-comment').level, 'note');
+  });
+
+  test('should omit locations for repository-level findings', async () => {
+    const results = await runAudit();
+    const sarif = buildSarifReport(buildFindings(results), results);
+    const license = sarif.runs[0].results.find(r => r.ruleId === 'missing-license');
+
+    assert.strictEqual(license.locations, undefined);
+  });
+
+  test('should write the requested report formats', async () => {
+    const outputDir = path.join(testDir, 'audit');
+
+    const written = await writeAuditArtifacts(await runAudit(), outputDir, { formats: ['json', 'sarif'] });
+
+    const report = await fs.readJson(written[REPORT_FORMATS.json]);
+    assert.strictEqual(report.phases.length, 7);
+    assert.strictEqual(report.findings.length, report.summary.total_findings);
+    assert.ok(await fs.pathExists(path.join(outputDir, REPORT_FORMATS.sarif)));
+    assert.ok(await fs.pathExists(path.join(outputDir, REPORT_FORMATS.md)));
+  });
+
+});
+
+// =============================================================================
+// Writer Tests
+// =============================================================================
+
+describe('writeAuditArtifacts', () => {
+
+  beforeEach(async () => {
+    await setupTestDir();
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('should write all artifacts', async () => {
+    await writeFile('core/app.js', '// TODO: tidy\n');
+    const outputDir = path.join(testDir, 'audit');
+
+    const written = await writeAuditArtifacts(await runAudit(), outputDir);
+
+    for (const artifact of Object.values(ARTIFACTS)) {
+      assert.ok(await fs.pathExists(path.join(outputDir, artifact)), `${artifact} should exist`);
+      assert.strictEqual(written[artifact], path.join(outputDir, artifact));
+    }
+
+    const graph = await fs.readJson(path.join(outputDir, ARTIFACTS.ARCHITECTURE_GRAPH));
+    assert.ok(graph.nodes.some(n => n.id === 'core/app.js'));
+    assert.ok(graph.components.nodes.some(n => n.id === 'core'));
+
+    const report = await fs.readFile(path.join(outputDir, ARTIFACTS.REPORT), 'utf-8');
+    assert.ok(report.includes('# EAOS Audit Report'));
+    assert.ok(report.includes('todo-comment'));
+    assert.ok(report.includes('## Code Quality'));
+  });
+
+  test('should write artifacts for a clean repository', async () => {
+    const outputDir = path.join(testDir, 'audit');
+
+    await writeAuditArtifacts(await runAudit(), outputDir);
+
+    const plan = await fs.readJson(path.join(outputDir, ARTIFACTS.REMEDIATION_PLAN));
+    assert.ok(Array.isArray(plan.items));
+  });
+
+});
@@ -0,0 +1,298 @@
+/**
+ * EAOS Secret Scanner Unit Tests
+ *
+ * Tests for core/secrets.js covering:
+ * - Provider, keyword and entropy detection
+ * - Allowlists and baselines
+ * - Git history scanning and introducing commits
+ *
+ * Fixture secrets are assembled at runtime so this file does not trip the
+ * scanner itself.
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import { execFileSync } from 'child_process';
+
+import { createAuditPipeline } from '../../core/audit.js';
+import {
+  createSecretScanner,
+  redactSecret,
+  shannonEntropy,
+  writeSecretsBaseline,
+} from '../../core/secrets.js';
+
+// =============================================================================
+// Test Setup
+// =============================================================================
+
+const AWS_KEY = ['AKIA', 'Q7WXRT', '2KLMNP', '5ZAB'].join('');
+const RANDOM_TOKEN = ['q8Zr2LmX', 'v9Tp4WcN', 'e7Yb1KsD', 'u3Hg6Jf0'].join('');
+const PASSWORD_LINE = ['pass', 'word = "', 'n0t-a-real', '-passw0rd"'].join('');
+
+let testDir;
+
+async function setupTestDir() {
+  testDir = path.join(os.tmpdir(), `eaos-secrets-test-${Date.now()}`);
+  await fs.ensureDir(testDir);
+  return testDir;
+}
+
+async function cleanupTestDir() {
+  if (testDir) {
+    await fs.remove(testDir);
+  }
+}
+
+async function writeFile(relPath, content) {
+  const fullPath = path.join(testDir, relPath);
+  await fs.ensureDir(path.dirname(fullPath));
+  await fs.writeFile(fullPath, content);
+}
+
+function git(...args) {
+  return execFileSync('git', ['-c', 'user.name=Test Author', '-c', 'user.email=test@example.com', ...args], {
+    cwd: testDir,
+    encoding: 'utf-8',
+  });
+}
+
+function commitAll(message) {
+  git('add', '-A');
+  git('commit', '-q', '-m', message);
+  return git('rev-parse', 'HEAD').trim();
+}
+
+async function runSecurity(config = {}) {
+  const pipeline = createAuditPipeline({ rootDir: testDir, config });
+  return pipeline.run({ phases: ['security'] });
+}
+
+function secretFindings(results) {
+  return results.findings.filter(f => f.ruleId === 'hardcoded-secret');
+}
+
+// =============================================================================
+// Detection Tests
+// =============================================================================
+
+describe('Secret Detection', () => {
+
+  test('should compute Shannon entropy', () => {
+    assert.strictEqual(shannonEntropy('aaaa'), 0);
+    assert.strictEqual(shannonEntropy('abcd'), 2);
+    assert.ok(shannonEntropy(RANDOM_TOKEN) > 4.2);
+  });
+
+  test('should redact secret values', () => {
+    const redacted = redactSecret(AWS_KEY);
+
+    assert.ok(!redacted.includes(AWS_KEY.slice(4)));
+    assert.ok(redacted.startsWith('AKIA'));
+  });
+
+  test('should detect provider tokens, keywords and high-entropy strings', () => {
+    const scanner = createSecretScanner({ rootDir: os.tmpdir() });
+
+    assert.strictEqual(scanner.scanLine(`const id = '${AWS_KEY}';`)[0].detector.id, 'aws-access-key-id');
+    assert.strictEqual(scanner.scanLine(PASSWORD_LINE)[0].detector.id, 'hardcoded-credential');
+    assert.strictEqual(scanner.scanLine(`const t = "${RANDOM_TOKEN}";`)[0].detector.id, 'high-entropy-string');
+  });
+
+  test('should ignore placeholders and low-entropy strings', () => {
+    const scanner = createSecretScanner({ rootDir: os.tmpdir() });
+
+    assert.deepStrictEqual(scanner.scanLine('password = "changeme"'), []);
+    assert.deepStrictEqual(scanner.scanLine('token: "${API_TOKEN}"'), []);
+    assert.deepStrictEqual(scanner.scanLine('const name = "averyveryverylongidentifiername";'), []);
+  });
+
+  test('should honor the inline allow pragma', () => {
+    const scanner = createSecretScanner({ rootDir: os.tmpdir() });
+
+    assert.deepStrictEqual(scanner.scanLine(`const id = '${AWS_KEY}'; // eaos-allow-secret`), []);
+  });
+
+  test('should use keyword patterns from .prompt-lint.json', async () => {
+    await setupTestDir();
+    await fs.writeJson(path.join(testDir, '.prompt-lint.json'), {
+      rules: { 'no-hardcoded-secrets': { patterns: ['client_secret\\s*=\\s*"[^"]+"'] } },
+    });
+
+    const scanner = createSecretScanner({ rootDir: testDir });
+    const value = ['abcd', 'efgh', '12'].join('');
+    const hits = scanner.scanLine(`client_secret = "${value}"`);
+
+    assert.strictEqual(hits[0].value, value);
+    assert.deepStrictEqual(scanner.scanLine(PASSWORD_LINE), []);
+    await cleanupTestDir();
+  });
+
+});
+
+// =============================================================================
+// Working Tree Tests
+// =============================================================================
+
+describe('Secret Scanner Analyzer', () => {
+
+  beforeEach(async () => {
+    await setupTestDir();
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('should report secrets with redacted values', async () => {
+    await writeFile('src/config.js', `export const key = '${AWS_KEY}';\n`);
+
+    const results = await runSecurity();
+    const [finding] = secretFindings(results);
+
+    assert.strictEqual(finding.file, 'src/config.js');
+    assert.strictEqual(finding.line, 1);
+    assert.strictEqual(finding.severity, 'critical');
+    assert.ok(!JSON.stringify(results).includes(AWS_KEY), 'raw secret must not appear in results');
+    assert.strictEqual(results.secrets.summary.history_scanned, false);
+    assert.strictEqual(results.secrets.summary.history_error, null);
+    assert.ok(!results.findings.some(f => f.ruleId === 'secret-history-not-scanned'));
+  });
+
+  test('should skip allowlisted paths and fingerprints', async () => {
+    await writeFile('fixtures/keys.js', `export const key = '${AWS_KEY}';\n`);
+    await writeFile('src/app.js', `${PASSWORD_LINE}\n`);
+
+    const first = await runSecurity({ secrets: { allowlist: { paths: ['fixtures/'] } } });
+    const [remaining] = secretFindings(first);
+    assert.strictEqual(remaining.file, 'src/app.js');
+
+    const second = await runSecurity({
+      secrets: { allowlist: { paths: ['fixtures/'], fingerprints: [remaining.fingerprint] } },
+    });
+    assert.strictEqual(secretFindings(second).length, 0);
+    assert.strictEqual(second.secrets.summary.allowlisted, 1);
+  });
+
+  test('should suppress baselined secrets', async () => {
+    await writeFile('src/config.js', `export const key = '${AWS_KEY}';\n`);
+    const first = await runSecurity();
+
+    await writeSecretsBaseline(testDir, first.secrets.secrets);
+    await writeFile('src/other.js', `${PASSWORD_LINE}\n`);
+    const second = await runSecurity();
+
+    assert.deepStrictEqual(secretFindings(second).map(f => f.file), ['src/other.js']);
+    assert.strictEqual(second.secrets.summary.baselined, 1);
+  });
+
+  test('should keep fingerprints stable when lines move', async () => {
+    await writeFile('src/config.js', `export const key = '${AWS_KEY}';\n`);
+    const before = secretFindings(await runSecurity())[0];
+
+    await writeFile('src/config.js', `// header\n\nexport const key = '${AWS_KEY}';\n`);
+    const after = secretFindings(await runSecurity())[0];
+
+    assert.strictEqual(after.line, 3);
+    assert.strictEqual(after.fingerprint, before.fingerprint);
+  });
+
+});
+
+// =============================================================================
+// History Tests
+// =============================================================================
+
+describe('Secret History Scanning', () => {
+
+  beforeEach(async () => {
+    await setupTestDir();
+    git('init', '-q');
+  });
+
+  afterEach(async () => {
+    await cleanupTestDir();
+  });
+
+  test('should attribute secrets to the commit that introduced them', async () => {
+    await writeFile('README.md', '# Project\n');
+    commitAll('Initial commit');
+    await writeFile('src/config.js', `export const key = '${AWS_KEY}';\n`);
+    const introduced = commitAll('Add config');
+    await writeFile('src/config.js', `// config\nexport const key = '${AWS_KEY}';\n`);
+    commitAll('Document config');
+
+    const results = await runSecurity();
+    const [finding] = secretFindings(results);
+
+    assert.strictEqual(finding.metadata.commit.hash, introduced);
+    assert.strictEqual(finding.metadata.commit.author, 'Test Author');
+    assert.strictEqual(finding.metadata.source, 'working-tree');
+    assert.strictEqual(results.secrets.summary.commits_scanned, 3);
+  });
+
+  test('should report secrets removed from the working tree', async () => {
+    await writeFile('src/config.js', `export const key = '${AWS_KEY}';\n`);
+    commitAll('Add config');
+    await writeFile('src/config.js', 'export const key = process.env.KEY;\n');
+    commitAll('Remove key');
+
+    const [finding] = secretFindings(await runSecurity());
+
+    assert.strictEqual(finding.metadata.source, 'history');
+    assert.strictEqual(finding.file, 'src/config.js');
+    assert.strictEqual(finding.line, 1);
+  });
+
+  test('should skip history in ignored paths', async () => {
+    await writeFile('node_modules/pkg/index.js', `export const key = '${AWS_KEY}';\n`);
+    await writeFile('vendor/lib.js', `${PASSWORD_LINE}\n`);
+    commitAll('Add dependencies');
+    await fs.remove(path.join(testDir, 'node_modules'));
+    await fs.remove(path.join(testDir, 'vendor'));
+    commitAll('Remove dependencies');
+
+    const results = await runSecurity({ ignore: ['vendor/**'] });
+
+    assert.strictEqual(secretFindings(results).length, 0);
+    assert.strictEqual(results.secrets.summary.commits_scanned, 2);
+  });
+
+  test('should scan a repository without commits', async () => {
+    const results = await runSecurity();
+
+    assert.strictEqual(results.secrets.summary.history_scanned, true);
+    assert.strictEqual(results.secrets.summary.commits_scanned, 0);
+  });
+
+  test('should report history that could not be scanned', async () => {
+    await writeFile('src/config.js', 'export const key = process.env.KEY;\n');
+    commitAll('Add config');
+    // Drop the commit objects so `git log` fails
+    for (const dir of await fs.readdir(path.join(testDir, '.git', 'objects'))) {
+      if (/^[0-9a-f]{2}$/.test(dir)) await fs.remove(path.join(testDir, '.git', 'objects', dir));
+    }
+
+    const results = await runSecurity();
+    const finding = results.findings.find(f => f.ruleId === 'secret-history-not-scanned');
+
+    assert.strictEqual(results.secrets.summary.history_scanned, false);
+    assert.match(results.secrets.summary.history_error, /bad object/);
+    assert.strictEqual(finding.severity, 'low');
+  });
+
+  test('should skip history when disabled', async () => {
+    await writeFile('src/config.js', `export const key = '${AWS_KEY}';\n`);
+    commitAll('Add config');
+    await writeFile('src/config.js', '\n');
+
+    const results = await runSecurity({ secrets: { history: false } });
+
+    assert.strictEqual(secretFindings(results).length, 0);
+    assert.strictEqual(results.secrets.summary.history_scanned, false);
+  });
+
+});
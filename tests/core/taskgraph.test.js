@@ -0,0 +1,151 @@
+/**
+ * EAOS Task Graph Module Unit Tests
+ *
+ * Tests for core/taskgraph.js covering:
+ * - Graph validation and topological order
+ * - Parallel execution under a concurrency limit
+ * - Skipping dependents of tasks that did not complete
+ * - Execution timeline
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+
+import { DEFAULT_CONCURRENCY, buildTaskGraph, runTaskGraph } from '../../core/taskgraph.js';
+import { TASK_STATUS } from '../../core/tasks.js';
+import { ValidationError } from '../../core/errors.js';
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Runs each task for its `ms` and tracks how many ran at once
+function createRunner(statuses = {}) {
+  const runner = { active: 0, peak: 0, order: [] };
+  runner.run = async (task) => {
+    runner.active++;
+    runner.peak = Math.max(runner.peak, runner.active);
+    runner.order.push(task.id);
+    await delay(task.ms ?? 10);
+    runner.active--;
+    return { id: task.id, status: statuses[task.id] || TASK_STATUS.COMPLETED };
+  };
+  return runner;
+}
+
+// =============================================================================
+// Graph Tests
+// =============================================================================
+
+describe('buildTaskGraph', () => {
+
+  test('should order tasks after their dependencies and keep ties in definition order', () => {
+    const order = buildTaskGraph([
+      { id: 'report', dependsOn: ['scan', 'audit'] },
+      { id: 'scan' },
+      { id: 'audit', dependsOn: ['scan'] },
+      { id: 'lint' },
+    ]);
+
+    assert.deepStrictEqual(order.map(t => t.id), ['scan', 'audit', 'report', 'lint']);
+  });
+
+  test('should reject unknown dependencies, duplicates and cycles', () => {
+    assert.throws(() => buildTaskGraph([{ id: 'a', dependsOn: ['b'] }]), /depends on unknown task b/);
+    assert.throws(() => buildTaskGraph([{ id: 'a' }, { id: 'a' }]), /Duplicate task/);
+    assert.throws(() => buildTaskGraph([{ id: 'a', dependsOn: 'b' }, { id: 'b' }]), ValidationError);
+    assert.throws(
+      () => buildTaskGraph([{ id: 'a', dependsOn: ['c'] }, { id: 'b', dependsOn: ['a'] }, { id: 'c', dependsOn: ['b'] }, { id: 'd' }]),
+      /form a cycle: a, b, c/
+    );
+  });
+
+});
+
+// =============================================================================
+// Execution Tests
+// =============================================================================
+
+describe('runTaskGraph', () => {
+
+  test('should run independent tasks in parallel up to the concurrency limit', async () => {
+    const tasks = ['a', 'b', 'c', 'd', 'e'].map(id => ({ id, ms: 20 }));
+    const runner = createRunner();
+
+    const { results } = await runTaskGraph(tasks, runner.run, { concurrency: 2 });
+
+    assert.strictEqual(runner.peak, 2);
+    assert.deepStrictEqual(runner.order, ['a', 'b', 'c', 'd', 'e']);
+    assert.ok(results.every(r => r.status === TASK_STATUS.COMPLETED));
+    assert.strictEqual(DEFAULT_CONCURRENCY, 4);
+  });
+
+  test('should start dependents only after their dependencies complete', async () => {
+    const runner = createRunner();
+    const { timeline } = await runTaskGraph([
+      { id: 'report', dependsOn: ['slow', 'fast'] },
+      { id: 'slow', ms: 40 },
+      { id: 'fast', ms: 5 },
+    ], runner.run);
+
+    const entry = id => timeline.find(e => e.id === id);
+    assert.deepStrictEqual(runner.order, ['slow', 'fast', 'report']);
+    assert.ok(entry('report').start >= entry('slow').end);
+    assert.deepStrictEqual(entry('report').dependsOn, ['slow', 'fast']);
+  });
+
+  test('should skip dependents of failed tasks with the reason', async () => {
+    const runner = createRunner({ compile: TASK_STATUS.ERROR, docs: TASK_STATUS.NOT_IMPLEMENTED });
+
+    const { results } = await runTaskGraph([
+      { id: 'compile' },
+      { id: 'test', dependsOn: ['compile'] },
+      { id: 'release', dependsOn: ['test'] },
+      { id: 'docs' },
+      { id: 'publish-docs', dependsOn: ['docs'] },
+      { id: 'lint' },
+    ], runner.run);
+
+    assert.deepStrictEqual(results.map(r => r.status), [
+      TASK_STATUS.ERROR,
+      TASK_STATUS.SKIPPED,
+      TASK_STATUS.SKIPPED,
+      TASK_STATUS.NOT_IMPLEMENTED,
+      TASK_STATUS.SKIPPED,
+      TASK_STATUS.COMPLETED,
+    ]);
+    assert.strictEqual(results[1].reason, 'Dependency compile failed');
+    assert.strictEqual(results[2].reason, 'Dependency test was skipped');
+    assert.strictEqual(results[4].reason, 'Dependency docs is not implemented');
+    assert.deepStrictEqual(runner.order, ['compile', 'docs', 'lint']);
+  });
+
+  test('should record tasks that throw as errors', async () => {
+    const { results } = await runTaskGraph([{ id: 'boom' }, { id: 'after', dependsOn: ['boom'] }], async () => {
+      throw new Error('exploded');
+    });
+
+    assert.strictEqual(results[0].status, TASK_STATUS.ERROR);
+    assert.strictEqual(results[0].error, 'exploded');
+    assert.strictEqual(results[1].reason, 'Dependency boom failed');
+  });
+
+  test('should return a timeline with lanes in start order', async () => {
+    const runner = createRunner();
+    const { timeline } = await runTaskGraph([
+      { id: 'a', ms: 30 },
+      { id: 'b', ms: 10 },
+      { id: 'c', ms: 10 },
+    ], runner.run, { concurrency: 2 });
+
+    assert.deepStrictEqual(timeline.map(e => e.id), ['a', 'b', 'c']);
+    assert.deepStrictEqual(timeline.map(e => e.lane), [0, 1, 1]);
+    assert.ok(timeline.every(e => e.end >= e.start));
+    assert.ok(timeline[2].start >= timeline[1].end);
+  });
+
+  test('should reject invalid concurrency limits', async () => {
+    await assert.rejects(runTaskGraph([{ id: 'a' }], async () => ({}), { concurrency: 0 }), ValidationError);
+  });
+
+});
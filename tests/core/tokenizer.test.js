@@ -0,0 +1,62 @@
+/**
+ * EAOS Tokenizer Unit Tests
+ *
+ * Tests for core/tokenizer.js covering:
+ * - Comments, strings and template literals
+ * - Regular expression vs division detection
+ * - Line tracking
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+
+import { tokenize, TOKEN_TYPES } from '../../core/tokenizer.js';
+
+/**
+ * Token values of a given type
+ */
+function valuesOf(tokens, type) {
+  return tokens.filter(t => t.type === type).map(t => t.value);
+}
+
+describe('tokenize', () => {
+  test('should drop comments and keep strings whole', () => {
+    const tokens = tokenize('// require("a")\nconst s = "import(\'b\')"; /* c */ x');
+
+    assert.deepStrictEqual(valuesOf(tokens, TOKEN_TYPES.IDENTIFIER), ['const', 's', 'x']);
+    assert.deepStrictEqual(valuesOf(tokens, TOKEN_TYPES.STRING), ['import(\'b\')']);
+  });
+
+  test('should tokenize template substitutions', () => {
+    const tokens = tokenize('`a ${ {k: f(1)}.k } b ${c}`;');
+
+    assert.deepStrictEqual(valuesOf(tokens, TOKEN_TYPES.TEMPLATE), ['a ', ' b ', '']);
+    assert.deepStrictEqual(valuesOf(tokens, TOKEN_TYPES.IDENTIFIER), ['k', 'f', 'k', 'c']);
+  });
+
+  test('should tell regular expressions from division', () => {
+    const tokens = tokenize('const r = /[/"]x/g; const d = a / b / c; return /y/.test(z);');
+
+    assert.deepStrictEqual(valuesOf(tokens, TOKEN_TYPES.REGEX), ['/[/"]x/g', '/y/']);
+    assert.strictEqual(valuesOf(tokens, TOKEN_TYPES.PUNCTUATOR).filter(p => p === '/').length, 2);
+  });
+
+  test('should match multi-character operators greedily', () => {
+    const tokens = tokenize('a?.b ?? c === d && e => f');
+
+    assert.deepStrictEqual(valuesOf(tokens, TOKEN_TYPES.PUNCTUATOR), ['?.', '??', '===', '&&', '=>']);
+  });
+
+  test('should track lines across comments and templates', () => {
+    const tokens = tokenize('#!/usr/bin/env node\n/*\n*/\n`x\ny`\nlast');
+
+    assert.strictEqual(tokens[0].line, 4);
+    assert.strictEqual(tokens[tokens.length - 1].line, 6);
+  });
+
+  test('should stop unterminated strings at the line end', () => {
+    const tokens = tokenize('const s = "open\nnext();');
+
+    assert.deepStrictEqual(valuesOf(tokens, TOKEN_TYPES.IDENTIFIER), ['const', 's', 'next']);
+  });
+});